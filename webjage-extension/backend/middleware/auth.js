@@ -0,0 +1,120 @@
+// API key authentication middleware
+// Identifies the client of every API request and enforces its rate limit and quotas
+
+const rateLimit = require('express-rate-limit');
+const apiKeys = require('../services/apiKeys');
+const { runWithUsage } = require('../services/usage');
+
+// "required" (default) or "disabled" for local development without keys
+const API_AUTH = (process.env.API_AUTH || 'required').toLowerCase();
+const authDisabled = API_AUTH === 'disabled';
+
+// One limiter per key and limit configuration, each with its own window
+const keyLimiters = new Map();
+
+const getKeyLimiter = (record) => {
+    const { windowMs, max } = record.rateLimit;
+    const limiterId = `${record.id}:${windowMs}:${max}`;
+
+    if (!keyLimiters.has(limiterId)) {
+        keyLimiters.set(limiterId, rateLimit({
+            windowMs,
+            limit: max,
+            keyGenerator: () => record.id,
+            message: {
+                error: 'Rate Limit Exceeded',
+                message: 'Too many requests for this API key, please try again later.'
+            },
+            standardHeaders: true,
+            legacyHeaders: false,
+            // Created on a key's first request, but only once, so its counts persist
+            validate: { creationStack: false }
+        }));
+    }
+
+    return keyLimiters.get(limiterId);
+};
+
+// Keys are accepted as "X-API-Key: <key>" or "Authorization: Bearer <key>"
+const getRequestKey = (req) => {
+    const header = req.get('X-API-Key');
+    if (header) {
+        return header.trim();
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+};
+
+// Authentication middleware
+// Sets req.apiKey to the key record (null while auth is disabled) and attributes
+// the LLM tokens spent while handling the request to that key
+const authenticateApiKey = (req, res, next) => {
+    if (authDisabled) {
+        req.apiKey = null;
+        return next();
+    }
+
+    const record = apiKeys.authenticate(getRequestKey(req));
+    if (!record) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid API key is required. Send it in the X-API-Key header.'
+        });
+    }
+
+    req.apiKey = record;
+
+    if (record.rateLimit.max <= 0) {
+        return runWithUsage((tokens) => apiKeys.recordTokens(record, tokens), next);
+    }
+
+    getKeyLimiter(record)(req, res, (error) => {
+        if (error) return next(error);
+        runWithUsage((tokens) => apiKeys.recordTokens(record, tokens), next);
+    });
+};
+
+// Only allow keys with the given scope, e.g. requireScope('admin')
+const requireScope = (scope) => (req, res, next) => {
+    if (authDisabled || req.apiKey?.scopes.includes(scope)) {
+        return next();
+    }
+
+    res.status(403).json({
+        error: 'Forbidden',
+        message: `This endpoint requires an API key with the "${scope}" scope`
+    });
+};
+
+// Count analyses against the daily quotas of the key
+// getCount returns how many analyses the request starts, 1 by default
+const enforceQuota = (getCount = () => 1) => (req, res, next) => {
+    if (!req.apiKey) {
+        return next();
+    }
+
+    const count = getCount(req);
+    const quotaError = apiKeys.getQuotaError(req.apiKey, count);
+    if (quotaError) {
+        return res.status(429).json({
+            error: 'Quota Exceeded',
+            message: `${quotaError}. Quotas reset at midnight UTC.`
+        });
+    }
+
+    apiKeys.recordRequests(req.apiKey, count);
+
+    const remaining = apiKeys.getRemainingQuota(req.apiKey);
+    if (remaining.requests !== null) res.set('X-Quota-Requests-Remaining', String(remaining.requests));
+    if (remaining.tokens !== null) res.set('X-Quota-Tokens-Remaining', String(remaining.tokens));
+
+    next();
+};
+
+module.exports = {
+    authDisabled,
+    authenticateApiKey,
+    requireScope,
+    enforceQuota
+};
@@ -5,134 +5,584 @@ const express = require('express');
 const router = express.Router();
 const contentAnalyzer = require('../services/contentAnalyzer');
 const claudeService = require('../services/claude');
-const NodeCache = require('node-cache');
-
-// Cache for analysis results (TTL: 1 hour)
-const analysisCache = new NodeCache({ stdTTL: 3600 });
+const batchProcessor = require('../services/batchProcessor');
+const chatSessions = require('../services/chatSessions');
+const profiles = require('../services/profiles');
+const reputation = require('../services/reputation');
+const apiKeys = require('../services/apiKeys');
+const { requireScope, enforceQuota } = require('../middleware/auth');
+const { createAnalysisCache } = require('../services/cache');
+const { normalizeLanguage, resolveLanguage } = require('../services/language');
+const { CLAIM_VERDICTS, validateContentData } = require('../../shared/types');
+
+// Cache for analysis results, persisted across restarts (TTL: CACHE_TTL, default 1 hour)
+const analysisCache = createAnalysisCache();
 
 const TOO_SHORT_CONTENT_LENGTH = 50;
-const TOO_LONG_CONTENT_LENGTH = 50000;
+// Long content is split into chunks and analyzed map-reduce style, this bounds the cost of the model calls
+// and of preprocessing, which measures the whole text synchronously (about a second for 100,000 characters of Chinese)
+const TOO_LONG_CONTENT_LENGTH = parseInt(process.env.MAX_CONTENT_LENGTH, 10) || 100000;
 
-// Validation middleware
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 20;
+
+const MAX_QUESTION_LENGTH = 2000;
+
+const COMPARE_MAX_ITEMS = parseInt(process.env.COMPARE_MAX_ITEMS, 10) || 5;
+
+// Validation of a single analysis payload
 // Do type checks cause JavaScript is weak-typed
 // Too annoying. I miss Rust.
-const validateAnalysisRequest = (req, res, next) => {
-    const { url, title, content } = req.body;
+// Returns an error message, or null if the payload is valid
+const getValidationError = (payload) => {
+    const { url, content } = payload || {};
 
     if (!url || typeof url !== 'string') {
+        return 'URL is required and must be a string';
+    }
+
+    // Check type of content itself
+    if (!content || typeof content !== 'object') {
+        return 'Content is required and must be an object';
+    }
+
+    // Check type of content's text
+    if (!content.text || typeof content.text !== 'string') {
+        return 'Content text is required and must be a string';
+    }
+
+    if (content.text.length < TOO_SHORT_CONTENT_LENGTH) {
+        return 'Content text is too short for meaningful analysis (minimum 50 characters)';
+    }
+
+    if (content.text.length > TOO_LONG_CONTENT_LENGTH) {
+        return `Content text is too long for analysis (maximum ${TOO_LONG_CONTENT_LENGTH.toLocaleString('en-US')} characters)`;
+    }
+
+    // Remaining fields are checked against the shared ContentData schema
+    const schemaErrors = validateContentData(payload);
+    if (schemaErrors.length > 0) {
+        return `Invalid content data: ${schemaErrors.join('; ')}`;
+    }
+
+    if (payload.outputLanguage !== undefined && !normalizeLanguage(payload.outputLanguage)) {
+        return 'Output language must be a language tag, e.g. "en" or "zh-CN"';
+    }
+
+    // An empty profile picks one by the page's domain
+    if (payload.profile && !profiles.get(payload.profile)) {
+        return `Unknown analysis profile "${payload.profile}"`;
+    }
+
+    return null;
+};
+
+// Validation middleware
+const validateAnalysisRequest = (req, res, next) => {
+    const message = getValidationError(req.body);
+    if (message) {
         return res.status(400).json({
             error: 'Validation Error',
-            message: 'URL is required and must be a string'
+            message
         });
     }
 
-    // Check type of content itself
-    if (!content || typeof content !== 'object') {
+    next();
+};
+
+// Batch validation middleware, the items themselves are validated one by one
+const validateBatchRequest = (req, res, next) => {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
         return res.status(400).json({
             error: 'Validation Error',
-            message: 'Content is required and must be an object'
+            message: 'Items are required and must be a non-empty array'
         });
     }
 
-    // Check type of content's text
-    if (!content.text || typeof content.text !== 'string') {
+    if (items.length > BATCH_MAX_ITEMS) {
         return res.status(400).json({
             error: 'Validation Error',
-            message: 'Content text is required and must be a string'
+            message: `Too many items in batch (maximum ${BATCH_MAX_ITEMS})`
         });
     }
 
-    if (content.text.length < TOO_SHORT_CONTENT_LENGTH) {
+    next();
+};
+
+// Comparison validation middleware, unlike a batch a single invalid page fails the whole comparison
+const validateCompareRequest = (req, res, next) => {
+    const { items, outputLanguage } = req.body;
+    let error = null;
+
+    if (!Array.isArray(items) || items.length < 2) {
+        error = 'Items are required and must be an array of at least 2 pages';
+    } else if (items.length > COMPARE_MAX_ITEMS) {
+        error = `Too many pages to compare (maximum ${COMPARE_MAX_ITEMS})`;
+    } else if (outputLanguage !== undefined && !normalizeLanguage(outputLanguage)) {
+        error = 'Output language must be a language tag, e.g. "en" or "zh-CN"';
+    } else {
+        const index = items.findIndex(item => getValidationError(item));
+        if (index !== -1) {
+            error = `Item ${index + 1}: ${getValidationError(items[index])}`;
+        }
+    }
+
+    if (error) {
         return res.status(400).json({
             error: 'Validation Error',
-            message: 'Content text is too short for meaningful analysis (minimum 50 characters)'
+            message: error
         });
     }
 
-    if (content.text.length > TOO_LONG_CONTENT_LENGTH) {
+    next();
+};
+
+// Chat validation middleware
+// Follow-up questions only need the session, the first question of a conversation
+// carries the page content and is validated like an analysis payload
+const validateChatRequest = (req, res, next) => {
+    const { sessionId, message, analysis, outputLanguage } = req.body;
+    let error = null;
+
+    if (!message || typeof message !== 'string' || !message.trim()) {
+        error = 'Message is required and must be a non-empty string';
+    } else if (message.length > MAX_QUESTION_LENGTH) {
+        error = `Message is too long (maximum ${MAX_QUESTION_LENGTH.toLocaleString('en-US')} characters)`;
+    } else if (sessionId !== undefined && (!sessionId || typeof sessionId !== 'string')) {
+        error = 'Session ID must be a non-empty string';
+    } else if (analysis !== undefined && (!analysis || typeof analysis !== 'object' || Array.isArray(analysis))) {
+        error = 'Analysis must be an object';
+    } else if (!sessionId) {
+        error = getValidationError(req.body);
+    } else if (outputLanguage !== undefined && !normalizeLanguage(outputLanguage)) {
+        error = 'Output language must be a language tag, e.g. "en" or "zh-CN"';
+    }
+
+    if (error) {
         return res.status(400).json({
             error: 'Validation Error',
-            message: 'Content text is too long for analysis (maximum 50,000 characters)'
+            message: error
         });
     }
 
+    // Checked before the quota so a lost session doesn't cost a request
+    if (sessionId) {
+        req.chatSession = chatSessions.getSession(sessionId, req.apiKey?.id);
+        if (!req.chatSession) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Chat session not found or expired, send the page content again to start a new one'
+            });
+        }
+    }
+
     next();
 };
 
+// Cache key of the analysis of one payload with the given profile (null for the general rubric)
+const getAnalysisCacheKey = ({ url, content, outputLanguage }, profile) =>
+    contentAnalyzer.generateCacheKey(url, content, outputLanguage, profiles.getVersion(profile));
+
+// Combine the AI credibility of an analysis with the reputation of the page's source
+// Applied on every request rather than cached, so reputation edits take effect immediately
+const applyReputation = (analysis, { url, metadata }) => {
+    const { credibility, aiCredibility, reputation: entry, explanation } =
+        reputation.assessCredibility(analysis.credibility, reputation.lookup(url, metadata));
+
+    return {
+        ...analysis,
+        credibility,
+        credibilityVerdict: {
+            aiCredibility,
+            reputationRating: entry ? entry.rating : null,
+            explanation
+        },
+        reputation: entry
+    };
+};
+
+// Audit the links, markup and structured data the extension sent with the page, which the analysis cache key does not cover
+// Applied on every request rather than cached, so a changed page is never judged by its old markup
+const applyPageAudits = (analysis, { url, title, content, metadata }) =>
+    contentAnalyzer.auditPage(analysis, { url, title, content, metadata });
+
+// Run the analysis pipeline for one payload: cache lookup, Claude, enhancement, page audits, source reputation
+// Pass stream handlers to receive the summary and key points while Claude generates them
+// Resolves to { result, cached }
+const runAnalysis = async ({ url, title, content, metadata, outputLanguage, profile: profileId }, stream = null) => {
+    const profile = profiles.resolve(profileId, url);
+
+    // Generate cache key
+    const cacheKey = getAnalysisCacheKey({ url, content, outputLanguage }, profile);
+
+    // Check cache first
+    const cachedResult = analysisCache.get(cacheKey);
+    if (cachedResult) {
+        console.log(`Cache hit for URL: ${url}`);
+        const audited = applyPageAudits(cachedResult, { url, title, content, metadata });
+        return { result: applyReputation(audited, { url, metadata }), cached: true };
+    }
+
+    console.log(`Analyzing content for URL: ${url}${profile ? ` with profile ${profile.id}` : ''}`);
+
+    // Prepare content for analysis
+    const processedContent = contentAnalyzer.preprocessContent(content, metadata);
+
+    // Get AI analysis from Claude
+    const aiRequest = {
+        url,
+        title,
+        content: processedContent,
+        metadata,
+        outputLanguage,
+        profile
+    };
+    const aiAnalysis = stream
+        ? await claudeService.analyzeContentStream(aiRequest, stream.handlers, stream.signal)
+        : await claudeService.analyzeContent(aiRequest);
+
+    // Process and enhance the analysis
+    const finalAnalysis = contentAnalyzer.enhanceAnalysis(aiAnalysis, {
+        url,
+        title,
+        content,
+        metadata
+    });
+
+    // Lets clients label the profile fields
+    if (profile) {
+        finalAnalysis.profile = profiles.describe(profile);
+    }
+
+    // Cache the result
+    analysisCache.set(cacheKey, finalAnalysis);
+
+    console.log(`Analysis completed for URL: ${url}`);
+
+    const audited = applyPageAudits(finalAnalysis, { url, title, content, metadata });
+    return { result: applyReputation(audited, { url, metadata }), cached: false };
+};
+
+// Run the fact-check pipeline for one payload: cache lookup, claim extraction, anchoring
+// Resolves to { result, cached }
+const runFactCheck = async ({ url, title, content }) => {
+    const cacheKey = `factcheck_${contentAnalyzer.generateCacheKey(url, content)}`;
+
+    const cachedResult = analysisCache.get(cacheKey);
+    if (cachedResult) {
+        console.log(`Fact-check cache hit for URL: ${url}`);
+        return { result: cachedResult, cached: true };
+    }
+
+    console.log(`Fact-checking content for URL: ${url}`);
+
+    // Claims are quoted back, so the text keeps its special characters, only whitespace is collapsed
+    const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+    const { claims, chunksAnalyzed, chunksFailed } = await claudeService.factCheckContent({
+        url,
+        title,
+        content: {
+            text: collapse(content.text),
+            chunks: contentAnalyzer.splitIntoChunks(content.text).map(collapse)
+        }
+    });
+
+    const anchoredClaims = contentAnalyzer.anchorClaims(claims, content.text);
+    const verdictCounts = Object.fromEntries(
+        CLAIM_VERDICTS.map(verdict => [verdict, anchoredClaims.filter(claim => claim.verdict === verdict).length])
+    );
+
+    const result = { claims: anchoredClaims, verdictCounts, chunksAnalyzed, chunksFailed };
+    analysisCache.set(cacheKey, result);
+
+    console.log(`Fact-check completed for URL: ${url} (${anchoredClaims.length} claims)`);
+
+    return { result, cached: false };
+};
+
+// Run the comparison pipeline: analyze every page (reusing cached analyses), then compare them
+// Resolves to { result, cached }
+const runComparison = async ({ items, outputLanguage }) => {
+    const itemKeys = items.map(item => getAnalysisCacheKey({ ...item, outputLanguage }, profiles.resolve(item.profile, item.url)));
+    const cacheKey = `compare_${itemKeys.join('_')}`;
+
+    const cachedResult = analysisCache.get(cacheKey);
+    if (cachedResult) {
+        console.log(`Comparison cache hit for ${items.length} pages`);
+        return { result: cachedResult, cached: true };
+    }
+
+    console.log(`Comparing ${items.length} pages: ${items.map(item => item.url).join(', ')}`);
+
+    // Every page gets the same output language, so the comparison can quote their analyses
+    const analyses = await Promise.all(items.map(item => runAnalysis({ ...item, outputLanguage })));
+
+    const comparison = await claudeService.compareContent({
+        sources: items.map((item, index) => ({
+            url: item.url,
+            title: item.title,
+            text: contentAnalyzer.cleanText(item.content.text),
+            language: resolveLanguage(item.metadata?.language, item.content.text),
+            analysis: analyses[index].result
+        })),
+        outputLanguage
+    });
+
+    const result = {
+        ...comparison,
+        sources: items.map((item, index) => {
+            const { result: analysis, cached } = analyses[index];
+            return {
+                url: item.url,
+                title: item.title || '',
+                qualityScore: analysis.qualityScore,
+                credibility: analysis.credibility,
+                bias: analysis.bias,
+                completeness: analysis.completeness,
+                summary: analysis.summary,
+                cached
+            };
+        })
+    };
+    analysisCache.set(cacheKey, result);
+
+    console.log(`Comparison completed for ${items.length} pages`);
+
+    return { result, cached: false };
+};
+
+// The parts of an analysis a conversation starts with: the one the client displays,
+// or the cached analysis of the same content
+const getChatAnalysis = ({ url, content, analysis, outputLanguage, profile }) => {
+    const source = analysis || analysisCache.get(getAnalysisCacheKey({ url, content, outputLanguage }, profiles.resolve(profile, url)));
+    if (!source) return null;
+
+    const text = (value) => typeof value === 'string' ? value : undefined;
+    const list = (value) => Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+
+    return {
+        summary: text(source.summary),
+        credibility: text(source.credibility),
+        bias: text(source.bias),
+        keyPoints: list(source.keyPoints),
+        strengths: list(source.strengths),
+        concerns: list(source.concerns)
+    };
+};
+
+// Map an analysis error to an HTTP status and response body
+const describeAnalysisError = (error) => {
+    if (error.name === 'AnthropicError') {
+        return {
+            status: 503,
+            body: {
+                error: 'AI Service Error',
+                message: 'The AI analysis service is currently unavailable. Please try again later.'
+            }
+        };
+    }
+
+    if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+        return {
+            status: 503,
+            body: {
+                error: 'Service Unavailable',
+                message: 'Unable to connect to analysis service. Please try again later.'
+            }
+        };
+    }
+
+    return {
+        status: 500,
+        body: {
+            error: 'Analysis Failed',
+            message: 'An error occurred while analyzing the content. Please try again.'
+        }
+    };
+};
+
 // POST /api/analyze
 // Analyze webpage content
-router.post('/analyze', validateAnalysisRequest, async (req, res) => {
+router.post('/analyze', requireScope('analyze'), validateAnalysisRequest, enforceQuota(), async (req, res) => {
     try {
-        const { url, title, content, metadata } = req.body;
-
-        // Generate cache key
-        const cacheKey = contentAnalyzer.generateCacheKey(url, content);
-
-        // Check cache first
-        const cachedResult = analysisCache.get(cacheKey);
-        if (cachedResult) {
-            console.log(`Cache hit for URL: ${url}`);
-            return res.json({
-                ...cachedResult,
-                cached: true,
-                timestamp: new Date().toISOString()
-            });
-        }
+        const { result, cached } = await runAnalysis(req.body);
+
+        res.json({
+            ...result,
+            cached,
+            timestamp: new Date().toISOString()
+        });
 
-        console.log(`Analyzing content for URL: ${url}`);
+    } catch (error) {
+        console.error('Analysis error:', error);
 
-        // Prepare content for analysis
-        const processedContent = contentAnalyzer.preprocessContent(content, metadata);
+        const { status, body } = describeAnalysisError(error);
+        res.status(status).json(body);
+    }
+});
 
-        // Get AI analysis from Claude
-        const aiAnalysis = await claudeService.analyzeContent({
-            url,
-            title,
-            content: processedContent,
-            metadata
+// POST /api/analyze/stream
+// Analyze webpage content, streaming progress as Server-Sent Events:
+// "summary" and "keyPoint" while Claude generates them, then "result" with the
+// full enhanced analysis, or "error"
+router.post('/analyze/stream', requireScope('analyze'), validateAnalysisRequest, enforceQuota(), async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Stop generating (and paying for) tokens nobody will read
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    const sendEvent = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // compression() buffers output unless explicitly flushed
+        if (typeof res.flush === 'function') res.flush();
+    };
+
+    try {
+        const { result, cached } = await runAnalysis(req.body, {
+            handlers: {
+                onSummary: (summary) => sendEvent('summary', { summary }),
+                onKeyPoint: (point, index) => sendEvent('keyPoint', { index, point })
+            },
+            signal: abortController.signal
         });
 
-        // Process and enhance the analysis
-        const finalAnalysis = contentAnalyzer.enhanceAnalysis(aiAnalysis, {
-            url,
-            title,
-            content,
-            metadata
+        sendEvent('result', {
+            ...result,
+            cached,
+            timestamp: new Date().toISOString()
         });
 
-        // Cache the result
-        analysisCache.set(cacheKey, finalAnalysis);
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log(`Streaming analysis aborted by client for URL: ${req.body.url}`);
+            return;
+        }
+
+        console.error('Streaming analysis error:', error);
+        sendEvent('error', describeAnalysisError(error).body);
+    }
 
-        console.log(`Analysis completed for URL: ${url}`);
+    res.end();
+});
+
+// POST /api/factcheck
+// Extract the factual claims of webpage content with a verdict, rationale and source sentence each
+router.post('/factcheck', requireScope('analyze'), validateAnalysisRequest, enforceQuota(), async (req, res) => {
+    try {
+        const { result, cached } = await runFactCheck(req.body);
 
         res.json({
-            ...finalAnalysis,
-            cached: false,
+            ...result,
+            cached,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Analysis error:', error);
+        console.error('Fact-check error:', error);
 
-        if (error.name === 'AnthropicError') {
-            return res.status(503).json({
-                error: 'AI Service Error',
-                message: 'The AI analysis service is currently unavailable. Please try again later.'
-            });
-        }
+        const { status, body } = describeAnalysisError(error);
+        res.status(status).json(body);
+    }
+});
 
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-            return res.status(503).json({
-                error: 'Service Unavailable',
-                message: 'Unable to connect to analysis service. Please try again later.'
+// POST /api/compare
+// Compare 2 to COMPARE_MAX_ITEMS pages on the same topic: most credible, complete and balanced source,
+// agreements, contradictions and a ranking. Every page counts as one analysis against the request quota
+router.post('/compare', requireScope('analyze'), validateCompareRequest, enforceQuota(req => req.body.items.length), async (req, res) => {
+    try {
+        const { result, cached } = await runComparison(req.body);
+
+        res.json({
+            ...result,
+            cached,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Comparison error:', error);
+
+        const { status, body } = describeAnalysisError(error);
+        res.status(status).json(body);
+    }
+});
+
+// POST /api/chat
+// Ask a follow-up question about a page, answered from the page content and its earlier analysis
+// The first question starts a session: send url, title, content, metadata and optionally the
+// displayed analysis; later questions send the returned sessionId instead
+router.post('/chat', requireScope('analyze'), validateChatRequest, enforceQuota(), async (req, res) => {
+    const { message, outputLanguage } = req.body;
+    let session = req.chatSession;
+
+    try {
+        if (!session) {
+            const { url, title, content, metadata } = req.body;
+
+            session = chatSessions.createSession({
+                ownerId: req.apiKey?.id,
+                url,
+                title,
+                // Answers quote the page, so keep its punctuation, only collapse whitespace
+                text: content.text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim(),
+                language: resolveLanguage(metadata?.language, content.text),
+                analysis: getChatAnalysis(req.body)
             });
+
+            if (!session) {
+                return res.status(503).json({
+                    error: 'Service Unavailable',
+                    message: 'Too many open chat sessions. Please try again later.'
+                });
+            }
+
+            console.log(`Chat session ${session.id} started for URL: ${url}`);
         }
 
-        res.status(500).json({
-            error: 'Analysis Failed',
-            message: 'An error occurred while analyzing the content. Please try again.'
+        const { reply, responseText } = await claudeService.answerQuestion(
+            session,
+            chatSessions.getHistory(session),
+            message.trim(),
+            outputLanguage
+        );
+        chatSessions.addTurn(session, message.trim(), responseText);
+
+        res.json({
+            sessionId: session.id,
+            answer: reply.answer,
+            quotes: contentAnalyzer.anchorQuotes(reply.quotes, session.text),
+            turns: session.messages.length / 2,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Chat error:', error);
+
+        const { status, body } = describeAnalysisError(error);
+        // The session is kept, the client can ask again with the same sessionId
+        res.status(status).json({ ...body, sessionId: session?.id });
+    }
+});
+
+// DELETE /api/chat/:sessionId
+// End a conversation
+router.delete('/chat/:sessionId', requireScope('analyze'), (req, res) => {
+    if (!chatSessions.deleteSession(req.params.sessionId, req.apiKey?.id)) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Chat session not found or expired'
         });
     }
+
+    res.json({ message: 'Chat session ended' });
 });
 
 // GET /api/analyze/stats
@@ -145,7 +595,9 @@ router.get('/stats', (req, res) => {
             keys: cacheStats.keys,
             hits: cacheStats.hits,
             misses: cacheStats.misses,
-            hitRate: cacheStats.hits / (cacheStats.hits + cacheStats.misses) || 0
+            hitRate: cacheStats.hits / (cacheStats.hits + cacheStats.misses) || 0,
+            maxKeys: cacheStats.maxKeys,
+            storage: cacheStats.storage
         },
         server: {
             uptime: process.uptime(),
@@ -155,15 +607,8 @@ router.get('/stats', (req, res) => {
     });
 });
 
-// GET /api/analyze/cache - Get cache information (development only)
-router.get('/cache', (req, res) => {
-    if (process.env.NODE_ENV !== 'development') {
-        return res.status(403).json({
-            error: 'Forbidden',
-            message: 'This endpoint is only available in development mode'
-        });
-    }
-
+// GET /api/analyze/cache - Get cache information (admin keys only)
+router.get('/cache', requireScope('admin'), (req, res) => {
     const keys = analysisCache.keys();
     const cacheData = {};
 
@@ -183,15 +628,8 @@ router.get('/cache', (req, res) => {
 });
 
 // DELETE /api/analyze/cache
-// Clear cache (for development)
-router.delete('/cache', (req, res) => {
-    if (process.env.NODE_ENV !== 'development') {
-        return res.status(403).json({
-            error: 'Forbidden',
-            message: 'This endpoint is only available in development mode'
-        });
-    }
-
+// Clear cache (admin keys only)
+router.delete('/cache', requireScope('admin'), (req, res) => {
     const keysDeleted = analysisCache.keys().length;
     analysisCache.flushAll();
 
@@ -201,13 +639,55 @@ router.delete('/cache', (req, res) => {
     });
 });
 
-// POST /api/analyze/batch
-// Batch analyze multiple URLs (future feature)
-router.post('/batch', (req, res) => {
-    res.status(501).json({
-        error: 'Not Implemented',
-        message: 'Batch analysis is not yet implemented'
+// POST /api/batch
+// Submit a batch of page payloads, returns a job ID to poll
+// Every item counts as one analysis against the request quota
+router.post('/batch', requireScope('analyze'), validateBatchRequest, enforceQuota(req => req.body.items.length), (req, res) => {
+    const { items } = req.body;
+    const { apiKey } = req;
+
+    // Invalid items fail individually instead of rejecting the whole batch
+    const jobItems = items.map(payload => {
+        const message = getValidationError(payload);
+        return message ? { payload, error: message } : { payload };
     });
+
+    const job = batchProcessor.createJob(jobItems, async (payload) => {
+        // The token quota can run out while the job is running
+        const quotaError = apiKey && apiKeys.getQuotaError(apiKey, 0);
+        if (quotaError) {
+            throw new Error(quotaError);
+        }
+
+        try {
+            return await runAnalysis(payload);
+        } catch (error) {
+            console.error('Batch item analysis error:', error);
+            throw new Error(describeAnalysisError(error).body.message);
+        }
+    }, apiKey?.id);
+
+    console.log(`Batch job ${job.jobId} created with ${items.length} items`);
+
+    res.status(202).json({
+        ...job,
+        statusUrl: `${req.baseUrl}/batch/${job.jobId}`
+    });
+});
+
+// GET /api/batch/:jobId
+// Get status, results and errors of a batch job, only for the API key that submitted it
+router.get('/batch/:jobId', requireScope('analyze'), (req, res) => {
+    const job = batchProcessor.getJob(req.params.jobId, req.apiKey?.id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'Batch job not found or expired'
+        });
+    }
+
+    res.json(job);
 });
 
 module.exports = router;
@@ -0,0 +1,126 @@
+// API routes for API key management
+// Issuing, listing and revoking keys requires the admin scope
+
+const express = require('express');
+const router = express.Router();
+const apiKeys = require('../services/apiKeys');
+const { requireScope } = require('../middleware/auth');
+
+const LIMIT_FIELDS = {
+    quotas: ['requestsPerDay', 'tokensPerDay'],
+    rateLimit: ['windowMs', 'max']
+};
+
+// Validation of key options in create and update requests
+// Returns an error message, or null if the options are valid
+const getKeyOptionsError = ({ name, scopes, quotas, rateLimit }) => {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return 'Name must be a non-empty string';
+    }
+
+    if (scopes !== undefined && (!Array.isArray(scopes) || scopes.length === 0)) {
+        return 'Scopes must be a non-empty array';
+    }
+
+    for (const [group, value] of Object.entries({ quotas, rateLimit })) {
+        if (value === undefined) continue;
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return `${group} must be an object`;
+        }
+
+        for (const [field, limit] of Object.entries(value)) {
+            if (!LIMIT_FIELDS[group].includes(field)) {
+                return `Unknown field ${group}.${field}`;
+            }
+            if (!Number.isInteger(limit) || limit < 0) {
+                return `${group}.${field} must be a non-negative integer (0 = unlimited)`;
+            }
+        }
+    }
+
+    if (rateLimit?.windowMs === 0) {
+        return 'rateLimit.windowMs must be positive';
+    }
+
+    return null;
+};
+
+const sendValidationError = (res, message) => res.status(400).json({
+    error: 'Validation Error',
+    message
+});
+
+// GET /api/keys/me
+// Get the calling key with its remaining quota
+router.get('/me', (req, res) => {
+    if (!req.apiKey) {
+        return res.json({ authDisabled: true });
+    }
+
+    res.json(apiKeys.serialize(req.apiKey));
+});
+
+// GET /api/keys
+// List all keys
+router.get('/', requireScope('admin'), (req, res) => {
+    res.json({ keys: apiKeys.list() });
+});
+
+// POST /api/keys
+// Issue a new key, the plain key is only returned in this response
+router.post('/', requireScope('admin'), (req, res) => {
+    const message = getKeyOptionsError(req.body);
+    if (message) {
+        return sendValidationError(res, message);
+    }
+
+    try {
+        const { key, record } = apiKeys.create(req.body);
+        console.log(`API key ${record.id} (${record.name}) issued`);
+
+        res.status(201).json({ ...record, key });
+    } catch (error) {
+        sendValidationError(res, error.message);
+    }
+});
+
+// PATCH /api/keys/:id
+// Change the name, scopes or limits of a key
+router.patch('/:id', requireScope('admin'), (req, res) => {
+    const message = getKeyOptionsError(req.body);
+    if (message) {
+        return sendValidationError(res, message);
+    }
+
+    try {
+        const record = apiKeys.update(req.params.id, req.body);
+        if (!record) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'API key not found'
+            });
+        }
+
+        res.json(record);
+    } catch (error) {
+        sendValidationError(res, error.message);
+    }
+});
+
+// DELETE /api/keys/:id
+// Revoke a key
+router.delete('/:id', requireScope('admin'), (req, res) => {
+    if (!apiKeys.revoke(req.params.id)) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: 'API key not found'
+        });
+    }
+
+    console.log(`API key ${req.params.id} revoked`);
+
+    res.json({ message: 'API key revoked successfully' });
+});
+
+module.exports = router;
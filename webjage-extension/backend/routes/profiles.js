@@ -0,0 +1,181 @@
+// API routes for analysis profiles
+// Any key can list profiles, adding, changing and deleting custom ones requires the admin scope
+
+const express = require('express');
+const router = express.Router();
+const profiles = require('../services/profiles');
+const { requireScope } = require('../middleware/auth');
+
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,47}$/;
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{0,39}$/;
+const MAX_FIELDS = 12;
+const MAX_CRITERIA = 12;
+const MAX_TEMPLATE_LENGTH = 4000;
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+// Validation of the extra output fields of a profile
+const getFieldsError = (fields) => {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        return 'Fields must be an object';
+    }
+
+    const entries = Object.entries(fields);
+    if (entries.length > MAX_FIELDS) {
+        return `At most ${MAX_FIELDS} fields are allowed`;
+    }
+
+    for (const [name, field] of entries) {
+        if (!FIELD_NAME_PATTERN.test(name)) {
+            return `Field name "${name}" must start with a letter and contain only letters and digits`;
+        }
+        if (!field || typeof field !== 'object' || !profiles.FIELD_TYPES.includes(field.type)) {
+            return `Field "${name}" needs a type: ${profiles.FIELD_TYPES.join(', ')}`;
+        }
+        if (typeof field.description !== 'string' || !field.description.trim()) {
+            return `Field "${name}" needs a description, it tells the model what to return`;
+        }
+        if (field.label !== undefined && typeof field.label !== 'string') {
+            return `Field "${name}": label must be a string`;
+        }
+        if (field.enum !== undefined && (field.type !== 'string' || !isStringList(field.enum) || field.enum.length === 0)) {
+            return `Field "${name}": enum must be a non-empty array of strings and requires type string`;
+        }
+        for (const bound of ['min', 'max']) {
+            if (field[bound] !== undefined && (field.type !== 'number' || !Number.isFinite(field[bound]))) {
+                return `Field "${name}": ${bound} must be a number and requires type number`;
+            }
+        }
+        if (field.required !== undefined && typeof field.required !== 'boolean') {
+            return `Field "${name}": required must be a boolean`;
+        }
+    }
+
+    return null;
+};
+
+// Validation of profile definitions in create and update requests
+// Returns an error message, or null if the definition is valid
+const getProfileError = ({ id, name, description, domains, promptTemplate, criteria, fields }, isUpdate = false) => {
+    if (!isUpdate && (typeof id !== 'string' || !PROFILE_ID_PATTERN.test(id))) {
+        return 'ID must be 2-48 lowercase letters, digits or dashes';
+    }
+
+    if ((!isUpdate || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+        return 'Name must be a non-empty string';
+    }
+
+    if (description !== undefined && typeof description !== 'string') {
+        return 'Description must be a string';
+    }
+
+    if (domains !== undefined && (!isStringList(domains) || domains.some(pattern => /[\s/:]/.test(pattern)))) {
+        return 'Domains must be an array of hostname patterns, e.g. "arxiv.org" or "*.example.com"';
+    }
+
+    if (promptTemplate !== undefined) {
+        if (typeof promptTemplate !== 'string' || promptTemplate.length > MAX_TEMPLATE_LENGTH) {
+            return `Prompt template must be a string of at most ${MAX_TEMPLATE_LENGTH} characters`;
+        }
+
+        const unknown = [...promptTemplate.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+            .map(match => match[1])
+            .find(variable => !profiles.TEMPLATE_VARIABLES.includes(variable));
+        if (unknown) {
+            return `Unknown template variable {{${unknown}}}, available: ${profiles.TEMPLATE_VARIABLES.join(', ')}`;
+        }
+    }
+
+    if (criteria !== undefined && (!isStringList(criteria) || criteria.length > MAX_CRITERIA)) {
+        return `Criteria must be an array of at most ${MAX_CRITERIA} non-empty strings`;
+    }
+
+    if (fields !== undefined) {
+        return getFieldsError(fields);
+    }
+
+    return null;
+};
+
+const sendValidationError = (res, message) => res.status(400).json({
+    error: 'Validation Error',
+    message
+});
+
+const sendNotFound = (res) => res.status(404).json({
+    error: 'Not Found',
+    message: 'Analysis profile not found'
+});
+
+// GET /api/profiles
+// List built-in and custom profiles
+router.get('/', (req, res) => {
+    res.json({ profiles: profiles.list() });
+});
+
+// GET /api/profiles/:id
+// Get a single profile
+router.get('/:id', (req, res) => {
+    const profile = profiles.get(req.params.id);
+    if (!profile) {
+        return sendNotFound(res);
+    }
+
+    res.json(profile);
+});
+
+// POST /api/profiles
+// Add a custom profile
+router.post('/', requireScope('admin'), (req, res) => {
+    const message = getProfileError(req.body);
+    if (message) {
+        return sendValidationError(res, message);
+    }
+
+    try {
+        const profile = profiles.create(req.body);
+        console.log(`Analysis profile ${profile.id} (${profile.name}) created`);
+
+        res.status(201).json(profile);
+    } catch (error) {
+        sendValidationError(res, error.message);
+    }
+});
+
+// PATCH /api/profiles/:id
+// Change a custom profile, cached analyses made with the previous version are not reused
+router.patch('/:id', requireScope('admin'), (req, res) => {
+    const message = getProfileError(req.body, true);
+    if (message) {
+        return sendValidationError(res, message);
+    }
+
+    try {
+        const profile = profiles.update(req.params.id, req.body);
+        if (!profile) {
+            return sendNotFound(res);
+        }
+
+        res.json(profile);
+    } catch (error) {
+        sendValidationError(res, error.message);
+    }
+});
+
+// DELETE /api/profiles/:id
+// Delete a custom profile
+router.delete('/:id', requireScope('admin'), (req, res) => {
+    try {
+        if (!profiles.delete(req.params.id)) {
+            return sendNotFound(res);
+        }
+    } catch (error) {
+        return sendValidationError(res, error.message);
+    }
+
+    console.log(`Analysis profile ${req.params.id} deleted`);
+
+    res.json({ message: 'Analysis profile deleted successfully' });
+});
+
+module.exports = router;
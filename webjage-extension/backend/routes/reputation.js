@@ -0,0 +1,177 @@
+// API routes for the source reputation database
+// Any key can read entries, adding, changing, deleting and importing them requires the admin scope
+
+const express = require('express');
+const router = express.Router();
+const reputation = require('../services/reputation');
+const { requireScope } = require('../middleware/auth');
+
+const MAX_CATEGORIES = 10;
+const MAX_NOTES_LENGTH = 1000;
+const MAX_IMPORT_ENTRIES = 5000;
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+// Validation of entries in create, update and import requests
+// Returns an error message, or null if the entry is valid
+const getEntryError = ({ domain, publisher, rating, categories, notes }, isUpdate = false) => {
+    if (!isUpdate && !reputation.normalizeDomain(domain)) {
+        return 'Domain must be a hostname, e.g. "example.com"';
+    }
+
+    if ((!isUpdate || rating !== undefined) && !reputation.REPUTATION_RATINGS.includes(rating)) {
+        return `Rating must be one of: ${reputation.REPUTATION_RATINGS.join(', ')}`;
+    }
+
+    if (publisher !== undefined && typeof publisher !== 'string') {
+        return 'Publisher must be a string';
+    }
+
+    if (categories !== undefined && (!isStringList(categories) || categories.length > MAX_CATEGORIES)) {
+        return `Categories must be an array of at most ${MAX_CATEGORIES} non-empty strings`;
+    }
+
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+        return `Notes must be a string of at most ${MAX_NOTES_LENGTH} characters`;
+    }
+
+    return null;
+};
+
+const sendValidationError = (res, message) => res.status(400).json({
+    error: 'Validation Error',
+    message
+});
+
+const sendNotFound = (res) => res.status(404).json({
+    error: 'Not Found',
+    message: 'Domain has no reputation entry'
+});
+
+// GET /api/reputation
+// List entries, optionally filtered by ?rating= and ?category=
+router.get('/', (req, res) => {
+    const { rating, category } = req.query;
+    res.json({ entries: reputation.list({ rating, category }) });
+});
+
+// GET /api/reputation/lookup?url=
+// Find the entry that applies to a page, including entries of parent domains
+router.get('/lookup', (req, res) => {
+    if (!reputation.normalizeDomain(req.query.url)) {
+        return sendValidationError(res, 'A page URL is required');
+    }
+
+    const match = reputation.lookup(req.query.url);
+    if (!match) {
+        return sendNotFound(res);
+    }
+
+    res.json({ ...match.entry, matchedBy: match.matchedBy });
+});
+
+// GET /api/reputation/:domain
+// Get the entry of a domain
+router.get('/:domain', (req, res) => {
+    const entry = reputation.get(req.params.domain);
+    if (!entry) {
+        return sendNotFound(res);
+    }
+
+    res.json(entry);
+});
+
+// POST /api/reputation
+// Add an entry, or replace the entry of the same domain
+router.post('/', requireScope('admin'), (req, res) => {
+    const message = getEntryError(req.body);
+    if (message) {
+        return sendValidationError(res, message);
+    }
+
+    const { entry, created } = reputation.upsert(req.body);
+    console.log(`Reputation of ${entry.domain} ${created ? 'added' : 'replaced'}: ${entry.rating}`);
+
+    res.status(created ? 201 : 200).json(entry);
+});
+
+// POST /api/reputation/import
+// Import entries from JSON ({ entries: [...], replace }) or CSV (text/csv, ?replace=true)
+// Nothing is imported if any entry is invalid
+router.post('/import', requireScope('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+    let definitions;
+    let replace;
+
+    if (typeof req.body === 'string') {
+        try {
+            definitions = reputation.parseCsv(req.body);
+        } catch (error) {
+            return sendValidationError(res, error.message);
+        }
+        replace = req.query.replace === 'true';
+    } else {
+        if (!Array.isArray(req.body?.entries)) {
+            return sendValidationError(res, 'Send { "entries": [...] } as JSON or a CSV file as text/csv');
+        }
+        if (req.body.entries.some(entry => !entry || typeof entry !== 'object')) {
+            return sendValidationError(res, 'Entries must be objects');
+        }
+        definitions = req.body.entries;
+        replace = req.body.replace === true;
+    }
+
+    if (definitions.length === 0 || definitions.length > MAX_IMPORT_ENTRIES) {
+        return sendValidationError(res, `Import between 1 and ${MAX_IMPORT_ENTRIES} entries`);
+    }
+
+    // Line numbers count the CSV header as line 1
+    const errors = definitions
+        .map((definition, index) => ({ message: getEntryError(definition), index }))
+        .filter(({ message }) => message)
+        .map(({ message, index }) => typeof req.body === 'string'
+            ? { line: index + 2, domain: definitions[index].domain, message }
+            : { index, domain: definitions[index].domain, message });
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `${errors.length} of ${definitions.length} entries are invalid, nothing was imported`,
+            errors
+        });
+    }
+
+    const counts = reputation.import(definitions, replace);
+    console.log(`Reputation import: ${counts.created} added, ${counts.updated} replaced${replace ? ', previous entries removed' : ''}`);
+
+    res.json({ ...counts, total: reputation.list().length });
+});
+
+// PATCH /api/reputation/:domain
+// Change the rating, publisher, categories or notes of a domain
+router.patch('/:domain', requireScope('admin'), (req, res) => {
+    const message = getEntryError(req.body, true);
+    if (message) {
+        return sendValidationError(res, message);
+    }
+
+    const entry = reputation.update(req.params.domain, req.body);
+    if (!entry) {
+        return sendNotFound(res);
+    }
+
+    res.json(entry);
+});
+
+// DELETE /api/reputation/:domain
+// Delete the entry of a domain
+router.delete('/:domain', requireScope('admin'), (req, res) => {
+    if (!reputation.delete(req.params.domain)) {
+        return sendNotFound(res);
+    }
+
+    console.log(`Reputation of ${req.params.domain} deleted`);
+
+    res.json({ message: 'Reputation entry deleted successfully' });
+});
+
+module.exports = router;
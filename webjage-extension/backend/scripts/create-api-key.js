@@ -0,0 +1,71 @@
+// Issue an API key from the command line
+// Needed for the first admin key, later keys can also be issued through POST /api/keys
+// The server may keep running, it accepts the new key on its first use
+//
+// Usage: npm run create-key -- --name "My extension" [--scopes analyze,admin]
+//        [--requests-per-day 1000] [--tokens-per-day 500000] [--rate-limit 100]
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const apiKeys = require('../services/apiKeys');
+
+const OPTIONS = {
+    '--name': 'name',
+    '--scopes': 'scopes',
+    '--requests-per-day': 'requestsPerDay',
+    '--tokens-per-day': 'tokensPerDay',
+    '--rate-limit': 'rateLimitMax'
+};
+
+const parseArgs = (args) => {
+    const options = {};
+
+    for (let i = 0; i < args.length; i += 2) {
+        const option = OPTIONS[args[i]];
+        if (!option || args[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option "${args[i]}"`);
+        }
+        options[option] = args[i + 1];
+    }
+
+    return options;
+};
+
+const parseLimit = (value, option) => {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${option} must be a non-negative integer (0 = unlimited)`);
+    }
+    return number;
+};
+
+// Leave out unset limits so the store defaults apply
+const definedOnly = (object) => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+
+    const { key, record } = apiKeys.create({
+        name: options.name,
+        scopes: options.scopes ? options.scopes.split(',').map(scope => scope.trim()) : undefined,
+        quotas: definedOnly({
+            requestsPerDay: parseLimit(options.requestsPerDay, '--requests-per-day'),
+            tokensPerDay: parseLimit(options.tokensPerDay, '--tokens-per-day')
+        }),
+        rateLimit: definedOnly({
+            max: parseLimit(options.rateLimitMax, '--rate-limit')
+        })
+    });
+
+    console.log(`Issued API key "${record.name}" (${record.id})`);
+    console.log(`Scopes: ${record.scopes.join(', ')}`);
+    console.log(`Key: ${key}`);
+    console.log('Store it now, it cannot be shown again.');
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
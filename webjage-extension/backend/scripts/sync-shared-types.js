@@ -0,0 +1,34 @@
+// Copy shared/types.js into the extension, which can only load files inside its own root
+// Run after every change to shared/types.js; --check only reports whether the copy is stale
+//
+// Usage: npm run sync-types [-- --check]
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '..', '..', 'shared', 'types.js');
+const TARGET = path.join(__dirname, '..', '..', 'extension', 'shared', 'types.js');
+
+const HEADER = '// Generated from shared/types.js by backend/scripts/sync-shared-types.js, do not edit\n\n';
+
+try {
+    const expected = HEADER + fs.readFileSync(SOURCE, 'utf8');
+    const current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, 'utf8') : null;
+
+    if (process.argv.includes('--check')) {
+        if (current !== expected) {
+            console.error('extension/shared/types.js is out of date, run: npm run sync-types');
+            process.exit(1);
+        }
+        console.log('extension/shared/types.js is up to date');
+    } else if (current === expected) {
+        console.log('extension/shared/types.js is already up to date');
+    } else {
+        fs.mkdirSync(path.dirname(TARGET), { recursive: true });
+        fs.writeFileSync(TARGET, expected);
+        console.log('Updated extension/shared/types.js');
+    }
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -10,6 +10,8 @@ require('dotenv').config();
 
 const contentAnalyzer = require('./services/contentAnalyzer');
 const claudeService = require('./services/claude');
+const apiKeys = require('./services/apiKeys');
+const { authDisabled, authenticateApiKey } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,9 +33,10 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
 // In case of blowing up my API key during test
+// Per-IP limit in front of the per-key limits, also slows down key guessing
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
+    max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100, // Limit each IP to RATE_LIMIT_MAX requests per windowMs
     message: {
         error: 'Too many requests from this IP, please try again later.',
         retryAfter: '15 minutes'
@@ -44,6 +47,9 @@ const limiter = rateLimit({
 
 app.use('/api/', limiter);
 
+// API key authentication, with per-key rate limits and quotas
+app.use('/api/', authenticateApiKey);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
@@ -55,6 +61,9 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api', require('./routes/analyze'));
+app.use('/api/keys', require('./routes/keys'));
+app.use('/api/profiles', require('./routes/profiles'));
+app.use('/api/reputation', require('./routes/reputation'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -120,12 +129,21 @@ const server = app.listen(PORT, () => {
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
     console.log(`🔗 API endpoint: http://localhost:${PORT}/api`);
 
-    // Check if Claude API key is configured
-    if (!process.env.ANTHROPIC_API_KEY) {
-        console.warn('⚠️  Warning: ANTHROPIC_API_KEY not found in environment variables');
-        console.warn('   Please create a .env file with your Claude API key');
+    // Check if the LLM provider is configured
+    const { provider } = claudeService;
+    if (!provider.isConfigured()) {
+        console.warn(`⚠️  Warning: ${provider.displayName} provider is not configured`);
+        console.warn('   Please create a .env file with your provider settings (see .env.example)');
     } else {
-        console.log('✅ Claude API key configured');
+        console.log(`✅ ${provider.displayName} provider configured (model: ${provider.config.model})`);
+    }
+
+    if (authDisabled) {
+        console.warn('⚠️  Warning: API key authentication is disabled (API_AUTH=disabled)');
+    } else if (!apiKeys.hasKeys()) {
+        console.warn('⚠️  Warning: No API keys issued yet, all API requests will be rejected');
+        console.warn('   Issue an admin key with: npm run create-key -- --name admin --scopes analyze,admin');
+        console.warn('   No restart needed, the server reads keys issued while it runs');
     }
 });
 
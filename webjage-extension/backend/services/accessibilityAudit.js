@@ -0,0 +1,323 @@
+// Accessibility audit
+// Findings mapped to WCAG 2.2 success criteria, each with a severity, from the page structure the extension collects
+
+// Severities, worst first: critical blocks use for some people, serious makes it very hard,
+// moderate makes it harder, minor is an annoyance
+const { ACCESSIBILITY_SEVERITIES: SEVERITIES } = require('../../shared/types');
+
+// Success criteria that are checked, in the order of the guidelines
+const CRITERIA = {
+    '1.1.1': { name: 'Non-text Content', level: 'A' },
+    '1.3.1': { name: 'Info and Relationships', level: 'A' },
+    '1.4.3': { name: 'Contrast (Minimum)', level: 'AA' },
+    '2.4.1': { name: 'Bypass Blocks', level: 'A' },
+    '2.4.2': { name: 'Page Titled', level: 'A' },
+    '2.4.4': { name: 'Link Purpose (In Context)', level: 'A' },
+    '2.4.6': { name: 'Headings and Labels', level: 'AA' },
+    '3.1.1': { name: 'Language of Page', level: 'A' },
+    '3.1.2': { name: 'Language of Parts', level: 'AA' },
+    '3.3.2': { name: 'Labels or Instructions', level: 'A' },
+    '4.1.2': { name: 'Name, Role, Value', level: 'A' }
+};
+
+// Text at least this large (CSS pixels) needs less contrast: 18pt, or 14pt bold
+const LARGE_TEXT_SIZE = 24;
+const LARGE_BOLD_TEXT_SIZE = 18.66;
+const CONTRAST_MINIMUM = { normal: 4.5, large: 3 };
+
+// Link texts that say nothing about where the link goes
+const VAGUE_LINK_TEXTS = [
+    'click here', 'click', 'here', 'read more', 'more', 'learn more', 'more info', 'more information',
+    'details', 'link', 'this link', 'this', 'continue', 'continue reading', 'go', 'see more', 'view more'
+];
+
+// Alt text that is a file name or a placeholder rather than a description
+const FILENAME_ALT_PATTERN = /^(?:[\w-]+\.(?:jpe?g|png|gif|webp|svg|avif|bmp)|img[_-]?\d+|dsc[_-]?\d+|image|picture|photo|graphic|icon|logo|spacer|untitled)$/i;
+
+// BCP 47 language tag: language, optionally followed by script, region and variants
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(?:-[a-z]{3}){0,3}(?:-[a-z]{4})?(?:-(?:[a-z]{2}|\d{3}))?(?:-(?:[a-z\d]{5,8}|\d[a-z\d]{3}))*$/i;
+
+const MAX_EXAMPLES = 5;
+
+const finding = (criterion, severity, message, recommendation, examples) => ({
+    criterion,
+    ...CRITERIA[criterion],
+    severity,
+    message,
+    recommendation,
+    ...(examples?.length > 0 ? { examples: examples.slice(0, MAX_EXAMPLES) } : {})
+});
+
+// Entries of a list sent by the extension that are objects, the checks skip anything else
+const getObjects = (list) => Array.isArray(list)
+    ? list.filter(item => item && typeof item === 'object' && !Array.isArray(item))
+    : undefined;
+
+const plural = (count, singular, pluralForm = `${singular}s`) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+const quote = (text) => `"${text.length > 60 ? `${text.slice(0, 57)}...` : text}"`;
+
+// "rgb(r, g, b)" or "rgba(r, g, b, a)" as computed by the browser
+const parseColor = (value) => {
+    const match = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+%?))?\s*\)$/i.exec(value || '');
+    if (!match) {
+        return null;
+    }
+
+    const alpha = match[4] === undefined ? 1
+        : match[4].endsWith('%') ? parseFloat(match[4]) / 100 : parseFloat(match[4]);
+    return { r: +match[1], g: +match[2], b: +match[3], a: alpha };
+};
+
+// WCAG relative luminance of an sRGB color
+const luminance = ({ r, g, b }) => {
+    const [red, green, blue] = [r, g, b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+};
+
+/**
+ * Contrast ratio of text on a background, semi-transparent text blended onto the background
+ * @param {string} color - Computed text color
+ * @param {string} background - Computed background color
+ * @returns {number|null} Ratio from 1 to 21, null if a color can't be read
+ */
+function getContrastRatio(color, background) {
+    const text = parseColor(color);
+    const back = parseColor(background);
+    if (!text || !back) {
+        return null;
+    }
+
+    const blended = {
+        r: text.r * text.a + back.r * (1 - text.a),
+        g: text.g * text.a + back.g * (1 - text.a),
+        b: text.b * text.a + back.b * (1 - text.a)
+    };
+    const [lighter, darker] = [luminance(blended), luminance(back)].sort((a, b) => b - a);
+
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+function checkImages(images) {
+    const findings = [];
+
+    const missing = images.filter(image => image.alt === null && image.role !== 'presentation' && image.role !== 'none');
+    const inControls = missing.filter(image => image.onlyContentOf);
+    if (inControls.length > 0) {
+        findings.push(finding('1.1.1', 'critical',
+            `${plural(inControls.length, 'link or button has', 'links or buttons have')} no name, only an image without alt text`,
+            'Give images inside links and buttons alt text saying where the link goes or what the button does',
+            inControls.map(image => image.src)));
+    }
+    if (missing.length > inControls.length) {
+        findings.push(finding('1.1.1', 'serious',
+            `${missing.length - inControls.length} of ${images.length} images lack a text alternative`,
+            'Describe each informative image in its alt attribute, use alt="" for purely decorative images',
+            missing.filter(image => !image.onlyContentOf).map(image => image.src)));
+    }
+
+    const filenames = images.filter(image => typeof image.alt === 'string' && FILENAME_ALT_PATTERN.test(image.alt.trim()));
+    if (filenames.length > 0) {
+        findings.push(finding('1.1.1', 'moderate',
+            `${plural(filenames.length, 'image has', 'images have')} a file name or placeholder as alt text`,
+            'Replace file names in alt text with a description of what the image shows',
+            filenames.map(image => quote(image.alt))));
+    }
+
+    return findings;
+}
+
+function checkFormLabels(controls) {
+    const findings = [];
+
+    const unlabelled = controls.filter(control => !control.label);
+    if (unlabelled.length > 0) {
+        findings.push(finding('1.3.1', 'critical',
+            `${plural(unlabelled.length, 'form control has', 'form controls have')} no label`,
+            'Associate a <label> with every form control, or name it with aria-label(ledby)',
+            unlabelled.map(control => control.type)));
+    }
+
+    const placeholderOnly = controls.filter(control => control.label === 'placeholder');
+    if (placeholderOnly.length > 0) {
+        findings.push(finding('3.3.2', 'moderate',
+            `${plural(placeholderOnly.length, 'form control is', 'form controls are')} labelled only by placeholder text, which disappears while typing`,
+            'Add a visible <label> to each control and keep placeholders for example input',
+            placeholderOnly.map(control => control.type)));
+    }
+
+    return findings;
+}
+
+function checkHeadings(headings) {
+    const findings = [];
+
+    const skips = headings
+        .map((heading, index) => ({ heading, previous: headings[index - 1] }))
+        .filter(({ heading, previous }) => previous && heading.level > previous.level + 1)
+        .map(({ heading, previous }) => `H${previous.level} → H${heading.level} ${quote(heading.text || '')}`);
+    if (skips.length > 0) {
+        findings.push(finding('1.3.1', 'moderate',
+            `Heading levels are skipped ${plural(skips.length, 'time')}, the outline screen readers show has gaps`,
+            'Nest headings without skipping levels, e.g. H2 sections with H3 subsections',
+            skips));
+    }
+
+    const empty = headings.filter(heading => !heading.text).length;
+    if (empty > 0) {
+        findings.push(finding('2.4.6', 'moderate',
+            `${plural(empty, 'heading is', 'headings are')} empty`,
+            'Remove empty headings or give them text describing their section'));
+    }
+
+    return findings;
+}
+
+function checkLandmarks(landmarks) {
+    const mains = landmarks.main || 0;
+
+    if (mains === 0) {
+        return [finding('2.4.1', 'moderate',
+            'The page has no main landmark, keyboard and screen reader users can\'t skip to the content',
+            'Wrap the main content in <main>, or add a "skip to content" link')];
+    }
+    if (mains > 1) {
+        return [finding('1.3.1', 'moderate', `The page has ${mains} main landmarks`,
+            'Keep a single <main> element for the main content of the page')];
+    }
+    return [];
+}
+
+function checkContrast(samples) {
+    const failing = samples
+        .filter(sample => sample.background)
+        .map(sample => {
+            const large = sample.fontSize >= LARGE_TEXT_SIZE || (sample.fontSize >= LARGE_BOLD_TEXT_SIZE && sample.fontWeight >= 700);
+            return {
+                ...sample,
+                ratio: getContrastRatio(sample.color, sample.background),
+                required: large ? CONTRAST_MINIMUM.large : CONTRAST_MINIMUM.normal
+            };
+        })
+        .filter(sample => sample.ratio !== null && sample.ratio < sample.required)
+        .sort((a, b) => a.ratio - b.ratio);
+
+    if (failing.length === 0) {
+        return [];
+    }
+
+    const elements = failing.reduce((sum, sample) => sum + (sample.count || 1), 0);
+    return [finding('1.4.3', failing[0].ratio < CONTRAST_MINIMUM.large ? 'serious' : 'moderate',
+        `${plural(failing.length, 'text style falls', 'text styles fall')} below the contrast minimum (${plural(elements, 'element')}, lowest ${failing[0].ratio.toFixed(2)}:1)`,
+        `Darken the text or lighten the background to at least ${CONTRAST_MINIMUM.normal}:1, ${CONTRAST_MINIMUM.large}:1 for large text`,
+        failing.map(sample => `${quote(sample.text || '')} ${sample.color} on ${sample.background}: ${sample.ratio.toFixed(2)}:1, needs ${sample.required}:1`))];
+}
+
+function checkTitle(title) {
+    if (!title.trim()) {
+        return [finding('2.4.2', 'serious', 'The page has no title',
+            'Add a <title> naming the page topic, it is the first thing screen readers announce')];
+    }
+    return [];
+}
+
+function checkLinkPurpose(links) {
+    const vague = links.filter(link => VAGUE_LINK_TEXTS.includes(String(link.text || '').trim().toLowerCase().replace(/[.…»›→]+$/, '').trim()));
+    if (vague.length === 0) {
+        return [];
+    }
+
+    return [finding('2.4.4', 'moderate',
+        `${plural(vague.length, 'link has', 'links have')} text that doesn't say where it leads`,
+        'Name the destination in the link text, e.g. "Read the 2024 report" instead of "Read more"',
+        [...new Set(vague.map(link => quote(String(link.text).trim())))])];
+}
+
+function checkLanguage(lang, partLangs) {
+    const findings = [];
+
+    if (!lang || !lang.trim()) {
+        findings.push(finding('3.1.1', 'serious', 'The page does not declare its language',
+            'Set the language on the html element, e.g. <html lang="en">, so screen readers pronounce it correctly'));
+    } else if (!LANGUAGE_TAG_PATTERN.test(lang.trim())) {
+        findings.push(finding('3.1.1', 'serious', `The page language ${quote(lang)} is not a valid language tag`,
+            'Use a BCP 47 language tag such as "en", "de" or "pt-BR"'));
+    }
+
+    const invalidParts = (partLangs || []).filter(part => typeof part === 'string' && part.trim() && !LANGUAGE_TAG_PATTERN.test(part.trim()));
+    if (invalidParts.length > 0) {
+        findings.push(finding('3.1.2', 'minor',
+            `${plural(invalidParts.length, 'lang attribute is not a valid language tag', 'lang attributes are not valid language tags')}`,
+            'Use BCP 47 language tags on elements in another language',
+            invalidParts.map(quote)));
+    }
+
+    return findings;
+}
+
+function checkFocusableNames(unnamed, count) {
+    if (!count) {
+        return [];
+    }
+
+    return [finding('4.1.2', 'critical',
+        `${plural(count, 'focusable element has', 'focusable elements have')} no accessible name`,
+        'Give links, buttons and custom controls visible text, or an aria-label when they only show an icon',
+        unnamed.map(element => element.html))];
+}
+
+/**
+ * Audit the accessibility of a page
+ * Criteria needing the extension's accessibility data (landmarks, forms, contrast, focusable elements)
+ * are left out when it is missing, e.g. for selection analyses
+ * @param {Object} data - Original content data: { title, content: { links, seo, accessibility } }
+ * @returns {Object} { findings, critical, serious, moderate, minor, checkedCriteria, passedCriteria }
+ */
+function auditAccessibility({ title, content }) {
+    const a11y = content?.accessibility;
+    const headings = getObjects(content?.seo?.headings);
+    const links = getObjects(content?.links);
+    const images = getObjects(a11y?.images);
+    const formControls = getObjects(a11y?.formControls);
+    const textSamples = getObjects(a11y?.textSamples);
+
+    const checked = [
+        ['2.4.2', checkTitle(title || '')],
+        ['2.4.4', links && checkLinkPurpose(links)],
+        ['1.1.1', images && checkImages(images)],
+        [['1.3.1', '3.3.2'], formControls && checkFormLabels(formControls)],
+        [['1.3.1', '2.4.6'], headings && checkHeadings(headings)],
+        [['1.3.1', '2.4.1'], a11y?.landmarks && checkLandmarks(a11y.landmarks)],
+        ['1.4.3', textSamples && checkContrast(textSamples)],
+        [['3.1.1', '3.1.2'], a11y && checkLanguage(a11y.lang, a11y.partLangs)],
+        ['4.1.2', a11y && checkFocusableNames(getObjects(a11y.unnamedFocusable) || [], a11y.unnamedFocusableCount)]
+    ].filter(([, findings]) => findings);
+
+    const findings = checked
+        .flatMap(([, items]) => items)
+        .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+            Object.keys(CRITERIA).indexOf(a.criterion) - Object.keys(CRITERIA).indexOf(b.criterion));
+
+    const checkedCriteria = Object.keys(CRITERIA).filter(criterion => checked.some(([criteria]) => [].concat(criteria).includes(criterion)));
+    const count = (severity) => findings.filter(item => item.severity === severity).length;
+
+    return {
+        findings,
+        critical: count('critical'),
+        serious: count('serious'),
+        moderate: count('moderate'),
+        minor: count('minor'),
+        checkedCriteria: checkedCriteria.length,
+        passedCriteria: checkedCriteria
+            .filter(criterion => !findings.some(item => item.criterion === criterion))
+            .map(criterion => ({ criterion, ...CRITERIA[criterion] }))
+    };
+}
+
+module.exports = {
+    auditAccessibility,
+    getContrastRatio
+};
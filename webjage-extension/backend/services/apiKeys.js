@@ -0,0 +1,312 @@
+// API key store
+// Issues client API keys and tracks their daily request and token quotas
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_KEYS_FILE = path.join(__dirname, '..', 'data', 'api-keys.json');
+const KEY_PREFIX = 'wj_';
+// analyze: analysis, fact-check, comparison, chat and batch endpoints; admin: managing keys, profiles, reputation and the cache
+const SCOPES = ['analyze', 'admin'];
+// Usage is written in batches instead of on every request
+const SAVE_DELAY = 1000; // ms
+
+const parseInteger = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? fallback : number;
+};
+
+// Limits of keys issued without explicit ones, 0 means unlimited
+const DEFAULT_LIMITS = {
+    quotas: {
+        requestsPerDay: parseInteger(process.env.API_KEY_REQUESTS_PER_DAY, 1000),
+        tokensPerDay: parseInteger(process.env.API_KEY_TOKENS_PER_DAY, 500000)
+    },
+    rateLimit: {
+        windowMs: parseInteger(process.env.API_KEY_RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
+        max: parseInteger(process.env.API_KEY_RATE_LIMIT_MAX, 100)
+    }
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Quotas reset at midnight UTC
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+class ApiKeyStore {
+    /**
+     * @param {string} filePath - JSON file holding the keys, created on the first write
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.saveTimer = null;
+        // Modification time and size of the file when it was last read or written
+        this.fileVersion = null;
+
+        // Only hashes are stored, a lost key has to be reissued
+        this.keys = new Map(); // id -> record
+        this.keysByHash = new Map(); // hash -> record
+
+        this.load();
+
+        // Don't lose the usage of the last second on shutdown
+        process.on('exit', () => {
+            if (this.saveTimer) this.save();
+        });
+    }
+
+    getFileVersion() {
+        const { mtimeMs, size } = fs.statSync(this.filePath);
+        return `${mtimeMs}:${size}`;
+    }
+
+    /**
+     * Read the keys file if another process changed it, e.g. npm run create-key while the server runs
+     * Keys missing here are added and revocations carried over, the usage tracked here is kept
+     * @returns {boolean} Whether the file was read
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return false;
+        }
+
+        const version = this.getFileVersion();
+        if (version === this.fileVersion) {
+            return false;
+        }
+
+        const { keys = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const record of keys) {
+            const known = this.keys.get(record.id);
+            if (known) {
+                known.revoked = known.revoked || record.revoked;
+            } else {
+                this.keys.set(record.id, record);
+                this.keysByHash.set(record.hash, record);
+            }
+        }
+
+        this.fileVersion = version;
+        return true;
+    }
+
+    // load() for lookups, an unreadable file keeps the keys already loaded
+    reload() {
+        try {
+            return this.load();
+        } catch (error) {
+            console.error('API key store read failed:', error);
+            return false;
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        // Each process writes its own temporary file, the server and the CLI can save at the same time
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            // Merge keys issued by other processes first, or writing would delete them
+            this.load();
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify({ keys: [...this.keys.values()] }, null, 2), { mode: 0o600 });
+            fs.renameSync(tempPath, this.filePath);
+            this.fileVersion = this.getFileVersion();
+        } catch (error) {
+            console.error('API key store write failed:', error);
+        }
+    }
+
+    scheduleSave() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * Check whether any active key exists
+     * @returns {boolean}
+     */
+    hasKeys() {
+        return [...this.keys.values()].some(record => !record.revoked);
+    }
+
+    /**
+     * Issue a new API key
+     * @param {Object} options - { name, scopes, quotas, rateLimit }
+     * @returns {Object} { key, record } - the plain key is only available here
+     */
+    create({ name, scopes = ['analyze'], quotas = {}, rateLimit = {} } = {}) {
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+        const record = {
+            id: crypto.randomUUID(),
+            name: name || 'Unnamed key',
+            hash: hashKey(key),
+            hint: `${key.slice(0, KEY_PREFIX.length + 4)}…`,
+            scopes: this.normalizeScopes(scopes),
+            quotas: { ...DEFAULT_LIMITS.quotas, ...quotas },
+            rateLimit: { ...DEFAULT_LIMITS.rateLimit, ...rateLimit },
+            revoked: false,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            usage: { day: currentDay(), requests: 0, tokens: 0 }
+        };
+
+        this.keys.set(record.id, record);
+        this.keysByHash.set(record.hash, record);
+        this.save();
+
+        return { key, record: this.serialize(record) };
+    }
+
+    /**
+     * Change the name, scopes or limits of a key
+     * @param {string} id - Key ID
+     * @param {Object} changes - { name, scopes, quotas, rateLimit }
+     * @returns {Object|null} Updated key, or null if unknown
+     */
+    update(id, { name, scopes, quotas, rateLimit }) {
+        const record = this.keys.get(id);
+        if (!record) {
+            return null;
+        }
+
+        if (name) record.name = name;
+        if (scopes) record.scopes = this.normalizeScopes(scopes);
+        if (quotas) record.quotas = { ...record.quotas, ...quotas };
+        if (rateLimit) record.rateLimit = { ...record.rateLimit, ...rateLimit };
+
+        this.save();
+        return this.serialize(record);
+    }
+
+    /**
+     * Revoke a key, it stays listed for its usage history
+     * @param {string} id - Key ID
+     * @returns {boolean} Whether the key existed
+     */
+    revoke(id) {
+        const record = this.keys.get(id);
+        if (!record) {
+            return false;
+        }
+
+        record.revoked = true;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Look up the record of a plain API key
+     * @param {string} key - Key sent by the client
+     * @returns {Object|null} Key record, or null if unknown or revoked
+     */
+    authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+            return null;
+        }
+
+        const hash = hashKey(key);
+        let record = this.keysByHash.get(hash);
+        // The key may have been issued by npm run create-key after the server started
+        if (!record && this.reload()) {
+            record = this.keysByHash.get(hash);
+        }
+        if (!record || record.revoked) {
+            return null;
+        }
+
+        record.lastUsedAt = new Date().toISOString();
+        this.resetUsageIfNewDay(record);
+        return record;
+    }
+
+    /**
+     * Check whether a key may start more analyses
+     * @param {Object} record - Key record
+     * @param {number} requests - Analyses about to be started
+     * @returns {string|null} Error message, or null if within quota
+     */
+    getQuotaError(record, requests = 1) {
+        this.resetUsageIfNewDay(record);
+        const { quotas, usage } = record;
+
+        if (quotas.requestsPerDay > 0 && usage.requests + requests > quotas.requestsPerDay) {
+            return `Daily request quota of ${quotas.requestsPerDay} analyses exceeded`;
+        }
+
+        if (quotas.tokensPerDay > 0 && usage.tokens >= quotas.tokensPerDay) {
+            return `Daily token quota of ${quotas.tokensPerDay} tokens exceeded`;
+        }
+
+        return null;
+    }
+
+    recordRequests(record, requests = 1) {
+        this.resetUsageIfNewDay(record);
+        record.usage.requests += requests;
+        this.scheduleSave();
+    }
+
+    recordTokens(record, tokens) {
+        this.resetUsageIfNewDay(record);
+        record.usage.tokens += tokens;
+        this.scheduleSave();
+    }
+
+    /**
+     * Remaining quota of a key, null for unlimited
+     * @param {Object} record - Key record
+     * @returns {Object} { requests, tokens }
+     */
+    getRemainingQuota(record) {
+        const { quotas, usage } = record;
+
+        return {
+            requests: quotas.requestsPerDay > 0 ? Math.max(0, quotas.requestsPerDay - usage.requests) : null,
+            tokens: quotas.tokensPerDay > 0 ? Math.max(0, quotas.tokensPerDay - usage.tokens) : null
+        };
+    }
+
+    resetUsageIfNewDay(record) {
+        const day = currentDay();
+        if (record.usage.day !== day) {
+            record.usage = { day, requests: 0, tokens: 0 };
+            this.scheduleSave();
+        }
+    }
+
+    normalizeScopes(scopes) {
+        const invalid = scopes.filter(scope => !SCOPES.includes(scope));
+        if (invalid.length > 0) {
+            throw new Error(`Unknown scope "${invalid[0]}". Available scopes: ${SCOPES.join(', ')}`);
+        }
+
+        return [...new Set(scopes)];
+    }
+
+    /**
+     * Get all keys
+     * @returns {Array} Serialized keys
+     */
+    list() {
+        this.reload();
+        return [...this.keys.values()].map(record => this.serialize(record));
+    }
+
+    /**
+     * Convert a key record into its API representation, without the hash
+     * @param {Object} record - Key record
+     * @returns {Object}
+     */
+    serialize(record) {
+        const { hash, ...rest } = record;
+        return { ...rest, remaining: this.getRemainingQuota(record) };
+    }
+}
+
+module.exports = new ApiKeyStore(process.env.API_KEYS_FILE || DEFAULT_KEYS_FILE);
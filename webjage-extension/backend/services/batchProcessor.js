@@ -0,0 +1,170 @@
+// Batch analysis job processor
+// Tracks batch jobs and runs their items with a bounded concurrency limit
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+const BATCH_JOB_TTL = parseInt(process.env.BATCH_JOB_TTL, 10) || 3600;
+
+class BatchProcessor {
+    constructor() {
+        // Jobs are updated in place while they run, so don't clone on get/set
+        this.jobs = new NodeCache({ stdTTL: BATCH_JOB_TTL, useClones: false });
+
+        // Concurrency is shared by all jobs so several batches cannot
+        // exhaust the AI rate limit together either
+        this.concurrency = BATCH_CONCURRENCY;
+        this.activeCount = 0;
+        this.waitQueue = [];
+    }
+
+    /**
+     * Create a batch job and start processing it in the background
+     * @param {Array} items - Item descriptors: { payload } or { error } for items rejected upfront
+     * @param {Function} worker - Async function analyzing one payload, resolves to { result, cached }
+     * @param {string|null} [ownerId] - ID of the submitting API key, jobs are private to their key
+     * @returns {Object} Serialized job
+     */
+    createJob(items, worker, ownerId) {
+        const job = {
+            id: crypto.randomUUID(),
+            ownerId: ownerId || null,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            items: items.map((item, index) => ({
+                index,
+                url: typeof item.payload?.url === 'string' ? item.payload.url : null,
+                status: item.error ? 'failed' : 'pending',
+                result: null,
+                cached: false,
+                error: item.error || null,
+                payload: item.error ? null : item.payload
+            }))
+        };
+
+        this.jobs.set(job.id, job);
+
+        // Don't await: the client polls for progress
+        this.runJob(job, worker).catch(error => {
+            console.error(`Batch job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.completedAt = new Date().toISOString();
+        });
+
+        return this.serializeJob(job);
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} jobId - Job ID
+     * @param {string|null} ownerId - ID of the calling API key
+     * @returns {Object|null} Serialized job, or null if unknown, expired or owned by another key
+     */
+    getJob(jobId, ownerId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.ownerId !== (ownerId || null)) {
+            return null;
+        }
+
+        return this.serializeJob(job);
+    }
+
+    /**
+     * Process all pending items of a job
+     * @param {Object} job - Job object
+     * @param {Function} worker - Item worker
+     */
+    async runJob(job, worker) {
+        job.status = 'running';
+
+        const pendingItems = job.items.filter(item => item.status === 'pending');
+        await Promise.all(pendingItems.map(item => this.processItem(item, worker)));
+
+        const allFailed = job.items.every(item => item.status === 'failed');
+        job.status = allFailed ? 'failed' : 'completed';
+        job.completedAt = new Date().toISOString();
+
+        // Restart the TTL so finished jobs stay available for polling
+        this.jobs.ttl(job.id);
+
+        console.log(`Batch job ${job.id} ${job.status}`);
+    }
+
+    /**
+     * Process a single item once a concurrency slot is free
+     * @param {Object} item - Job item
+     * @param {Function} worker - Item worker
+     */
+    async processItem(item, worker) {
+        await this.acquireSlot();
+
+        try {
+            item.status = 'processing';
+            const { result, cached } = await worker(item.payload);
+            item.result = result;
+            item.cached = cached;
+            item.status = 'completed';
+        } catch (error) {
+            item.error = error.message || 'Analysis failed';
+            item.status = 'failed';
+        } finally {
+            // Release the page content, only the result is needed from now on
+            item.payload = null;
+            this.releaseSlot();
+        }
+    }
+
+    acquireSlot() {
+        if (this.activeCount < this.concurrency) {
+            this.activeCount++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.waitQueue.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.waitQueue.shift();
+        if (next) {
+            // Hand the slot over directly, activeCount stays the same
+            next();
+        } else {
+            this.activeCount--;
+        }
+    }
+
+    /**
+     * Convert a job into its API representation
+     * @param {Object} job - Job object
+     * @returns {Object} Job status with per-item results
+     */
+    serializeJob(job) {
+        const countByStatus = (status) => job.items.filter(item => item.status === status).length;
+
+        return {
+            jobId: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            completedAt: job.completedAt,
+            progress: {
+                total: job.items.length,
+                pending: countByStatus('pending'),
+                processing: countByStatus('processing'),
+                completed: countByStatus('completed'),
+                failed: countByStatus('failed')
+            },
+            items: job.items.map(item => ({
+                index: item.index,
+                url: item.url,
+                status: item.status,
+                cached: item.cached,
+                result: item.result,
+                error: item.error
+            }))
+        };
+    }
+}
+
+module.exports = new BatchProcessor();
@@ -0,0 +1,199 @@
+// Analysis result cache with TTL and LRU eviction
+// Keeps entries in memory and mirrors every change to a storage backend
+
+// Rewrite the log once it holds this many times more records than live entries
+const COMPACTION_RATIO = 2;
+const MIN_COMPACTION_RECORDS = 1000;
+
+class AnalysisCache {
+    /**
+     * @param {Object} options - { ttl (seconds, 0 = never expire), maxEntries, storage }
+     */
+    constructor({ ttl, maxEntries, storage }) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.storage = storage;
+
+        // Map iteration order doubles as LRU order: least recently used first
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0 };
+        this.logRecords = 0;
+
+        this.load();
+    }
+
+    /**
+     * Rebuild the cache from storage
+     */
+    load() {
+        const records = this.storage.load();
+        const loaded = new Map();
+
+        for (const record of records) {
+            switch (record.op) {
+                case 'set':
+                    loaded.set(record.key, {
+                        value: record.value,
+                        expiresAt: record.expiresAt,
+                        lastAccess: record.lastAccess
+                    });
+                    break;
+
+                case 'touch':
+                    if (loaded.has(record.key)) {
+                        loaded.get(record.key).lastAccess = record.lastAccess;
+                    }
+                    break;
+
+                case 'del':
+                    loaded.delete(record.key);
+                    break;
+
+                case 'flush':
+                    loaded.clear();
+                    break;
+            }
+        }
+
+        [...loaded.entries()]
+            .filter(([, entry]) => !this.isExpired(entry))
+            .sort((a, b) => a[1].lastAccess - b[1].lastAccess)
+            .forEach(([key, entry]) => this.entries.set(key, entry));
+
+        this.logRecords = records.length;
+        this.evict();
+
+        if (records.length > 0) {
+            console.log(`Loaded ${this.entries.size} cached analyses from ${this.storage.name} storage`);
+        }
+    }
+
+    /**
+     * Get a cached value, counting a hit or miss
+     * @param {string} key - Cache key
+     * @returns {*} Cached value, or undefined
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || this.isExpired(entry)) {
+            if (entry) this.del(key);
+            this.stats.misses++;
+            return undefined;
+        }
+
+        this.stats.hits++;
+
+        // Move to the most recently used position
+        entry.lastAccess = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.write({ op: 'touch', key, lastAccess: entry.lastAccess });
+
+        return entry.value;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {number} [ttl] - TTL in seconds, defaults to the cache TTL
+     */
+    set(key, value, ttl = this.ttl) {
+        const entry = {
+            value,
+            expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : 0,
+            lastAccess: Date.now()
+        };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.write({ op: 'set', key, ...entry });
+
+        this.evict();
+    }
+
+    /**
+     * Check for a live entry without touching stats or LRU order
+     * @param {string} key - Cache key
+     * @returns {boolean}
+     */
+    has(key) {
+        const entry = this.entries.get(key);
+        return !!entry && !this.isExpired(entry);
+    }
+
+    del(key) {
+        if (this.entries.delete(key)) {
+            this.write({ op: 'del', key });
+        }
+    }
+
+    keys() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Get expiry of an entry
+     * @param {string} key - Cache key
+     * @returns {number|undefined} Expiry timestamp in ms, 0 if it never expires
+     */
+    getTtl(key) {
+        return this.entries.get(key)?.expiresAt;
+    }
+
+    flushAll() {
+        this.entries.clear();
+        this.storage.rewrite([]);
+        this.logRecords = 0;
+    }
+
+    getStats() {
+        return {
+            keys: this.entries.size,
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            maxKeys: this.maxEntries,
+            storage: this.storage.name
+        };
+    }
+
+    isExpired(entry) {
+        return entry.expiresAt > 0 && entry.expiresAt <= Date.now();
+    }
+
+    /**
+     * Drop expired entries, then least recently used ones above maxEntries
+     */
+    evict() {
+        for (const [key, entry] of this.entries) {
+            if (this.isExpired(entry)) this.del(key);
+        }
+
+        while (this.maxEntries > 0 && this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.del(oldestKey);
+        }
+    }
+
+    write(record) {
+        this.storage.append(record);
+        this.logRecords++;
+
+        const threshold = Math.max(MIN_COMPACTION_RECORDS, this.entries.size * COMPACTION_RATIO);
+        if (this.logRecords > threshold) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrite storage with one record per live entry, in LRU order
+     */
+    compact() {
+        const records = [...this.entries.entries()].map(([key, entry]) => ({ op: 'set', key, ...entry }));
+        this.storage.rewrite(records);
+        this.logRecords = records.length;
+    }
+}
+
+module.exports = AnalysisCache;
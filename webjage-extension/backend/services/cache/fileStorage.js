@@ -0,0 +1,74 @@
+// Append-only file cache storage
+// Every cache change is appended as one JSON line, the cache replays the log on startup
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+    /**
+     * @param {string} filePath - Log file location, created if missing
+     */
+    constructor(filePath) {
+        this.name = 'file';
+        this.filePath = path.resolve(filePath);
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    /**
+     * Read all records from the log
+     * @returns {Array} Records in the order they were written
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const records = [];
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A crash during a write can leave a truncated last line
+                console.warn(`Skipping corrupt cache record in ${this.filePath}`);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Append one record to the log
+     * @param {Object} record - Cache operation
+     */
+    append(record) {
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        } catch (error) {
+            // A failing cache write must not fail the analysis
+            console.error('Cache storage write failed:', error);
+        }
+    }
+
+    /**
+     * Replace the log with a compacted set of records
+     * Written to a temporary file first so a crash never leaves a partial log
+     * @param {Array} records - Records describing the current cache state
+     */
+    rewrite(records) {
+        const tempPath = `${this.filePath}.tmp`;
+
+        try {
+            fs.writeFileSync(tempPath, records.map(record => JSON.stringify(record) + '\n').join(''));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error('Cache storage compaction failed:', error);
+        }
+    }
+}
+
+module.exports = FileStorage;
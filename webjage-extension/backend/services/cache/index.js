@@ -0,0 +1,49 @@
+// Analysis cache factory
+// Builds the cache and its storage backend from environment variables
+
+const path = require('path');
+const AnalysisCache = require('./analysisCache');
+const FileStorage = require('./fileStorage');
+const MemoryStorage = require('./memoryStorage');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', '..', 'data', 'analysis-cache.jsonl');
+
+const parseInteger = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? fallback : number;
+};
+
+/**
+ * Create a storage backend
+ * @param {string} [type] - "file" or "memory", defaults to CACHE_STORE
+ * @returns {Object} Storage implementing load(), append(record) and rewrite(records)
+ */
+function createStorage(type = process.env.CACHE_STORE || 'file') {
+    switch (type.toLowerCase()) {
+        case 'file':
+            return new FileStorage(process.env.CACHE_FILE || DEFAULT_CACHE_FILE);
+
+        case 'memory':
+            return new MemoryStorage();
+
+        default:
+            throw new Error(`Unknown cache store "${type}". Available stores: file, memory`);
+    }
+}
+
+/**
+ * Create the analysis cache
+ * @returns {AnalysisCache}
+ */
+function createAnalysisCache() {
+    return new AnalysisCache({
+        ttl: parseInteger(process.env.CACHE_TTL, 3600),
+        maxEntries: parseInteger(process.env.CACHE_MAX_ENTRIES, 1000),
+        storage: createStorage()
+    });
+}
+
+module.exports = {
+    createAnalysisCache,
+    createStorage
+};
@@ -0,0 +1,22 @@
+// In-memory cache storage
+// Persists nothing, cache contents are lost on restart
+
+class MemoryStorage {
+    constructor() {
+        this.name = 'memory';
+    }
+
+    load() {
+        return [];
+    }
+
+    append() {
+        // Nothing to persist
+    }
+
+    rewrite() {
+        // Nothing to persist
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,540 @@
+// Category analyzers
+// Checks specific to products, recipes, news, how-tos, reviews and FAQs, driven by the page's structured data
+
+const { PAGE_CATEGORIES } = require('../../shared/types');
+
+// schema.org types handled by each category
+const CATEGORY_TYPES = {
+    product: ['Product', 'ProductGroup'],
+    recipe: ['Recipe'],
+    howto: ['HowTo'],
+    review: ['Review', 'CriticReview'],
+    news: [
+        'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle', 'LiveBlogPosting',
+        'BlogPosting', 'Article', 'TechArticle', 'ScholarlyArticle', 'Report'
+    ],
+    faq: ['FAQPage', 'QAPage']
+};
+// Types that are news reporting, where a dateline is expected
+const NEWS_REPORT_TYPES = ['NewsArticle', 'ReportageNewsArticle', 'LiveBlogPosting'];
+
+const STATUS_ORDER = ['fail', 'warn', 'pass'];
+
+// Marketing claims product pages make without evidence
+const PRODUCT_CLAIM_PATTERNS = [
+    /\bclinically (?:proven|tested|shown)\b/i,
+    /\b(?:scientifically|doctor|dermatologist)[- ](?:proven|recommended|approved)\b/i,
+    /\bfda[- ]approved\b/i,
+    /\b(?:miracle|magic)\b/i,
+    /\bcures?\b/i,
+    /\b100\s?% (?:natural|safe|effective|guaranteed)\b/i,
+    /\bguaranteed\b/i,
+    /\brisk[- ]free\b/i,
+    /(?:#|no\.?\s?|number )1\b/i,
+    /\b(?:best|top)[- ]sell(?:ing|er)\b/i,
+    /\blose \d+ (?:pounds|lbs|kg|kilos)\b/i,
+    /\binstant(?:ly)? results?\b/i
+];
+const MAX_CLAIMS = 5;
+// Ratings backed by fewer reviews say little
+const MIN_REVIEW_COUNT = 5;
+
+// Quantities and units left out when matching ingredients against the steps
+const INGREDIENT_NOISE = /\b(?:\d+[\d/.,-]*|cups?|tbsps?|tsps?|tablespoons?|teaspoons?|grams?|g|kg|ml|l|liters?|litres?|oz|ounces?|lbs?|pounds?|pinch|dash|cloves?|cans?|packages?|large|medium|small|fresh|chopped|diced|minced|sliced|ground|to taste|of|and|or)\b/gi;
+
+const MAX_EXAMPLES = 5;
+
+const check = (id, label, status, message) => ({ id, label, status, message });
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Structured data comes from the page, any value can be null or of an unexpected type
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const objectOf = (value) => (isObject(value) ? value : {});
+const objectsOf = (value) => asArray(value).filter(isObject);
+
+// schema.org types without the vocabulary URL microdata uses
+const getTypes = (item) => asArray(item?.['@type']).map(type => String(type).replace(/^https?:\/\/schema\.org\//, ''));
+
+// Text of a property that can be a string, a { name } or { @value } object, or a list of those
+const textOf = (value) => {
+    const first = asArray(value)[0];
+    if (first === undefined || first === null) return null;
+    if (typeof first === 'object') return textOf(first.name ?? first['@value'] ?? first.text);
+    return String(first).trim() || null;
+};
+
+const numberOf = (value) => {
+    const text = textOf(value);
+    const number = text === null ? NaN : parseFloat(text.replace(/[^\d.,-]/g, '').replace(/,(?=\d{1,2}$)/, '.').replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+};
+
+// ISO 8601 duration as minutes, e.g. "PT1H30M" is 90
+const durationMinutes = (value) => {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(textOf(value) || '');
+    if (!match) return null;
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+    return days * 1440 + hours * 60 + minutes + Math.round(seconds / 60);
+};
+
+const parseDate = (value) => {
+    const text = textOf(value);
+    const date = text ? new Date(text) : null;
+    return date && !isNaN(date) ? date : null;
+};
+
+const stripVocabulary = (value) => (textOf(value) || '').replace(/^https?:\/\/schema\.org\//, '') || null;
+
+// Names of people or organizations, without empty entries
+const namesOf = (value) => asArray(value).map(textOf).filter(Boolean);
+
+const summarize = (category, type, source, fields, checks) => ({
+    category,
+    type,
+    source,
+    fields,
+    checks: [...checks].sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)),
+    passed: checks.filter(item => item.status === 'pass').length,
+    warnings: checks.filter(item => item.status === 'warn').length,
+    failed: checks.filter(item => item.status === 'fail').length
+});
+
+// Sentences of the page text making one of the product claims
+function findProductClaims(text) {
+    return (text || '')
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => PRODUCT_CLAIM_PATTERNS.some(pattern => pattern.test(sentence)))
+        .map(sentence => (sentence.length > 150 ? `${sentence.slice(0, 147)}...` : sentence))
+        .filter((sentence, index, sentences) => sentences.indexOf(sentence) === index)
+        .slice(0, MAX_CLAIMS);
+}
+
+/**
+ * Product pages: the offer's price, the ratings and reviews behind it and marketing claims
+ * @param {Object} item - schema.org Product
+ * @param {Object} data - Original content data
+ * @returns {Array} [fields, checks]
+ */
+function analyzeProduct(item, data) {
+    const offers = objectsOf(item.offers).flatMap(offer => (getTypes(offer).includes('AggregateOffer') ? [offer, ...objectsOf(offer.offers)] : [offer]));
+    const offer = offers.find(entry => entry.price !== undefined || entry.lowPrice !== undefined) || offers[0] || {};
+    const priceSpecification = objectOf(offer.priceSpecification);
+    const rating = objectOf(item.aggregateRating);
+    const reviews = objectsOf(item.review);
+    const text = data.content?.text || '';
+
+    const fields = {
+        name: textOf(item.name),
+        brand: textOf(item.brand),
+        sku: textOf(item.sku) || textOf(item.gtin13 || item.gtin || item.gtin12 || item.mpn),
+        price: numberOf(offer.price ?? offer.lowPrice ?? priceSpecification.price),
+        priceCurrency: textOf(offer.priceCurrency ?? priceSpecification.priceCurrency),
+        availability: stripVocabulary(offer.availability),
+        ratingValue: numberOf(rating.ratingValue),
+        bestRating: numberOf(rating.bestRating) ?? 5,
+        ratingCount: numberOf(rating.reviewCount ?? rating.ratingCount),
+        reviewsShown: reviews.length,
+        claims: findProductClaims(text)
+    };
+    const checks = [];
+
+    if (fields.price === null) {
+        checks.push(check('price', 'Price', 'fail', offers.length > 0 ? 'The offer has no readable price' : 'The product has no offer with a price'));
+    } else if (!fields.priceCurrency) {
+        checks.push(check('price', 'Price', 'warn', `Price ${fields.price} without a currency`));
+    } else {
+        checks.push(check('price', 'Price', 'pass', `${fields.price} ${fields.priceCurrency}`));
+    }
+
+    // The marked-up price should be the one shoppers see
+    if (fields.price !== null) {
+        const [whole, decimals] = fields.price.toFixed(2).split('.');
+        const cents = decimals === '00' ? '(?:[.,]00)?' : `[.,]${decimals}`;
+        const shown = new RegExp(`\\b${Number(whole).toLocaleString('en-US').replace(/,/g, '[,. ]?')}${cents}\\b`).test(text);
+        checks.push(shown
+            ? check('price-shown', 'Price on page', 'pass', 'The structured data price appears in the page text')
+            : check('price-shown', 'Price on page', 'warn', `The price ${fields.price} from the structured data was not found in the page text`));
+    }
+
+    checks.push(fields.availability
+        ? check('availability', 'Availability', 'pass', fields.availability)
+        : check('availability', 'Availability', 'warn', 'The offer does not say whether the product is in stock'));
+
+    if (fields.ratingValue !== null) {
+        const worst = numberOf(rating.worstRating) ?? 1;
+        if (fields.ratingValue < worst || fields.ratingValue > fields.bestRating) {
+            checks.push(check('rating', 'Rating', 'fail', `Rating ${fields.ratingValue} is outside the scale of ${worst}-${fields.bestRating}`));
+        } else if (!fields.ratingCount) {
+            checks.push(check('rating', 'Rating', 'warn', `Rating ${fields.ratingValue}/${fields.bestRating} without a number of reviews`));
+        } else if (fields.ratingCount < MIN_REVIEW_COUNT) {
+            checks.push(check('rating', 'Rating', 'warn', `Rating ${fields.ratingValue}/${fields.bestRating} is based on only ${fields.ratingCount} review${fields.ratingCount === 1 ? '' : 's'}`));
+        } else {
+            checks.push(check('rating', 'Rating', 'pass', `${fields.ratingValue}/${fields.bestRating} from ${fields.ratingCount} reviews`));
+        }
+    }
+
+    if (reviews.length > 0) {
+        const topRated = reviews.filter(review => {
+            const reviewRating = objectOf(review.reviewRating);
+            const value = numberOf(reviewRating.ratingValue);
+            return value !== null && value >= (numberOf(reviewRating.bestRating) ?? 5);
+        }).length;
+        checks.push(topRated === reviews.length && reviews.length >= MIN_REVIEW_COUNT
+            ? check('reviews', 'Reviews', 'warn', `All ${reviews.length} reviews shown give the top rating`)
+            : check('reviews', 'Reviews', 'pass', `${reviews.length} review${reviews.length === 1 ? '' : 's'} shown, ${topRated} with the top rating`));
+    } else if (fields.ratingCount) {
+        checks.push(check('reviews', 'Reviews', 'warn', `The rating counts ${fields.ratingCount} reviews but none are shown on the page`));
+    }
+
+    checks.push(fields.claims.length > 0
+        ? check('claims', 'Marketing claims', 'warn', `${fields.claims.length} unsupported-sounding claim${fields.claims.length === 1 ? '' : 's'}, e.g. "${fields.claims[0]}"`)
+        : check('claims', 'Marketing claims', 'pass', 'No guarantees, cures or "#1" claims found'));
+
+    return [fields, checks];
+}
+
+// Instruction steps of a recipe or how-to: text, HowToStep, HowToSection or lists of them
+function getSteps(instructions) {
+    return asArray(instructions).flatMap(step => {
+        if (typeof step === 'string') {
+            // Some sites put all steps into one string, one per line
+            return step.split(/\n+/).map(line => line.trim()).filter(Boolean);
+        }
+        if (!isObject(step)) {
+            return [];
+        }
+        if (getTypes(step).includes('HowToSection') || step.itemListElement) {
+            return getSteps(step.itemListElement);
+        }
+        const stepText = textOf(step.text) || textOf(step.name);
+        return stepText ? [stepText] : [];
+    });
+}
+
+// Ingredient word to look for in the steps, e.g. "2 cups all-purpose flour, sifted" is "flour"
+const getIngredientKey = (ingredient) => {
+    const words = ingredient.split(/[,(]/)[0].replace(INGREDIENT_NOISE, ' ').toLowerCase().match(/[\p{L}-]{3,}/gu) || [];
+    return words.length > 0 ? words[words.length - 1].replace(/(?:es|s)$/, '') : null;
+};
+
+/**
+ * Recipes: whether ingredients, steps, times, yield and nutrition are all there
+ * @param {Object} item - schema.org Recipe
+ * @returns {Array} [fields, checks]
+ */
+function analyzeRecipe(item) {
+    const ingredients = asArray(item.recipeIngredient || item.ingredients).map(textOf).filter(Boolean);
+    const steps = getSteps(item.recipeInstructions);
+    const prepTime = durationMinutes(item.prepTime);
+    const cookTime = durationMinutes(item.cookTime);
+    const totalTime = durationMinutes(item.totalTime);
+
+    const stepText = steps.join(' ').toLowerCase();
+    const unused = ingredients.filter(ingredient => {
+        const key = getIngredientKey(ingredient);
+        return key && !stepText.includes(key);
+    });
+
+    const expected = {
+        name: item.name,
+        image: item.image,
+        description: item.description,
+        ingredients: ingredients.length > 0,
+        steps: steps.length > 0,
+        time: totalTime !== null || cookTime !== null,
+        yield: item.recipeYield,
+        nutrition: item.nutrition,
+        author: item.author
+    };
+    const missing = Object.keys(expected).filter(key => !expected[key]);
+
+    const fields = {
+        name: textOf(item.name),
+        ingredientCount: ingredients.length,
+        stepCount: steps.length,
+        prepTime,
+        cookTime,
+        totalTime,
+        recipeYield: textOf(item.recipeYield),
+        calories: textOf(objectOf(item.nutrition).calories),
+        unusedIngredients: unused.slice(0, MAX_EXAMPLES),
+        missingFields: missing,
+        completeness: Math.round(((Object.keys(expected).length - missing.length) / Object.keys(expected).length) * 100)
+    };
+    const checks = [];
+
+    checks.push(ingredients.length > 0
+        ? check('ingredients', 'Ingredients', 'pass', `${plural(ingredients.length, 'ingredient')} listed`)
+        : check('ingredients', 'Ingredients', 'fail', 'The recipe lists no ingredients'));
+
+    if (steps.length === 0) {
+        checks.push(check('steps', 'Steps', 'fail', 'The recipe has no instructions'));
+    } else if (steps.length === 1 && ingredients.length > 3) {
+        checks.push(check('steps', 'Steps', 'warn', `All instructions are one step for ${ingredients.length} ingredients`));
+    } else {
+        checks.push(check('steps', 'Steps', 'pass', plural(steps.length, 'step')));
+    }
+
+    if (ingredients.length > 0 && steps.length > 0) {
+        checks.push(unused.length > 0
+            ? check('ingredients-used', 'Ingredients used', 'warn', `${unused.length} ingredient${unused.length === 1 ? ' is' : 's are'} never mentioned in the steps: ${unused.slice(0, 3).join('; ')}`)
+            : check('ingredients-used', 'Ingredients used', 'pass', 'Every ingredient is used in the steps'));
+    }
+
+    if (totalTime === null && cookTime === null && prepTime === null) {
+        checks.push(check('time', 'Time', 'warn', 'The recipe does not say how long it takes'));
+    } else if (totalTime !== null && totalTime < (prepTime || 0) + (cookTime || 0)) {
+        checks.push(check('time', 'Time', 'warn', `Total time of ${totalTime} min is less than ${prepTime || 0} min preparation plus ${cookTime || 0} min cooking`));
+    } else {
+        checks.push(check('time', 'Time', 'pass', `${totalTime ?? (prepTime || 0) + (cookTime || 0)} min`));
+    }
+
+    checks.push(fields.recipeYield
+        ? check('yield', 'Yield', 'pass', fields.recipeYield)
+        : check('yield', 'Yield', 'warn', 'The recipe does not say how many servings it makes'));
+
+    checks.push(item.nutrition
+        ? check('nutrition', 'Nutrition', 'pass', fields.calories ? `${fields.calories} per serving` : 'Nutrition information given')
+        : check('nutrition', 'Nutrition', 'warn', 'No nutrition information'));
+
+    return [fields, checks];
+}
+
+/**
+ * How-to guides: steps, time and what is needed
+ * @param {Object} item - schema.org HowTo
+ * @returns {Array} [fields, checks]
+ */
+function analyzeHowTo(item) {
+    const steps = getSteps(item.step);
+    const fields = {
+        name: textOf(item.name),
+        stepCount: steps.length,
+        totalTime: durationMinutes(item.totalTime),
+        tools: namesOf(item.tool),
+        supplies: namesOf(item.supply),
+        estimatedCost: textOf(objectOf(item.estimatedCost).value ?? item.estimatedCost)
+    };
+
+    const checks = [
+        steps.length > 0
+            ? check('steps', 'Steps', 'pass', plural(steps.length, 'step'))
+            : check('steps', 'Steps', 'fail', 'The guide has no steps'),
+        fields.totalTime !== null
+            ? check('time', 'Time', 'pass', `${fields.totalTime} min`)
+            : check('time', 'Time', 'warn', 'The guide does not say how long it takes'),
+        fields.tools.length + fields.supplies.length > 0
+            ? check('materials', 'Tools and supplies', 'pass', `${plural(fields.tools.length, 'tool')}, ${fields.supplies.length} ${fields.supplies.length === 1 ? 'supply' : 'supplies'}`)
+            : check('materials', 'Tools and supplies', 'warn', 'The guide does not list tools or supplies')
+    ];
+
+    return [fields, checks];
+}
+
+/**
+ * Reviews: what is reviewed, by whom, and a rating on a valid scale
+ * @param {Object} item - schema.org Review
+ * @returns {Array} [fields, checks]
+ */
+function analyzeReview(item) {
+    const rating = objectOf(item.reviewRating);
+    const fields = {
+        itemReviewed: textOf(item.itemReviewed),
+        itemReviewedType: getTypes(item.itemReviewed)[0] || null,
+        author: namesOf(item.author),
+        ratingValue: numberOf(rating.ratingValue),
+        bestRating: numberOf(rating.bestRating) ?? 5,
+        datePublished: parseDate(item.datePublished)?.toISOString() || null
+    };
+    const worst = numberOf(rating.worstRating) ?? 1;
+
+    const checks = [
+        fields.itemReviewed
+            ? check('item-reviewed', 'Item reviewed', 'pass', fields.itemReviewed)
+            : check('item-reviewed', 'Item reviewed', 'fail', 'The review does not name what it reviews'),
+        fields.author.length > 0
+            ? check('author', 'Author', 'pass', fields.author.join(', '))
+            : check('author', 'Author', 'fail', 'The review has no author'),
+        fields.ratingValue === null
+            ? check('rating', 'Rating', 'warn', 'The review gives no rating')
+            : fields.ratingValue < worst || fields.ratingValue > fields.bestRating
+                ? check('rating', 'Rating', 'fail', `Rating ${fields.ratingValue} is outside the scale of ${worst}-${fields.bestRating}`)
+                : check('rating', 'Rating', 'pass', `${fields.ratingValue}/${fields.bestRating}`)
+    ];
+
+    return [fields, checks];
+}
+
+// "LONDON (Reuters) —" or "Paris, March 3 -" at the start of a report
+const DATELINE_LINES = 5;
+const DATELINE_PATTERN = /^((?:[A-Z][A-Z.' -]{2,}|[A-Z][a-z]+(?: [A-Z][a-z]+)*(?=,| \())(?:, [A-Z][a-z]+\.? \d{1,2})?(?: \([^)]{2,40}\))?) ?[—–-]{1,2} /;
+
+/**
+ * News and articles: byline, dates, dateline and how well claims are sourced
+ * Without structured data the article's Open Graph and meta tags are used
+ * @param {Object} item - schema.org Article or one of its subtypes, empty without structured data
+ * @param {Object} data - Original content data
+ * @param {Object} analysis - Analysis with the sourcing results
+ * @returns {Array} [fields, checks]
+ */
+function analyzeNews(item, data, analysis) {
+    const metadata = objectOf(data.metadata);
+    const authors = namesOf(item.author);
+    const byline = authors.length > 0 ? authors : namesOf(metadata.author || metadata['article:author']);
+    const organizationOnly = asArray(item.author).length > 0 &&
+        asArray(item.author).every(author => getTypes(author).includes('Organization'));
+    const published = parseDate(item.datePublished || metadata['article:published_time']);
+    const modified = parseDate(item.dateModified || metadata['article:modified_time']);
+    // The dateline opens the first paragraph, after the headline
+    const dateline = textOf(item.dateline) || (data.content?.text || '').split('\n').slice(0, DATELINE_LINES)
+        .map(line => DATELINE_PATTERN.exec(line.trim())?.[1].trim()).find(Boolean) || null;
+    const sourcing = analysis?.sourcing;
+    const isReport = getTypes(item).some(type => NEWS_REPORT_TYPES.includes(type)) || metadata.pageType === 'news';
+
+    const fields = {
+        headline: textOf(item.headline) || textOf(item.name) || metadata['og:title'] || data.title || null,
+        byline,
+        publisher: textOf(item.publisher) || metadata['og:site_name'] || null,
+        datePublished: published?.toISOString() || null,
+        dateModified: modified?.toISOString() || null,
+        dateline,
+        section: textOf(item.articleSection) || metadata['article:section'] || null,
+        citationCount: sourcing?.citationCount ?? null,
+        sourcingQuality: sourcing?.sourcingQuality ?? null
+    };
+    const checks = [];
+
+    if (byline.length === 0) {
+        checks.push(check('byline', 'Byline', 'fail', 'The article names no author'));
+    } else if (organizationOnly) {
+        checks.push(check('byline', 'Byline', 'warn', `Credited to ${byline.join(', ')} rather than a person`));
+    } else {
+        checks.push(check('byline', 'Byline', 'pass', `By ${byline.join(', ')}`));
+    }
+
+    if (!published) {
+        checks.push(check('date', 'Publication date', 'fail', 'The article has no publication date'));
+    } else if (published > new Date()) {
+        checks.push(check('date', 'Publication date', 'warn', `Dated in the future: ${fields.datePublished.slice(0, 10)}`));
+    } else if (modified && modified < published) {
+        checks.push(check('date', 'Publication date', 'warn', 'The article was modified before it was published'));
+    } else {
+        checks.push(check('date', 'Publication date', 'pass',
+            `Published ${fields.datePublished.slice(0, 10)}${modified > published ? `, updated ${fields.dateModified.slice(0, 10)}` : ''}`));
+    }
+
+    if (dateline) {
+        checks.push(check('dateline', 'Dateline', 'pass', dateline));
+    } else if (isReport) {
+        checks.push(check('dateline', 'Dateline', 'warn', 'The report does not say where it was filed from'));
+    }
+
+    if (sourcing) {
+        if (sourcing.unsourcedStrongClaims) {
+            checks.push(check('sourcing', 'Sourcing', 'fail', 'Makes strong claims without citing any sources'));
+        } else {
+            const citations = `${sourcing.citationCount} citation${sourcing.citationCount === 1 ? '' : 's'}`;
+            checks.push(check('sourcing', 'Sourcing', ['Unsourced', 'Poorly Sourced'].includes(sourcing.sourcingQuality) ? 'warn' : 'pass',
+                `${sourcing.sourcingQuality}, ${citations}`));
+        }
+    }
+
+    return [fields, checks];
+}
+
+/**
+ * FAQ and Q&A pages: questions with answers that readers can see
+ * @param {Object} item - schema.org FAQPage or QAPage
+ * @param {Object} data - Original content data
+ * @returns {Array} [fields, checks]
+ */
+function analyzeFaq(item, data) {
+    const questions = objectsOf(item.mainEntity).filter(entry => getTypes(entry).includes('Question'));
+    const answers = questions.map(question => textOf(objectOf(question.acceptedAnswer).text ?? question.acceptedAnswer) ||
+        textOf(objectsOf(question.suggestedAnswer)[0]?.text));
+    const pageText = (data.content?.text || '').replace(/\s+/g, ' ').toLowerCase();
+    // Compare the start of each answer, markup in answers is stripped differently
+    const hidden = answers.filter(answer => answer && !pageText.includes(answer.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim().slice(0, 40).toLowerCase()));
+
+    const fields = {
+        questionCount: questions.length,
+        unansweredCount: answers.filter(answer => !answer).length,
+        answersNotOnPage: hidden.length
+    };
+
+    const checks = [
+        questions.length > 0
+            ? check('questions', 'Questions', 'pass', plural(questions.length, 'question'))
+            : check('questions', 'Questions', 'fail', 'The FAQ markup holds no questions'),
+        fields.unansweredCount > 0
+            ? check('answers', 'Answers', 'warn', `${fields.unansweredCount} question${fields.unansweredCount === 1 ? ' has' : 's have'} no answer`)
+            : check('answers', 'Answers', 'pass', 'Every question is answered'),
+        hidden.length > 0
+            ? check('answers-shown', 'Answers on page', 'warn', `${hidden.length} answer${hidden.length === 1 ? ' is' : 's are'} only in the markup, not in the page text`)
+            : check('answers-shown', 'Answers on page', 'pass', 'The answers appear in the page text')
+    ];
+
+    return [fields, checks];
+}
+
+const ANALYZERS = {
+    product: analyzeProduct,
+    recipe: analyzeRecipe,
+    howto: analyzeHowTo,
+    review: analyzeReview,
+    news: analyzeNews,
+    faq: analyzeFaq
+};
+
+/**
+ * Find the page's category from its structured data items
+ * More specific categories win, a recipe blog post is a recipe
+ * @param {Array} items - content.structuredData: [{ type, source, data }]
+ * @returns {Object|null} { category, item }
+ */
+function detectCategory(items) {
+    for (const category of PAGE_CATEGORIES) {
+        const item = objectsOf(items).find(entry => CATEGORY_TYPES[category].includes(entry.type));
+        if (item) {
+            return { category, item };
+        }
+    }
+    return null;
+}
+
+/**
+ * Run the analyzer for the page's category
+ * Pages without structured data still get the news checks when their meta tags mark them as articles
+ * @param {Object} data - Original content data: { content: { text, structuredData }, metadata }
+ * @param {Object} analysis - Enhanced analysis, the news checks use its sourcing results
+ * @returns {Object|null} { category, type, source, fields, checks, passed, warnings, failed }, null for other pages
+ */
+function analyzeCategory(data, analysis) {
+    // A selected passage is not the product, recipe or article as a whole
+    if (data.metadata?.analysisScope === 'selection') {
+        return null;
+    }
+
+    const detected = detectCategory(data.content?.structuredData || []);
+    if (detected) {
+        const [fields, checks] = ANALYZERS[detected.category](objectOf(detected.item.data), data, analysis);
+        return summarize(detected.category, detected.item.type, detected.item.source, fields, checks);
+    }
+
+    const metadata = objectOf(data.metadata);
+    if (metadata['og:type'] === 'article' || metadata['article:published_time'] || metadata.pageType === 'news') {
+        const [fields, checks] = analyzeNews({}, data, analysis);
+        return summarize('news', null, 'metadata', fields, checks);
+    }
+
+    return null;
+}
+
+module.exports = {
+    analyzeCategory,
+    detectCategory
+};
@@ -0,0 +1,107 @@
+// Chat session store
+// Keeps the page context and the conversation of follow-up questions about a page in memory
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+// Sessions expire after this many seconds without a question
+const CHAT_SESSION_TTL = parseInt(process.env.CHAT_SESSION_TTL, 10) || 1800;
+const CHAT_MAX_SESSIONS = parseInt(process.env.CHAT_MAX_SESSIONS, 10) || 500;
+
+// Earlier turns sent along with a question, older ones are forgotten
+const MAX_HISTORY_TURNS = parseInt(process.env.CHAT_MAX_HISTORY_TURNS, 10) || 10;
+
+class ChatSessionStore {
+    constructor() {
+        // Sessions are updated in place as the conversation goes on, so don't clone on get/set
+        this.sessions = new NodeCache({ stdTTL: CHAT_SESSION_TTL, maxKeys: CHAT_MAX_SESSIONS, useClones: false });
+    }
+
+    /**
+     * Start a conversation about a page
+     * @param {Object} context - { ownerId, url, title, text, language, analysis }
+     * @returns {Object|null} Session, or null if CHAT_MAX_SESSIONS sessions are open
+     */
+    createSession({ ownerId, url, title, text, language, analysis }) {
+        const session = {
+            id: crypto.randomUUID(),
+            ownerId: ownerId || null,
+            url,
+            title: title || '',
+            text,
+            language,
+            analysis: analysis || null,
+            messages: [],
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            this.sessions.set(session.id, session);
+        } catch (error) {
+            if (error.name === 'ECACHEFULL') return null;
+            throw error;
+        }
+
+        return session;
+    }
+
+    /**
+     * Get a session and restart its idle timeout
+     * @param {string} sessionId - Session ID
+     * @param {string|null} ownerId - ID of the calling API key, sessions are private to their key
+     * @returns {Object|null} Session, or null if unknown, expired or owned by another key
+     */
+    getSession(sessionId, ownerId) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.ownerId !== (ownerId || null)) {
+            return null;
+        }
+
+        this.sessions.ttl(sessionId);
+
+        return session;
+    }
+
+    /**
+     * Get the recent conversation of a session as provider messages
+     * @param {Object} session - Session
+     * @returns {Array} { role, content } messages, oldest first, starting with a question
+     */
+    getHistory(session) {
+        return session.messages.slice(-MAX_HISTORY_TURNS * 2);
+    }
+
+    /**
+     * Record a question and its answer
+     * @param {Object} session - Session
+     * @param {string} question - The user's question
+     * @param {string} answer - The model response, as sent back to the model in later turns
+     */
+    addTurn(session, question, answer) {
+        session.messages.push(
+            { role: 'user', content: question },
+            { role: 'assistant', content: answer }
+        );
+
+        // Forgotten turns are never sent again, so don't keep them around
+        session.messages = this.getHistory(session);
+    }
+
+    /**
+     * End a conversation
+     * @param {string} sessionId - Session ID
+     * @param {string|null} ownerId - ID of the calling API key
+     * @returns {boolean} false if the session is unknown, expired or owned by another key
+     */
+    deleteSession(sessionId, ownerId) {
+        if (!this.getSession(sessionId, ownerId)) {
+            return false;
+        }
+
+        this.sessions.del(sessionId);
+
+        return true;
+    }
+}
+
+module.exports = new ChatSessionStore();
@@ -1,69 +1,679 @@
 // Claude AI service integration
-// Handles communication with Anthropic's Claude API for content analysis
+// Handles communication with the configured LLM provider for content analysis
+// Anthropic Claude by default, see services/providers for the alternatives
 
-const Anthropic = require('@anthropic-ai/sdk');
+const { createProvider } = require('./providers');
+const contentAnalyzer = require('./contentAnalyzer');
+const profiles = require('./profiles');
+const { getLanguageName } = require('./language');
+const { classifyLink } = require('./links');
+const { ANALYSIS_ENUMS, ANCHOR_TYPES, CLAIM_VERDICTS, FactCheckClaim, validate, validateAnalysisResult, validateChatReply, validateComparisonResult, validateFactCheckResult } = require('../../shared/types');
 
-const TEMPERATURE = process.env.TEMPERATURE;
+// Follow-up requests asking the model to fix an invalid analysis
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.MAX_REPAIR_ATTEMPTS, 10) || 2;
+
+// Chunks of long documents analyzed in parallel
+const CHUNK_CONCURRENCY = parseInt(process.env.CHUNK_CONCURRENCY, 10) || 2;
+
+// Claim lists are longer than analyses, so fact-checks get their own output budget
+const FACT_CHECK_MAX_TOKENS = parseInt(process.env.FACT_CHECK_MAX_TOKENS, 10) || 2000;
+const MAX_CLAIMS_PER_CHUNK = 10;
+
+// Follow-up questions: output budget per answer and the page text the model sees with every question
+const CHAT_MAX_TOKENS = parseInt(process.env.CHAT_MAX_TOKENS, 10) || 1000;
+const CHAT_CONTEXT_LENGTH = parseInt(process.env.CHAT_CONTEXT_LENGTH, 10) || 24000;
+const MAX_QUOTES_PER_ANSWER = 3;
+
+// Comparisons: output budget and the page text of all sources together
+const COMPARE_MAX_TOKENS = parseInt(process.env.COMPARE_MAX_TOKENS, 10) || 2000;
+const COMPARE_CONTEXT_LENGTH = parseInt(process.env.COMPARE_CONTEXT_LENGTH, 10) || 24000;
+const MAX_COMPARISON_POINTS = 5;
+
+// Run an async function over items with at most `limit` calls in flight, keeping result order
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
 
 class ClaudeService {
     constructor() {
-        this.client = new Anthropic({
-            baseURL: process.env.ANTHROPIC_BASE_URL,
-            apiKey: process.env.ANTHROPIC_API_KEY,
-        });
+        // Model name, max tokens and temperature are configured per provider
+        this.provider = createProvider();
+    }
+
+    /**
+     * Analyze webpage content using the configured provider
+     * @param {Object} data - Content data to analyze
+     * @param {AbortSignal} [signal] - Aborts the underlying requests
+     * @returns {Promise<Object>} Analysis results
+     */
+    async analyzeContent(data, signal) {
+        // unpack
+        const { url, title, content, metadata, section, outputLanguage, profile } = data;
+
+        if (content.chunks?.length > 1) {
+            return this.analyzeChunkedContent(data, signal);
+        }
+
+        try {
+            const prompt = this.buildAnalysisPrompt(url, title, content, metadata, section, outputLanguage, profile);
 
-        this.model = 'claude-3-haiku-20240307'; // Fast and cost-effective model
-        this.maxTokens = 1000;
+            const messages = [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ];
+
+            const analysisText = await this.provider.complete({ messages }, { signal });
+
+            return {
+                ...await this.resolveAnalysis(messages, analysisText, signal, profile),
+                chunksAnalyzed: 1
+            };
+
+        } catch (error) {
+            this.handleApiError(error);
+        }
     }
 
     /**
-     * Analyze webpage content using Claude AI
+     * Analyze webpage content using the configured provider, streaming the response
+     * Completed fields are reported through the handlers while the JSON is still being generated
      * @param {Object} data - Content data to analyze
+     * @param {Object} handlers - { onSummary(summary), onKeyPoint(point, index) }, both optional
+     * @param {AbortSignal} [signal] - Aborts the underlying request
      * @returns {Promise<Object>} Analysis results
      */
-    async analyzeContent(data) {
+    async analyzeContentStream(data, handlers = {}, signal) {
         // unpack
-        const { url, title, content, metadata } = data;
+        const { url, title, content, metadata, outputLanguage, profile } = data;
+
+        if (content.chunks?.length > 1) {
+            // Chunk results only exist once merged, so report the merged fields at the end
+            const analysis = await this.analyzeChunkedContent(data, signal);
+            handlers.onSummary?.(analysis.summary);
+            analysis.keyPoints.forEach((point, index) => handlers.onKeyPoint?.(point, index));
+            return analysis;
+        }
+
+        let summarySent = false;
+        let keyPointsSent = 0;
 
         try {
-            const prompt = this.buildAnalysisPrompt(url, title, content, metadata);
+            const prompt = this.buildAnalysisPrompt(url, title, content, metadata, null, outputLanguage, profile);
 
-            const response = await this.client.messages.create({
-                model: this.model,
-                max_tokens: this.maxTokens,
-                temperature: TEMPERATURE,
+            const messages = [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ];
+
+            const analysisText = await this.provider.stream({ messages }, (textDelta, textSnapshot) => {
+                const { summary, keyPoints } = this.extractStreamedFields(textSnapshot);
+
+                if (summary !== null && !summarySent) {
+                    summarySent = true;
+                    handlers.onSummary?.(summary);
+                }
+
+                while (keyPointsSent < keyPoints.length) {
+                    handlers.onKeyPoint?.(keyPoints[keyPointsSent], keyPointsSent);
+                    keyPointsSent++;
+                }
+            }, { signal });
+
+            // Repairs are not streamed, the final result event carries the corrected fields
+            return {
+                ...await this.resolveAnalysis(messages, analysisText, signal, profile),
+                chunksAnalyzed: 1
+            };
+
+        } catch (error) {
+            this.handleApiError(error);
+        }
+    }
+
+    /**
+     * Analyze long content map-reduce style
+     * Each chunk is analyzed on its own, the results are merged and the section summaries condensed
+     * @param {Object} data - Content data with content.chunks
+     * @param {AbortSignal} [signal] - Aborts the chunk and summary requests
+     * @returns {Promise<Object>} Merged analysis results
+     */
+    async analyzeChunkedContent(data, signal) {
+        const { url, title, content, metadata, outputLanguage, profile } = data;
+        const { chunks } = content;
+
+        console.log(`Analyzing ${chunks.length} chunks for URL: ${url}`);
+
+        const outcomes = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk, index) => {
+            try {
+                const analysis = await this.analyzeContent({
+                    url,
+                    title,
+                    content: { ...content, text: chunk, chunks: [chunk] },
+                    metadata,
+                    section: { index, total: chunks.length },
+                    outputLanguage,
+                    profile
+                }, signal);
+                return { analysis, weight: chunk.length };
+            } catch (error) {
+                // An aborted request is not a failed chunk, stop instead of merging what is left
+                if (signal?.aborted) {
+                    throw error;
+                }
+                return { error };
+            }
+        });
+
+        const succeeded = outcomes.filter(outcome => outcome.analysis);
+        if (succeeded.length === 0) {
+            throw outcomes[0].error;
+        }
+
+        const analyses = succeeded.map(outcome => outcome.analysis);
+        const merged = contentAnalyzer.mergeChunkAnalyses(analyses, succeeded.map(outcome => outcome.weight));
+        const summary = await this.summarizeSections(
+            title,
+            analyses.map(analysis => analysis.summary),
+            this.getOutputLanguageName(content, outputLanguage),
+            signal
+        );
+
+        return {
+            summary,
+            ...merged,
+            readingTime: analyses[0].readingTime,
+            chunksAnalyzed: succeeded.length,
+            chunksFailed: outcomes.length - succeeded.length
+        };
+    }
+
+    /**
+     * Condense the summaries of document sections into one summary
+     * @param {string} title - Page title
+     * @param {Array} summaries - Section summaries in document order
+     * @param {string} languageName - Language to write the summary in, e.g. "German"
+     * @param {AbortSignal} [signal] - Aborts the request
+     * @returns {Promise<string>} Overall summary
+     */
+    async summarizeSections(title, summaries, languageName, signal) {
+        const prompt = `The following are summaries of consecutive sections of one document titled "${title}".
+Write a concise 2-3 sentence summary of the whole document's main content and purpose, in ${languageName}.
+Return ONLY the summary text, without any preamble.
+
+${summaries.map((summary, i) => `Section ${i + 1}: ${summary}`).join('\n')}`;
+
+        try {
+            const summary = await this.provider.complete({
                 messages: [
                     {
                         role: 'user',
                         content: prompt
                     }
-                ]
+                ],
+                maxTokens: 300
+            }, { signal });
+
+            return summary.trim();
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+
+            // The section analyses are still useful without a condensed summary
+            console.error('Failed to summarize sections:', error);
+            return summaries.slice(0, 2).join(' ');
+        }
+    }
+
+    /**
+     * Extract the factual claims of webpage content and judge each one
+     * Long content is checked chunk by chunk, the claim lists are concatenated in document order
+     * @param {Object} data - Content data to check
+     * @returns {Promise<Object>} { claims, chunksAnalyzed, chunksFailed }
+     */
+    async factCheckContent(data) {
+        const { url, title, content } = data;
+        const chunks = content.chunks?.length > 1 ? content.chunks : [content.text];
+
+        const outcomes = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk, index) => {
+            try {
+                const section = chunks.length > 1 ? { index, total: chunks.length } : null;
+                return { claims: await this.factCheckText(url, title, chunk, section) };
+            } catch (error) {
+                return { error };
+            }
+        });
+
+        const succeeded = outcomes.filter(outcome => outcome.claims);
+        if (succeeded.length === 0) {
+            this.handleApiError(outcomes[0].error);
+        }
+
+        return {
+            claims: succeeded.flatMap(outcome => outcome.claims),
+            chunksAnalyzed: succeeded.length,
+            chunksFailed: outcomes.length - succeeded.length
+        };
+    }
+
+    /**
+     * Fact-check one piece of text
+     * @param {string} url - Page URL
+     * @param {string} title - Page title
+     * @param {string} text - Text to check
+     * @param {Object} [section] - { index, total } when checking one chunk of a long document
+     * @returns {Promise<Array>} Valid claims, invalid ones left after repairs are dropped
+     */
+    async factCheckText(url, title, text, section) {
+        const messages = [
+            {
+                role: 'user',
+                content: this.buildFactCheckPrompt(url, title, text, section)
+            }
+        ];
+
+        const responseText = await this.provider.complete({ messages, maxTokens: FACT_CHECK_MAX_TOKENS });
+        const { factCheck } = await this.repairResponse(
+            messages,
+            responseText,
+            response => this.parseFactCheckResponse(response)
+        );
+
+        return (factCheck?.claims || []).filter(claim => validate(claim, FactCheckClaim).length === 0);
+    }
+
+    /**
+     * Build fact-check prompt
+     * @param {string} url - Page URL
+     * @param {string} title - Page title
+     * @param {string} text - Text to check
+     * @param {Object} [section] - { index, total } when checking one chunk of a long document
+     * @returns {string} Formatted prompt
+     */
+    buildFactCheckPrompt(url, title, text, section) {
+        return `Please fact-check the following webpage content. Identify its concrete factual claims (statements about events, numbers, dates, people, scientific findings or other verifiable facts, not opinions) and judge each one based on your knowledge.
+
+**Webpage Information:**
+- URL: ${url}
+- Title: ${title}
+${section ? `- Section: ${section.index + 1} of ${section.total} (the document is checked in parts, check only this part)\n` : ''}
+**Content to Check:**
+${text.substring(0, 8000)} ${text.length > 8000 ? '...[truncated]' : ''}
+
+**Requirements:**
+Return ONLY a valid JSON object with this exact structure, listing at most ${MAX_CLAIMS_PER_CHUNK} of the most important claims in the order they appear:
+
+{
+  "claims": [
+    {
+      "claim": "The claim restated as one short self-contained statement",
+      "verdict": "${CLAIM_VERDICTS.join('|')}",
+      "rationale": "One or two sentences explaining the verdict",
+      "sourceSentence": "The exact sentence from the content that makes the claim, copied verbatim"
+    }
+  ]
+}
+
+Use "supported" when the claim agrees with well-established facts, "disputed" when it contradicts them or is widely contested, and "unverifiable" when it cannot be checked (e.g. private, very recent or too vague information). Return an empty claims array if the content makes no factual claims.`;
+    }
+
+    /**
+     * Parse a fact-check response
+     * @param {string} responseText - Raw model response
+     * @returns {Object} { factCheck, errors }: factCheck is null if no JSON could be parsed
+     */
+    parseFactCheckResponse(responseText) {
+        const { value: factCheck, errors } = this.parseJsonObject(responseText);
+        if (!factCheck) {
+            return { factCheck: null, errors };
+        }
+
+        // Match verdicts case-insensitively, e.g. "Supported" -> "supported"
+        if (Array.isArray(factCheck.claims)) {
+            factCheck.claims.forEach(claim => {
+                if (typeof claim?.verdict === 'string') {
+                    claim.verdict = claim.verdict.trim().toLowerCase();
+                }
             });
+        }
 
-            const analysisText = response.content[0].text;
-            return this.parseAnalysisResponse(analysisText);
+        return { factCheck, errors: validateFactCheckResult(factCheck) };
+    }
 
+    /**
+     * Answer a follow-up question about a page
+     * @param {Object} session - Chat session with the page context ({ url, title, text, language, analysis })
+     * @param {Array} history - Earlier turns as { role, content } messages, oldest first
+     * @param {string} question - The user's question
+     * @param {string} [outputLanguage] - Language to answer in, the language of the question by default
+     * @returns {Promise<Object>} { reply: { answer, quotes }, responseText }: quotes are the page
+     *   sentences as quoted by the model, responseText is the reply to send back in later turns
+     */
+    async answerQuestion(session, history, question, outputLanguage) {
+        const request = {
+            system: this.buildChatPrompt(session, outputLanguage),
+            maxTokens: CHAT_MAX_TOKENS
+        };
+        const messages = [...history, { role: 'user', content: question }];
+
+        try {
+            const responseText = await this.provider.complete({ ...request, messages });
+            const { reply, errors } = await this.repairResponse(
+                messages,
+                responseText,
+                response => this.parseChatResponse(response),
+                undefined,
+                request
+            );
+
+            // A plain text answer is still an answer, it just can't point to the page
+            const answer = errors.length > 0 ? reply?.answer || responseText.trim() : reply.answer;
+            const quotes = errors.length > 0 ? [] : reply.quotes.map(quote => quote.text);
+            if (typeof answer !== 'string' || !answer) {
+                throw new Error('Model returned an empty answer');
+            }
+
+            return {
+                reply: { answer, quotes },
+                // Sent back in the requested format so the model keeps using it
+                responseText: JSON.stringify({ answer, quotes })
+            };
         } catch (error) {
-            console.error('Claude API error:', error);
+            this.handleApiError(error);
+        }
+    }
+
+    /**
+     * Build the system prompt of a conversation about a page
+     * @param {Object} session - Chat session with the page context
+     * @param {string} [outputLanguage] - Language to answer in
+     * @returns {string} System prompt
+     */
+    buildChatPrompt(session, outputLanguage) {
+        const { url, title, text, language, analysis } = session;
+
+        // Only the parts of the analysis a reader might ask about
+        const field = (label, value) => value ? `${label}: ${value}\n` : '';
+        const list = (label, items) => items?.length ? `${label}:\n${items.map(item => `- ${item}`).join('\n')}\n` : '';
+        const analysisSection = analysis
+            ? `\n**Earlier Analysis of the Page:**\n${field('Summary', analysis.summary)}${field('Credibility', analysis.credibility)}${field('Bias', analysis.bias)}${list('Key points', analysis.keyPoints)}${list('Strengths', analysis.strengths)}${list('Concerns', analysis.concerns)}`
+            : '';
+
+        return `You answer a reader's questions about the webpage they are reading. Base your answers on the page content below and the earlier analysis of it. When the page does not cover a question, say so; clearly mark anything you add from general knowledge.
+
+**Webpage Information:**
+- URL: ${url}
+- Title: ${title}
+- Language: ${language ? getLanguageName(language) : 'unknown'}
+${analysisSection}
+**Page Content:**
+${text.substring(0, CHAT_CONTEXT_LENGTH)} ${text.length > CHAT_CONTEXT_LENGTH ? '...[truncated]' : ''}
+
+**Answer Format:**
+Return ONLY a valid JSON object with this exact structure:
 
-            if (error.status === 401) {
-                throw new Error(`Invalid API key. Please check your Claude API configuration. ${error.message}`);
+{
+  "answer": "Your answer as plain text, one to three short paragraphs",
+  "quotes": ["The exact sentence from the page content that supports the answer, copied verbatim"]
+}
+
+Quote at most ${MAX_QUOTES_PER_ANSWER} sentences, in the order they appear on the page, and never translate them. Use an empty quotes array when the answer is not based on the page content.
+
+**Language:** Write the answer in ${outputLanguage ? getLanguageName(outputLanguage) : 'the language of the question'}.`;
+    }
+
+    /**
+     * Parse a follow-up answer
+     * @param {string} responseText - Raw model response
+     * @returns {Object} { reply, errors }: reply is null if no JSON could be parsed
+     */
+    parseChatResponse(responseText) {
+        const { value: reply, errors } = this.parseJsonObject(responseText);
+        if (!reply) {
+            return { reply: null, errors };
+        }
+
+        // Missing or empty quotes are not worth a repair round-trip
+        if (reply.quotes === undefined) {
+            reply.quotes = [];
+        }
+        if (Array.isArray(reply.quotes)) {
+            reply.quotes = reply.quotes
+                .filter(quote => quote !== '')
+                .slice(0, MAX_QUOTES_PER_ANSWER)
+                .map(quote => typeof quote === 'string' ? { text: quote.trim() } : quote);
+        }
+
+        return { reply, errors: validateChatReply(reply) };
+    }
+
+    /**
+     * Compare several pages on the same topic
+     * @param {Object} data - { sources, outputLanguage }: sources are { url, title, text, language, analysis }
+     *   in request order, analysis is the page's enhanced analysis
+     * @returns {Promise<Object>} Comparison matching the ComparisonResult schema, sources referred to by position
+     */
+    async compareContent(data) {
+        const { sources } = data;
+        const messages = [
+            {
+                role: 'user',
+                content: this.buildComparisonPrompt(data)
             }
+        ];
+
+        try {
+            const responseText = await this.provider.complete({ messages, maxTokens: COMPARE_MAX_TOKENS });
+            const { comparison, errors } = await this.repairResponse(
+                messages,
+                responseText,
+                response => this.parseComparisonResponse(response, sources.length),
+                undefined,
+                { maxTokens: COMPARE_MAX_TOKENS }
+            );
 
-            if (error.status === 403) {
-                throw new Error(`Forbidden. Please check your Claude API configuration. ${error.message}`);
+            if (errors.length > 0) {
+                throw new Error(`Invalid comparison response: ${errors.join('; ')}`);
             }
 
-            if (error.status === 429) {
-                throw new Error(`Rate limit exceeded. Please try again later. ${error.message}`);
+            return comparison;
+        } catch (error) {
+            this.handleApiError(error);
+        }
+    }
+
+    /**
+     * Build comparison prompt
+     * @param {Object} data - { sources, outputLanguage }
+     * @returns {string} Formatted prompt
+     */
+    buildComparisonPrompt({ sources, outputLanguage }) {
+        // The text budget is shared, the analyses cover what a shortened text leaves out
+        const textLength = Math.floor(COMPARE_CONTEXT_LENGTH / sources.length);
+        const languageName = getLanguageName(outputLanguage || sources[0].language || 'en');
+
+        const formatSource = ({ url, title, text, analysis }, index) => `**Source ${index + 1}:**
+- URL: ${url}
+- Title: ${title || 'Untitled'}
+- Earlier analysis: quality ${analysis.qualityScore}/10, credibility ${analysis.credibility}, bias ${analysis.bias}, completeness ${analysis.completeness}
+- Summary: ${analysis.summary}
+
+${text.substring(0, textLength)} ${text.length > textLength ? '...[truncated]' : ''}`;
+
+        return `Please compare the following ${sources.length} webpages on the same topic. Judge which source is the most credible, the most complete and the most balanced, find where they agree and where they contradict each other, and rank them from most to least trustworthy and useful overall.
+
+${sources.map(formatSource).join('\n\n')}
+
+**Requirements:**
+Return ONLY a valid JSON object with this exact structure, referring to sources by their number (1 to ${sources.length}):
+
+{
+  "summary": "Two or three sentences comparing the sources overall",
+  "mostCredible": 1,
+  "mostComplete": 1,
+  "mostBalanced": 1,
+  "agreements": ["A point the sources agree on"],
+  "contradictions": [
+    {
+      "topic": "What the sources disagree about",
+      "positions": [
+        { "source": 1, "position": "What this source says about it" }
+      ]
+    }
+  ],
+  "ranking": [
+    { "source": 1, "rationale": "One sentence explaining the rank" }
+  ]
+}
+
+List every source exactly once in "ranking", best first. List at most ${MAX_COMPARISON_POINTS} agreements and ${MAX_COMPARISON_POINTS} contradictions, each contradiction with the positions of at least two sources. Use empty arrays when there are none.
+
+**Language:** Write summary, agreements, topics, positions and rationales in ${languageName}.`;
+    }
+
+    /**
+     * Parse a comparison response
+     * Source numbers are converted to positions starting at 0
+     * @param {string} responseText - Raw model response
+     * @param {number} sourceCount - Number of compared sources
+     * @returns {Object} { comparison, errors }: comparison is null if no JSON could be parsed
+     */
+    parseComparisonResponse(responseText, sourceCount) {
+        const { value: comparison, errors } = this.parseJsonObject(responseText);
+        if (!comparison) {
+            return { comparison: null, errors };
+        }
+
+        // Out of range numbers are reported in the model's own numbering, the schema
+        // only sees valid positions
+        const rangeErrors = [];
+        const toPosition = (value, path) => {
+            // Accept "Source 2" and "2" as well
+            const number = typeof value === 'string' ? parseInt(value.replace(/^\D+/, ''), 10) : value;
+            if (Number.isInteger(number) && number >= 1 && number <= sourceCount) {
+                return number - 1;
             }
+            rangeErrors.push(`${path} must be a source number from 1 to ${sourceCount}`);
+            return 0;
+        };
 
-            if (error.status >= 500) {
-                throw new Error(`Claude API service is temporarily unavailable. ${error.message}`);
+        ['mostCredible', 'mostComplete', 'mostBalanced'].forEach(field => {
+            comparison[field] = toPosition(comparison[field], `comparison.${field}`);
+        });
+
+        if (Array.isArray(comparison.contradictions)) {
+            comparison.contradictions.forEach((contradiction, i) => {
+                (Array.isArray(contradiction?.positions) ? contradiction.positions : []).forEach((position, j) => {
+                    if (position && typeof position === 'object') {
+                        position.source = toPosition(position.source, `comparison.contradictions[${i}].positions[${j}].source`);
+                    }
+                });
+            });
+        }
+
+        if (Array.isArray(comparison.ranking)) {
+            comparison.ranking.forEach((entry, i) => {
+                if (entry && typeof entry === 'object') {
+                    entry.source = toPosition(entry.source, `comparison.ranking[${i}].source`);
+                }
+            });
+
+            const ranked = new Set(comparison.ranking.map(entry => entry?.source));
+            if (rangeErrors.length === 0 && (ranked.size !== sourceCount || comparison.ranking.length !== sourceCount)) {
+                rangeErrors.push(`comparison.ranking must list each of the ${sourceCount} sources exactly once`);
             }
+        }
 
-            throw new Error(`Claude API error: ${error.message}`);
+        // Over-long lists are not worth a repair round-trip
+        ['agreements', 'contradictions'].forEach(field => {
+            if (Array.isArray(comparison[field])) {
+                comparison[field] = comparison[field].slice(0, MAX_COMPARISON_POINTS);
+            }
+        });
+
+        return { comparison, errors: [...rangeErrors, ...validateComparisonResult(comparison)] };
+    }
+
+    /**
+     * Extract the fields that are already complete from a partially streamed JSON response
+     * @param {string} partialText - Response text received so far
+     * @returns {Object} { summary: string|null, keyPoints: Array } with only fully received values
+     */
+    extractStreamedFields(partialText) {
+        const jsonString = '"(?:[^"\\\\]|\\\\.)*"';
+
+        let summary = null;
+        const summaryMatch = partialText.match(new RegExp(`"summary"\\s*:\\s*(${jsonString})`));
+        if (summaryMatch) {
+            try {
+                summary = JSON.parse(summaryMatch[1]);
+            } catch (error) {
+                // Not a complete string yet
+            }
+        }
+
+        const keyPoints = [];
+        const keyPointsMatch = partialText.match(/"keyPoints"\s*:\s*\[/);
+        if (keyPointsMatch) {
+            // Only strings followed by a separator are known to be complete
+            const itemPattern = new RegExp(`\\s*(${jsonString})\\s*([,\\]])`, 'y');
+            itemPattern.lastIndex = keyPointsMatch.index + keyPointsMatch[0].length;
+
+            let itemMatch;
+            while ((itemMatch = itemPattern.exec(partialText)) !== null) {
+                try {
+                    keyPoints.push(JSON.parse(itemMatch[1]));
+                } catch (error) {
+                    break;
+                }
+                if (itemMatch[2] === ']') break;
+            }
+        }
+
+        return { summary, keyPoints };
+    }
+
+    /**
+     * Convert a provider API error into a descriptive error
+     * @param {Error} error - Error thrown by the provider SDK
+     * @throws {Error} Always
+     */
+    handleApiError(error) {
+        const name = this.provider.displayName;
+        console.error(`${name} API error:`, error);
+
+        if (error.status === 401) {
+            throw new Error(`Invalid API key. Please check your ${name} API configuration. ${error.message}`);
         }
+
+        if (error.status === 403) {
+            throw new Error(`Forbidden. Please check your ${name} API configuration. ${error.message}`);
+        }
+
+        if (error.status === 429) {
+            throw new Error(`Rate limit exceeded. Please try again later. ${error.message}`);
+        }
+
+        if (error.status >= 500) {
+            throw new Error(`${name} API service is temporarily unavailable. ${error.message}`);
+        }
+
+        throw new Error(`${name} API error: ${error.message}`);
     }
 
     /**
@@ -72,15 +682,26 @@ class ClaudeService {
      * @param {string} title - Page title
      * @param {Object} content - Page content
      * @param {Object} metadata - Page metadata
+     * @param {Object} [section] - { index, total } when analyzing one chunk of a long document
+     * @param {string} [outputLanguage] - Language to write the analysis in, the page language by default
+     * @param {Object} [profile] - Analysis profile with its own instructions, criteria and extra fields
      * @returns {string} Formatted prompt
      */
-    buildAnalysisPrompt(url, title, content, metadata) {
+    buildAnalysisPrompt(url, title, content, metadata, section, outputLanguage, profile) {
         const wordCount = content.wordCount || 0;
         const pageType = metadata?.pageType || 'general';
-        const language = metadata?.language || 'unknown';
+        // Resolved while preprocessing, the declared page language can be missing or wrong
+        const language = content.language ? getLanguageName(content.language) : (metadata?.language || 'unknown');
+
+        const intro = profile?.promptTemplate
+            ? this.renderPromptTemplate(profile.promptTemplate, { url, title, pageType, language })
+            : 'Please analyze the following webpage content and provide a comprehensive evaluation.';
+        const fields = Object.entries(profile?.fields || {});
+        const criteria = profile?.criteria || [];
+        const citationCount = (content.links || []).filter(link => classifyLink(link, url) === 'citation').length;
 
         // Prompt generated by AI
-        let prompt = `Please analyze the following webpage content and provide a comprehensive evaluation. Return your analysis in JSON format with the specified structure.
+        let prompt = `${intro} Return your analysis in JSON format with the specified structure.
 
 **Webpage Information:**
 - URL: ${url}
@@ -88,12 +709,12 @@ class ClaudeService {
 - Type: ${pageType}
 - Language: ${language}
 - Word Count: ${wordCount}
-
+${section ? `- Section: ${section.index + 1} of ${section.total} (the document is analyzed in parts, evaluate only this part)\n` : ''}${metadata?.analysisScope === 'selection' ? '- Scope: a passage the reader selected on the page, evaluate only this passage and not the whole page\n' : ''}
 **Content to Analyze:**
 ${content.text.substring(0, 8000)} ${content.text.length > 8000 ? '...[truncated]' : ''}
 
 **Images:** ${content.images?.length || 0} images found
-**Links:** ${content.links?.length || 0} links found
+**Links:** ${content.links?.length || 0} links found${citationCount > 0 ? `, ${citationCount} of them citing other sites` : ''}
 
 **Analysis Requirements:**
 Please provide a detailed analysis and return ONLY a valid JSON object with this exact structure:
@@ -122,73 +743,310 @@ Please provide a detailed analysis and return ONLY a valid JSON object with this
   "complexity": "Beginner|Intermediate|Advanced",
   "factualAccuracy": "High|Medium|Low|Cannot Determine",
   "bias": "None Detected|Slight|Moderate|Strong",
-  "completeness": "Complete|Mostly Complete|Incomplete"
+  "completeness": "Complete|Mostly Complete|Incomplete",
+${fields.length > 0 ? `  "profileFields": {\n${fields.map(([name, field]) => `    "${name}": ${this.getProfileFieldExample(field)}`).join(',\n')}\n  },\n` : ''}  "anchors": [
+    {
+      "type": "keyPoint|strength|concern",
+      "index": 0,
+      "quote": "The exact sentence from the content this item is based on, copied verbatim"
+    }
+  ]
 }
 
+**Anchors:** For every key point, strength and concern that is based on a specific passage of the content, add one anchor. "index" is the item's position in its list (starting at 0). Leave out items that are about the page as a whole.
+${fields.length > 0 ? `
+**Profile Fields:** "profileFields" holds the results of the "${profile.name}" profile. Leave out optional fields that do not apply.
+${fields.map(([name, field]) => `- ${name}${field.required ? ' (required)' : ''}: ${this.describeProfileField(field)}`).join('\n')}
+` : ''}
+**Language:** Write summary, keyPoints, strengths, concerns${fields.length > 0 ? ', targetAudience and the text of profileFields' : ' and targetAudience'} in ${this.getOutputLanguageName(content, outputLanguage)}. Keep all other values exactly as listed above, and copy anchor quotes verbatim from the content without translating them.
+
 **Scoring Criteria for qualityScore (1-10):**
-- 9-10: Exceptional content with high value, accuracy, and presentation
+${criteria.length > 0 ? `Judge the content against these criteria:\n${criteria.map(criterion => `- ${criterion}`).join('\n')}\n\n` : ''}- 9-10: Exceptional content with high value, accuracy, and presentation
 - 7-8: Good quality content with clear value and few issues
 - 5-6: Average content with some value but notable limitations
 - 3-4: Below average content with significant issues
 - 1-2: Poor quality content with major problems
 
-Focus on content quality, accuracy, usefulness, and presentation. Consider the target audience and purpose of the content.`;
+${criteria.length > 0 ? 'Focus on the criteria above.' : 'Focus on content quality, accuracy, usefulness, and presentation.'} Consider the target audience and purpose of the content.`;
 
         return prompt;
     }
 
+    /**
+     * Fill in the placeholders of a profile's prompt template, e.g. {{title}}
+     * @param {string} template - Prompt template
+     * @param {Object} variables - { url, title, pageType, language }
+     * @returns {string} Prompt text
+     */
+    renderPromptTemplate(template, variables) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+            name in variables ? String(variables[name] ?? '') : placeholder
+        );
+    }
+
+    /**
+     * Example value of a profile field in the requested JSON structure
+     * @param {Object} field - Profile field definition
+     * @returns {string} JSON value, enumerated values are listed like the other fields
+     */
+    getProfileFieldExample(field) {
+        switch (field.type) {
+            case 'number': return String(field.min ?? 0);
+            case 'boolean': return 'true';
+            case 'array': return `[${JSON.stringify(field.label || 'Item')}]`;
+            default: return JSON.stringify(field.enum ? field.enum.join('|') : field.label || 'Text');
+        }
+    }
+
+    /**
+     * Describe a profile field for the model
+     * @param {Object} field - Profile field definition
+     * @returns {string} Description with the allowed values
+     */
+    describeProfileField(field) {
+        const constraints = {
+            number: `A number${field.min !== undefined ? ` from ${field.min}` : ''}${field.max !== undefined ? ` up to ${field.max}` : ''}.`,
+            boolean: 'true or false.',
+            array: 'A list of short strings.',
+            string: field.enum ? `One of: ${field.enum.join(', ')}.` : ''
+        }[field.type];
+
+        return `${field.description.trim().replace(/\.$/, '')}. ${constraints}`.trim();
+    }
+
+    /**
+     * Name of the language the analysis is written in
+     * @param {Object} content - Preprocessed content
+     * @param {string} [outputLanguage] - Requested language tag
+     * @returns {string} e.g. "German", the page language if none was requested
+     */
+    getOutputLanguageName(content, outputLanguage) {
+        return getLanguageName(outputLanguage || content.language || 'en');
+    }
+
+    /**
+     * Turn a model response into a valid analysis
+     * @param {Array} messages - Conversation that produced the response
+     * @param {string} responseText - Raw model response
+     * @param {AbortSignal} [signal] - Aborts repair requests
+     * @param {Object} [profile] - Analysis profile whose extra fields are expected
+     * @returns {Promise<Object>} Analysis matching the AnalysisResult schema
+     */
+    async resolveAnalysis(messages, responseText, signal, profile) {
+        const { analysis, errors } = await this.repairResponse(
+            messages,
+            responseText,
+            text => this.parseAnalysisResponse(text, profile),
+            signal
+        );
+
+        if (errors.length === 0) {
+            return analysis;
+        }
+
+        // Keep whatever the model got right, only the invalid fields get placeholders
+        if (analysis) {
+            return this.replaceInvalidFields(analysis, errors);
+        }
+
+        return profile ? { ...this.getFallbackAnalysis(), profileFields: {} } : this.getFallbackAnalysis();
+    }
+
+    /**
+     * Send an invalid model response back to the model together with the validation errors,
+     * at most MAX_REPAIR_ATTEMPTS times
+     * @param {Array} messages - Conversation that produced the response
+     * @param {string} responseText - Raw model response
+     * @param {Function} parse - Parses a response text into an object with an errors array
+     * @param {AbortSignal} [signal] - Aborts repair requests
+     * @param {Object} [request] - Other request fields of the conversation, e.g. { system, maxTokens }
+     * @returns {Promise<Object>} Parse result of the last response, errors is empty if it is valid
+     */
+    async repairResponse(messages, responseText, parse, signal, request = {}) {
+        let parsed = parse(responseText);
+
+        for (let attempt = 1; parsed.errors.length > 0 && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+            console.warn(`Invalid model response (${parsed.errors.join('; ')}), repair attempt ${attempt}`);
+
+            messages = [
+                ...messages,
+                { role: 'assistant', content: responseText.trim() || '(empty response)' },
+                { role: 'user', content: this.buildRepairPrompt(parsed.errors) }
+            ];
+
+            responseText = await this.provider.complete({ ...request, messages }, { signal });
+            parsed = parse(responseText);
+        }
+
+        if (parsed.errors.length > 0) {
+            console.error(`Response still invalid after ${MAX_REPAIR_ATTEMPTS} repair attempts:`, parsed.errors);
+            console.error('Raw response:', responseText);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Build the follow-up prompt asking the model to fix its response
+     * @param {Array} errors - Validation error messages
+     * @returns {string} Repair prompt
+     */
+    buildRepairPrompt(errors) {
+        return `Your previous response was not valid. Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected, complete JSON object with the structure requested above. Use exactly one of the listed values for enumerated fields.`;
+    }
+
     /**
      * Parse Claude's analysis response
      * @param {string} responseText - Raw response from Claude
-     * @returns {Object} Parsed analysis object
+     * @param {Object} [profile] - Analysis profile whose extra fields are expected
+     * @returns {Object} { analysis, errors }: analysis is null if no JSON could be parsed,
+     *   errors lists schema violations and is empty for a valid analysis
+     */
+    parseAnalysisResponse(responseText, profile) {
+        const { value: analysis, errors } = this.parseJsonObject(responseText);
+        if (!analysis) {
+            return { analysis: null, errors };
+        }
+
+        this.normalizeAnalysis(analysis, profile);
+
+        if (!profile) {
+            return { analysis, errors: validateAnalysisResult(analysis) };
+        }
+
+        return {
+            analysis,
+            errors: [
+                ...validateAnalysisResult(analysis),
+                ...validate(analysis.profileFields, profiles.getFieldsSchema(profile), 'analysis.profileFields')
+            ]
+        };
+    }
+
+    /**
+     * Extract the JSON object from a model response
+     * @param {string} responseText - Raw model response
+     * @returns {Object} { value, errors }: value is null and errors explains why if there is no object
      */
-    parseAnalysisResponse(responseText) {
+    parseJsonObject(responseText) {
+        let value;
+
         try {
             // Extract JSON from response (in case there's extra text)
-            const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+            const jsonMatch = (responseText || '').match(/\{[\s\S]*\}/);
             if (!jsonMatch) {
-                throw new Error('No JSON found in response');
+                return { value: null, errors: ['response does not contain a JSON object'] };
             }
 
-            const analysis = JSON.parse(jsonMatch[0]);
+            value = JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            return { value: null, errors: [`response is not valid JSON (${error.message})`] };
+        }
 
-            // Validate required fields
-            const requiredFields = ['summary', 'qualityScore', 'credibility', 'sentiment', 'category'];
-            for (const field of requiredFields) {
-                if (!analysis[field]) {
-                    console.warn(`Missing required field: ${field}`);
-                }
-            }
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return { value: null, errors: ['response must be a JSON object'] };
+        }
 
-            // Ensure qualityScore is a number between 1-10
-            if (typeof analysis.qualityScore === 'string') {
-                analysis.qualityScore = parseInt(analysis.qualityScore, 10);
-            }
-            analysis.qualityScore = Math.max(1, Math.min(10, analysis.qualityScore || 5));
+        return { value, errors: [] };
+    }
+
+    /**
+     * Fix harmless deviations in place so they don't cost a repair round-trip
+     * @param {Object} analysis - Parsed analysis
+     * @param {Object} [profile] - Analysis profile whose extra fields are expected
+     */
+    normalizeAnalysis(analysis, profile) {
+        // Ensure qualityScore is a number between 1-10
+        if (typeof analysis.qualityScore === 'string') {
+            analysis.qualityScore = parseFloat(analysis.qualityScore);
+        }
+        if (Number.isFinite(analysis.qualityScore)) {
+            analysis.qualityScore = Math.max(1, Math.min(10, Math.round(analysis.qualityScore)));
+        }
 
-            // Ensure arrays exist
-            analysis.keyPoints = analysis.keyPoints || [];
-            analysis.strengths = analysis.strengths || [];
-            analysis.concerns = analysis.concerns || [];
+        // Match enum values case-insensitively, e.g. "high" -> "High"
+        Object.entries(ANALYSIS_ENUMS).forEach(([field, allowed]) => {
+            if (typeof analysis[field] !== 'string') return;
+            const match = allowed.find(value => value.toLowerCase() === analysis[field].trim().toLowerCase());
+            if (match) analysis[field] = match;
+        });
 
-            // Set defaults for optional fields
-            analysis.targetAudience = analysis.targetAudience || 'General audience';
-            analysis.complexity = analysis.complexity || 'Intermediate';
-            analysis.factualAccuracy = analysis.factualAccuracy || 'Cannot Determine';
-            analysis.bias = analysis.bias || 'None Detected';
-            analysis.completeness = analysis.completeness || 'Mostly Complete';
+        // Ensure optional arrays exist
+        analysis.strengths = analysis.strengths || [];
+        analysis.concerns = analysis.concerns || [];
 
-            return analysis;
+        // Anchors refer to items by index, store the item itself so they survive merging
+        // Unusable anchors are dropped, they are not worth a repair round-trip
+        analysis.anchors = (Array.isArray(analysis.anchors) ? analysis.anchors : [])
+            .map(anchor => {
+                const list = analysis[ANCHOR_TYPES[anchor?.type]];
+                const note = Array.isArray(list) ? list[anchor.index] : undefined;
+                return typeof note === 'string' && typeof anchor.quote === 'string' && anchor.quote.trim()
+                    ? { type: anchor.type, note, quote: anchor.quote.trim() }
+                    : null;
+            })
+            .filter(Boolean);
 
-        } catch (error) {
-            console.error('Failed to parse Claude response:', error);
-            console.error('Raw response:', responseText);
+        // Set defaults for optional fields
+        analysis.targetAudience = analysis.targetAudience || 'General audience';
+        analysis.complexity = analysis.complexity || 'Intermediate';
+        analysis.factualAccuracy = analysis.factualAccuracy || 'Cannot Determine';
+        analysis.bias = analysis.bias || 'None Detected';
+        analysis.completeness = analysis.completeness || 'Mostly Complete';
 
-            // Return fallback analysis
-            return this.getFallbackAnalysis();
+        // Only the fields the profile asked for are kept
+        if (!profile) {
+            delete analysis.profileFields;
+        } else if (analysis.profileFields && typeof analysis.profileFields === 'object' && !Array.isArray(analysis.profileFields)) {
+            analysis.profileFields = Object.fromEntries(Object.entries(profile.fields)
+                .filter(([name]) => analysis.profileFields[name] !== undefined && analysis.profileFields[name] !== null)
+                .map(([name, field]) => {
+                    let value = analysis.profileFields[name];
+                    if (field.type === 'number' && typeof value === 'string') {
+                        value = parseFloat(value);
+                    } else if (field.type === 'boolean' && typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+                        value = value.trim().toLowerCase() === 'true';
+                    } else if (field.enum && typeof value === 'string') {
+                        value = field.enum.find(allowed => allowed.toLowerCase() === value.trim().toLowerCase()) || value;
+                    }
+                    return [name, value];
+                }));
         }
     }
 
+    /**
+     * Replace the fields named in validation errors with fallback values
+     * @param {Object} analysis - Parsed, invalid analysis
+     * @param {Array} errors - Validation error messages ("analysis.<field>...")
+     * @returns {Object} Valid analysis
+     */
+    replaceInvalidFields(analysis, errors) {
+        const fallback = this.getFallbackAnalysis();
+        const repaired = { ...analysis };
+
+        errors.forEach(error => {
+            // Profile fields have no placeholder values, invalid ones are left out
+            const profileField = error.match(/^analysis\.profileFields(?:\.(\w+))?/);
+            if (profileField) {
+                const profileFields = { ...repaired.profileFields };
+                delete profileFields[profileField[1]];
+                // Without a field name the whole object is invalid
+                repaired.profileFields = profileField[1] ? profileFields : {};
+                return;
+            }
+
+            const field = error.match(/^analysis\.(\w+)/)?.[1];
+            if (field && field in fallback) {
+                repaired[field] = fallback[field];
+            }
+        });
+
+        return repaired;
+    }
+
     /**
      * Get fallback analysis when parsing fails
      * @returns {Object} Basic analysis object
@@ -205,7 +1063,7 @@ Focus on content quality, accuracy, usefulness, and presentation. Consider the t
             strengths: ['Content was successfully processed'],
             concerns: ['Detailed analysis results unavailable'],
             targetAudience: 'General audience',
-            complexity: 'Unknown',
+            complexity: 'Cannot Determine',
             factualAccuracy: 'Cannot Determine',
             bias: 'Cannot Determine',
             completeness: 'Cannot Determine'
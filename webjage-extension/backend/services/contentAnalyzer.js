@@ -2,19 +2,85 @@
 // Processes and enhances webpage content analysis
 
 const crypto = require('crypto');
+const { ANCHOR_TYPES } = require('../../shared/types');
+const {
+    resolveLanguage,
+    segmentWords,
+    segmentSentences,
+    countWords,
+    estimateReadingMinutes,
+    getReadingEaseFormula,
+    isStopWord,
+    isUnspacedLanguage
+} = require('./language');
+const { LINK_TYPES, classifyLink, getSiteDomain, parseLinkUrl } = require('./links');
+const { auditSeo } = require('./seoAudit');
+const { auditAccessibility } = require('./accessibilityAudit');
+const { analyzeCategory } = require('./categoryAnalyzers');
+
+// Chunks must fit into the content part of the analysis prompt
+const MAX_CHUNK_LENGTH = 8000;
+// Start a new chunk at a heading once the current chunk is at least this full
+const SECTION_BREAK_RATIO = 0.5;
+
+const KEY_POINTS_LIMIT = 8;
+const STRENGTHS_LIMIT = 6;
+const CONCERNS_LIMIT = 6;
+const PROFILE_LIST_LIMIT = 8;
+
+// Severity order of ratings, used when merging chunk analyses
+const BIAS_LEVELS = ['None Detected', 'Slight', 'Moderate', 'Strong'];
+
+// Share of a quote's words a page sentence must contain to count as its source
+const MIN_ANCHOR_OVERLAP = 0.6;
+// Words of a quote compared with every page sentence, longer quotes span several sentences anyway
+const MAX_ANCHOR_QUOTE_WORDS = 60;
+
+// Sentence ends for exact splits: Western punctuation (and any footnote markers like "[3]") before
+// whitespace, full-width punctuation anywhere
+const SENTENCE_BREAK = /(?<=[.!?](?:\[\d{1,3}\])*)\s+|(?<=[\u3002\uff01\uff1f])\s*/;
+
+// Readability levels by average sentence length (Flesch's reference table), for languages
+// without a reading ease formula
+const SENTENCE_LENGTH_LEVELS = [
+    [8, 'Very Easy'],
+    [11, 'Easy'],
+    [14, 'Fairly Easy'],
+    [17, 'Standard'],
+    [21, 'Fairly Difficult'],
+    [25, 'Difficult']
+];
+
+// Sentences stating statistics, research findings or certainties, which a careful page backs with a source
+// English wording only, figures are recognized in any language
+const STRONG_CLAIM_PATTERNS = [
+    /\d(?:[\d.,]*\d)?\s?(?:%|percent\b|per cent\b)/i,
+    /\b\d[\d.,]*\s(?:million|billion|trillion)\b/i,
+    /\b(?:studies|research|researchers|scientists|experts|doctors|data|evidence|surveys?|polls?)\s+(?:\w+\s+)?(?:show|shows|showed|shown|prove|proves|proved|proven|found|finds|confirm|confirms|confirmed|suggest|suggests|reveal|reveals|revealed)\b/i,
+    /\b(?:proven|guaranteed|undeniabl[ey]|irrefutabl[ey]|scientifically|clinically|definitively)\b/i,
+    /\b(?:cures?|miracle|record[- ](?:high|low|breaking))\b/i
+];
+const MIN_CLAIM_WORDS = 6;
+
+const TOP_SOURCES_LIMIT = 5;
+const UNSOURCED_CLAIMS_LIMIT = 3;
 
 class ContentAnalyzer {
     /**
      * Generate cache key for content
      * @param {string} url - Page URL
      * @param {Object} content - Page content
+     * @param {string} [outputLanguage] - Language the analysis is written in, if requested
+     * @param {string} [profileVersion] - Analysis profile and its version, if one was used
      * @returns {string} Cache key
      */
-    generateCacheKey(url, content) {
+    generateCacheKey(url, content, outputLanguage, profileVersion) {
         const contentString = JSON.stringify({
             url: url,
             text: content.text?.substring(0, 1000), // Use first 1000 chars for key
-            wordCount: content.wordCount
+            wordCount: content.wordCount,
+            outputLanguage,
+            profileVersion
         });
 
         return crypto.createHash('md5').update(contentString).digest('hex');
@@ -27,25 +93,322 @@ class ContentAnalyzer {
      * @returns {Object} Processed content
      */
     preprocessContent(content, metadata) {
+        // Counted here, the extension's whitespace count is meaningless for Chinese or Japanese
+        const language = resolveLanguage(metadata?.language, content.text);
+
         const processed = {
             text: this.cleanText(content.text),
-            wordCount: content.wordCount || 0,
+            language,
+            wordCount: countWords(content.text, language),
             images: content.images || [],
             links: content.links || []
         };
 
         // Add reading time estimation
-        processed.estimatedReadingTime = this.calculateReadingTime(processed.wordCount);
+        processed.estimatedReadingTime = this.calculateReadingTime(content.text, language);
 
         // Extract key phrases
-        processed.keyPhrases = this.extractKeyPhrases(processed.text);
+        processed.keyPhrases = this.extractKeyPhrases(processed.text, language);
 
         // Analyze text structure
-        processed.structure = this.analyzeTextStructure(processed.text);
+        processed.structure = this.analyzeTextStructure(processed.text, language);
+
+        // Split long content into sections that are analyzed separately
+        // Done on the raw text, cleaning collapses the paragraph breaks
+        processed.chunks = this.splitIntoChunks(content.text).map(chunk => this.cleanText(chunk));
 
         return processed;
     }
 
+    /**
+     * Split text into chunks along section and paragraph boundaries
+     * @param {string} text - Raw text with blocks separated by blank lines
+     * @param {number} maxLength - Maximum chunk length
+     * @returns {Array} Chunks in document order
+     */
+    splitIntoChunks(text, maxLength = MAX_CHUNK_LENGTH) {
+        if (!text || text.length <= maxLength) {
+            return [text || ''];
+        }
+
+        const blocks = text
+            .split(/\n{2,}/)
+            .filter(block => block.trim().length > 0)
+            // Half-size pieces leave room for a preceding heading and still pack two per chunk
+            .flatMap(block => block.length > maxLength ? this.splitLongBlock(block, Math.floor(maxLength / 2)) : [block])
+            .reduce((merged, block) => {
+                // Keep headings together with the block that follows them
+                const previous = merged[merged.length - 1];
+                if (previous !== undefined && this.isHeadingBlock(previous) &&
+                    !previous.includes('\n\n') && previous.length + block.length + 2 <= maxLength) {
+                    merged[merged.length - 1] = `${previous}\n\n${block}`;
+                } else {
+                    merged.push(block);
+                }
+                return merged;
+            }, []);
+
+        const chunks = [];
+        let current = [];
+        let currentLength = 0;
+
+        for (const block of blocks) {
+            const isHeading = this.isHeadingBlock(block);
+            const wouldOverflow = currentLength + block.length > maxLength;
+            const sectionBreak = isHeading && currentLength > maxLength * SECTION_BREAK_RATIO;
+
+            if (current.length > 0 && (wouldOverflow || sectionBreak)) {
+                chunks.push(current.join('\n\n'));
+                current = [];
+                currentLength = 0;
+            }
+
+            current.push(block);
+            currentLength += block.length + 2; // Joined with a blank line
+        }
+
+        if (current.length > 0) {
+            chunks.push(current.join('\n\n'));
+        }
+
+        return chunks;
+    }
+
+    isHeadingBlock(block) {
+        return /^(H[1-6]:|#{1,6}\s)/.test(block);
+    }
+
+    /**
+     * Split a single oversized block at sentence boundaries
+     * @param {string} block - Text block longer than maxLength
+     * @param {number} maxLength - Maximum piece length
+     * @returns {Array} Pieces of the block
+     */
+    splitLongBlock(block, maxLength) {
+        const sentences = block.split(SENTENCE_BREAK);
+        const pieces = [];
+        let current = '';
+
+        for (const sentence of sentences) {
+            if (current && current.length + sentence.length + 1 > maxLength) {
+                pieces.push(current);
+                current = '';
+            }
+
+            // A single sentence without punctuation can still be too long
+            let remaining = sentence;
+            while (remaining.length > maxLength) {
+                pieces.push(remaining.substring(0, maxLength));
+                remaining = remaining.substring(maxLength);
+            }
+
+            current = current ? `${current} ${remaining}` : remaining;
+        }
+
+        if (current) {
+            pieces.push(current);
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Merge analyses of document chunks into one analysis
+     * @param {Array} analyses - Chunk analyses in document order
+     * @param {Array} weights - Chunk lengths, longer chunks weigh more in votes and scores
+     * @returns {Object} Merged analysis without summary
+     */
+    mergeChunkAnalyses(analyses, weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+
+        const qualityScore = Math.round(
+            analyses.reduce((sum, analysis, i) => sum + (analysis.qualityScore || 5) * weights[i], 0) / totalWeight
+        );
+
+        // Weighted majority vote for categorical fields, values keep their type
+        const voteOn = (values) => {
+            const tally = new Map();
+            values.forEach((value, i) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    tally.set(value, (tally.get(value) || 0) + weights[i]);
+                }
+            });
+            const ranked = [...tally.entries()].sort((a, b) => b[1] - a[1]);
+            return ranked.length > 0 ? ranked[0][0] : undefined;
+        };
+        const vote = (field) => voteOn(analyses.map(analysis => analysis[field]));
+
+        // Profile fields: lists are combined like key points, other values are voted on
+        const profileFieldNames = [...new Set(analyses.flatMap(analysis => Object.keys(analysis.profileFields || {})))];
+        const profileFields = Object.fromEntries(profileFieldNames.map(name => {
+            const values = analyses.map(analysis => analysis.profileFields?.[name]);
+            return [name, values.some(Array.isArray)
+                ? this.interleaveUnique(values.map(value => Array.isArray(value) ? value : []), PROFILE_LIST_LIMIT)
+                : voteOn(values)];
+        }));
+
+        // Bias in any section affects the whole document, so keep the strongest level
+        const bias = analyses
+            .map(analysis => analysis.bias)
+            .filter(level => BIAS_LEVELS.includes(level))
+            .sort((a, b) => BIAS_LEVELS.indexOf(b) - BIAS_LEVELS.indexOf(a))[0] || vote('bias');
+
+        return {
+            qualityScore: Math.max(1, Math.min(10, qualityScore)),
+            credibility: vote('credibility'),
+            sentiment: vote('sentiment'),
+            category: vote('category'),
+            keyPoints: this.interleaveUnique(analyses.map(analysis => analysis.keyPoints || []), KEY_POINTS_LIMIT),
+            strengths: this.interleaveUnique(analyses.map(analysis => analysis.strengths || []), STRENGTHS_LIMIT),
+            concerns: this.interleaveUnique(analyses.map(analysis => analysis.concerns || []), CONCERNS_LIMIT),
+            anchors: analyses.flatMap(analysis => analysis.anchors || []),
+            targetAudience: vote('targetAudience'),
+            complexity: vote('complexity'),
+            factualAccuracy: vote('factualAccuracy'),
+            bias,
+            completeness: vote('completeness'),
+            ...(analyses.some(analysis => analysis.profileFields) && { profileFields })
+        };
+    }
+
+    /**
+     * Take items from several lists in turn so every list is represented, dropping duplicates
+     * @param {Array} lists - Lists of strings
+     * @param {number} limit - Maximum number of items
+     * @returns {Array} Merged list
+     */
+    interleaveUnique(lists, limit) {
+        const merged = [];
+        const seen = new Set();
+        const longest = Math.max(0, ...lists.map(list => list.length));
+
+        for (let i = 0; i < longest && merged.length < limit; i++) {
+            for (const list of lists) {
+                const item = list[i];
+                if (typeof item !== 'string') continue;
+
+                const normalized = item.trim().toLowerCase();
+                if (seen.has(normalized)) continue;
+
+                seen.add(normalized);
+                merged.push(item);
+                if (merged.length >= limit) break;
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Split text into sentences, keeping their exact wording
+     * @param {string} text - Raw text
+     * @returns {Array} Sentences with collapsed whitespace
+     */
+    splitSentences(text) {
+        return (text || '')
+            .split(new RegExp(`${SENTENCE_BREAK.source}|\\n+`))
+            .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Create a function finding the page sentence a model quote came from
+     * Models often paraphrase slightly, so the page sentence sharing the most words with
+     * the quote is used when there is no exact match
+     * @param {string} text - Raw page text
+     * @returns {Function} (quote) => page sentence, or null if none matches well enough
+     */
+    createSentenceMatcher(text) {
+        const normalizedText = (text || '').replace(/\s+/g, ' ');
+        const sentences = this.splitSentences(text);
+        // Dictionary segmentation, so quotes in Chinese or Japanese are compared word by word too
+        const toWords = (value) => segmentWords(value.toLowerCase());
+        const sentenceWords = sentences.map(sentence => new Set(toWords(sentence)));
+
+        return (rawQuote) => {
+            const quote = rawQuote.replace(/\s+/g, ' ').trim();
+
+            // Quotes spanning several sentences are kept as they are
+            if (normalizedText.includes(quote)) {
+                return sentences.find(candidate => candidate.includes(quote)) || quote;
+            }
+
+            const quoteWords = toWords(quote).slice(0, MAX_ANCHOR_QUOTE_WORDS);
+            let best = { index: -1, overlap: 0 };
+
+            sentenceWords.forEach((words, index) => {
+                const shared = quoteWords.filter(word => words.has(word)).length;
+                const overlap = quoteWords.length > 0 ? shared / quoteWords.length : 0;
+                if (overlap > best.overlap) {
+                    best = { index, overlap };
+                }
+            });
+
+            return best.overlap >= MIN_ANCHOR_OVERLAP ? sentences[best.index] : null;
+        };
+    }
+
+    /**
+     * Replace the quotes of fact-checked claims with the page sentences they came from
+     * @param {Array} claims - Claims with sourceSentence quotes from the model
+     * @param {string} text - Raw page text
+     * @returns {Array} Claims with anchored set to whether the sentence was found on the page
+     */
+    anchorClaims(claims, text) {
+        const findSentence = this.createSentenceMatcher(text);
+
+        return claims.map(claim => {
+            const sentence = findSentence(claim.sourceSentence);
+            return sentence
+                ? { ...claim, sourceSentence: sentence, anchored: true }
+                : { ...claim, anchored: false };
+        });
+    }
+
+    /**
+     * Replace the quotes of a chat answer with the page sentences they came from
+     * @param {Array} quotes - Quotes from the model
+     * @param {string} text - Raw page text
+     * @returns {Array} { text, anchored } per distinct quote, anchored is false if the sentence was not found
+     */
+    anchorQuotes(quotes, text) {
+        const findSentence = this.createSentenceMatcher(text);
+        const seen = new Set();
+
+        return quotes
+            .map(quote => {
+                const sentence = findSentence(quote);
+                return sentence ? { text: sentence, anchored: true } : { text: quote, anchored: false };
+            })
+            .filter(quote => !seen.has(quote.text) && seen.add(quote.text));
+    }
+
+    /**
+     * Map the anchors of an analysis to page sentences for in-page highlighting
+     * @param {Object} analysis - Analysis with anchors ({ type, note, quote })
+     * @param {string} text - Raw page text
+     * @returns {Array} Highlights ({ type, note, text }), at most one per item and sentence
+     */
+    buildHighlights(analysis, text) {
+        const findSentence = this.createSentenceMatcher(text);
+        const highlights = [];
+        const seen = new Set();
+
+        for (const anchor of analysis.anchors || []) {
+            // Items dropped while merging chunks or replaced by repairs lose their anchors
+            if (!(analysis[ANCHOR_TYPES[anchor.type]] || []).includes(anchor.note)) continue;
+
+            const sentence = findSentence(anchor.quote);
+            const key = `${anchor.type}:${anchor.note}:${sentence}`;
+            if (!sentence || seen.has(key)) continue;
+
+            seen.add(key);
+            highlights.push({ type: anchor.type, note: anchor.note, text: sentence });
+        }
+
+        return highlights;
+    }
+
     /**
      * Enhance AI analysis with additional processing
      * @param {Object} aiAnalysis - Analysis from AI service
@@ -53,24 +416,20 @@ class ContentAnalyzer {
      * @returns {Object} Enhanced analysis
      */
     enhanceAnalysis(aiAnalysis, originalData) {
-        const enhanced = { ...aiAnalysis };
+        const { anchors, ...enhanced } = aiAnalysis;
+        const language = resolveLanguage(originalData.metadata?.language, originalData.content.text);
 
-        // Add technical metrics
-        enhanced.technicalMetrics = this.calculateTechnicalMetrics(originalData.content);
-
-        // Add SEO insights
-        enhanced.seoInsights = this.analyzeSEO(originalData);
+        // Locate the passages behind key points, strengths and concerns
+        enhanced.highlights = this.buildHighlights(aiAnalysis, originalData.content.text);
 
-        // Add accessibility notes
-        enhanced.accessibility = this.analyzeAccessibility(originalData.content);
+        // Add technical metrics
+        enhanced.technicalMetrics = this.calculateTechnicalMetrics(originalData.content, language);
 
         // Add content freshness indicator
         enhanced.contentFreshness = this.analyzeContentFreshness(originalData.metadata);
 
         // Enhance reading time with more accurate calculation
-        if (originalData.content.wordCount) {
-            enhanced.readingTime = this.calculateReadingTime(originalData.content.wordCount);
-        }
+        enhanced.readingTime = this.calculateReadingTime(originalData.content.text, language);
 
         // Add confidence score for the analysis
         enhanced.confidenceScore = this.calculateConfidenceScore(enhanced, originalData);
@@ -78,6 +437,38 @@ class ContentAnalyzer {
         return enhanced;
     }
 
+    /**
+     * Add the audits of the page's links, markup and structured data to an analysis
+     * Kept out of enhanceAnalysis because the analysis cache key only covers the page text,
+     * so these run on every request, for cached analyses too
+     * An audit failing on unexpected page data is left out (null) rather than failing the paid analysis
+     * @param {Object} analysis - Enhanced analysis
+     * @param {Object} originalData - Original content data
+     * @returns {Object} Analysis with sourcing, seoInsights, accessibility and categoryAnalysis
+     */
+    auditPage(analysis, originalData) {
+        const language = resolveLanguage(originalData.metadata?.language, originalData.content.text);
+        const audit = (name, run) => {
+            try {
+                return run();
+            } catch (error) {
+                console.error(`${name} audit failed for URL: ${originalData.url}`, error);
+                return null;
+            }
+        };
+
+        // Link types, cited sources and whether strong claims are sourced, the news checks build on it
+        const sourced = { ...analysis, sourcing: audit('Sourcing', () => this.analyzeSourcing(originalData, language)) };
+
+        return {
+            ...sourced,
+            seoInsights: audit('SEO', () => this.analyzeSEO(originalData)),
+            accessibility: audit('Accessibility', () => this.analyzeAccessibility(originalData, language)),
+            // Checks for product, recipe, news and other pages with structured data
+            categoryAnalysis: audit('Category', () => analyzeCategory(originalData, sourced))
+        };
+    }
+
     /**
      * Clean and normalize text content
      * @param {string} text - Raw text
@@ -89,25 +480,26 @@ class ContentAnalyzer {
         }
 
         return text
-            .replace(/\s+/g, ' ') // Remove excessive whitespace
-            .replace(/[^\w\s\.,!?;:()\-"']/g, '') // Remove special characters that might confuse AI
+            // Remove special characters that might confuse AI, letters and punctuation of all scripts stay
+            .replace(/[^\p{L}\p{M}\p{N}\p{P}\p{Sc}\s|>`\u200c\u200d]/gu, '')
+            .replace(/[^\S\n]+/g, ' ') // Remove excessive whitespace
+            .replace(/ ?\n ?/g, '\n')
+            .replace(/\n{3,}/g, '\n\n') // Keep line breaks, they separate headings, lists and tables
             .trim(); // Trim
     }
 
     /**
      * Calculate estimated reading time
-     * @param {number} wordCount - Number of words
+     * @param {string} text - Text content
+     * @param {string} [language] - Language code, reading speeds differ per language
      * @returns {string} Reading time estimate
      */
-    calculateReadingTime(wordCount) {
-        if (!wordCount || wordCount < 1) {
+    calculateReadingTime(text, language = 'en') {
+        const minutes = Math.ceil(estimateReadingMinutes(text, language));
+        if (minutes < 1) {
             return '< 1 min read';
         }
 
-        // Average reading speed: 200-250 words per minute
-        const wordsPerMinute = 225;
-        const minutes = Math.ceil(wordCount / wordsPerMinute);
-
         if (minutes === 1) {
             return '1 min read';
         } else if (minutes < 60) {
@@ -122,16 +514,17 @@ class ContentAnalyzer {
     /**
      * Extract key phrases from text
      * @param {string} text - Text content
+     * @param {string} [language] - Language code
      * @returns {Array} Key phrases
      */
-    extractKeyPhrases(text) {
+    extractKeyPhrases(text, language = 'en') {
         if (!text) return [];
 
         // Simple keyword extraction based on frequency and length
-        const words = text.toLowerCase()
-            .replace(/[^\w\s]/g, '')
-            .split(/\s+/)
-            .filter(word => word.length > 3);
+        // Words of unspaced languages are short, two characters already carry meaning
+        const minLength = isUnspacedLanguage(language) ? 2 : 4;
+        const words = segmentWords(text.toLocaleLowerCase(language), language)
+            .filter(word => word.length >= minLength && !/^\p{N}+$/u.test(word));
 
         // Count word frequency
         const wordCount = {};
@@ -140,16 +533,9 @@ class ContentAnalyzer {
         });
 
         // Get top frequent words (excluding common stop words)
-        const stopWords = new Set([
-            'this', 'that', 'with', 'have', 'will', 'from', 'they', 'know',
-            'want', 'been', 'good', 'much', 'some', 'time', 'very', 'when',
-            'come', 'here', 'just', 'like', 'long', 'make', 'many', 'over',
-            'such', 'take', 'than', 'them', 'well', 'were', 'what', 'your'
-        ]);
-
         // I love Rust
         return Object.entries(wordCount)
-            .filter(([word, count]) => count > 1 && !stopWords.has(word))
+            .filter(([word, count]) => count > 1 && !isStopWord(word, language))
             .sort((a, b) => b[1] - a[1])
             .slice(0, 10)
             .map(([word]) => word);
@@ -158,9 +544,10 @@ class ContentAnalyzer {
     /**
      * Analyze text structure
      * @param {string} text - Text content
+     * @param {string} [language] - Language code
      * @returns {Object} Structure analysis
      */
-    analyzeTextStructure(text) {
+    analyzeTextStructure(text, language = 'en') {
         if (!text) {
             return {
                 paragraphs: 0,
@@ -172,9 +559,9 @@ class ContentAnalyzer {
         }
 
         const paragraphs = text.split('\n\n').filter(p => p.trim().length > 0);
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        const sentences = segmentSentences(text, language);
         const avgSentenceLength = sentences.length > 0
-            ? Math.round(text.split(/\s+/).length / sentences.length)
+            ? Math.round(countWords(text, language) / sentences.length)
             : 0;
 
         return {
@@ -189,13 +576,15 @@ class ContentAnalyzer {
     /**
      * Calculate technical content metrics
      * @param {Object} content - Content object
+     * @param {string} [language] - Language code
      * @returns {Object} Technical metrics
      */
-    calculateTechnicalMetrics(content) {
+    calculateTechnicalMetrics(content, language = 'en') {
         const text = content.text || '';
-        const words = text.split(/\s+/).filter(w => w.length > 0);
+        const words = segmentWords(text, language);
 
         return {
+            language,
             wordCount: words.length,
             characterCount: text.length,
             averageWordLength: words.length > 0
@@ -203,31 +592,42 @@ class ContentAnalyzer {
                 : 0,
             imageCount: content.images?.length || 0,
             linkCount: content.links?.length || 0,
-            readabilityScore: this.calculateReadabilityScore(text)
+            readabilityScore: this.calculateReadabilityScore(text, language)
         };
     }
 
     /**
      * Calculate simple readability score
+     * Uses the reading ease formula calibrated for the language, or sentence length where there is none
      * @param {string} text - Text content
+     * @param {string} [language] - Language code
      * @returns {string} Readability level
      */
-    calculateReadabilityScore(text) {
+    calculateReadabilityScore(text, language = 'en') {
         if (!text) return 'Unknown';
 
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        const words = text.split(/\s+/).filter(w => w.length > 0);
-        const syllables = words.reduce((count, word) => {
-            return count + this.countSyllables(word);
-        }, 0);
+        const sentences = segmentSentences(text, language);
+        const words = segmentWords(text, language);
 
         if (sentences.length === 0 || words.length === 0) return 'Unknown';
 
-        // Simplified Flesch Reading Ease approximation
         const avgSentenceLength = words.length / sentences.length;
+
+        const formula = getReadingEaseFormula(language);
+        if (!formula) {
+            const level = SENTENCE_LENGTH_LEVELS.find(([maxLength]) => avgSentenceLength <= maxLength);
+            return level ? level[1] : 'Very Difficult';
+        }
+
+        const syllables = words.reduce((count, word) => {
+            return count + this.countSyllables(word, language);
+        }, 0);
         const avgSyllablesPerWord = syllables / words.length;
 
-        const score = 206.835 - (1.015 * avgSentenceLength) - (84.6 * avgSyllablesPerWord);
+        // Simplified Flesch Reading Ease approximation
+        const score = formula.base -
+            (formula.sentenceWeight * avgSentenceLength) -
+            (formula.syllableWeight * avgSyllablesPerWord);
 
         if (score >= 90) return 'Very Easy';
         if (score >= 80) return 'Easy';
@@ -241,26 +641,18 @@ class ContentAnalyzer {
     /**
      * Count syllables in a word (approximation)
      * @param {string} word - Word to analyze
+     * @param {string} [language] - Language code
      * @returns {number} Syllable count
      */
-    countSyllables(word) {
+    countSyllables(word, language = 'en') {
         word = word.toLowerCase();
         if (word.length <= 3) return 1;
 
-        const vowels = 'aeiouy';
-        let count = 0;
-        let previousWasVowel = false;
-
-        for (let i = 0; i < word.length; i++) {
-            const isVowel = vowels.includes(word[i]);
-            if (isVowel && !previousWasVowel) {
-                count++;
-            }
-            previousWasVowel = isVowel;
-        }
+        // Every group of vowels is one syllable, accented Latin and Cyrillic vowels included
+        let count = (word.match(/[aeiouyàáâãäåæèéêëìíîïòóôõöøœùúûüýÿ]+|[аеёиоуыэюя]+/g) || []).length;
 
         // Adjust for silent 'e'
-        if (word.endsWith('e')) count--;
+        if (language === 'en' && word.endsWith('e')) count--;
 
         return Math.max(1, count);
     }
@@ -268,7 +660,7 @@ class ContentAnalyzer {
     /**
      * Analyze SEO aspects
      * @param {Object} data - Original content data
-     * @returns {Object} SEO insights
+     * @returns {Object} SEO insights: the scored audit (see seoAudit.js) and the basic measurements
      */
     analyzeSEO(data) {
         const title = data.title || '';
@@ -276,6 +668,7 @@ class ContentAnalyzer {
         const metadata = data.metadata || {};
 
         return {
+            ...auditSeo(data),
             titleLength: title.length,
             titleOptimal: title.length >= 30 && title.length <= 60,
             hasMetaDescription: !!metadata.description,
@@ -283,32 +676,117 @@ class ContentAnalyzer {
             metaDescriptionOptimal: metadata.description &&
                 metadata.description.length >= 120 &&
                 metadata.description.length <= 160,
-            hasHeadings: content.text?.includes('H1:') || content.text?.includes('H2:'),
+            // Selection analyses come without the page's heading list
+            hasHeadings: content.seo?.headings
+                ? content.seo.headings.length > 0
+                : content.text?.includes('H1:') || content.text?.includes('H2:'),
             imageAltTextRatio: content.images?.length > 0
-                ? content.images.filter(img => img.alt).length / content.images.length
+                ? content.images.filter(img => img?.alt).length / content.images.length
                 : 0
         };
     }
 
     /**
      * Analyze accessibility aspects
-     * @param {Object} content - Content object
-     * @returns {Object} Accessibility insights
+     * @param {Object} data - Original content data
+     * @param {string} [language] - Language code
+     * @returns {Object} Accessibility insights: the WCAG findings (see accessibilityAudit.js) and the basic measurements
      */
-    analyzeAccessibility(content) {
+    analyzeAccessibility(data, language = 'en') {
+        const content = data.content || {};
+        // All images of the page when the extension sends them, alt="" marks decorative images
+        const images = (content.accessibility?.images || content.images || []).filter(img => img && typeof img === 'object');
+        const withAlt = images.filter(img => (img.alt !== null && img.alt !== undefined) || ['presentation', 'none'].includes(img.role));
+
         return {
-            hasImageAltText: content.images?.some(img => img.alt) || false,
-            imageAltTextCoverage: content.images?.length > 0
-                ? Math.round((content.images.filter(img => img.alt).length / content.images.length) * 100)
+            ...auditAccessibility(data),
+            hasImageAltText: withAlt.length > 0,
+            imageAltTextCoverage: images.length > 0
+                ? Math.round((withAlt.length / images.length) * 100)
                 : 100,
             hasDescriptiveLinks: content.links?.some(link =>
-                link.text && link.text.length > 5 &&
+                typeof link?.text === 'string' && link.text.length > 5 &&
                 !['click here', 'read more', 'more'].includes(link.text.toLowerCase())
             ) || false,
-            estimatedReadingLevel: this.calculateReadabilityScore(content.text)
+            estimatedReadingLevel: this.calculateReadabilityScore(content.text, language)
         };
     }
 
+    /**
+     * Analyze outbound links and how well the page's claims are sourced
+     * A strong claim counts as sourced when a citation link or footnote marker appears in its sentence
+     * @param {Object} data - Original content data
+     * @param {string} [language] - Language code
+     * @returns {Object} Sourcing insights
+     */
+    analyzeSourcing(data, language = 'en') {
+        const links = (data.content?.links || [])
+            .map(link => ({ ...link, type: classifyLink(link, data.url) }))
+            .filter(link => link.type);
+        const citations = links.filter(link => link.type === 'citation');
+
+        const linkTypes = Object.fromEntries(LINK_TYPES.map(type => [type, links.filter(link => link.type === type).length]));
+
+        // Sources by the number of links citing them, references in footnotes and reference lists first
+        const sources = new Map();
+        citations.forEach(link => {
+            const domain = getSiteDomain(parseLinkUrl(link.url).hostname);
+            const source = sources.get(domain) || { domain, citations: 0, url: link.url, text: link.text, referenced: false };
+            source.citations++;
+            if (link.citation && !source.referenced) {
+                Object.assign(source, { url: link.url, text: link.text, referenced: true });
+            }
+            sources.set(domain, source);
+        });
+        const rankedSources = [...sources.values()]
+            .sort((a, b) => b.citations - a.citations || b.referenced - a.referenced);
+
+        // Claims, and the sentences carrying a citation or footnote marker
+        const findSentence = this.createSentenceMatcher(data.content?.text);
+        const citingSentences = new Set(links
+            .filter(link => (link.type === 'citation' || link.citation) && link.context)
+            .map(link => findSentence(link.context))
+            .filter(Boolean));
+        const claims = [...new Set(this.splitSentences(data.content?.text))]
+            .filter(sentence => segmentWords(sentence, language).length >= MIN_CLAIM_WORDS &&
+                STRONG_CLAIM_PATTERNS.some(pattern => pattern.test(sentence)));
+        const unsourcedClaims = claims.filter(claim => !citingSentences.has(claim));
+
+        return {
+            linkTypes,
+            citationCount: citations.length,
+            citedDomainCount: sources.size,
+            domainDiversity: this.rateDomainDiversity(rankedSources, citations.length),
+            topSources: rankedSources.slice(0, TOP_SOURCES_LIMIT).map(({ referenced, ...source }) => source),
+            strongClaimCount: claims.length,
+            sourcedClaimCount: claims.length - unsourcedClaims.length,
+            unsourcedClaims: unsourcedClaims.slice(0, UNSOURCED_CLAIMS_LIMIT),
+            sourcingQuality: this.rateSourcingQuality(claims.length, unsourcedClaims.length, citations.length),
+            // Strong claims on a page that cites nothing at all
+            unsourcedStrongClaims: claims.length > 0 && citations.length === 0
+        };
+    }
+
+    // How many different sites a page cites, and whether one of them dominates
+    rateDomainDiversity(rankedSources, citationCount) {
+        if (citationCount === 0) return 'None';
+
+        const topShare = rankedSources[0].citations / citationCount;
+        if (rankedSources.length >= 5 && topShare <= 0.4) return 'High';
+        if (rankedSources.length >= 2 && topShare <= 0.7) return 'Medium';
+        return 'Low';
+    }
+
+    rateSourcingQuality(claimCount, unsourcedCount, citationCount) {
+        if (claimCount === 0) return 'No Strong Claims';
+        if (citationCount === 0) return 'Unsourced';
+
+        const sourcedShare = (claimCount - unsourcedCount) / claimCount;
+        if (sourcedShare >= 0.7) return 'Well Sourced';
+        if (sourcedShare >= 0.3) return 'Partially Sourced';
+        return 'Poorly Sourced';
+    }
+
     /**
      * Analyze content freshness
      * @param {Object} metadata - Page metadata
@@ -362,7 +840,7 @@ class ContentAnalyzer {
         let score = 50; // Base score
 
         // Increase confidence based on content length
-        const wordCount = originalData.content.wordCount || 0;
+        const wordCount = analysis.technicalMetrics?.wordCount || 0;
         if (wordCount > 500) score += 20;
         else if (wordCount > 200) score += 10;
         else if (wordCount < 50) score -= 20;
@@ -0,0 +1,347 @@
+// Language-aware text processing
+// Language detection, word and sentence segmentation and per-language reading measures
+
+// Writing systems told apart by detectLanguage, with the language assumed for each
+// Checked in order: Japanese mixes kana with Han characters, so it comes before Chinese
+const SCRIPTS = [
+    { script: 'Japanese', language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+    { script: 'Han', language: 'zh', pattern: /\p{Script=Han}/u },
+    { script: 'Hangul', language: 'ko', pattern: /\p{Script=Hangul}/u },
+    { script: 'Arabic', language: 'ar', pattern: /\p{Script=Arabic}/u },
+    { script: 'Hebrew', language: 'he', pattern: /\p{Script=Hebrew}/u },
+    { script: 'Cyrillic', language: 'ru', pattern: /\p{Script=Cyrillic}/u },
+    { script: 'Greek', language: 'el', pattern: /\p{Script=Greek}/u },
+    { script: 'Thai', language: 'th', pattern: /\p{Script=Thai}/u },
+    { script: 'Devanagari', language: 'hi', pattern: /\p{Script=Devanagari}/u },
+    { script: 'Latin', language: 'en', pattern: /\p{Script=Latin}/u }
+];
+
+// Languages written in a script other than Latin
+const LANGUAGE_SCRIPTS = {
+    ja: 'Japanese',
+    zh: 'Han',
+    ko: 'Hangul',
+    ar: 'Arabic', fa: 'Arabic', ur: 'Arabic',
+    he: 'Hebrew', yi: 'Hebrew',
+    ru: 'Cyrillic', uk: 'Cyrillic', bg: 'Cyrillic', be: 'Cyrillic', sr: 'Cyrillic', mk: 'Cyrillic', kk: 'Cyrillic',
+    el: 'Greek',
+    th: 'Thai',
+    hi: 'Devanagari', mr: 'Devanagari', ne: 'Devanagari'
+};
+
+// Kana share of Han and kana characters from which text counts as Japanese
+const MIN_KANA_RATIO = 0.05;
+// Characters looked at for detection
+const DETECTION_SAMPLE_LENGTH = 5000;
+
+// Silent reading speeds in words per minute (Trauzettel-Klosinski et al., 2012)
+const WORDS_PER_MINUTE = {
+    ar: 138, de: 179, en: 228, es: 218, fi: 161, fr: 195, he: 187, it: 188,
+    nl: 202, pl: 166, pt: 181, ru: 184, sl: 180, sv: 199, tr: 166
+};
+const DEFAULT_WORDS_PER_MINUTE = 200;
+
+// Chinese and Japanese have no word spacing, their speeds are measured in characters per minute
+const CHARACTERS_PER_MINUTE = { zh: 255, ja: 357 };
+
+// Flesch Reading Ease and its adaptations: base - sentenceWeight * words per sentence
+// - syllableWeight * syllables per word, all on the English 0-100 scale
+const READING_EASE_FORMULAS = {
+    en: { base: 206.835, sentenceWeight: 1.015, syllableWeight: 84.6 }, // Flesch
+    de: { base: 180, sentenceWeight: 1, syllableWeight: 58.5 }, // Amstad
+    es: { base: 206.84, sentenceWeight: 1.02, syllableWeight: 60 }, // Fernández Huerta
+    fr: { base: 207, sentenceWeight: 1.015, syllableWeight: 73.6 }, // Kandel & Moles
+    it: { base: 217, sentenceWeight: 1.3, syllableWeight: 60 }, // Flesch-Vacca
+    nl: { base: 206.835, sentenceWeight: 0.93, syllableWeight: 77 }, // Douma
+    pt: { base: 248.835, sentenceWeight: 1.015, syllableWeight: 84.6 }, // Martins et al.
+    ru: { base: 206.835, sentenceWeight: 1.3, syllableWeight: 60.1 } // Oborneva
+};
+
+// Frequent words that say nothing about the topic of a text
+const STOP_WORDS = {
+    en: ['this', 'that', 'with', 'have', 'will', 'from', 'they', 'know', 'want', 'been', 'good', 'much',
+        'some', 'time', 'very', 'when', 'come', 'here', 'just', 'like', 'long', 'make', 'many', 'over',
+        'such', 'take', 'than', 'them', 'well', 'were', 'what', 'your'],
+    de: ['aber', 'auch', 'auf', 'aus', 'dass', 'dem', 'den', 'der', 'des', 'die', 'durch', 'eine', 'einem',
+        'einen', 'einer', 'eines', 'für', 'haben', 'hat', 'ist', 'mit', 'nach', 'nicht', 'noch', 'oder',
+        'sich', 'sie', 'sind', 'über', 'und', 'unter', 'vom', 'von', 'wenn', 'werden', 'wird', 'wie', 'zum', 'zur'],
+    es: ['como', 'con', 'cuando', 'del', 'desde', 'entre', 'esta', 'este', 'esto', 'han', 'hasta', 'las',
+        'los', 'más', 'muy', 'para', 'pero', 'por', 'porque', 'que', 'sin', 'sobre', 'son', 'también', 'una', 'uno'],
+    fr: ['aussi', 'avec', 'cette', 'comme', 'dans', 'des', 'elle', 'est', 'être', 'les', 'leur', 'mais',
+        'même', 'nous', 'par', 'pas', 'plus', 'pour', 'qui', 'que', 'sans', 'ses', 'son', 'sont', 'sur',
+        'tout', 'une', 'vous'],
+    it: ['anche', 'come', 'con', 'della', 'delle', 'degli', 'dello', 'gli', 'loro', 'nel', 'nella', 'non',
+        'per', 'più', 'quando', 'questa', 'questo', 'sono', 'sulla', 'una', 'che'],
+    nl: ['aan', 'als', 'bij', 'dan', 'dat', 'deze', 'die', 'door', 'een', 'het', 'hij', 'maar', 'met',
+        'naar', 'niet', 'ook', 'over', 'van', 'voor', 'wat', 'werd', 'wordt', 'zijn', 'zij'],
+    pt: ['como', 'com', 'das', 'dos', 'ela', 'ele', 'essa', 'esse', 'esta', 'este', 'isso', 'mais', 'mas',
+        'muito', 'nas', 'nos', 'para', 'pela', 'pelo', 'por', 'que', 'sem', 'são', 'sobre', 'também', 'uma'],
+    ru: ['было', 'быть', 'был', 'была', 'были', 'его', 'если', 'есть', 'еще', 'ещё', 'или', 'как', 'когда',
+        'который', 'которые', 'для', 'также', 'так', 'только', 'что', 'чтобы', 'это', 'этот', 'эти'],
+    zh: ['我们', '你们', '他们', '她们', '这个', '那个', '这些', '那些', '一个', '没有', '因为', '所以', '但是',
+        '可以', '自己', '什么', '如果', '已经', '就是', '还是', '不是', '这样', '以及', '进行', '正在'],
+    ja: ['これ', 'それ', 'あれ', 'この', 'その', 'ため', 'こと', 'もの', 'よう', 'です', 'ます', 'した',
+        'して', 'する', 'いる', 'ある', 'なる', 'また', 'から', 'まで', 'など', 'という']
+};
+const STOP_WORD_SETS = Object.fromEntries(
+    Object.entries(STOP_WORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Longest text handed to a segmenter at once
+// Every segment object holds a copy of the segmenter's input, so the cost grows with the square of its length
+const SEGMENT_MAX_LENGTH = 500;
+
+// Words of space-separated scripts as Intl.Segmenter finds them: letters, marks, digits and underscores,
+// joined by apostrophes and periods ("don't", "3.14") and by commas between digits ("2,500")
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}\p{Pc}]+(?:(?:['’.]|(?<=\p{N}),(?=\p{N}))[\p{L}\p{M}\p{N}\p{Pc}]+)*/gu;
+// Scripts written without spaces between words, only their runs need dictionary segmentation
+const UNSPACED_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Segmenters are expensive to create, keep one per locale and granularity
+const segmenters = new Map();
+
+const getSegmenter = (language, granularity) => {
+    const id = `${language || ''}:${granularity}`;
+
+    if (!segmenters.has(id)) {
+        let segmenter;
+        try {
+            segmenter = new Intl.Segmenter(language || undefined, { granularity });
+        } catch (error) {
+            // Unknown locale, ICU segmentation works for all scripts without one
+            segmenter = new Intl.Segmenter(undefined, { granularity });
+        }
+        segmenters.set(id, segmenter);
+    }
+
+    return segmenters.get(id);
+};
+
+// Segment text with a cached segmenter, calling onSegment for each segment
+// Long lines are fed to the segmenter in pieces of at most SEGMENT_MAX_LENGTH characters, each cut where
+// the segmenter starts the last segment of the piece, so the segments are the same as for the whole text
+const forEachSegment = (text, language, granularity, onSegment) => {
+    const segmenter = getSegmenter(language, granularity);
+
+    for (let line of text.split('\n')) {
+        while (line.length > SEGMENT_MAX_LENGTH) {
+            let cut = 0;
+            for (const { index } of segmenter.segment(line.slice(0, SEGMENT_MAX_LENGTH))) {
+                cut = index;
+            }
+
+            // One segment longer than a piece, cut anywhere but inside a surrogate pair
+            if (cut === 0) {
+                cut = /[\uD800-\uDBFF]/.test(line[SEGMENT_MAX_LENGTH - 1]) ? SEGMENT_MAX_LENGTH - 1 : SEGMENT_MAX_LENGTH;
+            }
+
+            for (const segment of segmenter.segment(line.slice(0, cut))) {
+                onSegment(segment);
+            }
+            line = line.slice(cut);
+        }
+
+        for (const segment of segmenter.segment(line)) {
+            onSegment(segment);
+        }
+    }
+};
+
+/**
+ * Reduce a language tag to its primary language
+ * @param {string} tag - Language tag, e.g. "en-US" or "zh-Hant-TW"
+ * @returns {string|null} Lowercase language code, e.g. "en", or null if not a valid tag
+ */
+function normalizeLanguage(tag) {
+    if (typeof tag !== 'string' || !tag.trim()) {
+        return null;
+    }
+
+    try {
+        const [canonical] = Intl.getCanonicalLocales(tag.trim().replace(/_/g, '-'));
+        const { language } = new Intl.Locale(canonical);
+        // Longer subtags are syntactically valid but unassigned, like the extension's "unknown"
+        return /^[a-z]{2,3}$/.test(language) ? language : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Guess the language of a text from its writing system
+ * Latin script text is assumed to be English, the script cannot tell its languages apart
+ * @param {string} text - Text to inspect
+ * @returns {Object|null} { language, script }, or null if the text has no letters
+ */
+function detectLanguage(text) {
+    const counts = {};
+
+    for (const character of (text || '').slice(0, DETECTION_SAMPLE_LENGTH)) {
+        const match = SCRIPTS.find(({ pattern }) => pattern.test(character));
+        if (match) {
+            counts[match.script] = (counts[match.script] || 0) + 1;
+        }
+    }
+
+    // Japanese text uses Han characters too, the kana decide
+    const kana = counts.Japanese || 0;
+    if (kana > 0 && kana / (kana + (counts.Han || 0)) >= MIN_KANA_RATIO) {
+        counts.Japanese += counts.Han || 0;
+        delete counts.Han;
+    }
+
+    const [dominant] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (!dominant) {
+        return null;
+    }
+
+    const { script, language } = SCRIPTS.find(entry => entry.script === dominant[0]);
+    return { language, script };
+}
+
+/**
+ * Resolve the language of page content
+ * The declared language (HTML lang attribute) wins unless the text is written in another script,
+ * as happens with site templates that declare "en" for every page
+ * @param {string} declared - Declared language tag, e.g. metadata.language
+ * @param {string} text - Page text
+ * @returns {string} Language code, "en" if nothing is known
+ */
+function resolveLanguage(declared, text) {
+    const language = normalizeLanguage(declared);
+    const detected = detectLanguage(text);
+
+    if (!detected) {
+        return language || 'en';
+    }
+
+    if (language && (LANGUAGE_SCRIPTS[language] || 'Latin') === detected.script) {
+        return language;
+    }
+
+    return detected.language;
+}
+
+/**
+ * English name of a language, for prompts
+ * @param {string} tag - Language tag
+ * @returns {string} e.g. "German" for "de", "Chinese (Taiwan)" for "zh-TW"
+ */
+function getLanguageName(tag) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag;
+    } catch (error) {
+        return tag;
+    }
+}
+
+/**
+ * Split text into words, using dictionary segmentation for scripts without spaces
+ * @param {string} text - Text to split
+ * @param {string} [language] - Language code
+ * @returns {Array} Words, without punctuation
+ */
+function segmentWords(text, language) {
+    const words = [];
+
+    for (const [token] of (text || '').matchAll(WORD_PATTERN)) {
+        if (!UNSPACED_SCRIPT_PATTERN.test(token)) {
+            words.push(token);
+            continue;
+        }
+
+        forEachSegment(token, language, 'word', ({ segment, isWordLike }) => {
+            if (isWordLike) {
+                words.push(segment);
+            }
+        });
+    }
+
+    return words;
+}
+
+/**
+ * Split text into sentences, also at full-width punctuation and line breaks
+ * @param {string} text - Text to split
+ * @param {string} [language] - Language code
+ * @returns {Array} Trimmed sentences
+ */
+function segmentSentences(text, language) {
+    const sentences = [];
+
+    forEachSegment(text || '', language, 'sentence', ({ segment }) => {
+        const sentence = segment.trim();
+        if (sentence) {
+            sentences.push(sentence);
+        }
+    });
+
+    return sentences;
+}
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text to count
+ * @param {string} [language] - Language code
+ * @returns {number}
+ */
+function countWords(text, language) {
+    return segmentWords(text, language).length;
+}
+
+/**
+ * Estimate the silent reading time of a text
+ * @param {string} text - Text to read
+ * @param {string} language - Language code
+ * @returns {number} Minutes, unrounded
+ */
+function estimateReadingMinutes(text, language) {
+    if (CHARACTERS_PER_MINUTE[language]) {
+        const characters = ((text || '').match(/[\p{L}\p{N}]/gu) || []).length;
+        return characters / CHARACTERS_PER_MINUTE[language];
+    }
+
+    return countWords(text, language) / (WORDS_PER_MINUTE[language] || DEFAULT_WORDS_PER_MINUTE);
+}
+
+/**
+ * Reading ease formula calibrated for a language
+ * @param {string} language - Language code
+ * @returns {Object|null} { base, sentenceWeight, syllableWeight }, or null if there is none
+ */
+function getReadingEaseFormula(language) {
+    return READING_EASE_FORMULAS[language] || null;
+}
+
+/**
+ * Check whether a lowercase word is a stop word of a language
+ * @param {string} word - Lowercase word
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function isStopWord(word, language) {
+    return STOP_WORD_SETS[language]?.has(word) || false;
+}
+
+/**
+ * Check whether a language is written without spaces between words
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function isUnspacedLanguage(language) {
+    return ['zh', 'ja', 'th'].includes(language);
+}
+
+module.exports = {
+    normalizeLanguage,
+    detectLanguage,
+    resolveLanguage,
+    getLanguageName,
+    segmentWords,
+    segmentSentences,
+    countWords,
+    estimateReadingMinutes,
+    getReadingEaseFormula,
+    isStopWord,
+    isUnspacedLanguage
+};
@@ -0,0 +1,126 @@
+// Outbound link classification
+// Sorts the links of a page into navigation, citations, social, affiliate/ads and downloads
+
+// Link types, in the order they are reported
+const LINK_TYPES = ['internal', 'citation', 'social', 'affiliate', 'download'];
+
+// Social networks and share endpoints, subdomains included
+const SOCIAL_DOMAINS = [
+    'facebook.com', 'fb.com', 'fb.me', 'twitter.com', 'x.com', 't.co', 'instagram.com', 'linkedin.com',
+    'tiktok.com', 'youtube.com', 'youtu.be', 'pinterest.com', 'reddit.com', 'tumblr.com', 'threads.net',
+    'bsky.app', 'mastodon.social', 'snapchat.com', 'whatsapp.com', 'wa.me', 't.me', 'telegram.me',
+    'discord.gg', 'discord.com', 'vk.com', 'weibo.com', 'line.me'
+];
+
+// Ad servers, affiliate networks and shop link shorteners, subdomains included
+const AFFILIATE_DOMAINS = [
+    'doubleclick.net', 'googleadservices.com', 'googlesyndication.com', 'adservice.google.com', 'taboola.com',
+    'outbrain.com', 'amzn.to', 'amzn.com', 'shareasale.com', 'awin1.com', 'linksynergy.com', 'anrdoezrs.net',
+    'jdoqocy.com', 'tkqlhce.com', 'dpbolvw.net', 'kqzyfj.com', 'skimresources.com', 'skimlinks.com',
+    'viglink.com', 'rstyle.me', 'shopstyle.it', 'howl.me', 'go2cloud.org', 'impact.com', 'partnerize.com',
+    'prf.hn', 'clickbank.net', 'avantlink.com', 'pntra.com', 'pjtra.com', 'sjv.io'
+];
+
+// Query parameters carrying affiliate or ad campaign IDs
+const AFFILIATE_PARAMS = [
+    'affid', 'aff_id', 'affiliate', 'affiliate_id', 'aff', 'ref_id', 'clickid', 'irclickid',
+    'subid', 'aff_sub', 'ranmid', 'ranEAID'
+];
+const AFFILIATE_UTM_MEDIUMS = ['affiliate', 'cpc', 'ppc', 'paid', 'display', 'sponsored'];
+
+// Files downloaded rather than read; documents are citations when they come from another site
+const DOWNLOAD_EXTENSIONS = [
+    'zip', 'rar', '7z', 'gz', 'tgz', 'bz2', 'xz', 'tar', 'exe', 'msi', 'dmg', 'pkg', 'deb', 'rpm', 'apk',
+    'appimage', 'iso', 'img', 'bin', 'jar', 'mp3', 'wav', 'flac', 'mp4', 'mov', 'avi', 'mkv', 'epub', 'torrent'
+];
+const DOCUMENT_EXTENSIONS = ['pdf', 'doc', 'docx', 'odt', 'rtf', 'ppt', 'pptx', 'xls', 'xlsx', 'csv', 'ods'];
+
+// Second-level labels under which country domains register names, e.g. example.co.uk
+const COUNTRY_SECOND_LEVELS = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go'];
+
+const matchesDomain = (hostname, domains) =>
+    domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+/**
+ * Parse a link URL
+ * @param {string} url - Absolute URL
+ * @returns {URL|null} Parsed URL, null for anything that is not http(s)
+ */
+function parseLinkUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the registrable domain of a hostname, so subdomains of one site count as the same source
+ * @param {string} hostname - e.g. "news.bbc.co.uk"
+ * @returns {string} e.g. "bbc.co.uk"
+ */
+function getSiteDomain(hostname) {
+    const labels = hostname.toLowerCase().replace(/^www\./, '').split('.');
+    if (labels.length <= 2) {
+        return labels.join('.');
+    }
+
+    const countryDomain = labels[labels.length - 1].length === 2 &&
+        COUNTRY_SECOND_LEVELS.includes(labels[labels.length - 2]);
+
+    return labels.slice(countryDomain ? -3 : -2).join('.');
+}
+
+/**
+ * Classify a link of a page
+ * Ads, social networks and downloads are recognized first, then links within the site are
+ * navigation unless the page marks them as citations (footnotes, reference lists), and every
+ * other link to another site is taken to cite it
+ * @param {Object} link - Link from the extension: { url, text, rel, download, citation }
+ * @param {string} pageUrl - URL of the page the link is on
+ * @returns {string|null} One of LINK_TYPES, null if the URL is not a web link
+ */
+function classifyLink(link, pageUrl) {
+    const target = parseLinkUrl(link.url);
+    if (!target) {
+        return null;
+    }
+
+    const page = parseLinkUrl(pageUrl);
+    const hostname = target.hostname.toLowerCase();
+    const isInternal = page ? getSiteDomain(hostname) === getSiteDomain(page.hostname) : false;
+    const rel = (link.rel || '').split(/\s+/);
+    const extension = target.pathname.toLowerCase().match(/\.([a-z0-9]{1,8})$/)?.[1];
+
+    const utmMedium = target.searchParams.get('utm_medium')?.toLowerCase();
+    if (rel.includes('sponsored') || matchesDomain(hostname, AFFILIATE_DOMAINS) ||
+        AFFILIATE_PARAMS.some(param => target.searchParams.has(param)) ||
+        (/(^|\.)amazon\.[a-z.]+$/.test(hostname) && target.searchParams.has('tag')) ||
+        AFFILIATE_UTM_MEDIUMS.includes(utmMedium)) {
+        return 'affiliate';
+    }
+
+    if (matchesDomain(hostname, SOCIAL_DOMAINS)) {
+        return 'social';
+    }
+
+    if (link.download || DOWNLOAD_EXTENSIONS.includes(extension) ||
+        (isInternal && !link.citation && DOCUMENT_EXTENSIONS.includes(extension))) {
+        return 'download';
+    }
+
+    // Footnote markers point into the page itself, the reference they lead to is the citation
+    if (isInternal && (target.pathname === page.pathname || !link.citation)) {
+        return 'internal';
+    }
+
+    return 'citation';
+}
+
+module.exports = {
+    LINK_TYPES,
+    classifyLink,
+    getSiteDomain,
+    parseLinkUrl
+};
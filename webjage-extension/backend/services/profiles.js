@@ -0,0 +1,326 @@
+// Analysis profile store
+// Named evaluation rubrics with their own prompt template, scoring criteria and extra output fields,
+// selected explicitly or automatically by the page's domain
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, '..', 'data', 'profiles.json');
+
+// Analyses without a matching profile use the general rubric of buildAnalysisPrompt
+const GENERAL_PROFILE_ID = 'general';
+
+// Types of the extra output fields a profile can ask for
+const FIELD_TYPES = ['string', 'number', 'boolean', 'array'];
+
+// Placeholders available in prompt templates
+const TEMPLATE_VARIABLES = ['url', 'title', 'pageType', 'language'];
+
+const BUILT_IN_PROFILES = [
+    {
+        id: GENERAL_PROFILE_ID,
+        name: 'General',
+        description: 'General-purpose rubric for any webpage',
+        domains: [],
+        promptTemplate: '',
+        criteria: [],
+        fields: {}
+    },
+    {
+        id: 'academic-paper',
+        name: 'Academic paper review',
+        description: 'Peer-review style evaluation of research papers and preprints',
+        domains: ['arxiv.org', 'biorxiv.org', 'medrxiv.org', 'openreview.net', 'dl.acm.org', 'ieeexplore.ieee.org', '*.nature.com', '*.sciencedirect.com', 'link.springer.com', 'pubmed.ncbi.nlm.nih.gov'],
+        promptTemplate: 'Review the following academic paper "{{title}}" like a careful peer reviewer. Judge the research question, methodology, evidence and whether the conclusions follow from the results.',
+        criteria: [
+            'Clear, well-motivated research question',
+            'Sound methodology with adequate data or sample size',
+            'Conclusions supported by the presented results',
+            'Limitations and threats to validity acknowledged',
+            'Related work cited fairly',
+            'Enough detail (data, code, parameters) to reproduce the results'
+        ],
+        fields: {
+            researchQuestion: { type: 'string', label: 'Research question', description: 'The question the paper sets out to answer, in one sentence', required: true },
+            methodology: { type: 'string', label: 'Methodology', description: 'Study design and methods in one or two sentences', required: true },
+            reproducibility: { type: 'string', label: 'Reproducibility', description: 'How well the results could be reproduced', enum: ['High', 'Medium', 'Low', 'Cannot Determine'], required: true },
+            limitations: { type: 'array', label: 'Limitations', description: 'Main limitations of the study' },
+            peerReviewed: { type: 'boolean', label: 'Peer reviewed', description: 'Whether the paper appears to be peer reviewed rather than a preprint' }
+        }
+    },
+    {
+        id: 'security-advisory',
+        name: 'Security advisory triage',
+        description: 'Triage of vulnerability advisories: severity, exposure and required actions',
+        domains: ['nvd.nist.gov', 'www.cve.org', 'cve.mitre.org', '*.cisa.gov', 'msrc.microsoft.com', 'security.snyk.io', 'ubuntu.com', 'access.redhat.com'],
+        promptTemplate: 'Triage the following security advisory "{{title}}" for an operations team. Identify what is affected, how severe and exploitable the issue is, and what has to be done.',
+        criteria: [
+            'Affected products and versions stated precisely',
+            'Severity justified (CVSS vector, impact, attack complexity)',
+            'Exploitation status reported',
+            'Fixed versions, patches or workarounds given',
+            'Clear, actionable remediation steps'
+        ],
+        fields: {
+            cveIds: { type: 'array', label: 'CVE IDs', description: 'CVE identifiers mentioned in the advisory' },
+            affectedProducts: { type: 'array', label: 'Affected products', description: 'Affected products with their version ranges', required: true },
+            severity: { type: 'string', label: 'Severity', description: 'Overall severity', enum: ['Critical', 'High', 'Medium', 'Low', 'Unknown'], required: true },
+            cvssScore: { type: 'number', label: 'CVSS score', description: 'CVSS base score, leave out if not given', min: 0, max: 10 },
+            exploitedInTheWild: { type: 'boolean', label: 'Exploited in the wild', description: 'Whether active exploitation is reported' },
+            patchAvailable: { type: 'boolean', label: 'Patch available', description: 'Whether a fix or patch is available', required: true },
+            recommendedActions: { type: 'array', label: 'Recommended actions', description: 'Concrete steps, most urgent first', required: true }
+        }
+    },
+    {
+        id: 'product-review',
+        name: 'Product review authenticity',
+        description: 'Judges whether product reviews are genuine, informed and independent',
+        domains: ['*.amazon.com', '*.amazon.co.uk', '*.amazon.de', '*.trustpilot.com', '*.yelp.com', '*.tripadvisor.com', '*.bestbuy.com'],
+        promptTemplate: 'Evaluate the product reviews on the following page "{{title}}". Judge whether they read as genuine first-hand experiences, how informed and independent they are, and what a buyer should watch out for.',
+        criteria: [
+            'Specific first-hand details instead of generic praise',
+            'Balanced mention of drawbacks',
+            'Sponsorships, free products or affiliate links disclosed',
+            'No signs of review manipulation (repetitive wording, rating bursts, off-topic reviews)',
+            'Reviewer expertise relevant to the product'
+        ],
+        fields: {
+            authenticity: { type: 'string', label: 'Authenticity', description: 'Overall impression of the reviews', enum: ['Likely Genuine', 'Mixed', 'Likely Fake', 'Cannot Determine'], required: true },
+            sponsored: { type: 'boolean', label: 'Sponsored', description: 'Whether sponsorship, free products or affiliate links are involved' },
+            redFlags: { type: 'array', label: 'Red flags', description: 'Signs of fake or manipulated reviews' },
+            reviewerExpertise: { type: 'string', label: 'Reviewer expertise', description: 'How knowledgeable the reviewers appear', enum: ['High', 'Medium', 'Low', 'Cannot Determine'] }
+        }
+    },
+    {
+        id: 'api-docs',
+        name: 'API documentation quality',
+        description: 'Evaluates API reference and developer documentation',
+        domains: ['developer.*', 'developers.*', 'docs.*', '*.readthedocs.io', 'devdocs.io'],
+        promptTemplate: 'Evaluate the following API documentation page "{{title}}" from the point of view of a developer integrating the API for the first time.',
+        criteria: [
+            'Every endpoint, parameter and return value described with types',
+            'Working, copy-pasteable code examples',
+            'Authentication and error handling documented',
+            'Versioning, deprecations and rate limits stated',
+            'Easy to navigate, with consistent terminology'
+        ],
+        fields: {
+            hasCodeExamples: { type: 'boolean', label: 'Code examples', description: 'Whether the page includes code examples', required: true },
+            exampleQuality: { type: 'string', label: 'Example quality', description: 'Quality of the code examples', enum: ['High', 'Medium', 'Low', 'None'] },
+            authenticationDocumented: { type: 'boolean', label: 'Authentication documented', description: 'Whether authentication is explained' },
+            errorHandlingDocumented: { type: 'boolean', label: 'Error handling documented', description: 'Whether error responses and codes are explained' },
+            missingTopics: { type: 'array', label: 'Missing topics', description: 'Important topics the page leaves out' }
+        }
+    }
+];
+
+/**
+ * Convert a domain pattern into a regular expression matching hostnames
+ * "*" matches any characters, "*.example.com" matches example.com itself too
+ * @param {string} pattern - Domain pattern, e.g. "arxiv.org", "*.nature.com" or "docs.*"
+ * @returns {RegExp}
+ */
+const toDomainRegExp = (pattern) => {
+    const escaped = pattern.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped.replace(/^\.\*\\\./, '(.*\\.)?')}$`);
+};
+
+class ProfileStore {
+    /**
+     * @param {string} filePath - JSON file holding the custom profiles, created on the first write
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+
+        this.builtIns = new Map(BUILT_IN_PROFILES.map(profile => [profile.id, { ...profile, builtIn: true }]));
+        this.custom = new Map(); // id -> profile
+
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const { profiles = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const profile of profiles) {
+            this.custom.set(profile.id, { ...profile, builtIn: false });
+        }
+    }
+
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+        const profiles = [...this.custom.values()].map(({ builtIn, ...profile }) => profile);
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify({ profiles }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Get all profiles, custom ones first
+     * @returns {Array} Profiles
+     */
+    list() {
+        return [...this.custom.values(), ...this.builtIns.values()];
+    }
+
+    /**
+     * Get a profile by ID
+     * @param {string} id - Profile ID
+     * @returns {Object|null} Profile, or null if unknown
+     */
+    get(id) {
+        return this.custom.get(id) || this.builtIns.get(id) || null;
+    }
+
+    /**
+     * Find the profile for a page by its domain patterns
+     * Custom profiles are checked before built-in ones, the first match wins
+     * @param {string} url - Page URL
+     * @returns {Object|null} Matching profile, or null if none matches
+     */
+    match(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch {
+            return null;
+        }
+
+        return this.list().find(profile =>
+            profile.domains.some(pattern => toDomainRegExp(pattern).test(hostname))
+        ) || null;
+    }
+
+    /**
+     * Pick the profile of an analysis
+     * @param {string} [id] - Requested profile ID, automatic selection by domain if omitted
+     * @param {string} url - Page URL
+     * @returns {Object|null} Profile, or null for the general rubric
+     */
+    resolve(id, url) {
+        const profile = id ? this.get(id) : this.match(url);
+        return profile && profile.id !== GENERAL_PROFILE_ID ? profile : null;
+    }
+
+    /**
+     * Add a custom profile
+     * @param {Object} definition - { id, name, description, domains, promptTemplate, criteria, fields }
+     * @returns {Object} Created profile
+     */
+    create(definition) {
+        if (this.get(definition.id)) {
+            throw new Error(`A profile with ID "${definition.id}" already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const profile = {
+            id: definition.id,
+            name: definition.name,
+            description: definition.description || '',
+            domains: definition.domains || [],
+            promptTemplate: definition.promptTemplate || '',
+            criteria: definition.criteria || [],
+            fields: definition.fields || {},
+            createdAt: now,
+            updatedAt: now,
+            builtIn: false
+        };
+
+        this.custom.set(profile.id, profile);
+        this.save();
+
+        return profile;
+    }
+
+    /**
+     * Change a custom profile
+     * @param {string} id - Profile ID
+     * @param {Object} changes - Any of name, description, domains, promptTemplate, criteria, fields
+     * @returns {Object|null} Updated profile, or null if unknown
+     */
+    update(id, changes) {
+        if (this.builtIns.has(id)) {
+            throw new Error('Built-in profiles cannot be changed, create a custom profile instead');
+        }
+
+        const profile = this.custom.get(id);
+        if (!profile) {
+            return null;
+        }
+
+        ['name', 'description', 'domains', 'promptTemplate', 'criteria', 'fields'].forEach(key => {
+            if (changes[key] !== undefined) profile[key] = changes[key];
+        });
+        // Part of the analysis cache key, so cached results of the old version are not reused
+        profile.updatedAt = new Date().toISOString();
+
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Delete a custom profile
+     * @param {string} id - Profile ID
+     * @returns {boolean} Whether the profile existed
+     */
+    delete(id) {
+        if (this.builtIns.has(id)) {
+            throw new Error('Built-in profiles cannot be deleted');
+        }
+
+        if (!this.custom.delete(id)) {
+            return false;
+        }
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * Convert the extra fields of a profile into a schema for the shared validate()
+     * @param {Object} profile - Profile
+     * @returns {Object} Object schema of analysis.profileFields
+     */
+    getFieldsSchema(profile) {
+        const properties = Object.fromEntries(Object.entries(profile.fields).map(([name, field]) => [name, {
+            type: field.type,
+            required: field.required === true,
+            ...(field.enum && { enum: field.enum }),
+            ...(field.min !== undefined && { min: field.min }),
+            ...(field.max !== undefined && { max: field.max }),
+            ...(field.type === 'array' && { items: { type: 'string', minLength: 1 } })
+        }]));
+
+        return { type: 'object', required: true, properties };
+    }
+
+    /**
+     * Cache key part identifying a profile version
+     * @param {Object|null} profile - Profile, null for the general rubric
+     * @returns {string|undefined} e.g. "academic-paper@built-in"
+     */
+    getVersion(profile) {
+        return profile ? `${profile.id}@${profile.updatedAt || 'built-in'}` : undefined;
+    }
+
+    /**
+     * Summary of a profile attached to analysis results
+     * @param {Object} profile - Profile
+     * @returns {Object} { id, name, fields: [{ name, label }] }
+     */
+    describe(profile) {
+        return {
+            id: profile.id,
+            name: profile.name,
+            fields: Object.entries(profile.fields).map(([name, field]) => ({ name, label: field.label || name }))
+        };
+    }
+}
+
+module.exports = new ProfileStore(process.env.PROFILES_FILE || DEFAULT_PROFILES_FILE);
+module.exports.GENERAL_PROFILE_ID = GENERAL_PROFILE_ID;
+module.exports.FIELD_TYPES = FIELD_TYPES;
+module.exports.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
@@ -0,0 +1,86 @@
+// Anthropic Claude provider
+// Sends chat requests through the official Anthropic SDK
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { recordTokenUsage } = require('../usage');
+
+class AnthropicProvider {
+    /**
+     * @param {Object} config - { apiKey, baseURL, model, maxTokens, temperature }
+     */
+    constructor(config) {
+        this.name = 'anthropic';
+        this.displayName = 'Claude';
+        this.config = config;
+
+        this.client = new Anthropic({
+            baseURL: config.baseURL,
+            apiKey: config.apiKey,
+        });
+    }
+
+    isConfigured() {
+        return !!this.config.apiKey;
+    }
+
+    /**
+     * Build SDK request parameters from a provider request
+     * @param {Object} request - { system, messages, maxTokens, temperature }
+     * @returns {Object} Messages API parameters
+     */
+    buildParams(request) {
+        const params = {
+            model: this.config.model,
+            max_tokens: request.maxTokens || this.config.maxTokens,
+            temperature: request.temperature ?? this.config.temperature,
+            messages: request.messages
+        };
+
+        if (request.system) {
+            params.system = request.system;
+        }
+
+        return params;
+    }
+
+    /**
+     * Send a request and wait for the full response
+     * @param {Object} request - { system, messages, maxTokens, temperature }
+     * @param {Object} options - { signal }
+     * @returns {Promise<string>} Response text
+     */
+    async complete(request, options = {}) {
+        const response = await this.client.messages.create(this.buildParams(request), {
+            signal: options.signal
+        });
+
+        recordTokenUsage(response.usage?.input_tokens, response.usage?.output_tokens);
+
+        return response.content[0].text;
+    }
+
+    /**
+     * Send a request and stream the response text
+     * @param {Object} request - { system, messages, maxTokens, temperature }
+     * @param {Function} onText - Called with (textDelta, textSnapshot) for each chunk
+     * @param {Object} options - { signal }
+     * @returns {Promise<string>} Full response text
+     */
+    async stream(request, onText, options = {}) {
+        const stream = this.client.messages.stream(this.buildParams(request), {
+            signal: options.signal
+        });
+
+        stream.on('text', onText);
+
+        const message = await stream.finalMessage();
+        recordTokenUsage(message.usage?.input_tokens, message.usage?.output_tokens);
+
+        return message.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,67 @@
+// LLM provider registry
+// Selects and configures the provider used for analysis from environment variables
+
+const AnthropicProvider = require('./anthropic');
+const OpenAIProvider = require('./openai');
+const MockProvider = require('./mock');
+
+const DEFAULT_PROVIDER = 'anthropic';
+
+const parseNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? fallback : number;
+};
+
+// Provider classes with their configuration
+// Read lazily so only the selected provider's variables matter
+const PROVIDERS = {
+    anthropic: {
+        Provider: AnthropicProvider,
+        config: () => ({
+            apiKey: process.env.ANTHROPIC_API_KEY,
+            baseURL: process.env.ANTHROPIC_BASE_URL,
+            model: process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307', // Fast and cost-effective model
+            maxTokens: parseNumber(process.env.ANTHROPIC_MAX_TOKENS, 1000),
+            // TEMPERATURE is the original, provider-independent setting
+            temperature: parseNumber(process.env.ANTHROPIC_TEMPERATURE ?? process.env.TEMPERATURE, 0.3)
+        })
+    },
+    openai: {
+        Provider: OpenAIProvider,
+        config: () => ({
+            apiKey: process.env.OPENAI_API_KEY,
+            baseURL: process.env.OPENAI_BASE_URL,
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            maxTokens: parseNumber(process.env.OPENAI_MAX_TOKENS, 1000),
+            temperature: parseNumber(process.env.OPENAI_TEMPERATURE ?? process.env.TEMPERATURE, 0.3)
+        })
+    },
+    mock: {
+        Provider: MockProvider,
+        config: () => ({
+            model: 'mock',
+            maxTokens: parseNumber(process.env.MOCK_MAX_TOKENS, 1000),
+            temperature: 0,
+            latency: parseNumber(process.env.MOCK_LATENCY_MS, 500)
+        })
+    }
+};
+
+/**
+ * Create the configured LLM provider
+ * @param {string} [name] - Provider name, defaults to LLM_PROVIDER
+ * @returns {Object} Provider instance
+ */
+function createProvider(name = process.env.LLM_PROVIDER || DEFAULT_PROVIDER) {
+    const entry = PROVIDERS[name.toLowerCase()];
+    if (!entry) {
+        throw new Error(`Unknown LLM provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return new entry.Provider(entry.config());
+}
+
+module.exports = {
+    createProvider,
+    PROVIDERS
+};
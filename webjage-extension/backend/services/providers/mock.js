@@ -0,0 +1,206 @@
+// Mock provider for offline development
+// Returns deterministic analysis JSON without calling any AI service
+
+const crypto = require('crypto');
+const { recordTokenUsage, estimateTokens, estimatePromptTokens } = require('../usage');
+
+const CHUNK_SIZE = 24;
+
+class MockProvider {
+    /**
+     * @param {Object} config - { model, maxTokens, temperature, latency }
+     */
+    constructor(config) {
+        this.name = 'mock';
+        this.displayName = 'Mock';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Build a response for a request
+     * The same request always produces the same response
+     * @param {Object} request - { system, messages }
+     * @returns {string} Response text
+     */
+    buildResponse(request) {
+        const prompt = request.messages[request.messages.length - 1]?.content || '';
+        const digest = crypto.createHash('md5').update(prompt).digest();
+        const title = prompt.match(/^- Title: (.*)$/m)?.[1] || 'this page';
+
+        // Follow-up questions carry the page in the system prompt
+        if (request.system?.includes('"quotes"')) {
+            return this.buildChatResponse(request.system, prompt, request.messages.length);
+        }
+
+        if (prompt.includes('"contradictions"')) {
+            return this.buildComparisonResponse(prompt, digest);
+        }
+
+        if (prompt.includes('"claims"')) {
+            return this.buildFactCheckResponse(prompt, digest);
+        }
+
+        // Anything but an analysis request gets a plain text reply
+        if (!prompt.includes('"qualityScore"')) {
+            return `Mock response (${prompt.length} characters of input). No AI service was contacted.`;
+        }
+
+        return JSON.stringify({
+            summary: `Mock analysis of ${title}. This result was generated offline without contacting an AI service.`,
+            qualityScore: 1 + (digest[0] % 10),
+            credibility: ['High', 'Medium', 'Low'][digest[1] % 3],
+            sentiment: ['Positive', 'Neutral', 'Negative'][digest[2] % 3],
+            category: 'General',
+            readingTime: '1 min read',
+            keyPoints: [
+                'Mock key point derived from the page content',
+                'Responses are deterministic for identical input',
+                'Switch LLM_PROVIDER to use a real model'
+            ],
+            strengths: ['Works without network access'],
+            concerns: ['Not a real analysis'],
+            targetAudience: 'Developers',
+            complexity: 'Intermediate',
+            factualAccuracy: 'Cannot Determine',
+            bias: 'None Detected',
+            completeness: 'Mostly Complete',
+            profileFields: this.buildProfileFields(prompt, digest),
+            anchors: this.buildAnchors(prompt)
+        }, null, 2);
+    }
+
+    /**
+     * Fill the profile fields requested by an analysis prompt with their example values
+     * @param {string} prompt - Analysis prompt
+     * @param {Buffer} digest - Prompt digest, picks the enumerated values
+     * @returns {Object|undefined} Profile fields, undefined if the prompt has none
+     */
+    buildProfileFields(prompt, digest) {
+        const block = prompt.match(/^ {2}"profileFields": (\{[\s\S]*?^ {2}\})/m)?.[1];
+        if (!block) return undefined;
+
+        return Object.fromEntries(Object.entries(JSON.parse(block)).map(([name, example], i) => {
+            const options = typeof example === 'string' ? example.split('|') : null;
+            return [name, options ? options[digest[i % digest.length] % options.length] : example];
+        }));
+    }
+
+    /**
+     * Anchor the first key point and the concern to the first sentences of the analyzed content
+     * @param {string} prompt - Analysis prompt
+     * @returns {Array} Anchors
+     */
+    buildAnchors(prompt) {
+        const text = prompt.split('**Content to Analyze:**\n')[1]?.split('\n\n**Images:**')[0] || '';
+        const sentences = text.split(/(?<=[.!?])\s+/).filter(sentence => sentence.length > 20);
+
+        return [
+            sentences[0] && { type: 'keyPoint', index: 0, quote: sentences[0] },
+            sentences[1] && { type: 'concern', index: 0, quote: sentences[1] }
+        ].filter(Boolean);
+    }
+
+    /**
+     * Build a fact-check response claiming the first sentences of the checked content
+     * @param {string} prompt - Fact-check prompt
+     * @param {Buffer} digest - Prompt digest, picks the verdicts
+     * @returns {string} Response text
+     */
+    buildFactCheckResponse(prompt, digest) {
+        const text = prompt.split('**Content to Check:**\n')[1]?.split('\n\n**Requirements:**')[0] || '';
+        const sentences = text.split(/(?<=[.!?])\s+/).filter(sentence => sentence.length > 20);
+        const verdicts = ['supported', 'disputed', 'unverifiable'];
+
+        return JSON.stringify({
+            claims: sentences.slice(0, 3).map((sentence, i) => ({
+                claim: `Mock claim: ${sentence.slice(0, 80)}`,
+                verdict: verdicts[(digest[i] + i) % 3],
+                rationale: 'Mock verdict generated offline without contacting an AI service.',
+                sourceSentence: sentence
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Build a chat answer quoting the page sentence sharing the most words with the question
+     * @param {string} system - Chat system prompt with the page content
+     * @param {string} question - Last user message
+     * @param {number} messageCount - Messages in the conversation so far
+     * @returns {string} Response text
+     */
+    buildChatResponse(system, question, messageCount) {
+        const text = system.split('**Page Content:**\n')[1]?.split('\n\n**Answer Format:**')[0] || '';
+        const sentences = text.split(/(?<=[.!?])\s+/).filter(sentence => sentence.length > 20);
+        const words = question.toLowerCase().split(/\W+/).filter(word => word.length > 3);
+        const shared = (sentence) => words.filter(word => sentence.toLowerCase().includes(word)).length;
+        const quote = sentences.reduce((best, sentence) => shared(sentence) > shared(best) ? sentence : best, sentences[0]);
+
+        return JSON.stringify({
+            answer: `Mock answer to question ${Math.ceil(messageCount / 2)}: "${question.slice(0, 80)}". No AI service was contacted.`,
+            quotes: quote ? [quote] : []
+        }, null, 2);
+    }
+
+    /**
+     * Build a comparison ranking the sources in a digest-picked order
+     * @param {string} prompt - Comparison prompt
+     * @param {Buffer} digest - Prompt digest, picks the ranking
+     * @returns {string} Response text
+     */
+    buildComparisonResponse(prompt, digest) {
+        const count = (prompt.match(/^\*\*Source \d+:\*\*$/gm) || []).length;
+        const ranked = Array.from({ length: count }, (_, i) => i + 1)
+            .sort((a, b) => digest[a] - digest[b]);
+
+        return JSON.stringify({
+            summary: `Mock comparison of ${count} sources. This result was generated offline without contacting an AI service.`,
+            mostCredible: ranked[0],
+            mostComplete: ranked[ranked.length - 1],
+            mostBalanced: ranked[0],
+            agreements: ['Mock agreement shared by all sources'],
+            contradictions: count > 1 ? [{
+                topic: 'Mock point of disagreement',
+                positions: ranked.slice(0, 2).map(source => ({ source, position: `Mock position of source ${source}` }))
+            }] : [],
+            ranking: ranked.map((source, i) => ({ source, rationale: `Mock rank ${i + 1}` }))
+        }, null, 2);
+    }
+
+    async complete(request, options = {}) {
+        await this.delay(this.config.latency, options.signal);
+
+        const text = this.buildResponse(request);
+        // Simulated usage so quotas can be tried out offline
+        recordTokenUsage(estimatePromptTokens(request), estimateTokens(text));
+
+        return text;
+    }
+
+    async stream(request, onText, options = {}) {
+        const text = this.buildResponse(request);
+
+        for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+            await this.delay(this.config.latency / Math.ceil(text.length / CHUNK_SIZE), options.signal);
+            onText(text.slice(i, i + CHUNK_SIZE), text.slice(0, i + CHUNK_SIZE));
+        }
+
+        recordTokenUsage(estimatePromptTokens(request), estimateTokens(text));
+
+        return text;
+    }
+
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(new Error('Request aborted'));
+            }
+            setTimeout(resolve, ms || 0);
+        });
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,110 @@
+// OpenAI-compatible provider
+// Works with OpenAI and any server exposing /v1/chat/completions (llama.cpp, Ollama, vLLM...)
+
+const OpenAI = require('openai');
+const { recordTokenUsage, estimateTokens, estimatePromptTokens } = require('../usage');
+
+class OpenAIProvider {
+    /**
+     * @param {Object} config - { apiKey, baseURL, model, maxTokens, temperature }
+     */
+    constructor(config) {
+        this.name = 'openai';
+        this.displayName = 'OpenAI-compatible';
+        this.config = config;
+
+        this.client = new OpenAI({
+            baseURL: config.baseURL,
+            // Local servers usually don't check the key, but the SDK requires one
+            apiKey: config.apiKey || 'not-needed',
+        });
+    }
+
+    isConfigured() {
+        return !!(this.config.apiKey || this.config.baseURL);
+    }
+
+    /**
+     * Build SDK request parameters from a provider request
+     * @param {Object} request - { system, messages, maxTokens, temperature }
+     * @returns {Object} Chat completions parameters
+     */
+    buildParams(request) {
+        const messages = request.system
+            ? [{ role: 'system', content: request.system }, ...request.messages]
+            : request.messages;
+
+        return {
+            model: this.config.model,
+            max_tokens: request.maxTokens || this.config.maxTokens,
+            temperature: request.temperature ?? this.config.temperature,
+            messages
+        };
+    }
+
+    /**
+     * Send a request and wait for the full response
+     * @param {Object} request - { system, messages, maxTokens, temperature }
+     * @param {Object} options - { signal }
+     * @returns {Promise<string>} Response text
+     */
+    async complete(request, options = {}) {
+        const completion = await this.client.chat.completions.create(this.buildParams(request), {
+            signal: options.signal
+        });
+
+        const text = completion.choices[0]?.message?.content || '';
+        this.recordUsage(request, text, completion.usage);
+
+        return text;
+    }
+
+    /**
+     * Send a request and stream the response text
+     * @param {Object} request - { system, messages, maxTokens, temperature }
+     * @param {Function} onText - Called with (textDelta, textSnapshot) for each chunk
+     * @param {Object} options - { signal }
+     * @returns {Promise<string>} Full response text
+     */
+    async stream(request, onText, options = {}) {
+        const stream = await this.client.chat.completions.create({
+            ...this.buildParams(request),
+            stream: true
+        }, {
+            signal: options.signal
+        });
+
+        let snapshot = '';
+        let usage = null;
+        for await (const chunk of stream) {
+            // Only some servers report usage in streams, in the last chunk
+            usage = chunk.usage || usage;
+
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                snapshot += delta;
+                onText(delta, snapshot);
+            }
+        }
+
+        this.recordUsage(request, snapshot, usage);
+
+        return snapshot;
+    }
+
+    /**
+     * Report token usage, estimated when the server didn't include it
+     * @param {Object} request - Provider request
+     * @param {string} text - Response text
+     * @param {Object|null} usage - { prompt_tokens, completion_tokens }
+     */
+    recordUsage(request, text, usage) {
+        if (usage) {
+            recordTokenUsage(usage.prompt_tokens, usage.completion_tokens);
+        } else {
+            recordTokenUsage(estimatePromptTokens(request), estimateTokens(text));
+        }
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,351 @@
+// Source reputation store
+// Locally maintained ratings of domains and publishers, combined with the AI credibility of each analysis
+
+const fs = require('fs');
+const path = require('path');
+const { REPUTATION_RATINGS } = require('../../shared/types');
+
+const DEFAULT_REPUTATION_FILE = path.join(__dirname, '..', 'data', 'reputation.json');
+
+// Highest credibility a page can get from a source with this rating,
+// also the credibility of pages whose text the model could not judge
+const RATING_CREDIBILITY_CAPS = {
+    reliable: 'High',
+    mixed: 'Medium',
+    unreliable: 'Low',
+    disinformation: 'Low'
+};
+
+// Best first, the AI's "Cannot Determine" is not ranked
+const CREDIBILITY_LEVELS = ['High', 'Medium', 'Low'];
+
+// Page metadata naming the publisher, checked in order when the domain has no entry
+const PUBLISHER_METADATA_KEYS = ['og:site_name', 'publisher', 'application-name'];
+
+const CSV_COLUMNS = ['domain', 'publisher', 'rating', 'categories', 'notes'];
+
+/**
+ * Normalize a domain or URL to a bare lowercase hostname without "www."
+ * @param {string} value - e.g. "https://www.Example.com/news" or "example.com"
+ * @returns {string|null} e.g. "example.com", null if it is not a hostname
+ */
+const normalizeDomain = (value) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+
+    let hostname;
+    try {
+        hostname = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value.trim()) ? value.trim() : `http://${value.trim()}`).hostname;
+    } catch {
+        return null;
+    }
+
+    hostname = hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+    return hostname.includes('.') ? hostname : null;
+};
+
+const normalizePublisher = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array} Rows as arrays of strings
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines are not records
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+class ReputationStore {
+    /**
+     * @param {string} filePath - JSON file holding the entries, created on the first write
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+
+        this.entries = new Map(); // domain -> entry
+        this.publishers = new Map(); // normalized publisher name -> entry
+
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const { entries = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        entries.forEach(entry => this.index(entry));
+    }
+
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify({ entries: this.list() }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    index(entry) {
+        this.entries.set(entry.domain, entry);
+        if (entry.publisher) {
+            this.publishers.set(normalizePublisher(entry.publisher), entry);
+        }
+    }
+
+    unindex(entry) {
+        this.entries.delete(entry.domain);
+        if (entry.publisher && this.publishers.get(normalizePublisher(entry.publisher)) === entry) {
+            this.publishers.delete(normalizePublisher(entry.publisher));
+        }
+    }
+
+    /**
+     * Get all entries sorted by domain
+     * @param {Object} [filters] - { rating, category }
+     * @returns {Array} Entries
+     */
+    list({ rating, category } = {}) {
+        return [...this.entries.values()]
+            .filter(entry => !rating || entry.rating === rating)
+            .filter(entry => !category || entry.categories.includes(category))
+            .sort((a, b) => a.domain.localeCompare(b.domain));
+    }
+
+    /**
+     * Get the entry of a domain
+     * @param {string} domain - Domain or URL
+     * @returns {Object|null} Entry, or null if the domain has none
+     */
+    get(domain) {
+        return this.entries.get(normalizeDomain(domain)) || null;
+    }
+
+    /**
+     * Find the reputation entry of a page
+     * Subdomains inherit the entry of their parent domain, the publisher named in the
+     * page metadata is the fallback for domains without an entry
+     * @param {string} url - Page URL
+     * @param {Object} [metadata] - Page metadata
+     * @returns {Object|null} { entry, matchedBy: 'domain'|'publisher' }, or null if there is none
+     */
+    lookup(url, metadata = {}) {
+        const domain = normalizeDomain(url);
+        if (domain) {
+            const labels = domain.split('.');
+            for (let i = 0; i < labels.length - 1; i++) {
+                const entry = this.entries.get(labels.slice(i).join('.'));
+                if (entry) return { entry, matchedBy: 'domain' };
+            }
+        }
+
+        for (const key of PUBLISHER_METADATA_KEYS) {
+            const name = metadata?.[key];
+            const entry = typeof name === 'string' && name.trim() && this.publishers.get(normalizePublisher(name));
+            if (entry) return { entry, matchedBy: 'publisher' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Add or replace the entry of a domain
+     * @param {Object} definition - { domain, publisher, rating, categories, notes }
+     * @returns {Object} { entry, created }
+     */
+    upsert(definition) {
+        const result = this.put(definition);
+        this.save();
+        return result;
+    }
+
+    // upsert() without writing the file, for imports
+    put(definition) {
+        const domain = normalizeDomain(definition.domain);
+        const existing = this.entries.get(domain);
+        const now = new Date().toISOString();
+
+        const entry = {
+            domain,
+            publisher: definition.publisher?.trim() || '',
+            rating: definition.rating,
+            categories: [...new Set((definition.categories || []).map(category => category.trim()).filter(Boolean))],
+            notes: definition.notes?.trim() || '',
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        if (existing) this.unindex(existing);
+        this.index(entry);
+
+        return { entry, created: !existing };
+    }
+
+    /**
+     * Change the entry of a domain
+     * @param {string} domain - Domain
+     * @param {Object} changes - Any of publisher, rating, categories, notes
+     * @returns {Object|null} Updated entry, or null if the domain has none
+     */
+    update(domain, changes) {
+        const existing = this.get(domain);
+        if (!existing) {
+            return null;
+        }
+
+        const merged = { ...existing };
+        ['publisher', 'rating', 'categories', 'notes'].forEach(key => {
+            if (changes[key] !== undefined) merged[key] = changes[key];
+        });
+
+        return this.upsert(merged).entry;
+    }
+
+    /**
+     * Delete the entry of a domain
+     * @param {string} domain - Domain
+     * @returns {boolean} Whether the domain had an entry
+     */
+    delete(domain) {
+        const existing = this.get(domain);
+        if (!existing) {
+            return false;
+        }
+
+        this.unindex(existing);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Add or replace many entries at once, saved in one write
+     * @param {Array} definitions - Valid entry definitions
+     * @param {boolean} [replace] - Delete all existing entries first
+     * @returns {Object} { created, updated }
+     */
+    import(definitions, replace = false) {
+        if (replace) {
+            this.entries.clear();
+            this.publishers.clear();
+        }
+
+        const created = definitions.filter(definition => this.put(definition).created).length;
+        this.save();
+
+        return { created, updated: definitions.length - created };
+    }
+
+    /**
+     * Convert CSV text into entry definitions
+     * The header row names the columns: domain, publisher, rating, categories (separated by ";"), notes
+     * @param {string} text - CSV text
+     * @returns {Array} Definitions, invalid ones are checked by the caller
+     */
+    parseCsv(text) {
+        const [header, ...rows] = parseCsv(text.replace(/^﻿/, ''));
+        const columns = (header || []).map(name => name.trim().toLowerCase());
+
+        if (!columns.includes('domain') || !columns.includes('rating')) {
+            throw new Error(`CSV header must name the columns ${CSV_COLUMNS.join(', ')} (domain and rating are required)`);
+        }
+
+        return rows.map(cells => {
+            const record = Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()]));
+            return {
+                domain: record.domain,
+                publisher: record.publisher,
+                rating: record.rating.toLowerCase(),
+                categories: record.categories ? record.categories.split(';') : [],
+                notes: record.notes
+            };
+        });
+    }
+
+    /**
+     * Combine the AI credibility of a page with the reputation of its source
+     * A bad reputation caps the credibility, a good one cannot raise a poorly judged text,
+     * pages the model could not judge get the credibility their source's reputation allows
+     * @param {string} aiCredibility - Credibility from the model, e.g. "High" or "Cannot Determine"
+     * @param {Object|null} match - Result of lookup()
+     * @returns {Object} { credibility, aiCredibility, reputation, explanation }
+     */
+    assessCredibility(aiCredibility, match) {
+        const aiJudged = CREDIBILITY_LEVELS.includes(aiCredibility);
+        const aiPart = aiJudged
+            ? `The AI rated the text's credibility ${aiCredibility}.`
+            : 'The AI could not determine the credibility from the text.';
+
+        if (!match) {
+            return {
+                credibility: aiCredibility,
+                aiCredibility,
+                reputation: null,
+                explanation: `${aiPart} The source is not in the reputation database, so the AI rating stands.`
+            };
+        }
+
+        const { entry, matchedBy } = match;
+        const cap = RATING_CREDIBILITY_CAPS[entry.rating];
+        const credibility = !aiJudged || CREDIBILITY_LEVELS.indexOf(cap) > CREDIBILITY_LEVELS.indexOf(aiCredibility)
+            ? cap
+            : aiCredibility;
+
+        const source = matchedBy === 'publisher' ? `The publisher ${entry.publisher}` : `The domain ${entry.domain}`;
+        const sourcePart = `${source} is rated ${entry.rating} in the reputation database${entry.notes ? ` (${entry.notes.replace(/\.$/, '')})` : ''}.`;
+        const outcome = !aiJudged
+            ? `The final credibility ${credibility} is based on the source's reputation alone.`
+            : credibility !== aiCredibility
+                ? `The source's reputation limits the final credibility to ${credibility}.`
+                : `The final credibility stays ${credibility}.`;
+
+        return {
+            credibility,
+            aiCredibility,
+            reputation: { ...entry, matchedBy },
+            explanation: `${aiPart} ${sourcePart} ${outcome}`
+        };
+    }
+}
+
+module.exports = new ReputationStore(process.env.REPUTATION_FILE || DEFAULT_REPUTATION_FILE);
+module.exports.REPUTATION_RATINGS = REPUTATION_RATINGS;
+module.exports.normalizeDomain = normalizeDomain;
@@ -0,0 +1,411 @@
+// On-page SEO audit
+// Scored pass/warn/fail checks of titles, headings, indexing, social cards, languages, structured data and images
+
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 120, max: 160 };
+
+// Weight of each check in the score, checks without the data they need are left out
+const CHECK_WEIGHTS = {
+    'title': 12,
+    'meta-description': 10,
+    'h1': 10,
+    'heading-hierarchy': 6,
+    'canonical': 8,
+    'robots': 14,
+    'viewport': 8,
+    'open-graph': 5,
+    'twitter-card': 3,
+    'language': 4,
+    'hreflang': 4,
+    'structured-data': 6,
+    'image-alt': 6,
+    'image-dimensions': 4
+};
+
+const STATUS_SCORES = { pass: 1, warn: 0.5, fail: 0 };
+const STATUS_ORDER = ['fail', 'warn', 'pass'];
+
+const OPEN_GRAPH_REQUIRED = ['og:title', 'og:description', 'og:image'];
+const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+// Language, optionally with a script and/or region, e.g. "en", "zh-Hant", "pt-BR"
+const HREFLANG_PATTERN = /^(?:[a-z]{2,3}(?:-[a-z]{4})?(?:-(?:[a-z]{2}|\d{3}))?|x-default)$/i;
+// Displayed images loaded at more than this multiple of their size waste bandwidth
+const OVERSIZED_IMAGE_RATIO = 2;
+
+const check = (id, category, label, status, message, recommendation) => ({
+    id,
+    category,
+    label,
+    status,
+    message,
+    ...(status === 'pass' ? {} : { recommendation })
+});
+
+// Worst status of several findings of one check
+const worstStatus = (statuses) => STATUS_ORDER.find(status => statuses.includes(status)) || 'pass';
+
+const quote = (text) => `"${text.length > 60 ? `${text.slice(0, 57)}...` : text}"`;
+
+// URLs compared without fragment, trailing slash, "www." and protocol case
+const normalizeUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.hostname.replace(/^www\./, '')}${parsed.port ? `:${parsed.port}` : ''}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch {
+        return url;
+    }
+};
+
+// Entries of a list sent by the extension that are objects, the checks skip anything else
+const getObjects = (list) => Array.isArray(list)
+    ? list.filter(item => item && typeof item === 'object' && !Array.isArray(item))
+    : undefined;
+
+// Meta tags with a prefix, from the extension's SEO data or, for older clients, the flat page metadata
+const getMetaGroup = (group, metadata, prefix) => group ||
+    Object.fromEntries(Object.entries(metadata || {}).filter(([name]) => name.startsWith(`${prefix}:`)));
+
+function checkTitle(title) {
+    const length = title.trim().length;
+
+    if (length === 0) {
+        return check('title', 'Content', 'Title', 'fail', 'The page has no title',
+            `Add a descriptive <title> of ${TITLE_LENGTH.min}-${TITLE_LENGTH.max} characters naming the page topic`);
+    }
+    if (length < TITLE_LENGTH.min) {
+        return check('title', 'Content', 'Title', 'warn', `The title is only ${length} characters`,
+            `Lengthen the title to ${TITLE_LENGTH.min}-${TITLE_LENGTH.max} characters with the main topic and the site name`);
+    }
+    if (length > TITLE_LENGTH.max) {
+        return check('title', 'Content', 'Title', 'warn', `The title is ${length} characters and will be cut off in search results`,
+            `Shorten the title to at most ${TITLE_LENGTH.max} characters, leading with the main topic`);
+    }
+    return check('title', 'Content', 'Title', 'pass', `The title is ${length} characters`);
+}
+
+function checkMetaDescription(description) {
+    const length = (description || '').trim().length;
+
+    if (length === 0) {
+        return check('meta-description', 'Content', 'Meta description', 'fail', 'The page has no meta description',
+            `Add a <meta name="description"> of ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max} characters summarizing the page, search engines show it below the title`);
+    }
+    if (length < DESCRIPTION_LENGTH.min) {
+        return check('meta-description', 'Content', 'Meta description', 'warn', `The meta description is only ${length} characters`,
+            `Expand the meta description to ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max} characters`);
+    }
+    if (length > DESCRIPTION_LENGTH.max) {
+        return check('meta-description', 'Content', 'Meta description', 'warn', `The meta description is ${length} characters and will be cut off`,
+            `Shorten the meta description to at most ${DESCRIPTION_LENGTH.max} characters`);
+    }
+    return check('meta-description', 'Content', 'Meta description', 'pass', `The meta description is ${length} characters`);
+}
+
+function checkH1(headings) {
+    const h1s = headings.filter(heading => heading.level === 1);
+
+    if (h1s.length === 0) {
+        return check('h1', 'Content', 'H1 heading', 'fail', 'The page has no H1 heading',
+            'Add one H1 heading stating the topic of the page');
+    }
+    if (h1s.length > 1) {
+        return check('h1', 'Content', 'H1 heading', 'warn', `The page has ${h1s.length} H1 headings`,
+            'Keep a single H1 for the page topic and use H2-H6 for its sections');
+    }
+    if (!h1s[0].text) {
+        return check('h1', 'Content', 'H1 heading', 'fail', 'The H1 heading is empty',
+            'Put the page topic into the H1 heading as text, not only as an image');
+    }
+    return check('h1', 'Content', 'H1 heading', 'pass', `H1: ${quote(h1s[0].text)}`);
+}
+
+function checkHeadingHierarchy(headings) {
+    const findings = [];
+
+    const skip = headings.find((heading, index) => index > 0 && heading.level > headings[index - 1].level + 1);
+    if (skip) {
+        const previous = headings[headings.indexOf(skip) - 1];
+        findings.push({
+            status: 'warn',
+            message: `H${previous.level} ${quote(previous.text)} is followed by H${skip.level} ${quote(skip.text)}, skipping a level`,
+            recommendation: 'Nest headings without skipping levels, e.g. H2 sections with H3 subsections'
+        });
+    }
+
+    const empty = headings.filter(heading => !heading.text).length;
+    if (empty > 0) {
+        findings.push({
+            status: 'warn',
+            message: `${empty} heading${empty === 1 ? ' is' : 's are'} empty`,
+            recommendation: 'Remove empty headings or give them text, use CSS for spacing'
+        });
+    }
+
+    if (findings.length === 0) {
+        return check('heading-hierarchy', 'Content', 'Heading structure', 'pass', `${headings.length} headings, nested in order`);
+    }
+    return check('heading-hierarchy', 'Content', 'Heading structure', worstStatus(findings.map(finding => finding.status)),
+        findings.map(finding => finding.message).join('; '),
+        findings.map(finding => finding.recommendation).join('; '));
+}
+
+function checkCanonical(canonical, url) {
+    if (!canonical) {
+        return check('canonical', 'Indexing', 'Canonical URL', 'warn', 'The page declares no canonical URL',
+            'Add <link rel="canonical"> with the preferred URL, so duplicates (tracking parameters, print versions) are not indexed separately');
+    }
+    if (normalizeUrl(canonical) !== normalizeUrl(url)) {
+        return check('canonical', 'Indexing', 'Canonical URL', 'warn', `The canonical URL is another page: ${canonical}`,
+            'Search engines will index the canonical URL instead of this one, make sure that is intended');
+    }
+    return check('canonical', 'Indexing', 'Canonical URL', 'pass', 'The canonical URL is this page');
+}
+
+function checkRobots(robots) {
+    const directives = (robots || '').toLowerCase().split(/\s*,\s*/).filter(Boolean);
+
+    if (directives.includes('noindex') || directives.includes('none')) {
+        return check('robots', 'Indexing', 'Robots directives', 'fail', `The page asks search engines not to index it (robots: ${robots})`,
+            'Remove "noindex" from the robots meta tag if the page should appear in search results');
+    }
+    if (directives.includes('nofollow')) {
+        return check('robots', 'Indexing', 'Robots directives', 'warn', `Search engines are asked not to follow the page's links (robots: ${robots})`,
+            'Remove "nofollow" unless the links should pass no ranking, mark single links with rel="nofollow" instead');
+    }
+    return check('robots', 'Indexing', 'Robots directives', 'pass',
+        robots ? `The page is indexable (robots: ${robots})` : 'No robots meta tag, the page is indexable by default');
+}
+
+function checkViewport(viewport) {
+    if (!viewport) {
+        return check('viewport', 'Mobile', 'Viewport', 'fail', 'The page has no viewport meta tag and renders zoomed out on phones',
+            'Add <meta name="viewport" content="width=device-width, initial-scale=1">');
+    }
+    if (/user-scalable\s*=\s*(?:no|0)|maximum-scale\s*=\s*1(?:\.0)?(?![\d.])/i.test(viewport)) {
+        return check('viewport', 'Mobile', 'Viewport', 'warn', 'The viewport prevents zooming',
+            'Remove user-scalable=no and maximum-scale=1, readers with low vision need to zoom');
+    }
+    return check('viewport', 'Mobile', 'Viewport', 'pass', 'The page has a responsive viewport');
+}
+
+function checkOpenGraph(openGraph) {
+    const missing = OPEN_GRAPH_REQUIRED.filter(property => !openGraph[property]);
+
+    if (missing.length === OPEN_GRAPH_REQUIRED.length) {
+        return check('open-graph', 'Social', 'Open Graph', 'warn', 'The page has no Open Graph tags, shared links show no preview',
+            'Add og:title, og:description and og:image so shared links show a rich preview');
+    }
+    if (missing.length > 0) {
+        return check('open-graph', 'Social', 'Open Graph', 'warn', `Open Graph is missing ${missing.join(', ')}`,
+            `Add ${missing.join(', ')}`);
+    }
+    return check('open-graph', 'Social', 'Open Graph', 'pass',
+        `Title, description and image are set${openGraph['og:type'] ? ` (type ${openGraph['og:type']})` : ''}`);
+}
+
+function checkTwitterCard(twitterCard) {
+    const card = twitterCard['twitter:card'];
+
+    if (!card) {
+        return check('twitter-card', 'Social', 'Twitter/X card', 'warn', 'The page has no twitter:card tag',
+            'Add <meta name="twitter:card" content="summary_large_image">, title, description and image fall back to Open Graph');
+    }
+    if (!TWITTER_CARD_TYPES.includes(card)) {
+        return check('twitter-card', 'Social', 'Twitter/X card', 'warn', `Unknown card type "${card}"`,
+            `Use one of: ${TWITTER_CARD_TYPES.join(', ')}`);
+    }
+    return check('twitter-card', 'Social', 'Twitter/X card', 'pass', `Card type ${card}`);
+}
+
+function checkLanguage(language) {
+    if (!language || language === 'unknown') {
+        return check('language', 'International', 'Page language', 'warn', 'The page does not declare its language',
+            'Declare the language on the html element, e.g. <html lang="en">');
+    }
+    return check('language', 'International', 'Page language', 'pass', `Declared as ${language}`);
+}
+
+function checkHreflang(alternates, url, canonical) {
+    if (alternates.length === 0) {
+        return check('hreflang', 'International', 'Language versions', 'pass', 'No alternate language versions declared');
+    }
+
+    const findings = [];
+    const invalid = alternates.filter(alternate => !HREFLANG_PATTERN.test(alternate.lang || ''));
+    if (invalid.length > 0) {
+        findings.push({
+            status: 'fail',
+            message: `Invalid hreflang codes: ${invalid.map(alternate => `"${alternate.lang}"`).join(', ')}`,
+            recommendation: 'Use ISO 639-1 language codes with optional ISO 3166-1 regions, e.g. "en", "en-GB", or "x-default"'
+        });
+    }
+
+    const languages = alternates.map(alternate => String(alternate.lang || '').toLowerCase());
+    const duplicates = [...new Set(languages.filter((lang, index) => languages.indexOf(lang) !== index))];
+    if (duplicates.length > 0) {
+        findings.push({
+            status: 'warn',
+            message: `Several URLs for ${duplicates.join(', ')}`,
+            recommendation: 'Declare one URL per language and region'
+        });
+    }
+
+    const ownUrls = [url, canonical].filter(Boolean).map(normalizeUrl);
+    if (!alternates.some(alternate => ownUrls.includes(normalizeUrl(alternate.url)))) {
+        findings.push({
+            status: 'warn',
+            message: 'The page is not in its own list of language versions',
+            recommendation: 'Add a hreflang link to the page itself, search engines ignore hreflang sets without it'
+        });
+    }
+
+    if (!languages.includes('x-default')) {
+        findings.push({
+            status: 'warn',
+            message: 'No x-default version',
+            recommendation: 'Add hreflang="x-default" for readers whose language has no version'
+        });
+    }
+
+    if (findings.length === 0) {
+        return check('hreflang', 'International', 'Language versions', 'pass', `${alternates.length} language versions: ${languages.join(', ')}`);
+    }
+    return check('hreflang', 'International', 'Language versions', worstStatus(findings.map(finding => finding.status)),
+        findings.map(finding => finding.message).join('; '),
+        findings.map(finding => finding.recommendation).join('; '));
+}
+
+// schema.org types of a JSON-LD value, including @graph members
+const getJsonLdTypes = (value) => {
+    if (Array.isArray(value)) return value.flatMap(getJsonLdTypes);
+    if (!value || typeof value !== 'object') return [];
+    const own = [].concat(value['@type'] || []).filter(type => typeof type === 'string');
+    return [...own, ...getJsonLdTypes(value['@graph'] || [])];
+};
+
+// Top-level items of a block, each should name its @context and @type
+const getJsonLdItems = (value) => {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object' && Array.isArray(value['@graph'])) return value['@graph'].map(item => ({ '@context': value['@context'], ...item }));
+    return [value];
+};
+
+function checkStructuredData(blocks) {
+    if (blocks.length === 0) {
+        return check('structured-data', 'Structured data', 'JSON-LD', 'warn', 'The page has no JSON-LD structured data',
+            'Add schema.org JSON-LD (e.g. Article, Product, BreadcrumbList) to qualify for rich results');
+    }
+
+    const invalid = blocks.filter(block => block.error);
+    if (invalid.length > 0) {
+        return check('structured-data', 'Structured data', 'JSON-LD', 'fail',
+            `${invalid.length} of ${blocks.length} JSON-LD blocks are not valid JSON (${invalid[0].error})`,
+            'Fix the syntax errors, search engines ignore invalid blocks');
+    }
+
+    const parsed = blocks.filter(block => block.data);
+    const incomplete = parsed
+        .flatMap(block => getJsonLdItems(block.data))
+        .filter(item => !item || typeof item !== 'object' || !item['@context'] || !item['@type']);
+    const types = [...new Set(parsed.flatMap(block => getJsonLdTypes(block.data)))];
+    const typesText = types.length > 0 ? `types: ${types.join(', ')}` : 'no types';
+
+    if (incomplete.length > 0) {
+        return check('structured-data', 'Structured data', 'JSON-LD', 'warn',
+            `${incomplete.length} JSON-LD item${incomplete.length === 1 ? ' lacks' : 's lack'} @context or @type (${typesText})`,
+            'Give every item "@context": "https://schema.org" and a "@type"');
+    }
+    return check('structured-data', 'Structured data', 'JSON-LD', 'pass', `${blocks.length} block${blocks.length === 1 ? '' : 's'}, ${typesText}`);
+}
+
+function checkImageAlt(images) {
+    const missing = images.filter(image => image.alt === null || image.alt === undefined).length;
+
+    if (missing === 0) {
+        return check('image-alt', 'Images', 'Image alt text', 'pass', `All ${images.length} images have alt attributes`);
+    }
+    return check('image-alt', 'Images', 'Image alt text', missing / images.length > 0.5 ? 'fail' : 'warn',
+        `${missing} of ${images.length} images have no alt attribute`,
+        'Describe each image in its alt attribute, use alt="" for purely decorative images');
+}
+
+function checkImageDimensions(images) {
+    const findings = [];
+
+    const unsized = images.filter(image => !image.width || !image.height).length;
+    if (unsized > 0) {
+        findings.push({
+            message: `${unsized} of ${images.length} images have no width and height attributes, the layout shifts while they load`,
+            recommendation: 'Set width and height attributes on images so the browser reserves their space'
+        });
+    }
+
+    const oversized = images.filter(image => image.displayWidth > 0 &&
+        image.naturalWidth > image.displayWidth * OVERSIZED_IMAGE_RATIO).length;
+    if (oversized > 0) {
+        findings.push({
+            message: `${oversized} image${oversized === 1 ? ' is' : 's are'} more than ${OVERSIZED_IMAGE_RATIO} times larger than displayed`,
+            recommendation: 'Serve images resized to their displayed size, or responsive images with srcset'
+        });
+    }
+
+    if (findings.length === 0) {
+        return check('image-dimensions', 'Images', 'Image dimensions', 'pass', `All ${images.length} images are sized`);
+    }
+    return check('image-dimensions', 'Images', 'Image dimensions', 'warn',
+        findings.map(finding => finding.message).join('; '),
+        findings.map(finding => finding.recommendation).join('; '));
+}
+
+/**
+ * Audit the on-page SEO of a page
+ * Checks needing the extension's SEO data (headings, canonical, hreflang, JSON-LD, images) are left
+ * out when it is missing, e.g. for selection analyses
+ * @param {Object} data - Original content data: { url, title, content: { seo }, metadata }
+ * @returns {Object} { score, passed, warnings, failed, checks, recommendations }
+ */
+function auditSeo({ url, title, content, metadata }) {
+    const seo = content?.seo;
+    const headings = getObjects(seo?.headings);
+    const hreflang = getObjects(seo?.hreflang);
+    const jsonLd = getObjects(seo?.jsonLd);
+    const images = getObjects(seo?.images);
+
+    const checks = [
+        checkTitle(title || ''),
+        checkMetaDescription(metadata?.description),
+        headings && checkH1(headings),
+        headings?.length > 0 && checkHeadingHierarchy(headings),
+        seo && checkCanonical(seo.canonical, url),
+        checkRobots(seo ? seo.robots : metadata?.robots),
+        checkViewport(seo ? seo.viewport : metadata?.viewport),
+        checkOpenGraph(getMetaGroup(seo?.openGraph, metadata, 'og')),
+        checkTwitterCard(getMetaGroup(seo?.twitterCard, metadata, 'twitter')),
+        checkLanguage(metadata?.language),
+        hreflang && checkHreflang(hreflang, url, seo.canonical),
+        jsonLd && checkStructuredData(jsonLd),
+        images?.length > 0 && checkImageAlt(images),
+        images?.length > 0 && checkImageDimensions(images)
+    ].filter(Boolean);
+
+    const totalWeight = checks.reduce((sum, { id }) => sum + CHECK_WEIGHTS[id], 0);
+    const earned = checks.reduce((sum, { id, status }) => sum + CHECK_WEIGHTS[id] * STATUS_SCORES[status], 0);
+    const count = (status) => checks.filter(item => item.status === status).length;
+
+    return {
+        score: Math.round((earned / totalWeight) * 100),
+        passed: count('pass'),
+        warnings: count('warn'),
+        failed: count('fail'),
+        checks,
+        // Failures first, then by how much they weigh in the score
+        recommendations: checks
+            .filter(item => item.status !== 'pass')
+            .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || CHECK_WEIGHTS[b.id] - CHECK_WEIGHTS[a.id])
+            .map(item => item.recommendation)
+    };
+}
+
+module.exports = {
+    auditSeo
+};
@@ -0,0 +1,58 @@
+// LLM token usage tracking
+// Attributes the tokens spent by providers to the API key of the request that caused them
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds { onTokens } for the request being handled, also inside work it started
+// (batch items, chunk analyses, repair round-trips) without passing it around
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with token usage reported to a callback
+ * @param {Function} onTokens - Called with the number of tokens of every provider response
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runWithUsage(onTokens, fn) {
+    return usageContext.run({ onTokens }, fn);
+}
+
+/**
+ * Report tokens spent by a provider request
+ * Outside of runWithUsage (e.g. startup checks) usage is not attributed to anyone
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ */
+function recordTokenUsage(inputTokens, outputTokens) {
+    const tokens = (inputTokens || 0) + (outputTokens || 0);
+    const context = usageContext.getStore();
+
+    if (context && tokens > 0) {
+        context.onTokens(tokens);
+    }
+}
+
+/**
+ * Rough token count for servers that don't report usage
+ * @param {string} text - Text sent to or received from the model
+ * @returns {number} Estimated tokens, about 4 characters each
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Rough prompt token count of a provider request
+ * @param {Object} request - { system, messages }
+ * @returns {number} Estimated tokens
+ */
+function estimatePromptTokens(request) {
+    return estimateTokens([request.system, ...request.messages.map(message => message.content)].join('\n'));
+}
+
+module.exports = {
+    runWithUsage,
+    recordTokenUsage,
+    estimateTokens,
+    estimatePromptTokens
+};
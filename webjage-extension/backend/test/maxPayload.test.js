@@ -0,0 +1,115 @@
+// End-to-end check that the largest accepted analysis payload neither crashes nor stalls the server
+// Runs the real server with the mock provider, no AI service is contacted
+//
+// Usage: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+// Default of MAX_CONTENT_LENGTH, the first test fails if the two drift apart
+const MAX_CONTENT_LENGTH = 100000;
+// Small enough that preprocessing with a cost growing faster than the text runs out of memory
+const SERVER_HEAP_MB = 256;
+const REQUEST_TIMEOUT = 30000; // ms
+
+let server;
+let baseUrl;
+let tempDir;
+
+const getFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// Page text of exactly `length` characters, with headings and paragraphs like an extracted article
+const buildText = (sentence, length) => {
+    let text = '';
+    for (let i = 0; text.length < length; i++) {
+        text += i % 20 === 0 ? `\nH2: Section ${i / 20 + 1}\n` : `${sentence} `;
+    }
+    return text.slice(0, length);
+};
+
+const buildPayload = (text, language) => ({
+    url: `https://example.com/long-${language}-${text.length}`,
+    title: 'A very long article',
+    content: {
+        text,
+        links: Array.from({ length: 200 }, (_, i) => ({ url: `https://source${i % 25}.example.org/${i}`, text: `Source ${i}` })),
+        images: Array.from({ length: 50 }, (_, i) => ({ src: `https://example.com/${i}.png`, alt: i % 2 ? `Figure ${i}` : '' }))
+    },
+    metadata: { language }
+});
+
+const postAnalysis = (payload) => fetch(`${baseUrl}/api/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+});
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webjage-test-'));
+    const port = await getFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    server = spawn(process.execPath, [`--max-old-space-size=${SERVER_HEAP_MB}`, 'server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            API_AUTH: 'disabled',
+            LLM_PROVIDER: 'mock',
+            MOCK_LATENCY_MS: '0',
+            CACHE_STORE: 'memory',
+            MAX_CONTENT_LENGTH: '',
+            PROFILES_FILE: path.join(tempDir, 'profiles.json'),
+            REPUTATION_FILE: path.join(tempDir, 'reputation.json')
+        },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('exit', code => reject(new Error(`Server exited with code ${code}`)));
+        server.stdout.on('data', chunk => {
+            if (chunk.toString().includes('running on port')) resolve();
+        });
+    });
+});
+
+after(() => {
+    server?.kill();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('rejects content one character over the limit', async () => {
+    const response = await postAnalysis(buildPayload(buildText('Too long.', MAX_CONTENT_LENGTH + 1), 'en'));
+    assert.strictEqual(response.status, 400);
+});
+
+for (const [language, sentence] of [
+    ['en', 'The study published in 2021 found that 40% of respondents prefer tea, according to the survey.'],
+    ['zh', '根据2021年发表的研究，百分之四十的受访者更喜欢喝茶，这是调查的结果。'],
+    ['ja', '2021年に発表された研究によると、回答者の40%がお茶を好むという調査結果が出ました。']
+]) {
+    test(`analyzes a maximum-size ${language} payload`, async () => {
+        const response = await postAnalysis(buildPayload(buildText(sentence, MAX_CONTENT_LENGTH), language));
+        assert.strictEqual(response.status, 200);
+
+        const analysis = await response.json();
+        assert.ok(analysis.chunksAnalyzed > 1);
+        assert.ok(analysis.technicalMetrics.wordCount > 0);
+
+        const health = await fetch(`${baseUrl}/health`);
+        assert.strictEqual(health.status, 200);
+    });
+}
@@ -1,27 +1,116 @@
 // Background service worker for WebJage extension
 // Handles API communication and manages extension state
 
+// Response schemas shared with the backend (self.WebJageTypes)
+importScripts('shared/types.js');
+
 const API_BASE_URL = 'http://localhost:3000/api';
 
+// Default extension settings, stored in chrome.storage.sync
+const DEFAULT_SETTINGS = {
+    autoAnalyze: true,
+    showFloatingWindow: true,
+    apiEndpoint: API_BASE_URL,
+    fallbackEndpoints: [], // Tried in order when the primary endpoint is unhealthy
+    apiKey: '', // Client API key issued by the backend administrator
+    autoAnalyzeDelay: 2000, // ms after page load
+    windowPosition: 'top-right', // top-right|top-left|bottom-right|bottom-left
+    windowWidth: 320, // px
+    windowMaxHeight: 500, // px
+    displaySections: {
+        summary: true,
+        qualityScore: true,
+        tags: true,
+        keyPoints: true,
+        strengths: false,
+        concerns: false
+    },
+    showHighlights: true, // Highlight the passages behind key points, strengths and concerns
+    cacheLifetimeHours: 24, // 0 disables the local analysis cache
+    factCheckMode: false, // Fact-check claims automatically after each analysis
+    analysisLanguage: '', // '' for the page's language, 'browser' for the browser's, or a language tag
+    analysisProfile: '' // '' to let the backend pick one by the page's domain, or a profile ID
+};
+
+// Allowed ranges of numeric settings
+const SETTING_LIMITS = {
+    autoAnalyzeDelay: { min: 0, max: 60000 },
+    windowWidth: { min: 240, max: 800 },
+    windowMaxHeight: { min: 200, max: 1000 },
+    cacheLifetimeHours: { min: 0, max: 720 }
+};
+
+const WINDOW_POSITIONS = ['top-right', 'top-left', 'bottom-right', 'bottom-left'];
+const ANALYSIS_LANGUAGE_PATTERN = /^(|browser|[a-z]{2,3}(-[A-Za-z0-9]{2,8})*)$/;
+const ANALYSIS_PROFILE_PATTERN = /^(|[a-z0-9][a-z0-9-]{1,47})$/;
+
+// Analysis history limits, the oldest entries are dropped first
+const HISTORY_MAX_ENTRIES = 200;
+const HISTORY_MAX_BYTES = 4 * 1024 * 1024; // Leaves room in the 10 MB storage.local quota
+
+// Backend health monitoring
+const HEALTH_CHECK_INTERVAL_MINUTES = 1;
+const HEALTH_CHECK_TIMEOUT = 5000; // ms
+// Health older than this is refreshed before reporting it to the popup
+const HEALTH_MAX_AGE = 30 * 1000; // ms
+
 // Extension installation handler
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
     console.log('WebJage extension installed');
 
-    // Initialize default settings
-    chrome.storage.sync.set({
-        autoAnalyze: true,
-        showFloatingWindow: true,
-        apiEndpoint: API_BASE_URL
+    // Initialize default settings, keeping values the user already changed
+    const stored = await chrome.storage.sync.get(null);
+    await chrome.storage.sync.set(sanitizeSettings({ ...DEFAULT_SETTINGS, ...stored }));
+
+    // Context menu entries survive browser restarts, they only need creating on install and update
+    chrome.contextMenus.create({
+        id: 'analyzeSelection',
+        title: 'Analyze selection with WebJage',
+        contexts: ['selection']
     });
 });
 
+// Context menu handler
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (info.menuItemId !== 'analyzeSelection' || !tab?.id) {
+        return;
+    }
+
+    try {
+        // The content script reads the selection itself, selectionText loses line breaks
+        await chrome.tabs.sendMessage(tab.id, {
+            action: 'analyzeSelection',
+            text: info.selectionText
+        });
+    } catch (error) {
+        // No content script on this page, e.g. it was opened before the extension was installed
+        console.error('Failed to start selection analysis:', error);
+    }
+});
+
 // Message handler for communication between content script and background
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     switch (request.action) {
         case 'analyzeContent':
-            handleContentAnalysis(request.data, sendResponse);
+            handleContentAnalysis(request.data, sendResponse, sender.tab);
             return true; // Keep message channel open for async response
 
+        case 'factCheckContent':
+            handleFactCheck(request.data, sendResponse);
+            return true;
+
+        case 'chatAboutPage':
+            handleChat(request.data, sendResponse);
+            return true;
+
+        case 'comparePages':
+            handleCompare(request.data, sendResponse);
+            return true;
+
+        case 'getProfiles':
+            getAnalysisProfiles(sendResponse);
+            return true;
+
         case 'getSettings':
             getExtensionSettings(sendResponse);
             return true;
@@ -30,26 +119,61 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             updateExtensionSettings(request.settings, sendResponse);
             return true;
 
+        case 'resetSettings':
+            resetExtensionSettings(sendResponse);
+            return true;
+
+        case 'getBackendStatus':
+            getBackendStatus(sendResponse);
+            return true;
+
+        case 'deleteHistoryEntry':
+            deleteHistoryEntry(request.id, sendResponse);
+            return true;
+
+        case 'clearHistory':
+            clearHistory(sendResponse);
+            return true;
+
         default:
             console.warn('Unknown action:', request.action);
     }
 });
 
+// Port handler for streaming analysis
+// The content script posts the content once and receives progress events until the result
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'analyzeContentStream') {
+        return;
+    }
+
+    port.onMessage.addListener((request) => {
+        if (request.action === 'analyzeContent') {
+            handleStreamingContentAnalysis(request.data, port, port.sender?.tab);
+        }
+    });
+});
+
 // Handle content analysis request
-async function handleContentAnalysis(contentData, sendResponse) {
+async function handleContentAnalysis(contentData, sendResponse, tab) {
     try {
         // Check if content was recently analyzed (cache check)
-        const cacheKey = generateCacheKey(contentData.url, contentData.contentHash);
+        const outputLanguage = await getOutputLanguage();
+        const profile = await getAnalysisProfile();
+        const cacheKey = generateCacheKey(contentData.url, contentData.contentHash, outputLanguage, profile);
         const cachedResult = await getCachedAnalysis(cacheKey);
 
         if (cachedResult) {
             console.log('Using cached analysis for:', contentData.url);
+            if (!isSelectionAnalysis(contentData)) {
+                await recordAnalysisHistory(contentData, cachedResult, tab);
+            }
             sendResponse({ success: true, data: cachedResult, cached: true });
             return;
         }
 
         // Send content to backend for AI analysis
-        const response = await fetch(`${API_BASE_URL}/analyze`, {
+        const response = await fetchFromBackend('/analyze', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -58,18 +182,23 @@ async function handleContentAnalysis(contentData, sendResponse) {
                 url: contentData.url,
                 title: contentData.title,
                 content: contentData.content,
-                metadata: contentData.metadata
+                metadata: contentData.metadata,
+                outputLanguage,
+                profile
             })
         });
 
         if (!response.ok) {
-            throw new Error(`API request failed: ${response.status}`);
+            throw await getResponseError(response);
         }
 
-        const analysisResult = await response.json();
+        const analysisResult = checkBackendResult(await response.json(), WebJageTypes.validateAnalysisResult);
 
         // Cache the result
         await cacheAnalysis(cacheKey, analysisResult);
+        if (!isSelectionAnalysis(contentData)) {
+            await recordAnalysisHistory(contentData, analysisResult, tab);
+        }
 
         sendResponse({ success: true, data: analysisResult, cached: false });
 
@@ -82,9 +211,285 @@ async function handleContentAnalysis(contentData, sendResponse) {
     }
 }
 
+// Handle streaming content analysis request
+// Relays the backend's Server-Sent Events to the content script port
+async function handleStreamingContentAnalysis(contentData, port, tab) {
+    let disconnected = false;
+    const abortController = new AbortController();
+    port.onDisconnect.addListener(() => {
+        disconnected = true;
+        abortController.abort();
+    });
+
+    const postEvent = (message) => {
+        if (!disconnected) {
+            port.postMessage(message);
+        }
+    };
+
+    try {
+        // Check if content was recently analyzed (cache check)
+        const outputLanguage = await getOutputLanguage();
+        const profile = await getAnalysisProfile();
+        const cacheKey = generateCacheKey(contentData.url, contentData.contentHash, outputLanguage, profile);
+        const cachedResult = await getCachedAnalysis(cacheKey);
+
+        if (cachedResult) {
+            console.log('Using cached analysis for:', contentData.url);
+            await recordAnalysisHistory(contentData, cachedResult, tab);
+            postEvent({ event: 'result', data: cachedResult, cached: true });
+            return;
+        }
+
+        const response = await fetchFromBackend('/analyze/stream', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify({
+                url: contentData.url,
+                title: contentData.title,
+                content: contentData.content,
+                metadata: contentData.metadata,
+                outputLanguage,
+                profile
+            }),
+            signal: abortController.signal
+        });
+
+        if (!response.ok) {
+            throw await getResponseError(response);
+        }
+
+        let finished = false;
+        await readServerSentEvents(response, async ({ event, data }) => {
+            switch (event) {
+                case 'summary':
+                case 'keyPoint':
+                    postEvent({ event, data });
+                    break;
+
+                case 'result':
+                    finished = true;
+                    checkBackendResult(data, WebJageTypes.validateAnalysisResult);
+                    await cacheAnalysis(cacheKey, data);
+                    await recordAnalysisHistory(contentData, data, tab);
+                    postEvent({ event: 'result', data, cached: false });
+                    break;
+
+                case 'error':
+                    finished = true;
+                    postEvent({ event: 'error', error: data.message || 'Analysis failed' });
+                    break;
+            }
+        });
+
+        if (!finished) {
+            throw new Error('Analysis stream ended unexpectedly');
+        }
+
+    } catch (error) {
+        if (disconnected) {
+            return;
+        }
+
+        console.error('Streaming content analysis failed:', error);
+        postEvent({ event: 'error', error: error.message || 'Analysis failed' });
+    }
+}
+
+// Handle fact-check request
+async function handleFactCheck(contentData, sendResponse) {
+    try {
+        // Cached next to the analysis, so the cache cleanup covers it too
+        const cacheKey = `${generateCacheKey(contentData.url, contentData.contentHash)}_factcheck`;
+        const cachedResult = await getCachedAnalysis(cacheKey);
+
+        if (cachedResult) {
+            sendResponse({ success: true, data: cachedResult, cached: true });
+            return;
+        }
+
+        const response = await fetchFromBackend('/factcheck', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                url: contentData.url,
+                title: contentData.title,
+                content: contentData.content,
+                metadata: contentData.metadata
+            })
+        });
+
+        if (!response.ok) {
+            throw await getResponseError(response);
+        }
+
+        const factCheckResult = checkBackendResult(await response.json(), WebJageTypes.validateFactCheckResult);
+        await cacheAnalysis(cacheKey, factCheckResult);
+
+        sendResponse({ success: true, data: factCheckResult, cached: false });
+
+    } catch (error) {
+        console.error('Fact-check failed:', error);
+        sendResponse({
+            success: false,
+            error: error.message || 'Fact-check failed'
+        });
+    }
+}
+
+// Handle a follow-up question about a page
+// The backend keeps the conversation, a session it no longer knows, e.g. expired or
+// held by another fallback endpoint, is started again with the page content
+async function handleChat({ sessionId, message, contentData, analysis }, sendResponse) {
+    try {
+        const outputLanguage = await getOutputLanguage();
+
+        const ask = (resumedSessionId) => fetchFromBackend('/chat', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(resumedSessionId ? { sessionId: resumedSessionId, message, outputLanguage } : {
+                url: contentData.url,
+                title: contentData.title,
+                content: contentData.content,
+                metadata: contentData.metadata,
+                analysis: {
+                    summary: analysis?.summary,
+                    credibility: analysis?.credibility,
+                    bias: analysis?.bias,
+                    keyPoints: analysis?.keyPoints,
+                    strengths: analysis?.strengths,
+                    concerns: analysis?.concerns
+                },
+                message,
+                outputLanguage
+            })
+        });
+
+        let response = await ask(sessionId);
+        if (response.status === 404 && sessionId) {
+            response = await ask(null);
+        }
+
+        if (!response.ok) {
+            throw await getResponseError(response);
+        }
+
+        sendResponse({ success: true, data: await response.json() });
+
+    } catch (error) {
+        console.error('Chat failed:', error);
+        sendResponse({
+            success: false,
+            error: error.message || 'Chat failed'
+        });
+    }
+}
+
+// Handle a comparison of several pages
+async function handleCompare({ items }, sendResponse) {
+    try {
+        const profile = await getAnalysisProfile();
+
+        const response = await fetchFromBackend('/compare', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                items: items.map(contentData => ({
+                    url: contentData.url,
+                    title: contentData.title,
+                    content: contentData.content,
+                    metadata: contentData.metadata,
+                    profile
+                })),
+                outputLanguage: await getOutputLanguage()
+            })
+        });
+
+        if (!response.ok) {
+            throw await getResponseError(response);
+        }
+
+        sendResponse({ success: true, data: await response.json() });
+
+    } catch (error) {
+        console.error('Comparison failed:', error);
+        sendResponse({
+            success: false,
+            error: error.message || 'Comparison failed'
+        });
+    }
+}
+
+// Read a Server-Sent Events response, calling onEvent with { event, data } for each event
+async function readServerSentEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let separatorIndex;
+        while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, separatorIndex);
+            buffer = buffer.slice(separatorIndex + 2);
+
+            let event = 'message';
+            const dataLines = [];
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).trim());
+                }
+            });
+
+            if (dataLines.length > 0) {
+                await onEvent({ event, data: JSON.parse(dataLines.join('\n')) });
+            }
+        }
+    }
+}
+
 // Generate cache key for content
-function generateCacheKey(url, contentHash) {
-    return `analysis_${btoa(url)}_${contentHash}`;
+function generateCacheKey(url, contentHash, outputLanguage, profile) {
+    const key = `analysis_${btoa(url)}_${contentHash}`;
+    return [key, outputLanguage, profile].filter(Boolean).join('_');
+}
+
+// Language the analysis should be written in, undefined for the page's own language
+async function getOutputLanguage() {
+    const { analysisLanguage } = await chrome.storage.sync.get({
+        analysisLanguage: DEFAULT_SETTINGS.analysisLanguage
+    });
+
+    if (analysisLanguage === 'browser') {
+        return chrome.i18n.getUILanguage();
+    }
+
+    return analysisLanguage || undefined;
+}
+
+// Analysis profile chosen in the options, undefined to let the backend pick one by domain
+async function getAnalysisProfile() {
+    const { analysisProfile } = await chrome.storage.sync.get({
+        analysisProfile: DEFAULT_SETTINGS.analysisProfile
+    });
+
+    return analysisProfile || undefined;
 }
 
 // Get cached analysis result
@@ -94,9 +499,9 @@ async function getCachedAnalysis(cacheKey) {
         const cached = result[cacheKey];
 
         if (cached && cached.timestamp) {
-            // Check if cache is still valid (24 hours)
+            // Check if cache is still valid
             const cacheAge = Date.now() - cached.timestamp;
-            const maxAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+            const maxAge = await getCacheMaxAge();
 
             if (cacheAge < maxAge) {
                 return cached.data;
@@ -113,9 +518,21 @@ async function getCachedAnalysis(cacheKey) {
     }
 }
 
+// Get the configured cache lifetime in milliseconds
+async function getCacheMaxAge() {
+    const { cacheLifetimeHours } = await chrome.storage.sync.get({
+        cacheLifetimeHours: DEFAULT_SETTINGS.cacheLifetimeHours
+    });
+    return cacheLifetimeHours * 60 * 60 * 1000;
+}
+
 // Cache analysis result
 async function cacheAnalysis(cacheKey, data) {
     try {
+        if (await getCacheMaxAge() === 0) {
+            return; // Caching disabled
+        }
+
         await chrome.storage.local.set({
             [cacheKey]: {
                 data: data,
@@ -127,14 +544,89 @@ async function cacheAnalysis(cacheKey, data) {
     }
 }
 
-// Get extension settings
+// Selections are analyzed through the same path as pages, but only pages go into the history
+function isSelectionAnalysis(contentData) {
+    return contentData.metadata?.analysisScope === 'selection';
+}
+
+// Record a completed analysis in the history, newest first
+// A page analyzed again replaces its previous entry
+async function recordAnalysisHistory(contentData, result, tab) {
+    try {
+        const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+
+        const entry = {
+            id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            url: contentData.url,
+            title: contentData.title || '',
+            favicon: tab?.favIconUrl || '',
+            qualityScore: result.qualityScore,
+            category: result.category,
+            credibility: result.credibility,
+            timestamp: Date.now(),
+            result
+        };
+
+        const history = [entry, ...analysisHistory.filter(item => item.url !== entry.url)]
+            .slice(0, HISTORY_MAX_ENTRIES);
+
+        while (history.length > 1 && JSON.stringify(history).length > HISTORY_MAX_BYTES) {
+            history.pop();
+        }
+
+        await chrome.storage.local.set({ analysisHistory: history });
+    } catch (error) {
+        // History is a convenience, never fail the analysis because of it
+        console.error('Failed to record analysis history:', error);
+    }
+}
+
+// Delete one history entry
+async function deleteHistoryEntry(id, sendResponse) {
+    try {
+        const { analysisHistory = [] } = await chrome.storage.local.get('analysisHistory');
+        await chrome.storage.local.set({
+            analysisHistory: analysisHistory.filter(item => item.id !== id)
+        });
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('Failed to delete history entry:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Delete the whole history
+async function clearHistory(sendResponse) {
+    try {
+        await chrome.storage.local.remove('analysisHistory');
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('Failed to clear history:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Get the analysis profiles offered by the backend
+async function getAnalysisProfiles(sendResponse) {
+    try {
+        const response = await fetchFromBackend('/profiles');
+        if (!response.ok) {
+            throw await getResponseError(response);
+        }
+
+        const { profiles } = await response.json();
+        sendResponse({ success: true, profiles });
+    } catch (error) {
+        console.error('Failed to get analysis profiles:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Get extension settings, missing values filled from defaults
 async function getExtensionSettings(sendResponse) {
     try {
-        const settings = await chrome.storage.sync.get([
-            'autoAnalyze',
-            'showFloatingWindow',
-            'apiEndpoint'
-        ]);
+        const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+        const settings = sanitizeSettings(stored);
 
         sendResponse({ success: true, settings });
     } catch (error) {
@@ -144,16 +636,259 @@ async function getExtensionSettings(sendResponse) {
 }
 
 // Update extension settings
+// Unknown keys and values of the wrong type are dropped
 async function updateExtensionSettings(newSettings, sendResponse) {
     try {
-        await chrome.storage.sync.set(newSettings);
-        sendResponse({ success: true });
+        const settings = sanitizeSettings(newSettings || {});
+        await chrome.storage.sync.set(settings);
+        sendResponse({ success: true, settings });
     } catch (error) {
         console.error('Failed to update settings:', error);
         sendResponse({ success: false, error: error.message });
     }
 }
 
+// Reset all settings to their defaults
+async function resetExtensionSettings(sendResponse) {
+    try {
+        await chrome.storage.sync.clear();
+        await chrome.storage.sync.set(DEFAULT_SETTINGS);
+        sendResponse({ success: true, settings: DEFAULT_SETTINGS });
+    } catch (error) {
+        console.error('Failed to reset settings:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Keep only known settings with the same type as their default, clamping numbers to their limits
+function sanitizeSettings(settings) {
+    const sanitized = {};
+
+    for (const [key, value] of Object.entries(settings)) {
+        const defaultValue = DEFAULT_SETTINGS[key];
+        if (defaultValue === undefined || typeof value !== typeof defaultValue) {
+            continue;
+        }
+
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) continue;
+            const limits = SETTING_LIMITS[key];
+            sanitized[key] = limits ? Math.min(limits.max, Math.max(limits.min, value)) : value;
+        } else if (Array.isArray(defaultValue)) {
+            // Arrays hold strings, e.g. fallbackEndpoints
+            if (!Array.isArray(value)) continue;
+            sanitized[key] = value.filter(item => typeof item === 'string' && item.trim());
+        } else if (typeof value === 'object') {
+            // Nested objects hold boolean flags, e.g. displaySections
+            sanitized[key] = { ...defaultValue };
+            for (const [flag, enabled] of Object.entries(value || {})) {
+                if (flag in defaultValue && typeof enabled === 'boolean') {
+                    sanitized[key][flag] = enabled;
+                }
+            }
+        } else if (key === 'windowPosition' && !WINDOW_POSITIONS.includes(value)) {
+            continue;
+        } else if (key === 'analysisLanguage' && !ANALYSIS_LANGUAGE_PATTERN.test(value)) {
+            continue;
+        } else if (key === 'analysisProfile' && !ANALYSIS_PROFILE_PATTERN.test(value)) {
+            continue;
+        } else {
+            sanitized[key] = value;
+        }
+    }
+
+    return sanitized;
+}
+
+// Get configured backend endpoints: the primary one first, then the fallbacks
+async function getBackendEndpoints() {
+    const { apiEndpoint, fallbackEndpoints } = await chrome.storage.sync.get({
+        apiEndpoint: DEFAULT_SETTINGS.apiEndpoint,
+        fallbackEndpoints: DEFAULT_SETTINGS.fallbackEndpoints
+    });
+
+    const endpoints = [apiEndpoint, ...fallbackEndpoints]
+        .map(endpoint => endpoint.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+
+    return [...new Set(endpoints)];
+}
+
+// The health route lives next to the API, e.g. http://host:3000/api -> http://host:3000/health
+function getHealthUrl(endpoint) {
+    return `${endpoint.replace(/\/api$/, '')}/health`;
+}
+
+async function getBackendHealth() {
+    const { backendHealth } = await chrome.storage.local.get('backendHealth');
+    return backendHealth || {};
+}
+
+async function setEndpointHealth(endpoint, health) {
+    const backendHealth = await getBackendHealth();
+    backendHealth[endpoint] = { ...health, lastChecked: Date.now() };
+    await chrome.storage.local.set({ backendHealth });
+}
+
+// Check the /health route of every configured backend
+async function checkBackendHealth() {
+    const endpoints = await getBackendEndpoints();
+    const backendHealth = {};
+
+    await Promise.all(endpoints.map(async (endpoint) => {
+        const startTime = Date.now();
+        try {
+            const response = await fetch(getHealthUrl(endpoint), {
+                signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT)
+            });
+            const body = response.ok ? await response.json() : null;
+
+            backendHealth[endpoint] = {
+                healthy: body?.status === 'healthy',
+                latency: Date.now() - startTime,
+                error: response.ok ? null : `HTTP ${response.status}`,
+                lastChecked: Date.now()
+            };
+        } catch (error) {
+            backendHealth[endpoint] = {
+                healthy: false,
+                latency: null,
+                error: error.name === 'TimeoutError' ? 'Timed out' : (error.message || 'Unreachable'),
+                lastChecked: Date.now()
+            };
+        }
+    }));
+
+    // Replacing the whole object also drops endpoints removed from the settings
+    await chrome.storage.local.set({ backendHealth });
+    return backendHealth;
+}
+
+// Send a request to the first healthy backend, failing over to the next one on network or server errors
+// Endpoints known to be unhealthy are only tried when no other endpoint is left
+async function fetchFromBackend(path, options = {}) {
+    const endpoints = await getBackendEndpoints();
+    const backendHealth = await getBackendHealth();
+
+    const isUnhealthy = (endpoint) => backendHealth[endpoint]?.healthy === false;
+    const ordered = [
+        ...endpoints.filter(endpoint => !isUnhealthy(endpoint)),
+        ...endpoints.filter(endpoint => isUnhealthy(endpoint))
+    ];
+
+    const { apiKey } = await chrome.storage.sync.get({ apiKey: DEFAULT_SETTINGS.apiKey });
+    const requestOptions = apiKey
+        ? { ...options, headers: { ...options.headers, 'X-API-Key': apiKey } }
+        : options;
+
+    let lastError = null;
+
+    for (const endpoint of ordered) {
+        try {
+            const response = await fetch(`${endpoint}${path}`, requestOptions);
+
+            if (response.status >= 500) {
+                lastError = new Error(`API request failed: ${response.status}`);
+                await setEndpointHealth(endpoint, { healthy: false, latency: null, error: `HTTP ${response.status}` });
+                continue;
+            }
+
+            if (isUnhealthy(endpoint)) {
+                // It answered after all, so it's back
+                await setEndpointHealth(endpoint, { healthy: true, latency: null, error: null });
+            }
+
+            return response;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error; // Cancelled by the caller, not a backend failure
+            }
+
+            console.warn(`Backend ${endpoint} failed, trying next endpoint:`, error);
+            lastError = error;
+            await setEndpointHealth(endpoint, { healthy: false, latency: null, error: error.message || 'Unreachable' });
+        }
+    }
+
+    throw lastError || new Error('No backend endpoint configured');
+}
+
+// Build an error from a failed backend response, using the backend's message when it sent one
+async function getResponseError(response) {
+    if (response.status === 401) {
+        return new Error('Invalid or missing API key. Set your API key in the WebJage settings.');
+    }
+
+    let message = null;
+    try {
+        message = (await response.json()).message;
+    } catch (error) {
+        // Not a JSON error body
+    }
+
+    return new Error(message || `API request failed: ${response.status}`);
+}
+
+// Reject a backend result that does not match its shared schema, so it is never cached or kept in history
+function checkBackendResult(result, validateResult) {
+    const errors = validateResult(result);
+    if (errors.length > 0) {
+        console.warn('Invalid backend response:', errors);
+        throw new Error(`The backend returned an invalid result: ${errors[0]}`);
+    }
+    return result;
+}
+
+// Get connectivity of all configured backends for the popup
+async function getBackendStatus(sendResponse) {
+    try {
+        const endpoints = await getBackendEndpoints();
+        let backendHealth = await getBackendHealth();
+
+        const isStale = endpoints.some(endpoint =>
+            !backendHealth[endpoint] || Date.now() - backendHealth[endpoint].lastChecked > HEALTH_MAX_AGE
+        );
+        if (isStale) {
+            backendHealth = await checkBackendHealth();
+        }
+
+        const status = endpoints.map((endpoint, index) => ({
+            endpoint,
+            primary: index === 0,
+            ...backendHealth[endpoint]
+        }));
+
+        sendResponse({
+            success: true,
+            endpoints: status,
+            activeEndpoint: status.find(entry => entry.healthy)?.endpoint || null
+        });
+    } catch (error) {
+        console.error('Failed to get backend status:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Check backend health periodically
+try {
+    chrome.alarms.create('healthCheck', { periodInMinutes: HEALTH_CHECK_INTERVAL_MINUTES });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === 'healthCheck') {
+            checkBackendHealth();
+        }
+    });
+} catch (error) {
+    console.warn('Failed to setup health check alarm:', error);
+}
+
+// Endpoints changed in the options page are checked right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes.apiEndpoint || changes.fallbackEndpoints)) {
+        checkBackendHealth();
+    }
+});
+
 // Clean up old cache entries periodically
 try {
     chrome.alarms.create('cleanupCache', { periodInMinutes: 60 });
@@ -171,7 +906,7 @@ async function cleanupExpiredCache() {
     try {
         const allItems = await chrome.storage.local.get();
         const expiredKeys = [];
-        const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+        const maxAge = await getCacheMaxAge();
 
         for (const [key, value] of Object.entries(allItems)) {
             if (key.startsWith('analysis_') && value.timestamp) {
@@ -0,0 +1,274 @@
+// Comparison page script for WebJage extension
+// Extracts the content of the tabs picked in the popup and shows the backend's comparative judgment
+
+class WebJageCompare {
+    constructor() {
+        this.tabs = []; // compared tabs, in the order the backend refers to them
+        this.skipped = []; // picked tabs whose content could not be extracted
+        this.comparison = null;
+
+        this.init();
+    }
+
+    async init() {
+        // The popup opens compare.html#<tabId>,<tabId>,...
+        const tabIds = location.hash.slice(1).split(',').map(Number).filter(Number.isInteger);
+
+        document.getElementById('compareResult').addEventListener('click', (e) => {
+            if (e.target.closest('#retryBtn')) {
+                this.compare(tabIds);
+            }
+        });
+
+        await this.compare(tabIds);
+    }
+
+    async compare(tabIds) {
+        this.showStatus(`Extracting content from ${tabIds.length} tabs...`);
+
+        await this.loadTabs(tabIds);
+        document.getElementById('compareCount').textContent = `${this.tabs.length} sources`;
+
+        if (this.tabs.length < 2) {
+            this.showError('At least 2 pages are needed for a comparison. Reload the skipped tabs and try again.');
+            return;
+        }
+
+        this.showStatus(`Comparing ${this.tabs.length} sources...`);
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'comparePages',
+                data: { items: this.tabs.map(tab => tab.contentData) }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Comparison failed');
+            }
+
+            this.comparison = response.data;
+            this.render();
+        } catch (error) {
+            console.error('Comparison failed:', error);
+            this.showError(error.message || 'Comparison failed');
+        }
+    }
+
+    async loadTabs(tabIds) {
+        this.tabs = [];
+        this.skipped = [];
+
+        for (const tabId of tabIds) {
+            let tab = null;
+
+            try {
+                tab = await chrome.tabs.get(tabId);
+                const response = await chrome.tabs.sendMessage(tabId, { action: 'getPageContent' });
+                if (!response?.success) {
+                    throw new Error(response?.error || 'No content');
+                }
+
+                this.tabs.push({ tab, contentData: response.data });
+            } catch (error) {
+                // Closed tabs, and tabs opened before the extension was installed have no content script
+                console.error(`Failed to extract content of tab ${tabId}:`, error);
+                this.skipped.push(tab?.title || tab?.url || `Tab ${tabId}`);
+            }
+        }
+    }
+
+    showStatus(message) {
+        document.getElementById('compareResult').innerHTML = `<div class="compare-status">${this.escapeHtml(message)}</div>`;
+    }
+
+    showError(message) {
+        document.getElementById('compareResult').innerHTML = `
+        <div class="compare-status compare-error">Error: ${this.escapeHtml(message)}</div>
+        ${this.formatSkippedNotice()}
+        <div class="compare-actions">
+          <button type="button" class="action-btn" id="retryBtn">Retry</button>
+        </div>
+      `;
+    }
+
+    render() {
+        const comparison = this.comparison;
+
+        document.getElementById('compareResult').innerHTML = `
+        ${this.formatSkippedNotice()}
+        <div class="compare-verdicts">
+          ${this.formatVerdict('Most credible', comparison.mostCredible)}
+          ${this.formatVerdict('Most complete', comparison.mostComplete)}
+          ${this.formatVerdict('Most balanced', comparison.mostBalanced)}
+        </div>
+        ${this.formatTextSection(`Summary ${comparison.cached ? '<span class="compare-cached">(Cached)</span>' : ''}`, comparison.summary)}
+        ${this.formatRankingSection(comparison.ranking)}
+        ${this.formatListSection('Where They Agree', comparison.agreements)}
+        ${this.formatContradictionsSection(comparison.contradictions)}
+        ${this.formatSourcesSection(comparison.sources)}
+      `;
+    }
+
+    formatSkippedNotice() {
+        if (this.skipped.length === 0) {
+            return '';
+        }
+
+        return `
+        <div class="compare-notice">
+          Skipped, content not available (reload the tab and try again): ${this.skipped.map(title => this.escapeHtml(title)).join(', ')}
+        </div>
+      `;
+    }
+
+    formatVerdict(label, index) {
+        return `
+        <div class="compare-verdict">
+          <div class="compare-verdict-label">${label}</div>
+          <div class="compare-verdict-source">${this.formatSourceName(index)}</div>
+        </div>
+      `;
+    }
+
+    // Source names link to their tab
+    formatSourceName(index) {
+        const source = this.comparison.sources?.[index];
+        if (!source) {
+            return `Source ${index + 1}`;
+        }
+
+        return `<a href="${this.escapeHtml(source.url)}" target="_blank" rel="noopener" title="${this.escapeHtml(source.url)}">${this.escapeHtml(source.title || this.shortenUrl(source.url))}</a>`;
+    }
+
+    formatTextSection(title, text) {
+        if (!text) {
+            return '';
+        }
+
+        return `
+        <div class="compare-section">
+          <h4>${title}</h4>
+          <p>${this.escapeHtml(text)}</p>
+        </div>
+      `;
+    }
+
+    formatRankingSection(ranking) {
+        if (!ranking || ranking.length === 0) {
+            return '';
+        }
+
+        return `
+        <div class="compare-section">
+          <h4>Ranking</h4>
+          <ol class="compare-ranking">
+            ${ranking.map(entry => {
+                const source = this.comparison.sources?.[entry.source] || {};
+                return `
+                <li>
+                  <div class="compare-ranking-header">
+                    <span class="compare-ranking-source">${this.formatSourceName(entry.source)}</span>
+                    <span class="compare-score">${this.escapeHtml(String(source.qualityScore ?? 'N/A'))}/10</span>
+                  </div>
+                  <div class="compare-ranking-rationale">${this.escapeHtml(entry.rationale)}</div>
+                </li>
+              `;
+            }).join('')}
+          </ol>
+        </div>
+      `;
+    }
+
+    formatListSection(title, items) {
+        if (!items || items.length === 0) {
+            return '';
+        }
+
+        return `
+        <div class="compare-section">
+          <h4>${title}</h4>
+          <ul>
+            ${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+          </ul>
+        </div>
+      `;
+    }
+
+    formatContradictionsSection(contradictions) {
+        if (!contradictions || contradictions.length === 0) {
+            return '';
+        }
+
+        return `
+        <div class="compare-section">
+          <h4>Where They Contradict</h4>
+          ${contradictions.map(contradiction => `
+            <div class="compare-contradiction">
+              <div class="compare-contradiction-topic">${this.escapeHtml(contradiction.topic)}</div>
+              <ul>
+                ${contradiction.positions.map(position => `
+                  <li><strong>${this.formatSourceName(position.source)}:</strong> ${this.escapeHtml(position.position)}</li>
+                `).join('')}
+              </ul>
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    formatSourcesSection(sources) {
+        if (!sources || sources.length === 0) {
+            return '';
+        }
+
+        return `
+        <div class="compare-section">
+          <h4>Sources</h4>
+          <table class="compare-table">
+            <thead>
+              <tr>
+                <th>Source</th>
+                <th>Quality</th>
+                <th>Credibility</th>
+                <th>Bias</th>
+                <th>Completeness</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${sources.map((source, index) => `
+                <tr>
+                  <td>
+                    ${this.formatSourceName(index)}
+                    <div class="compare-source-summary">${this.escapeHtml(source.summary || '')}</div>
+                  </td>
+                  <td>${this.escapeHtml(String(source.qualityScore ?? 'N/A'))}/10</td>
+                  <td>${this.escapeHtml(source.credibility || '')}</td>
+                  <td>${this.escapeHtml(source.bias || '')}</td>
+                  <td>${this.escapeHtml(source.completeness || '')}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    }
+
+    shortenUrl(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return url || '';
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize comparison page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new WebJageCompare();
+});
@@ -1,13 +1,100 @@
 // Content script for WebJage extension
 // Extracts webpage content and manages floating analysis window
 
+// Re-analysis of pages that change without a reload, e.g. single-page app navigations
+const PAGE_SETTLE_DELAY = 1000; // ms without changes before the page is checked
+const PAGE_CHECK_MAX_WAIT = 5000; // ms, for pages that never stop changing
+const LARGE_MUTATION_LENGTH = 500; // characters of added, removed or changed text
+
+// Links sent for sourcing analysis
+const MAX_LINKS = 150;
+const MAX_LINK_CONTEXT_LENGTH = 300; // characters of the sentence around a link
+// Containers of footnotes, reference lists and quotations, links inside them are citations
+const CITATION_CONTAINERS = 'sup, cite, blockquote[cite], q[cite], .references, .reflist, .footnotes, .citations, [role="doc-bibliography"], [role="doc-endnotes"]';
+const REFERENCE_HEADING_PATTERN = /^(references|sources|citations|bibliography|notes|footnotes|further reading)$/i;
+
+// Page structure sent for the accessibility audit
+const MAX_A11Y_IMAGES = 100;
+const MAX_A11Y_CONTROLS = 100;
+const MAX_A11Y_EXAMPLES = 10; // unnamed focusable elements described
+const MAX_CONTRAST_SAMPLES = 60; // distinct text styles
+const MAX_CONTRAST_CANDIDATES = 500; // elements looked at for text samples
+const FOCUSABLE_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [tabindex]:not([tabindex="-1"]), [role="button"], [role="link"], [role="checkbox"], [role="tab"], [role="menuitem"]';
+const FORM_CONTROL_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+const TEXT_SAMPLE_SELECTOR = 'p, li, a, span, h1, h2, h3, h4, h5, h6, td, th, label, button, blockquote, figcaption, dt, dd';
+const LANDMARK_ROLES = ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'];
+// Landmark roles of HTML elements without an explicit role
+// Forms and sections are landmarks only when they have a label
+const IMPLICIT_LANDMARKS = {
+    MAIN: 'main', NAV: 'navigation', ASIDE: 'complementary', HEADER: 'banner', FOOTER: 'contentinfo',
+    SEARCH: 'search', FORM: 'form', SECTION: 'region'
+};
+
+// Page structure sent for the SEO audit
+const MAX_SEO_HEADINGS = 100;
+const MAX_SEO_IMAGES = 50;
+const MAX_JSON_LD_BLOCKS = 10;
+const MAX_JSON_LD_LENGTH = 20000; // characters, larger blocks are reported without their data
+
+// Structured data sent for the category analyzers
+const MAX_STRUCTURED_ITEMS = 20;
+const MAX_MICRODATA_DEPTH = 4;
+// schema.org types the backend has analyzers for, and the page type they stand for
+const STRUCTURED_PAGE_TYPES = {
+    Recipe: 'recipe',
+    Product: 'product',
+    ProductGroup: 'product',
+    HowTo: 'howto',
+    Review: 'review',
+    CriticReview: 'review',
+    NewsArticle: 'news',
+    ReportageNewsArticle: 'news',
+    AnalysisNewsArticle: 'news',
+    OpinionNewsArticle: 'news',
+    LiveBlogPosting: 'news',
+    BlogPosting: 'blog',
+    Article: 'article',
+    TechArticle: 'article',
+    ScholarlyArticle: 'article',
+    Report: 'article',
+    FAQPage: 'faq',
+    QAPage: 'faq'
+};
+
 class WebJageContentExtractor {
     constructor() {
         this.isAnalyzing = false; // prevent concurrent race
         this.floatingWindow = null; // the floating window
+        this.lastContentData = null; // content of the displayed analysis
+        this.currentAnalysis = null; // the displayed analysis
+        this.factCheck = null; // { status: 'loading'|'done'|'error', claims, verdictCounts, error }
+        this.chat = null; // follow-up questions about the displayed analysis, see resetChat
+        this.highlights = []; // highlights of the displayed analysis
+        this.activeTab = 'analysis'; // tab of the floating window: analysis|seo|accessibility
+        this.highlightTooltip = null;
+        this.pageUrl = this.getPageUrl(); // URL of the route the analysis belongs to
+        this.pageContentHash = null; // hash of the last analyzed page content
+        this.pageObserver = null;
+        this.pageCheckTimer = null;
+        this.pageCheckDeadline = null;
+        this.pageCheckPending = false; // a check was due while an analysis was running
+        this.mutatedTextLength = 0; // text changed since the last check
         this.settings = {
             autoAnalyze: true,
-            showFloatingWindow: true
+            showFloatingWindow: true,
+            autoAnalyzeDelay: 2000,
+            windowPosition: 'top-right',
+            windowWidth: 320,
+            windowMaxHeight: 500,
+            displaySections: {
+                summary: true,
+                qualityScore: true,
+                tags: true,
+                keyPoints: true,
+                strengths: false,
+                concerns: false
+            },
+            showHighlights: true
         };
 
         this.init();
@@ -17,6 +104,28 @@ class WebJageContentExtractor {
         // Load extension settings
         await this.loadSettings();
 
+        // Apply changes made in the options page or popup without a reload
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'sync') return;
+
+            for (const [key, { newValue }] of Object.entries(changes)) {
+                if (newValue !== undefined) {
+                    this.settings[key] = newValue;
+                }
+            }
+
+            if (this.floatingWindow) {
+                this.applyWindowLayout();
+            }
+
+            if (changes.showHighlights) {
+                this.renderHighlights();
+                this.refreshAnalysisResult();
+            }
+        });
+
+        this.setupHighlightTooltip();
+
         // Wait for page to be fully loaded
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => this.onPageReady());
@@ -37,15 +146,139 @@ class WebJageContentExtractor {
     }
 
     onPageReady() {
+        // Delay analysis to ensure page is fully rendered, then follow its changes
+        setTimeout(() => {
+            this.checkPageChange();
+            this.watchPageChanges();
+        }, this.settings.autoAnalyzeDelay);
+    }
+
+    // Location without the fragment, in-page anchors don't change the content
+    getPageUrl() {
+        return window.location.origin + window.location.pathname + window.location.search;
+    }
+
+    // Watch for client-side navigations and content replaced without a reload
+    watchPageChanges() {
+        this.pageObserver = new MutationObserver((mutations) => this.handlePageMutations(mutations));
+        this.pageObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+        // History API navigations are only visible to the page itself, but they come with
+        // popstate (back/forward) or Navigation API events, and in practice with mutations
+        const onNavigation = () => {
+            if (this.getPageUrl() !== this.pageUrl) {
+                this.schedulePageCheck();
+            }
+        };
+        window.addEventListener('popstate', onNavigation);
+        window.navigation?.addEventListener('navigatesuccess', onNavigation);
+    }
+
+    handlePageMutations(mutations) {
+        for (const mutation of mutations) {
+            if (this.isOwnNode(mutation.target)) continue;
+
+            if (mutation.type === 'characterData') {
+                this.mutatedTextLength += mutation.target.nodeValue?.length || 0;
+                continue;
+            }
+
+            for (const node of [...mutation.addedNodes, ...mutation.removedNodes]) {
+                if (!this.isOwnNode(node)) {
+                    this.mutatedTextLength += node.textContent?.length || 0;
+                }
+            }
+        }
+
+        if (this.getPageUrl() !== this.pageUrl || this.mutatedTextLength >= LARGE_MUTATION_LENGTH) {
+            this.schedulePageCheck();
+        }
+    }
+
+    // The floating window and tooltip change all the time, they are not page content
+    isOwnNode(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return !!element?.closest('#webjage-floating-window, #webjage-highlight-tooltip');
+    }
+
+    // Run our own page changes, like highlight marks, without them counting as page mutations
+    withoutObserving(change) {
+        if (this.pageObserver) {
+            this.handlePageMutations(this.pageObserver.takeRecords());
+        }
+
+        change();
+
+        this.pageObserver?.takeRecords();
+    }
+
+    // Check once the page stopped changing, but at least every PAGE_CHECK_MAX_WAIT
+    schedulePageCheck() {
+        const now = Date.now();
+        if (!this.pageCheckDeadline) {
+            this.pageCheckDeadline = now + PAGE_CHECK_MAX_WAIT;
+        }
+
+        clearTimeout(this.pageCheckTimer);
+        this.pageCheckTimer = setTimeout(
+            () => this.checkPageChange(),
+            Math.max(0, Math.min(PAGE_SETTLE_DELAY, this.pageCheckDeadline - now))
+        );
+    }
+
+    // Re-analyze the page if its route or content changed since the last analysis
+    checkPageChange() {
+        clearTimeout(this.pageCheckTimer);
+        this.pageCheckTimer = null;
+        this.pageCheckDeadline = null;
+        this.mutatedTextLength = 0;
+
+        if (this.isAnalyzing) {
+            this.pageCheckPending = true;
+            return;
+        }
+
+        if (this.getPageUrl() !== this.pageUrl) {
+            this.pageUrl = this.getPageUrl();
+            this.resetAnalysis();
+        }
+
         // Skip analysis for certain pages
-        if (this.shouldSkipPage()) {
+        if (!this.settings.autoAnalyze || this.shouldSkipPage()) {
             return;
         }
 
-        // Auto-analyze if enabled
-        if (this.settings.autoAnalyze) {
-            // Delay analysis to ensure page is fully rendered
-            setTimeout(() => this.analyzeCurrentPage(), 2000);
+        // The page-wide audit data is costly to extract, so only once the content area has changed
+        const mainContent = this.extractMainContent();
+        if (this.generateContentHash(mainContent) === this.pageContentHash) {
+            return;
+        }
+
+        this.analyzeCurrentPage(this.extractPageContent(mainContent));
+    }
+
+    // Forget the analysis of the previous route, its verdict and highlights no longer apply
+    resetAnalysis() {
+        this.lastContentData = null;
+        this.currentAnalysis = null;
+        this.factCheck = null;
+        this.chat = null;
+        this.highlights = [];
+        this.pageContentHash = null;
+        this.renderHighlights();
+
+        if (this.floatingWindow) {
+            this.floatingWindow.style.display = 'none';
+        }
+    }
+
+    // Run the page check that was due while an analysis was running
+    finishAnalysis() {
+        this.isAnalyzing = false;
+
+        if (this.pageCheckPending) {
+            this.pageCheckPending = false;
+            this.schedulePageCheck();
         }
     }
 
@@ -66,7 +299,11 @@ class WebJageContentExtractor {
             document.body.innerText.trim().length < 100;
     }
 
-    async analyzeCurrentPage() {
+    /**
+     * Analyze the page and show the result in the floating window
+     * @param {Object} [contentData] - Page content, if already extracted
+     */
+    async analyzeCurrentPage(contentData = null) {
         if (this.isAnalyzing) {
             return;
         }
@@ -75,19 +312,38 @@ class WebJageContentExtractor {
 
         try {
             // Extract page content
-            const contentData = this.extractPageContent();
+            contentData = contentData || this.extractPageContent();
+            const pageUrl = this.getPageUrl();
+            this.pageContentHash = contentData.contentHash;
 
             // Show loading state
             this.showFloatingWindow({ loading: true });
 
-            // Send content for analysis
-            const response = await chrome.runtime.sendMessage({
-                action: 'analyzeContent',
-                data: contentData
+            // Send content for analysis, rendering sections as they stream in
+            const partial = { summary: null, keyPoints: [] };
+            const response = await this.requestStreamingAnalysis(contentData, ({ event, data }) => {
+                if (event === 'summary') {
+                    partial.summary = data.summary;
+                } else if (event === 'keyPoint') {
+                    partial.keyPoints[data.index] = data.point;
+                }
+                this.showFloatingWindow({ partial });
             });
 
+            // Navigated to another route meanwhile, its page check follows
+            if (this.getPageUrl() !== pageUrl) {
+                return;
+            }
+
             if (response.success) {
+                this.lastContentData = contentData;
+                this.factCheck = null;
+                this.resetChat();
                 this.displayAnalysisResult(response.data, response.cached);
+
+                if (this.settings.factCheckMode) {
+                    this.runFactCheck();
+                }
             } else {
                 this.showError(response.error || 'Analysis failed');
             }
@@ -96,17 +352,395 @@ class WebJageContentExtractor {
             console.error('Page analysis failed:', error);
             this.showError('Failed to analyze page content');
         } finally {
-            this.isAnalyzing = false;
+            this.finishAnalysis();
         }
     }
 
-    extractPageContent() {
+    // Analyze only the text selected on the page, started from the context menu
+    async analyzeSelection(selectionText) {
+        if (this.isAnalyzing) {
+            return;
+        }
+
+        // Prefer the live selection, it keeps the line breaks the context menu text loses
+        const text = (window.getSelection()?.toString() || selectionText || '').trim();
+        if (text.length < 50) {
+            this.showError('Select at least 50 characters of text to analyze');
+            return;
+        }
+
+        this.isAnalyzing = true;
+
+        try {
+            const contentData = this.extractSelectionContent(text);
+
+            this.showFloatingWindow({ loading: true, message: 'Analyzing selected text...' });
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'analyzeContent',
+                data: contentData
+            });
+
+            if (response.success) {
+                this.lastContentData = contentData;
+                this.factCheck = null;
+                this.resetChat();
+                this.displayAnalysisResult({ ...response.data, selection: text }, response.cached);
+
+                if (this.settings.factCheckMode) {
+                    this.runFactCheck();
+                }
+            } else {
+                this.showError(response.error || 'Analysis failed');
+            }
+
+        } catch (error) {
+            console.error('Selection analysis failed:', error);
+            this.showError('Failed to analyze selected text');
+        } finally {
+            this.finishAnalysis();
+        }
+    }
+
+    extractSelectionContent(text) {
+        const content = {
+            text,
+            wordCount: text.split(/\s+/).length,
+            images: [],
+            links: []
+        };
+
+        return {
+            url: window.location.href,
+            title: document.title,
+            content,
+            metadata: { ...this.extractMetadata(), analysisScope: 'selection' },
+            // Cached separately from the page and from other selections
+            contentHash: this.generateContentHash(content),
+            timestamp: Date.now()
+        };
+    }
+
+    requestStreamingAnalysis(contentData, onProgress) {
+        // Resolves with the same shape as the analyzeContent message response
+        return new Promise((resolve) => {
+            const port = chrome.runtime.connect({ name: 'analyzeContentStream' });
+            let settled = false;
+
+            const finish = (response) => {
+                if (settled) return;
+                settled = true;
+                port.disconnect();
+                resolve(response);
+            };
+
+            port.onMessage.addListener((message) => {
+                switch (message.event) {
+                    case 'result':
+                        finish({ success: true, data: message.data, cached: message.cached });
+                        break;
+
+                    case 'error':
+                        finish({ success: false, error: message.error });
+                        break;
+
+                    default:
+                        onProgress(message);
+                }
+            });
+
+            port.onDisconnect.addListener(() => {
+                finish({ success: false, error: 'Connection to extension lost' });
+            });
+
+            port.postMessage({ action: 'analyzeContent', data: contentData });
+        });
+    }
+
+    async runFactCheck() {
+        if (!this.lastContentData || this.factCheck?.status === 'loading') {
+            return;
+        }
+
+        const contentData = this.lastContentData;
+        this.factCheck = { status: 'loading' };
+        this.refreshAnalysisResult();
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'factCheckContent',
+                data: contentData
+            });
+
+            // A newer analysis replaced the one this fact-check belongs to
+            if (this.lastContentData !== contentData) {
+                return;
+            }
+
+            this.factCheck = response.success
+                ? { status: 'done', claims: response.data.claims, verdictCounts: response.data.verdictCounts }
+                : { status: 'error', error: response.error || 'Fact-check failed' };
+        } catch (error) {
+            console.error('Fact-check failed:', error);
+            this.factCheck = { status: 'error', error: 'Failed to fact-check page content' };
+        }
+
+        this.refreshAnalysisResult();
+    }
+
+    // Start a new conversation, the backend session of the previous one simply expires
+    resetChat() {
+        this.chat = { sessionId: null, messages: [], status: 'idle', error: null, draft: '' };
+    }
+
+    // Ask a follow-up question about the analyzed content
+    async sendChatMessage(text) {
+        const { chat } = this;
+        const question = text.trim();
+        if (!chat || !question || chat.status === 'loading' || !this.lastContentData) {
+            return;
+        }
+
+        chat.messages.push({ role: 'user', text: question });
+        chat.status = 'loading';
+        chat.error = null;
+        chat.draft = '';
+        this.refreshAnalysisResult();
+
+        try {
+            // The content is only sent on when the backend has no session for this conversation
+            const response = await chrome.runtime.sendMessage({
+                action: 'chatAboutPage',
+                data: {
+                    sessionId: chat.sessionId,
+                    message: question,
+                    contentData: this.lastContentData,
+                    analysis: this.currentAnalysis
+                }
+            });
+
+            if (response.success) {
+                chat.sessionId = response.data.sessionId;
+                chat.messages.push({ role: 'assistant', text: response.data.answer, quotes: response.data.quotes });
+            } else {
+                chat.error = response.error || 'No answer received';
+            }
+        } catch (error) {
+            console.error('Chat failed:', error);
+            chat.error = 'Failed to send the question';
+        }
+
+        // Unanswered questions go back into the input to be asked again
+        if (chat.error) {
+            chat.messages.pop();
+            chat.draft = question;
+        }
+        chat.status = 'idle';
+
+        // A newer analysis replaced this conversation
+        if (this.chat !== chat) {
+            return;
+        }
+
+        this.refreshAnalysisResult();
+        this.floatingWindow?.querySelector('.webjage-chat-input')?.focus();
+    }
+
+    // Scroll to a claim's source sentence and select it
+    scrollToSentence(sentence) {
+        const range = this.findTextRange(sentence);
+        if (!range) {
+            return false;
+        }
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        const element = range.startContainer.parentElement;
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return true;
+    }
+
+    /**
+     * Find text on the page, ignoring differences in whitespace
+     * @param {string} text - Text to find, e.g. a sentence quoted by the backend
+     * @returns {Range|null} Range covering the first match, outside the floating window
+     */
+    findTextRange(text) {
+        const target = (text || '').replace(/\s+/g, ' ').trim();
+        if (!target) {
+            return null;
+        }
+
+        // Page text with whitespace runs collapsed, and the text node position of every character
+        const positions = [];
+        let pageText = '';
+
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                const parent = node.parentElement;
+                if (!parent || parent.closest('script, style, noscript, #webjage-floating-window')) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const value = node.nodeValue;
+
+            for (let i = 0; i < value.length; i++) {
+                const isSpace = /\s/.test(value[i]);
+                if (isSpace && (pageText.length === 0 || pageText.endsWith(' '))) {
+                    continue;
+                }
+                pageText += isSpace ? ' ' : value[i];
+                positions.push({ node, offset: i });
+            }
+        }
+
+        let index = pageText.indexOf(target);
+        if (index === -1) {
+            index = pageText.toLowerCase().indexOf(target.toLowerCase());
+        }
+        if (index === -1) {
+            return null;
+        }
+
+        const start = positions[index];
+        const end = positions[index + target.length - 1];
+
+        const range = document.createRange();
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, Math.min(end.offset + 1, end.node.nodeValue.length));
+        return range;
+    }
+
+    // Show the highlights of the displayed analysis, if enabled
+    renderHighlights() {
+        this.withoutObserving(() => {
+            this.removeHighlights();
+
+            if (!this.settings.showHighlights) {
+                return;
+            }
+
+            for (const highlight of this.highlights) {
+                const range = this.findTextRange(highlight.text);
+                if (range) {
+                    this.wrapRange(range, highlight);
+                }
+            }
+        });
+    }
+
+    removeHighlights() {
+        document.querySelectorAll('mark.webjage-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize(); // Merge the split text nodes again
+        });
+    }
+
+    /**
+     * Wrap the text of a range in highlight marks, one per text node
+     * @param {Range} range - Range to highlight
+     * @param {Object} highlight - { type, note, text } from the analysis
+     */
+    wrapRange(range, highlight) {
+        const root = range.commonAncestorContainer;
+        const textNodes = [];
+
+        if (root.nodeType === Node.TEXT_NODE) {
+            textNodes.push(root);
+        } else {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                if (range.intersectsNode(walker.currentNode)) {
+                    textNodes.push(walker.currentNode);
+                }
+            }
+        }
+
+        for (const node of textNodes) {
+            if (node.parentElement?.closest('script, style, noscript, #webjage-floating-window')) continue;
+
+            const start = node === range.startContainer ? range.startOffset : 0;
+            const end = node === range.endContainer ? range.endOffset : node.nodeValue.length;
+            if (start >= end || !node.nodeValue.slice(start, end).trim()) continue;
+
+            let target = node;
+            if (end < target.nodeValue.length) target.splitText(end);
+            if (start > 0) target = target.splitText(start);
+
+            const mark = document.createElement('mark');
+            mark.className = `webjage-highlight webjage-highlight-${highlight.type}`;
+            mark.dataset.note = highlight.note;
+            mark.dataset.type = highlight.type;
+            target.parentNode.insertBefore(mark, target);
+            mark.appendChild(target);
+        }
+    }
+
+    // One tooltip for all highlights, showing the analysis note of the hovered passage
+    setupHighlightTooltip() {
+        const labels = { keyPoint: 'Key point', strength: 'Strength', concern: 'Concern' };
+
+        document.addEventListener('mouseover', (e) => {
+            const mark = e.target.closest?.('mark.webjage-highlight');
+            if (!mark) return;
+
+            if (!this.highlightTooltip) {
+                this.highlightTooltip = document.createElement('div');
+                this.highlightTooltip.id = 'webjage-highlight-tooltip';
+                document.body.appendChild(this.highlightTooltip);
+            }
+
+            const tooltip = this.highlightTooltip;
+            tooltip.innerHTML = `<strong>${labels[mark.dataset.type] || 'Note'}:</strong> ${this.escapeHtml(mark.dataset.note)}`;
+            tooltip.className = `webjage-highlight-tooltip-${mark.dataset.type}`;
+
+            const rect = mark.getBoundingClientRect();
+            tooltip.style.setProperty('left', `${Math.max(8, Math.min(rect.left, window.innerWidth - 328))}px`, 'important');
+            tooltip.style.setProperty('top', `${rect.bottom + 6}px`, 'important');
+            tooltip.style.setProperty('display', 'block', 'important');
+        });
+
+        document.addEventListener('mouseout', (e) => {
+            if (this.highlightTooltip && e.target.closest?.('mark.webjage-highlight')) {
+                this.highlightTooltip.style.setProperty('display', 'none', 'important');
+            }
+        });
+    }
+
+    toggleHighlights() {
+        // Saved as a setting, the storage listener re-renders
+        chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            settings: { showHighlights: !this.settings.showHighlights }
+        });
+    }
+
+    /**
+     * Extract the page for an analysis: its content area and the page-wide data of the audits
+     * @param {Object} [mainContent] - Content area, if already extracted
+     * @returns {Object} Content data
+     */
+    extractPageContent(mainContent = this.extractMainContent()) {
         const url = window.location.href;
         const title = document.title;
 
-        // Extract main content using various strategies
-        const content = this.extractMainContent();
-        const metadata = this.extractMetadata();
+        // Document-wide structure for the SEO, accessibility and category audits
+        const seo = this.extractSeoData();
+        const content = {
+            ...mainContent,
+            seo,
+            accessibility: this.extractAccessibilityData(),
+            structuredData: this.extractStructuredData(seo.jsonLd)
+        };
+        const metadata = this.extractMetadata(content.structuredData);
 
         // Generate content hash for caching
         const contentHash = this.generateContentHash(content);
@@ -121,107 +755,377 @@ class WebJageContentExtractor {
         };
     }
 
+    // Text, images and links of the content area, all the page-change check needs
     extractMainContent() {
-        // Try to find main content area
-        const contentSelectors = [
-            'main',
-            'article',
-            '[role="main"]',
-            '.content',
-            '.main-content',
-            '.post-content',
-            '.entry-content',
-            '#content',
-            '#main'
-        ];
+        // Score the page blocks to find the content, rather than trusting its class names
+        const { elements, text } = new WebJageReadability(document).extract();
 
-        let mainElement = null;
-        for (const selector of contentSelectors) {
-            mainElement = document.querySelector(selector);
-            if (mainElement) break;
-        }
+        // Extract images, alt is null where the attribute is missing
+        const images = elements.flatMap(element => this.extractImages(element)).slice(0, 10);
+
+        // Extract links, classified by the backend for sourcing analysis
+        const links = elements.flatMap(element => this.extractLinks(element)).slice(0, MAX_LINKS);
 
-        // Fallback to body if no main content found
-        if (!mainElement) {
-            mainElement = document.body;
+        return {
+            text,
+            images,
+            links,
+            wordCount: text.split(/\s+/).length
+        };
+    }
+
+    // Elements of the page, without the floating window
+    getPageElements(selector) {
+        return Array.from(document.querySelectorAll(selector)).filter(element => !this.isOwnNode(element));
+    }
+
+    // Hidden elements are not announced by screen readers and can't be focused
+    isHiddenElement(element) {
+        if (element.closest('[hidden], [aria-hidden="true"], [inert]')) return true;
+        const style = window.getComputedStyle(element);
+        return style.display === 'none' || style.visibility === 'hidden';
+    }
+
+    // Document-wide structure for the accessibility audit
+    extractAccessibilityData() {
+        const landmarks = {};
+        this.getPageElements('[role], main, nav, aside, header, footer, search, form[aria-label], form[aria-labelledby], section[aria-label], section[aria-labelledby]')
+            .forEach(element => {
+                // Headers and footers inside articles and sections are not page landmarks
+                const scoped = ['HEADER', 'FOOTER'].includes(element.tagName) &&
+                    element.parentElement?.closest('article, aside, main, nav, section');
+                const role = element.getAttribute('role') || (scoped ? null : IMPLICIT_LANDMARKS[element.tagName]);
+                if (LANDMARK_ROLES.includes(role)) landmarks[role] = (landmarks[role] || 0) + 1;
+            });
+
+        const focusable = this.getPageElements(FOCUSABLE_SELECTOR).filter(element => !this.isHiddenElement(element) && !element.disabled);
+        // Form controls and links or buttons around images without alt text are reported with those
+        const unnamed = focusable.filter(element => !element.matches(FORM_CONTROL_SELECTOR) &&
+            !element.querySelector('img:not([alt])') && !this.getAccessibleName(element));
+
+        return {
+            landmarks,
+            lang: document.documentElement.getAttribute('lang'),
+            partLangs: [...new Set(this.getPageElements('body [lang]').map(element => element.getAttribute('lang')))],
+            images: this.getPageElements('img, input[type="image"], [role="img"]')
+                .filter(image => !this.isHiddenElement(image))
+                .slice(0, MAX_A11Y_IMAGES)
+                .map(image => {
+                    // An image that is all a link or button contains gives them their name
+                    const control = image.closest('a[href], button');
+                    return {
+                        src: image.currentSrc || image.src || image.tagName.toLowerCase(),
+                        alt: image.hasAttribute('alt') ? image.getAttribute('alt') : (this.getAccessibleName(image) || null),
+                        role: image.getAttribute('role'),
+                        onlyContentOf: control && !control.textContent.trim() ? control.tagName.toLowerCase() : null
+                    };
+                }),
+            formControls: this.getPageElements(FORM_CONTROL_SELECTOR)
+                .filter(control => !this.isHiddenElement(control))
+                .slice(0, MAX_A11Y_CONTROLS)
+                .map(control => ({
+                    type: control.tagName === 'INPUT' ? (control.getAttribute('type') || 'text').toLowerCase() : control.tagName.toLowerCase(),
+                    label: this.getControlLabelSource(control)
+                })),
+            focusableCount: focusable.length,
+            unnamedFocusable: unnamed.slice(0, MAX_A11Y_EXAMPLES).map(element => ({
+                tag: element.tagName.toLowerCase(),
+                role: element.getAttribute('role'),
+                html: element.outerHTML.replace(/\s+/g, ' ').slice(0, 120)
+            })),
+            unnamedFocusableCount: unnamed.length,
+            textSamples: this.sampleTextContrast()
+        };
+    }
+
+    // Where a form control gets its label from, null if it has none
+    getControlLabelSource(control) {
+        if (this.getLabelledByText(control)) return 'aria-labelledby';
+        if (control.getAttribute('aria-label')?.trim()) return 'aria-label';
+        if (Array.from(control.labels || []).some(label => label.textContent.trim())) return 'label';
+        if (control.getAttribute('title')?.trim()) return 'title';
+        if (control.getAttribute('placeholder')?.trim()) return 'placeholder';
+        return null;
+    }
+
+    getLabelledByText(element) {
+        return (element.getAttribute('aria-labelledby') || '')
+            .split(/\s+/)
+            .map(id => id && document.getElementById(id)?.textContent.trim())
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    // Simplified accessible name computation: ARIA, labels, content, alt text and title
+    getAccessibleName(element) {
+        const name = this.getLabelledByText(element) ||
+            element.getAttribute('aria-label') ||
+            Array.from(element.labels || []).map(label => label.textContent).join(' ') ||
+            (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) ? '' : element.textContent) ||
+            Array.from(element.querySelectorAll('img[alt], [aria-label]'))
+                .map(child => child.getAttribute('alt') || child.getAttribute('aria-label')).join(' ') ||
+            (element.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(element.type) ? element.value : '') ||
+            (element.tagName === 'INPUT' && element.type === 'image' ? element.getAttribute('alt') : '') ||
+            element.querySelector('title')?.textContent ||
+            element.getAttribute('title') ||
+            '';
+
+        return name.trim();
+    }
+
+    // Text colors against their backgrounds, one sample per distinct style
+    sampleTextContrast() {
+        const samples = new Map();
+
+        for (const element of this.getPageElements(TEXT_SAMPLE_SELECTOR).slice(0, MAX_CONTRAST_CANDIDATES)) {
+            const ownText = Array.from(element.childNodes)
+                .filter(node => node.nodeType === Node.TEXT_NODE)
+                .map(node => node.textContent)
+                .join('')
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (ownText.length < 3 || this.isHiddenElement(element)) continue;
+
+            const style = window.getComputedStyle(element);
+            const sample = {
+                color: style.color,
+                background: this.getEffectiveBackground(element),
+                fontSize: parseFloat(style.fontSize) || 16,
+                fontWeight: parseInt(style.fontWeight, 10) || (style.fontWeight === 'bold' ? 700 : 400)
+            };
+            const key = `${sample.color}|${sample.background}|${sample.fontSize}|${sample.fontWeight}`;
+
+            if (samples.has(key)) {
+                samples.get(key).count++;
+            } else if (samples.size < MAX_CONTRAST_SAMPLES) {
+                samples.set(key, { ...sample, text: ownText.slice(0, 60), count: 1 });
+            }
         }
 
-        // Extract text content while preserving structure
-        const textContent = this.extractTextWithStructure(mainElement);
+        return [...samples.values()];
+    }
 
-        // Extract images with alt text
-        const images = this.extractImages(mainElement);
+    // First opaque background color behind an element, null when an image is behind the text
+    getEffectiveBackground(element) {
+        for (let current = element; current; current = current.parentElement) {
+            const style = window.getComputedStyle(current);
+            if (style.backgroundImage && style.backgroundImage !== 'none') {
+                return null;
+            }
 
-        // Extract links
-        const links = this.extractLinks(mainElement);
+            const background = style.backgroundColor;
+            if (background && background !== 'transparent' && !/rgba\([^)]*,\s*0\)$/.test(background)) {
+                return background;
+            }
+        }
+
+        return 'rgb(255, 255, 255)';
+    }
 
+    // Document-wide structure for the SEO audit, unlike the rest of the content not limited to the main text
+    extractSeoData() {
+        const attribute = (selector, name) => document.querySelector(selector)?.getAttribute(name) ?? null;
+        const metaGroup = (prefix) => Object.fromEntries(
+            Array.from(document.querySelectorAll(`meta[property^="${prefix}:"], meta[name^="${prefix}:"]`))
+                .map(meta => [meta.getAttribute('property') || meta.getAttribute('name'), meta.getAttribute('content') || ''])
+        );
         return {
-            text: textContent,
-            images,
-            links,
-            wordCount: textContent.split(/\s+/).length
+            headings: this.getPageElements('h1, h2, h3, h4, h5, h6')
+                .slice(0, MAX_SEO_HEADINGS)
+                .map(heading => ({
+                    level: Number(heading.tagName[1]),
+                    text: heading.textContent.replace(/\s+/g, ' ').trim().slice(0, 150)
+                })),
+            canonical: document.querySelector('link[rel~="canonical"][href]')?.href ?? null,
+            robots: [attribute('meta[name="robots" i]', 'content'), attribute('meta[name="googlebot" i]', 'content')]
+                .filter(Boolean).join(', ') || null,
+            viewport: attribute('meta[name="viewport" i]', 'content'),
+            openGraph: metaGroup('og'),
+            twitterCard: metaGroup('twitter'),
+            hreflang: Array.from(document.querySelectorAll('link[rel~="alternate"][hreflang]'))
+                .map(link => ({ lang: link.getAttribute('hreflang'), url: link.href })),
+            jsonLd: this.extractJsonLd(),
+            images: this.getPageElements('img')
+                .slice(0, MAX_SEO_IMAGES)
+                .map(img => ({
+                    src: img.currentSrc || img.src,
+                    alt: img.getAttribute('alt'), // null if missing, "" marks a decorative image
+                    width: img.getAttribute('width'),
+                    height: img.getAttribute('height'),
+                    naturalWidth: img.naturalWidth,
+                    naturalHeight: img.naturalHeight,
+                    displayWidth: img.clientWidth,
+                    displayHeight: img.clientHeight
+                }))
         };
     }
 
-    extractTextWithStructure(element) {
-        // Remove unwanted elements
-        const unwantedSelectors = [
-            'script',
-            'style',
-            'nav',
-            'header',
-            'footer',
-            '.advertisement',
-            '.ads',
-            '.sidebar',
-            '.menu',
-            '.navigation'
-        ];
+    extractJsonLd() {
+        return Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+            .slice(0, MAX_JSON_LD_BLOCKS)
+            .map(script => this.parseJsonLd(script.textContent));
+    }
 
-        const clone = element.cloneNode(true);
-        unwantedSelectors.forEach(selector => {
-            const elements = clone.querySelectorAll(selector);
-            elements.forEach(el => el.remove());
+    // Items of the schema.org types in STRUCTURED_PAGE_TYPES, from JSON-LD and microdata, in page order
+    extractStructuredData(jsonLd = this.extractJsonLd()) {
+        const items = [];
+        const addItem = (data, source) => {
+            const type = this.getStructuredType(data);
+            if (type) items.push({ type, source, data });
+        };
+
+        // JSON-LD blocks can hold one item, a list of items or a @graph of them
+        const addJsonLd = (value) => {
+            if (Array.isArray(value)) {
+                value.forEach(addJsonLd);
+            } else if (value && typeof value === 'object') {
+                if (Array.isArray(value['@graph'])) value['@graph'].forEach(addJsonLd);
+                addItem(value, 'json-ld');
+            }
+        };
+        jsonLd.forEach(block => addJsonLd(block.data));
+
+        // Top-level microdata items, nested ones are properties of their parent
+        this.getPageElements('[itemscope]:not([itemprop])')
+            .forEach(element => addItem(this.parseMicrodata(element), 'microdata'));
+
+        return items.slice(0, MAX_STRUCTURED_ITEMS);
+    }
+
+    // First schema.org type of an item the backend has an analyzer for
+    getStructuredType(data) {
+        return [].concat(data['@type'] || [])
+            .map(type => String(type).replace(/^https?:\/\/schema\.org\//, ''))
+            .find(type => STRUCTURED_PAGE_TYPES[type]) || null;
+    }
+
+    // Microdata item as a JSON-LD style object, e.g. { '@type': 'Recipe', recipeIngredient: [...] }
+    parseMicrodata(element, depth = 0) {
+        const item = {
+            '@type': (element.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean)
+        };
+
+        element.querySelectorAll('[itemprop]').forEach(property => {
+            // Properties of nested items belong to those
+            if (property.parentElement.closest('[itemscope]') !== element) return;
+
+            const value = property.hasAttribute('itemscope')
+                ? (depth < MAX_MICRODATA_DEPTH ? this.parseMicrodata(property, depth + 1) : null)
+                : this.getMicrodataValue(property);
+            if (value === null || value === '') return;
+
+            property.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+                item[name] = name in item ? [].concat(item[name], value) : value;
+            });
         });
 
-        // Extract text with basic structure preservation
-        const headings = Array.from(clone.querySelectorAll('h1, h2, h3, h4, h5, h6'))
-            .map(h => `${h.tagName}: ${h.textContent.trim()}`)
-            .filter(text => text.length > 3);
+        return item;
+    }
 
-        const paragraphs = Array.from(clone.querySelectorAll('p'))
-            .map(p => p.textContent.trim())
-            .filter(text => text.length > 10);
+    getMicrodataValue(property) {
+        if (property.hasAttribute('content')) return property.getAttribute('content');
+
+        switch (property.tagName) {
+            case 'A':
+            case 'LINK':
+            case 'AREA':
+                return property.href;
+            case 'IMG':
+            case 'AUDIO':
+            case 'VIDEO':
+            case 'SOURCE':
+            case 'IFRAME':
+            case 'EMBED':
+                return property.src;
+            case 'TIME':
+                return property.getAttribute('datetime') || property.textContent.trim();
+            case 'DATA':
+            case 'METER':
+                return property.getAttribute('value');
+            default:
+                return property.textContent.replace(/\s+/g, ' ').trim();
+        }
+    }
 
-        const listItems = Array.from(clone.querySelectorAll('li'))
-            .map(li => `• ${li.textContent.trim()}`)
-            .filter(text => text.length > 5);
+    parseJsonLd(text) {
+        if (text.length > MAX_JSON_LD_LENGTH) {
+            return { data: null, length: text.length };
+        }
 
-        return [...headings, ...paragraphs, ...listItems].join('\n\n');
+        try {
+            return { data: JSON.parse(text) };
+        } catch (error) {
+            return { error: error.message };
+        }
     }
 
     extractImages(element) {
         return Array.from(element.querySelectorAll('img'))
             .map(img => ({
                 src: img.src,
-                alt: img.alt || '',
+                alt: img.getAttribute('alt'), // null if missing, "" marks a decorative image
                 title: img.title || ''
             }))
-            .filter(img => img.alt || img.title)
             .slice(0, 10); // Limit to first 10 images
     }
 
     extractLinks(element) {
+        const referenceSections = this.findReferenceSections(element);
+
         return Array.from(element.querySelectorAll('a[href]'))
-            .map(link => ({
-                url: link.href,
-                text: link.textContent.trim()
-            }))
+            .map(link => {
+                const text = (link.textContent.trim() || link.title || link.querySelector('img[alt]')?.alt || '').trim();
+                const rel = link.getAttribute('rel');
+
+                return {
+                    url: link.href,
+                    text,
+                    ...(rel ? { rel: rel.toLowerCase() } : {}),
+                    ...(link.hasAttribute('download') ? { download: true } : {}),
+                    ...(link.closest(CITATION_CONTAINERS) || referenceSections.some(section => section.contains(link)) ? { citation: true } : {}),
+                    context: this.getLinkContext(link, text)
+                };
+            })
             .filter(link => link.text && link.url.startsWith('http'))
-            .slice(0, 20); // Limit to first 20 links
+            .slice(0, MAX_LINKS);
+    }
+
+    // Lists following a "References" or "Sources" heading
+    findReferenceSections(element) {
+        return Array.from(element.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .filter(heading => REFERENCE_HEADING_PATTERN.test(heading.textContent.trim()))
+            .map(heading => {
+                let sibling = heading.nextElementSibling;
+                while (sibling && !/^(OL|UL|DL|DIV)$/.test(sibling.tagName) && !/^H[1-6]$/.test(sibling.tagName)) {
+                    sibling = sibling.nextElementSibling;
+                }
+                return sibling && !/^H[1-6]$/.test(sibling.tagName) ? sibling : null;
+            })
+            .filter(Boolean);
     }
 
-    extractMetadata() {
+    // The sentence a link appears in, lets the backend tell which claims it supports
+    getLinkContext(link, text) {
+        const block = link.closest('p, li, dd, td, blockquote, figcaption') || link.parentElement;
+        const blockText = (block?.textContent || '').replace(/\s+/g, ' ').trim();
+        const linkText = link.textContent.replace(/\s+/g, ' ').trim() || text;
+        const index = linkText ? blockText.indexOf(linkText) : -1;
+
+        if (index === -1) {
+            return blockText.slice(0, MAX_LINK_CONTEXT_LENGTH);
+        }
+
+        // Footnote markers like "[3]" follow the end of the sentence they source
+        const before = blockText.slice(0, index);
+        const endsSentence = /^\[?\d+\]?$/.test(linkText) && /[.!?]\s*$/.test(before);
+        const head = endsSentence ? before.replace(/[.!?]\s*$/, '') : before;
+        const after = endsSentence ? '' : blockText.slice(index + linkText.length).match(/^[^.!?]*[.!?]?/)[0];
+        const sentence = (before.slice(head.search(/[^.!?]*$/)) + linkText + after).trim();
+
+        return sentence.slice(0, MAX_LINK_CONTEXT_LENGTH);
+    }
+
+    extractMetadata(structuredData) {
         const metadata = {};
 
         // Meta tags
@@ -238,12 +1142,18 @@ class WebJageContentExtractor {
         metadata.language = document.documentElement.lang || 'unknown';
 
         // Page type detection
-        metadata.pageType = this.detectPageType();
+        metadata.pageType = this.detectPageType(structuredData || this.extractStructuredData());
 
         return metadata;
     }
 
-    detectPageType() {
+    // The page's structured data says what it is, URL and wording are the fallback
+    detectPageType(structuredData = []) {
+        const structuredTypes = structuredData.map(item => STRUCTURED_PAGE_TYPES[item.type]);
+        const preferred = ['recipe', 'product', 'howto', 'review', 'news', 'blog', 'article', 'faq']
+            .find(pageType => structuredTypes.includes(pageType));
+        if (preferred) return preferred;
+
         const url = window.location.href;
         const title = document.title.toLowerCase();
         const content = document.body.textContent.toLowerCase();
@@ -260,8 +1170,10 @@ class WebJageContentExtractor {
 
     generateContentHash(content) {
         // Simple hash function for content deduplication
+        // Only the content area counts: the page-wide SEO and accessibility data change with lazy loading,
+        // resizing and unrelated widgets, which must not trigger a re-analysis of the same article
         let hash = 0;
-        const str = JSON.stringify(content);
+        const str = JSON.stringify({ text: content.text, images: content.images, links: content.links });
         for (let i = 0; i < str.length; i++) {
             const char = str.charCodeAt(i);
             hash = ((hash << 5) - hash) + char;
@@ -303,9 +1215,28 @@ class WebJageContentExtractor {
         `;
 
         document.body.appendChild(this.floatingWindow);
+        this.applyWindowLayout();
         this.setupFloatingWindowEvents();
     }
 
+    applyWindowLayout() {
+        const { windowPosition, windowWidth, windowMaxHeight } = this.settings;
+        const [vertical, horizontal] = windowPosition.split('-');
+        const style = this.floatingWindow.style;
+
+        // The stylesheet pins the window with !important, so inline styles need it too
+        style.setProperty('width', `${windowWidth}px`, 'important');
+        style.setProperty('max-height', `${windowMaxHeight}px`, 'important');
+        style.setProperty(vertical, '20px', 'important');
+        style.setProperty(vertical === 'top' ? 'bottom' : 'top', 'auto', 'important');
+        style.setProperty(horizontal, '20px', 'important');
+        style.setProperty(horizontal === 'right' ? 'left' : 'right', 'auto', 'important');
+
+        // Leave room for the header
+        const content = this.floatingWindow.querySelector('.webjage-content');
+        content.style.maxHeight = `${windowMaxHeight - 80}px`;
+    }
+
     setupFloatingWindowEvents() {
         // Make window draggable
         let isDragging = false;
@@ -322,8 +1253,11 @@ class WebJageContentExtractor {
 
         const handleDrag = (e) => {
             if (isDragging) {
-                this.floatingWindow.style.left = (e.clientX - dragOffset.x) + 'px';
-                this.floatingWindow.style.top = (e.clientY - dragOffset.y) + 'px';
+                const style = this.floatingWindow.style;
+                style.setProperty('left', (e.clientX - dragOffset.x) + 'px', 'important');
+                style.setProperty('top', (e.clientY - dragOffset.y) + 'px', 'important');
+                style.setProperty('right', 'auto', 'important');
+                style.setProperty('bottom', 'auto', 'important');
             }
         };
 
@@ -342,6 +1276,84 @@ class WebJageContentExtractor {
             minimizeBtn.textContent = isMinimized ? '−' : '+';
         });
 
+        // Fact-check actions, the content is re-rendered so listen on its container
+        const content = this.floatingWindow.querySelector('.webjage-content');
+        content.addEventListener('click', (e) => {
+            const tab = e.target.closest('.webjage-tab');
+            if (tab) {
+                this.activeTab = tab.dataset.tab;
+                this.refreshAnalysisResult();
+                return;
+            }
+
+            if (e.target.closest('.webjage-factcheck-btn')) {
+                this.runFactCheck();
+                return;
+            }
+
+            if (e.target.closest('.webjage-highlights-btn')) {
+                this.toggleHighlights();
+                return;
+            }
+
+            const exportButton = e.target.closest('.webjage-export-btn');
+            if (exportButton) {
+                this.exportAnalysis(exportButton.dataset.format);
+                return;
+            }
+
+            const unsourcedElement = e.target.closest('.webjage-unsourced-claim');
+            if (unsourcedElement) {
+                const sentence = this.currentAnalysis?.sourcing?.unsourcedClaims?.[unsourcedElement.dataset.index];
+                if (sentence && !this.scrollToSentence(sentence)) {
+                    unsourcedElement.classList.add('webjage-claim-missing');
+                    unsourcedElement.title = 'The sentence could not be found on the page';
+                }
+                return;
+            }
+
+            const claimElement = e.target.closest('.webjage-claim');
+            if (claimElement) {
+                const claim = this.factCheck?.claims?.[claimElement.dataset.index];
+                if (claim && !this.scrollToSentence(claim.sourceSentence)) {
+                    claimElement.classList.add('webjage-claim-missing');
+                    claimElement.title = 'The source sentence could not be found on the page';
+                }
+                return;
+            }
+
+            const quoteElement = e.target.closest('.webjage-chat-quote');
+            if (quoteElement) {
+                const quote = this.chat?.messages[quoteElement.dataset.message]?.quotes?.[quoteElement.dataset.quote];
+                if (quote && !this.scrollToSentence(quote.text)) {
+                    quoteElement.classList.add('webjage-chat-quote-missing');
+                    quoteElement.title = 'The quoted sentence could not be found on the page';
+                }
+            }
+        });
+
+        // Follow-up questions
+        content.addEventListener('submit', (e) => {
+            if (!e.target.matches('.webjage-chat-form')) return;
+
+            e.preventDefault();
+            this.sendChatMessage(e.target.querySelector('.webjage-chat-input').value);
+        });
+
+        content.addEventListener('input', (e) => {
+            // Kept so re-rendering the window doesn't lose a half-typed question
+            if (e.target.matches('.webjage-chat-input') && this.chat) {
+                this.chat.draft = e.target.value;
+            }
+        });
+
+        content.addEventListener('keydown', (e) => {
+            // Don't trigger the page's keyboard shortcuts while typing a question
+            if (e.target.matches('.webjage-chat-input')) {
+                e.stopPropagation();
+            }
+        });
+
         // Close functionality
         const closeBtn = this.floatingWindow.querySelector('.webjage-close');
         closeBtn.addEventListener('click', () => {
@@ -353,12 +1365,17 @@ class WebJageContentExtractor {
         const content = this.floatingWindow.querySelector('.webjage-content');
 
         if (data.loading) {
-            content.innerHTML = '<div class="webjage-loading">Analyzing page content...</div>';
+            content.innerHTML = `<div class="webjage-loading">${this.escapeHtml(data.message || 'Analyzing page content...')}</div>`;
             return;
         }
 
         if (data.error) {
-            content.innerHTML = `<div class="webjage-error">Error: ${data.error}</div>`;
+            content.innerHTML = `<div class="webjage-error">Error: ${this.escapeHtml(data.error)}</div>`;
+            return;
+        }
+
+        if (data.partial) {
+            content.innerHTML = this.formatPartialResult(data.partial);
             return;
         }
 
@@ -368,48 +1385,542 @@ class WebJageContentExtractor {
 
     formatAnalysisResult(analysis) {
         const cached = analysis.cached ? '<span class="webjage-cached">(Cached)</span>' : '';
+        const sections = this.settings.displaySections;
+        // Analyses cached before the SEO and accessibility audits have no tabs for them
+        const tabs = this.formatTabs({
+            analysis: 'Analysis',
+            ...(analysis.seoInsights?.checks ? { seo: 'SEO' } : {}),
+            ...(analysis.accessibility?.findings ? { accessibility: 'Accessibility' } : {})
+        });
+
+        if (tabs && this.activeTab === 'seo' && analysis.seoInsights?.checks) {
+            return tabs + this.formatSeoTab(analysis.seoInsights);
+        }
+        if (tabs && this.activeTab === 'accessibility' && analysis.accessibility?.findings) {
+            return tabs + this.formatAccessibilityTab(analysis.accessibility);
+        }
 
         return `
+          ${tabs}
           <div class="webjage-analysis">
-            <div class="webjage-section">
-              <h4>Summary ${cached}</h4>
-              <p>${analysis.summary || 'No summary available'}</p>
-            </div>
+            ${analysis.selection ? this.formatSelectionSection(analysis.selection) : ''}
+
+            ${sections.summary ? `
+              <div class="webjage-section">
+                <h4>Summary ${cached}</h4>
+                <p>${this.escapeHtml(analysis.summary || 'No summary available')}</p>
+              </div>
+            ` : ''}
+            
+            ${sections.qualityScore ? `
+              <div class="webjage-section">
+                <h4>Quality Score ${sections.summary ? '' : cached}</h4>
+                <div class="webjage-score">
+                  <span class="webjage-score-value">${this.escapeHtml(analysis.qualityScore || 'N/A')}/10</span>
+                  <div class="webjage-score-bar">
+                    <div class="webjage-score-fill" style="width: ${(Number(analysis.qualityScore) || 0) * 10}%"></div>
+                  </div>
+                </div>
+              </div>
+            ` : ''}
+            
+            ${sections.tags ? `
+              <div class="webjage-section">
+                <h4>Analysis</h4>
+                <div class="webjage-tags">
+                  ${analysis.credibility ? `<span class="webjage-tag">Credibility: ${this.escapeHtml(analysis.credibility)}</span>` : ''}
+                  ${analysis.sentiment ? `<span class="webjage-tag">Sentiment: ${this.escapeHtml(analysis.sentiment)}</span>` : ''}
+                  ${analysis.category ? `<span class="webjage-tag">Category: ${this.escapeHtml(analysis.category)}</span>` : ''}
+                  ${analysis.readingTime ? `<span class="webjage-tag">Reading Time: ${this.escapeHtml(analysis.readingTime)}</span>` : ''}
+                </div>
+              </div>
+            ` : ''}
             
+            ${this.formatCredibilitySection(analysis.credibilityVerdict, analysis.reputation)}
+            ${this.formatSourcingSection(analysis.sourcing)}
+            ${this.formatCategorySection(analysis.categoryAnalysis)}
+            ${this.formatProfileSection(analysis.profile, analysis.profileFields)}
+            ${sections.keyPoints ? this.formatListSection('Key Points', analysis.keyPoints) : ''}
+            ${sections.strengths ? this.formatListSection('Strengths', analysis.strengths) : ''}
+            ${sections.concerns ? this.formatListSection('Concerns', analysis.concerns) : ''}
+            ${this.formatHighlightsSection(analysis.highlights)}
+            ${this.formatFactCheckSection()}
+            ${this.formatChatSection()}
+            ${this.formatExportSection()}
+          </div>
+        `;
+    }
+
+    formatTabs(tabs) {
+        if (Object.keys(tabs).length < 2) return '';
+
+        return `
+          <div class="webjage-tabs">
+            ${Object.entries(tabs).map(([tab, label]) => `
+              <button class="webjage-tab${tab === this.activeTab || (tab === 'analysis' && !tabs[this.activeTab]) ? ' webjage-tab-active' : ''}" data-tab="${tab}">${label}</button>
+            `).join('')}
+          </div>
+        `;
+    }
+
+    // Scored SEO audit: checks grouped by category, then what to fix first
+    formatSeoTab(audit) {
+        const statusLabels = { pass: 'Pass', warn: 'Warn', fail: 'Fail' };
+        const categories = [...new Set(audit.checks.map(check => check.category))];
+
+        return `
+          <div class="webjage-analysis webjage-seo">
             <div class="webjage-section">
-              <h4>Quality Score</h4>
+              <h4>SEO Score</h4>
               <div class="webjage-score">
-                <span class="webjage-score-value">${analysis.qualityScore || 'N/A'}/10</span>
+                <span class="webjage-score-value">${this.escapeHtml(audit.score)}/100</span>
                 <div class="webjage-score-bar">
-                  <div class="webjage-score-fill" style="width: ${(analysis.qualityScore || 0) * 10}%"></div>
+                  <div class="webjage-score-fill" style="width: ${Number(audit.score) || 0}%"></div>
                 </div>
               </div>
+              <div class="webjage-seo-counts">${this.escapeHtml(audit.passed)} passed · ${this.escapeHtml(audit.warnings)} warnings · ${this.escapeHtml(audit.failed)} failed</div>
             </div>
-            
+
+            ${categories.map(category => `
+              <div class="webjage-section">
+                <h4>${this.escapeHtml(category)}</h4>
+                <ul class="webjage-seo-checks">
+                  ${audit.checks.filter(check => check.category === category).map(check => `
+                    <li class="webjage-seo-check webjage-seo-${this.escapeHtml(check.status)}">
+                      <span class="webjage-seo-status">${this.escapeHtml(statusLabels[check.status])}</span>
+                      <strong>${this.escapeHtml(check.label)}:</strong> ${this.escapeHtml(check.message)}
+                    </li>
+                  `).join('')}
+                </ul>
+              </div>
+            `).join('')}
+
+            ${audit.recommendations?.length > 0 ? `
+              <div class="webjage-section">
+                <h4>Recommendations</h4>
+                <ol class="webjage-points">
+                  ${audit.recommendations.map(recommendation => `<li>${this.escapeHtml(recommendation)}</li>`).join('')}
+                </ol>
+              </div>
+            ` : ''}
+          </div>
+        `;
+    }
+
+    // Accessibility findings by WCAG success criterion, worst first, then the criteria that passed
+    formatAccessibilityTab(audit) {
+        const severities = ['critical', 'serious', 'moderate', 'minor'];
+
+        return `
+          <div class="webjage-analysis webjage-a11y">
             <div class="webjage-section">
-              <h4>Analysis</h4>
-              <div class="webjage-tags">
-                ${analysis.credibility ? `<span class="webjage-tag">Credibility: ${analysis.credibility}</span>` : ''}
-                ${analysis.sentiment ? `<span class="webjage-tag">Sentiment: ${analysis.sentiment}</span>` : ''}
-                ${analysis.category ? `<span class="webjage-tag">Category: ${analysis.category}</span>` : ''}
-                ${analysis.readingTime ? `<span class="webjage-tag">Reading Time: ${analysis.readingTime}</span>` : ''}
+              <h4>Accessibility</h4>
+              <div class="webjage-a11y-counts">
+                ${severities.map(severity => `
+                  <span class="webjage-a11y-count webjage-a11y-${severity}">${this.escapeHtml(audit[severity] || 0)} ${severity}</span>
+                `).join('')}
+              </div>
+              <div class="webjage-seo-counts">${this.escapeHtml(audit.checkedCriteria)} WCAG success criteria checked · ${audit.passedCriteria?.length || 0} passed</div>
+            </div>
+
+            ${audit.findings.length > 0 ? `
+              <div class="webjage-section">
+                <h4>Findings</h4>
+                <ul class="webjage-a11y-findings">
+                  ${audit.findings.map(finding => `
+                    <li class="webjage-a11y-finding webjage-a11y-${this.escapeHtml(finding.severity)}">
+                      <span class="webjage-a11y-severity">${this.escapeHtml(finding.severity)}</span>
+                      <strong>${this.escapeHtml(finding.criterion)} ${this.escapeHtml(finding.name)} (${this.escapeHtml(finding.level)}):</strong> ${this.escapeHtml(finding.message)}
+                      ${finding.recommendation ? `<div class="webjage-a11y-fix">${this.escapeHtml(finding.recommendation)}</div>` : ''}
+                      ${finding.examples?.length > 0 ? `
+                        <ul class="webjage-a11y-examples">
+                          ${finding.examples.map(example => `<li><code>${this.escapeHtml(example)}</code></li>`).join('')}
+                        </ul>
+                      ` : ''}
+                    </li>
+                  `).join('')}
+                </ul>
+              </div>
+            ` : ''}
+
+            ${audit.passedCriteria?.length > 0 ? `
+              <div class="webjage-section">
+                <h4>Passed</h4>
+                <ul class="webjage-seo-checks">
+                  ${audit.passedCriteria.map(({ criterion, name, level }) => `
+                    <li class="webjage-seo-check webjage-seo-pass">${this.escapeHtml(criterion)} ${this.escapeHtml(name)} (${this.escapeHtml(level)})</li>
+                  `).join('')}
+                </ul>
+              </div>
+            ` : ''}
+          </div>
+        `;
+    }
+
+    formatExportSection() {
+        return `
+          <div class="webjage-section">
+            <h4>Export</h4>
+            <div class="webjage-export">
+              ${Object.entries(REPORT_FORMATS).map(([format, { label }]) => `
+                <button class="webjage-export-btn" data-format="${format}">${label}</button>
+              `).join('')}
+            </div>
+          </div>
+        `;
+    }
+
+    // Download the displayed analysis as a report
+    exportAnalysis(format) {
+        const { cached, ...result } = this.currentAnalysis;
+
+        new WebJageReport([{
+            url: this.lastContentData?.url || window.location.href,
+            title: this.lastContentData?.title || document.title,
+            timestamp: result.timestamp,
+            result
+        }]).download(format);
+    }
+
+    formatSelectionSection(selection) {
+        const excerpt = selection.length > 200 ? `${selection.slice(0, 200)}…` : selection;
+
+        return `
+          <div class="webjage-section webjage-selection">
+            <span class="webjage-selection-label">Selection analysis</span>
+            <blockquote>${this.escapeHtml(excerpt)}</blockquote>
+          </div>
+        `;
+    }
+
+        formatHighlightsSection(highlights) {
+        if (!highlights || highlights.length === 0) {
+            return '';
+        }
+
+        const count = (type) => highlights.filter(highlight => highlight.type === type).length;
+        const shown = this.settings.showHighlights;
+
+        return `
+          <div class="webjage-section">
+            <h4>Highlights</h4>
+            <div class="webjage-tags">
+              <span class="webjage-tag webjage-legend-keyPoint">Key points: ${count('keyPoint')}</span>
+              <span class="webjage-tag webjage-legend-strength">Strengths: ${count('strength')}</span>
+              <span class="webjage-tag webjage-legend-concern">Concerns: ${count('concern')}</span>
+            </div>
+            <button class="webjage-highlights-btn">${shown ? 'Hide' : 'Show'} highlights on page</button>
+          </div>
+        `;
+    }
+
+    formatFactCheckSection() {
+        const { factCheck } = this;
+
+        if (!factCheck) {
+            return `
+              <div class="webjage-section">
+                <button class="webjage-factcheck-btn">Fact-check claims</button>
               </div>
+            `;
+        }
+
+        if (factCheck.status === 'loading') {
+            return `
+              <div class="webjage-section">
+                <h4>Fact Check</h4>
+                <div class="webjage-loading">Checking factual claims...</div>
+              </div>
+            `;
+        }
+
+        if (factCheck.status === 'error') {
+            return `
+              <div class="webjage-section">
+                <h4>Fact Check</h4>
+                <div class="webjage-error">Error: ${this.escapeHtml(factCheck.error)}</div>
+                <button class="webjage-factcheck-btn">Retry fact-check</button>
+              </div>
+            `;
+        }
+
+        if (factCheck.claims.length === 0) {
+            return `
+              <div class="webjage-section">
+                <h4>Fact Check</h4>
+                <p>No concrete factual claims found.</p>
+              </div>
+            `;
+        }
+
+        const counts = factCheck.verdictCounts || {};
+
+        return `
+          <div class="webjage-section">
+            <h4>Fact Check</h4>
+            <div class="webjage-tags">
+              <span class="webjage-tag">Supported: ${this.escapeHtml(counts.supported || 0)}</span>
+              <span class="webjage-tag">Disputed: ${this.escapeHtml(counts.disputed || 0)}</span>
+              <span class="webjage-tag">Unverifiable: ${this.escapeHtml(counts.unverifiable || 0)}</span>
+            </div>
+            <ul class="webjage-claims">
+              ${factCheck.claims.map((claim, index) => `
+                <li class="webjage-claim webjage-claim-${this.escapeHtml(claim.verdict)}" data-index="${index}" title="${claim.anchored ? 'Show on page' : 'Source sentence not found on the page'}">
+                  <span class="webjage-verdict">${this.escapeHtml(claim.verdict)}</span>
+                  <div class="webjage-claim-text">${this.escapeHtml(claim.claim)}</div>
+                  <div class="webjage-claim-rationale">${this.escapeHtml(claim.rationale)}</div>
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        `;
+    }
+
+    formatChatSection() {
+        if (!this.chat) {
+            return '';
+        }
+
+        const { messages, status, error, draft } = this.chat;
+        const loading = status === 'loading';
+
+        return `
+          <div class="webjage-section webjage-chat">
+            <h4>Ask About This Page</h4>
+            ${messages.length > 0 ? `
+              <ul class="webjage-chat-messages">
+                ${messages.map((message, index) => `
+                  <li class="webjage-chat-message webjage-chat-${message.role}">
+                    <div class="webjage-chat-text">${this.escapeHtml(message.text)}</div>
+                    ${(message.quotes || []).map((quote, quoteIndex) => `
+                      <blockquote class="webjage-chat-quote${quote.anchored ? '' : ' webjage-chat-quote-missing'}" data-message="${index}" data-quote="${quoteIndex}" title="${quote.anchored ? 'Show on page' : 'Quoted sentence not found on the page'}">${this.escapeHtml(quote.text)}</blockquote>
+                    `).join('')}
+                  </li>
+                `).join('')}
+              </ul>
+            ` : ''}
+            ${loading ? '<div class="webjage-loading">Answering...</div>' : ''}
+            ${error ? `<div class="webjage-error">Error: ${this.escapeHtml(error)}</div>` : ''}
+            <form class="webjage-chat-form">
+              <input type="text" class="webjage-chat-input" maxlength="2000" placeholder="Ask a follow-up question" value="${this.escapeHtml(draft)}" ${loading ? 'disabled' : ''}>
+              <button type="submit" class="webjage-chat-send" ${loading ? 'disabled' : ''}>Ask</button>
+            </form>
+          </div>
+        `;
+    }
+
+    // Also escapes double quotes, for values put into attributes
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // How the final credibility follows from the AI rating and the source's reputation entry
+    formatCredibilitySection(verdict, reputation) {
+        if (!verdict) {
+            return '';
+        }
+
+        const categories = reputation?.categories?.length > 0 ? ` · ${reputation.categories.map(category => this.escapeHtml(category)).join(', ')}` : '';
+
+        return `
+          <div class="webjage-section webjage-credibility">
+            <h4>Credibility</h4>
+            <div class="webjage-tags">
+              <span class="webjage-tag">AI: ${this.escapeHtml(verdict.aiCredibility)}</span>
+              <span class="webjage-tag">Source: ${reputation ? this.escapeHtml(reputation.rating) : 'Not rated'}</span>
+            </div>
+            ${reputation ? `
+              <div class="webjage-reputation-source">${this.escapeHtml(reputation.publisher || reputation.domain)}${categories}</div>
+            ` : ''}
+            <p>${this.escapeHtml(verdict.explanation)}</p>
+          </div>
+        `;
+    }
+
+    // Link types, the most cited sources and strong claims without a source
+    formatSourcingSection(sourcing) {
+        if (!sourcing) {
+            return '';
+        }
+
+        const linkLabels = { citation: 'Citations', internal: 'Internal', social: 'Social', affiliate: 'Affiliate/ads', download: 'Downloads' };
+        const linkTags = Object.entries(linkLabels)
+            .filter(([type]) => sourcing.linkTypes?.[type] > 0)
+            .map(([type, label]) => `<span class="webjage-tag">${label}: ${this.escapeHtml(sourcing.linkTypes[type])}</span>`);
+
+        return `
+          <div class="webjage-section webjage-sourcing">
+            <h4>Sourcing Quality: ${this.escapeHtml(sourcing.sourcingQuality)}</h4>
+            ${sourcing.unsourcedStrongClaims ? `
+              <div class="webjage-sourcing-warning">Makes strong claims without citing any sources</div>
+            ` : ''}
+            <div class="webjage-tags">
+              ${linkTags.join('')}
+              <span class="webjage-tag">Cited sites: ${this.escapeHtml(sourcing.citedDomainCount)}${sourcing.citedDomainCount > 0 ? ` (${this.escapeHtml(sourcing.domainDiversity)} diversity)` : ''}</span>
+            </div>
+            ${sourcing.topSources?.length > 0 ? `
+              <ul class="webjage-points">
+                ${sourcing.topSources.map(source => `
+                  <li><a href="${this.escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(source.domain)}</a>
+                    ${source.citations > 1 ? `(${this.escapeHtml(source.citations)} links)` : ''} ${this.escapeHtml(source.text)}</li>
+                `).join('')}
+              </ul>
+            ` : ''}
+            ${sourcing.unsourcedClaims?.length > 0 ? `
+              <div class="webjage-sourcing-label">Strong claims without a source (${this.escapeHtml(sourcing.strongClaimCount - sourcing.sourcedClaimCount)} of ${this.escapeHtml(sourcing.strongClaimCount)})</div>
+              <ul class="webjage-claims">
+                ${sourcing.unsourcedClaims.map((claim, index) => `
+                  <li class="webjage-claim webjage-claim-unverifiable webjage-unsourced-claim" data-index="${index}" title="Show on page">
+                    <div class="webjage-claim-text">${this.escapeHtml(claim)}</div>
+                  </li>
+                `).join('')}
+              </ul>
+            ` : ''}
+          </div>
+        `;
+    }
+
+    // Checks of the category analyzer, with the facts it read from the page's structured data
+    formatCategorySection(categoryAnalysis) {
+        if (!categoryAnalysis?.checks) {
+            return '';
+        }
+
+        const titles = { product: 'Product', recipe: 'Recipe', howto: 'How-To', review: 'Review', news: 'Article', faq: 'FAQ' };
+        const statusLabels = { pass: 'Pass', warn: 'Warn', fail: 'Fail' };
+
+        return `
+          <div class="webjage-section webjage-category">
+            <h4>${titles[categoryAnalysis.category] || 'Page'} Checks</h4>
+            <div class="webjage-tags">
+              ${this.getCategoryFacts(categoryAnalysis).map(fact => `<span class="webjage-tag">${this.escapeHtml(fact)}</span>`).join('')}
+            </div>
+            <ul class="webjage-seo-checks">
+              ${categoryAnalysis.checks.map(check => `
+                <li class="webjage-seo-check webjage-seo-${this.escapeHtml(check.status)}">
+                  <span class="webjage-seo-status">${this.escapeHtml(statusLabels[check.status])}</span>
+                  <strong>${this.escapeHtml(check.label)}:</strong> ${this.escapeHtml(check.message)}
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        `;
+    }
+
+    getCategoryFacts({ category, fields }) {
+        const facts = {
+            product: [
+                fields.price !== null && `${fields.price} ${fields.priceCurrency || ''}`.trim(),
+                fields.availability,
+                fields.ratingValue !== null && `Rated ${fields.ratingValue}/${fields.bestRating}`
+            ],
+            recipe: [
+                `${fields.ingredientCount} ingredients`,
+                `${fields.stepCount} steps`,
+                fields.totalTime !== null && `${fields.totalTime} min`,
+                `${fields.completeness}% complete`
+            ],
+            howto: [`${fields.stepCount} steps`, fields.totalTime !== null && `${fields.totalTime} min`],
+            review: [fields.itemReviewed, fields.ratingValue !== null && `Rated ${fields.ratingValue}/${fields.bestRating}`],
+            news: [
+                fields.byline?.length > 0 && `By ${fields.byline.join(', ')}`,
+                fields.datePublished && new Date(fields.datePublished).toLocaleDateString(),
+                fields.dateline
+            ],
+            faq: [`${fields.questionCount} questions`]
+        };
+
+        return (facts[category] || []).filter(Boolean);
+    }
+
+    // Extra results of the analysis profile, in the order the profile defines them
+    formatProfileSection(profile, values) {
+        const fields = (profile?.fields || []).filter(field => values?.[field.name] !== undefined);
+        if (fields.length === 0) {
+            return '';
+        }
+
+        const formatValue = (value) => {
+            if (Array.isArray(value)) {
+                return value.length > 0
+                    ? `<ul>${value.map(item => `<li>${this.escapeHtml(String(item))}</li>`).join('')}</ul>`
+                    : 'None';
+            }
+            if (typeof value === 'boolean') {
+                return value ? 'Yes' : 'No';
+            }
+            return this.escapeHtml(String(value));
+        };
+
+        return `
+          <div class="webjage-section webjage-profile">
+            <h4>${this.escapeHtml(profile.name)}</h4>
+            <ul class="webjage-points">
+              ${fields.map(field => `
+                <li><strong>${this.escapeHtml(field.label)}:</strong> ${formatValue(values[field.name])}</li>
+              `).join('')}
+            </ul>
+          </div>
+        `;
+    }
+
+    formatListSection(title, items) {
+        if (!items || items.length === 0) {
+            return '';
+        }
+
+        return `
+          <div class="webjage-section">
+            <h4>${title}</h4>
+            <ul class="webjage-points">
+              ${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+            </ul>
+          </div>
+        `;
+    }
+
+    formatPartialResult(partial) {
+        const keyPoints = partial.keyPoints.filter(Boolean);
+
+        return `
+          <div class="webjage-analysis">
+            <div class="webjage-section">
+              <h4>Summary</h4>
+              ${partial.summary
+                ? `<p>${this.escapeHtml(partial.summary)}</p>`
+                : '<div class="webjage-loading">Summarizing page content...</div>'}
             </div>
             
-            ${analysis.keyPoints ? `
+            ${keyPoints.length > 0 ? `
               <div class="webjage-section">
                 <h4>Key Points</h4>
                 <ul class="webjage-points">
-                  ${analysis.keyPoints.map(point => `<li>${point}</li>`).join('')}
+                  ${keyPoints.map(point => `<li>${this.escapeHtml(point)}</li>`).join('')}
                 </ul>
               </div>
             ` : ''}
+            
+            <div class="webjage-section">
+              <div class="webjage-loading">Completing analysis...</div>
+            </div>
           </div>
         `;
     }
 
     displayAnalysisResult(data, cached = false) {
-        this.showFloatingWindow({ ...data, cached });
+        this.currentAnalysis = { ...data, cached };
+        this.highlights = data.highlights || [];
+        this.renderHighlights();
+        this.showFloatingWindow(this.currentAnalysis);
+    }
+
+    // Re-render the displayed analysis, e.g. when its fact-check finished, without reopening a closed window
+    refreshAnalysisResult() {
+        if (this.floatingWindow && this.currentAnalysis) {
+            this.updateFloatingWindow(this.currentAnalysis);
+        }
     }
 
     showError(message) {
@@ -428,6 +1939,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ success: true });
             break;
 
+        case 'analyzeSelection':
+            webJageExtractor.analyzeSelection(request.text);
+            sendResponse({ success: true });
+            break;
+
+        case 'getPageContent':
+            // Requested by the comparison page
+            sendResponse({ success: true, data: webJageExtractor.extractPageContent() });
+            break;
+
         case 'toggleFloatingWindow':
             if (webJageExtractor.floatingWindow) {
                 const isVisible = webJageExtractor.floatingWindow.style.display !== 'none';
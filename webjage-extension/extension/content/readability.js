@@ -0,0 +1,427 @@
+// Main content extractor for WebJage extension
+// Scores candidate blocks to find the article body and serializes it in document order
+
+const UNLIKELY_CANDIDATES = /-ad-|ad-break|advert|banner|breadcrumb|combx|comment|community|cookie|disqus|extra|footer|gdpr|header|menu|modal|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_NAMES = /article|body|content|entry|h-entry|hentry|main|page|post|story|text|blog/i;
+const NEGATIVE_NAMES = /-ad-|banner|combx|comment|contact|foot|masthead|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Never part of the readable content
+const SKIPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT', 'EMBED',
+    'NAV', 'ASIDE', 'FOOTER', 'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'DIALOG'
+]);
+const SKIPPED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alertdialog']);
+
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET',
+    'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI',
+    'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+]);
+const BLOCK_SELECTOR = Array.from(BLOCK_TAGS).join(',');
+
+// Tag semantics, added to the score of a candidate container
+const TAG_SCORES = {
+    ARTICLE: 10,
+    MAIN: 10,
+    SECTION: 3,
+    DIV: 5,
+    PRE: 3,
+    TD: 3,
+    BLOCKQUOTE: 3,
+    ADDRESS: -3,
+    OL: -3,
+    UL: -3,
+    DL: -3,
+    DD: -3,
+    DT: -3,
+    LI: -3,
+    H1: -5,
+    H2: -5,
+    H3: -5,
+    H4: -5,
+    H5: -5,
+    H6: -5,
+    TH: -5
+};
+
+const MIN_PARAGRAPH_LENGTH = 25;
+// Containers with more link text than this are navigation, link lists or teasers
+const MAX_LINK_DENSITY = 0.5;
+// Siblings of the best candidate scoring this share of its score are part of the content too
+const SIBLING_SCORE_RATIO = 0.2;
+
+class WebJageReadability {
+    /**
+     * @param {Document} doc - Document to extract from
+     */
+    constructor(doc) {
+        this.document = doc;
+        this.scores = new Map(); // element -> content score
+        this.linkDensities = new Map(); // element -> link density
+        this.boilerplate = new Map(); // element -> whether it is left out
+    }
+
+    /**
+     * Extract the main content of the document
+     * @returns {Object} { elements, text } - content elements in document order and their text
+     */
+    extract() {
+        const elements = this.findContentElements();
+        const blocks = elements.flatMap(element => this.serializeBlock(element));
+
+        return {
+            elements,
+            text: blocks.join('\n\n')
+        };
+    }
+
+    findContentElements() {
+        const body = this.document.body;
+        const topCandidate = this.findTopCandidate();
+        if (!topCandidate || topCandidate === body) {
+            return [body];
+        }
+
+        // Content split over several siblings, e.g. the article body next to its lead
+        const parent = topCandidate.parentElement;
+        const threshold = Math.max(10, this.scores.get(topCandidate) * SIBLING_SCORE_RATIO);
+
+        return Array.from(parent.children).filter(sibling =>
+            sibling === topCandidate || (!this.isBoilerplate(sibling) && (
+                (this.scores.has(sibling) && this.getFinalScore(sibling) >= threshold) ||
+                (sibling.tagName === 'P' && this.isContentParagraph(sibling))
+            ))
+        );
+    }
+
+    // Paragraphs add to the score of the containers around them, less the further up they are
+    findTopCandidate() {
+        const paragraphs = this.document.body.querySelectorAll('p, pre, td, blockquote, dd, div');
+
+        for (const paragraph of paragraphs) {
+            // Divs only count as paragraphs when they hold text directly
+            if (paragraph.tagName === 'DIV' && this.hasBlockChildren(paragraph)) continue;
+            if (this.isInsideBoilerplate(paragraph)) continue;
+
+            const text = paragraph.textContent.trim();
+            if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+            // Longer paragraphs with more clauses are more likely to be prose
+            const commas = text.split(/[,，、]/).length - 1;
+            const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+            let ancestor = paragraph.parentElement;
+            for (let level = 0; ancestor && level < 5; level++, ancestor = ancestor.parentElement) {
+                if (!this.scores.has(ancestor)) {
+                    this.scores.set(ancestor, this.getInitialScore(ancestor));
+                }
+                const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+                this.scores.set(ancestor, this.scores.get(ancestor) + score / divider);
+                if (ancestor === this.document.body) break;
+            }
+        }
+
+        let topCandidate = null;
+        let topScore = 0;
+        for (const candidate of this.scores.keys()) {
+            const score = this.getFinalScore(candidate);
+            if (score > topScore) {
+                topCandidate = candidate;
+                topScore = score;
+            }
+        }
+
+        return topCandidate;
+    }
+
+    getInitialScore(element) {
+        return (TAG_SCORES[element.tagName] || 0) + this.getNameWeight(element);
+    }
+
+    // Content scores are discounted by the share of text inside links
+    getFinalScore(element) {
+        return this.scores.get(element) * (1 - this.getLinkDensity(element));
+    }
+
+    getNameWeight(element) {
+        let weight = 0;
+
+        for (const name of [element.className, element.id]) {
+            if (typeof name !== 'string' || !name) continue;
+            if (NEGATIVE_NAMES.test(name)) weight -= 25;
+            if (POSITIVE_NAMES.test(name)) weight += 25;
+        }
+
+        return weight;
+    }
+
+    getLinkDensity(element) {
+        if (!this.linkDensities.has(element)) {
+            const textLength = element.textContent.trim().length;
+            const linkLength = Array.from(element.querySelectorAll('a'))
+                .reduce((total, link) => total + link.textContent.trim().length, 0);
+
+            this.linkDensities.set(element, textLength > 0 ? Math.min(1, linkLength / textLength) : 0);
+        }
+
+        return this.linkDensities.get(element);
+    }
+
+    isContentParagraph(element) {
+        const length = element.textContent.trim().length;
+        const linkDensity = this.getLinkDensity(element);
+
+        return (length > 80 && linkDensity < 0.25) ||
+            (length > 0 && linkDensity === 0 && /\.( |$)/.test(element.textContent));
+    }
+
+    hasBlockChildren(element) {
+        return Array.from(element.children).some(child => BLOCK_TAGS.has(child.tagName));
+    }
+
+    isInsideBoilerplate(element) {
+        for (let node = element; node && node !== this.document.body; node = node.parentElement) {
+            if (this.isBoilerplate(node)) return true;
+        }
+        return false;
+    }
+
+    // Elements left out entirely: navigation, page chrome, hidden elements and our own UI
+    isBoilerplate(element) {
+        if (!this.boilerplate.has(element)) {
+            this.boilerplate.set(element, this.checkBoilerplate(element));
+        }
+        return this.boilerplate.get(element);
+    }
+
+    checkBoilerplate(element) {
+        const tagName = element.tagName.toUpperCase();
+        if (SKIPPED_TAGS.has(tagName) || SKIPPED_ROLES.has(element.getAttribute('role'))) {
+            return true;
+        }
+
+        // The page header, headers inside the content hold its title and byline
+        if (tagName === 'HEADER' && !element.parentElement?.closest('article, main, section')) {
+            return true;
+        }
+
+        if (element.id.startsWith('webjage-') || this.isHidden(element)) {
+            return true;
+        }
+
+        if (['BODY', 'ARTICLE', 'MAIN', 'TABLE', 'PRE', 'CODE'].includes(tagName) || element.closest('table, pre')) {
+            return false;
+        }
+
+        const names = `${typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+        return UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATES.test(names);
+    }
+
+    isHidden(element) {
+        if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+            return true;
+        }
+
+        if (typeof element.checkVisibility === 'function') {
+            return !element.checkVisibility();
+        }
+
+        return element.style?.display === 'none' || element.style?.visibility === 'hidden';
+    }
+
+    // Link lists and teasers inside the content, e.g. "Related articles" or tag clouds
+    isLinkCluster(element) {
+        if (!['DIV', 'SECTION', 'UL', 'OL'].includes(element.tagName)) {
+            return false;
+        }
+
+        const linkDensity = this.getLinkDensity(element);
+        return linkDensity > MAX_LINK_DENSITY ||
+            (this.getNameWeight(element) < 0 && linkDensity > 0.2);
+    }
+
+    /**
+     * Serialize the children of an element into text blocks, in document order
+     * @param {Element} element - Container element
+     * @returns {Array<string>} Blocks: "H2: ...", paragraphs, lists, "> " quotes, "| " tables and ``` code
+     */
+    serializeChildren(element) {
+        const blocks = [];
+        let inlineText = '';
+
+        // Text and inline elements between blocks form paragraphs of their own
+        const flushInline = () => {
+            blocks.push(...inlineText.split(/\n\s*\n/).map(text => this.normalizeText(text)).filter(Boolean));
+            inlineText = '';
+        };
+
+        for (const node of element.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                inlineText += node.textContent;
+                continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || this.isBoilerplate(node)) {
+                continue;
+            }
+
+            if (node.tagName === 'BR') {
+                inlineText += '\n';
+            } else if (BLOCK_TAGS.has(node.tagName)) {
+                flushInline();
+                blocks.push(...this.serializeBlock(node));
+            } else if (node.querySelector(BLOCK_SELECTOR)) {
+                // Inline wrappers around blocks, e.g. a link around a whole teaser
+                flushInline();
+                blocks.push(...this.serializeChildren(node));
+            } else {
+                inlineText += this.getInlineText(node, true);
+            }
+        }
+
+        flushInline();
+        return blocks;
+    }
+
+    serializeBlock(element) {
+        const tagName = element.tagName;
+
+        if (/^H[1-6]$/.test(tagName)) {
+            const text = this.getInlineText(element);
+            return text ? [`${tagName}: ${text}`] : [];
+        }
+
+        switch (tagName) {
+            case 'P': {
+                // Paragraphs can hold <br> separated lines but no other blocks
+                const text = this.getInlineText(element, true)
+                    .split('\n')
+                    .map(line => this.normalizeText(line))
+                    .filter(Boolean)
+                    .join('\n');
+                return text ? [text] : [];
+            }
+
+            case 'UL':
+            case 'OL': {
+                if (this.isLinkCluster(element)) return [];
+                const lines = this.serializeList(element, 0);
+                return lines.length > 0 ? [lines.join('\n')] : [];
+            }
+
+            case 'BLOCKQUOTE': {
+                const quote = this.serializeChildren(element)
+                    .map(block => block.split('\n').map(line => `> ${line}`).join('\n'))
+                    .join('\n>\n');
+                return quote ? [quote] : [];
+            }
+
+            case 'PRE': {
+                const code = element.textContent.replace(/^\n+|\s+$/g, '');
+                return code ? [`\`\`\`\n${code}\n\`\`\``] : [];
+            }
+
+            case 'TABLE':
+                return this.isDataTable(element) ? this.serializeTable(element) : this.serializeLayoutTable(element);
+
+            case 'HR':
+                return [];
+
+            default:
+                if (this.isLinkCluster(element)) return [];
+                return this.serializeChildren(element);
+        }
+    }
+
+    serializeList(list, depth) {
+        const indent = '  '.repeat(depth);
+        const lines = [];
+        let number = parseInt(list.getAttribute('start'), 10) || 1;
+
+        for (const item of list.children) {
+            if (item.tagName !== 'LI' || this.isBoilerplate(item)) continue;
+
+            const marker = list.tagName === 'OL' ? `${number++}.` : '•';
+            const text = this.getInlineText(item, false, ['UL', 'OL']);
+            if (text) {
+                lines.push(`${indent}${marker} ${text}`);
+            }
+
+            for (const nested of item.querySelectorAll(':scope > ul, :scope > ol, :scope > * > ul, :scope > * > ol')) {
+                lines.push(...this.serializeList(nested, depth + 1));
+            }
+        }
+
+        return lines;
+    }
+
+    // Layout tables contain nested tables or lay out a single column
+    isDataTable(table) {
+        if (table.getAttribute('role') === 'presentation' || table.querySelector('table')) {
+            return false;
+        }
+
+        return Array.from(table.rows).some(row => row.cells.length > 1);
+    }
+
+    serializeTable(table) {
+        const rows = Array.from(table.rows)
+            .filter(row => !this.isBoilerplate(row))
+            .map(row => Array.from(row.cells).map(cell => this.getInlineText(cell).replace(/\|/g, '\\|')))
+            .filter(cells => cells.some(Boolean));
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+
+        // Header row separator, as in Markdown tables
+        const firstRow = table.rows[0];
+        if (firstRow && Array.from(firstRow.cells).every(cell => cell.tagName === 'TH')) {
+            lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+        }
+
+        if (table.caption) {
+            lines.unshift(this.getInlineText(table.caption));
+        }
+
+        return [lines.join('\n')];
+    }
+
+    serializeLayoutTable(table) {
+        return Array.from(table.rows)
+            .flatMap(row => Array.from(row.cells))
+            .flatMap(cell => this.serializeChildren(cell));
+    }
+
+    /**
+     * Text of an element and its inline descendants, without boilerplate
+     * @param {Element} element - Element to read
+     * @param {boolean} [keepBreaks] - Keep <br> as line breaks instead of spaces
+     * @param {Array<string>} [excludedTags] - Tags whose content is left out, e.g. nested lists
+     * @returns {string}
+     */
+    getInlineText(element, keepBreaks = false, excludedTags = []) {
+        let text = '';
+
+        for (const node of element.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                text += node.textContent;
+            } else if (node.nodeType === Node.ELEMENT_NODE && !this.isBoilerplate(node) && !excludedTags.includes(node.tagName)) {
+                if (node.tagName === 'BR') {
+                    text += keepBreaks ? '\n' : ' ';
+                } else if (BLOCK_TAGS.has(node.tagName)) {
+                    text += ` ${this.getInlineText(node, keepBreaks, excludedTags)} `;
+                } else {
+                    text += this.getInlineText(node, keepBreaks, excludedTags);
+                }
+            }
+        }
+
+        return keepBreaks ? text : this.normalizeText(text);
+    }
+
+    normalizeText(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+}
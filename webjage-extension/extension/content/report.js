@@ -0,0 +1,383 @@
+// Analysis report export for WebJage extension
+// Turns analyses into Markdown, JSON or printable HTML reports, used by the floating window and the history page
+
+const REPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+    json: { label: 'JSON', extension: 'json', type: 'application/json' },
+    html: { label: 'HTML', extension: 'html', type: 'text/html' }
+};
+
+// Analysis fields listed in the overview, in this order
+const REPORT_OVERVIEW_FIELDS = [
+    ['qualityScore', 'Quality score'],
+    ['credibility', 'Credibility'],
+    ['factualAccuracy', 'Factual accuracy'],
+    ['bias', 'Bias'],
+    ['completeness', 'Completeness'],
+    ['sentiment', 'Sentiment'],
+    ['category', 'Category'],
+    ['complexity', 'Complexity'],
+    ['targetAudience', 'Target audience'],
+    ['readingTime', 'Reading time'],
+    ['confidenceScore', 'Confidence score'],
+    ['chunksAnalyzed', 'Sections analyzed'],
+    ['chunksFailed', 'Sections failed']
+];
+
+// Computed blocks added by the backend, shown as tables
+// SEO insights and accessibility have sections of their own, analyses from before those audits show them here
+const REPORT_METRIC_BLOCKS = [
+    ['technicalMetrics', 'Technical Metrics'],
+    ['seoInsights', 'SEO Insights'],
+    ['accessibility', 'Accessibility'],
+    ['contentFreshness', 'Content Freshness']
+];
+
+class WebJageReport {
+    /**
+     * @param {Array} entries - Analyses to export: { url, title, timestamp, result }, timestamp in ms
+     */
+    constructor(entries) {
+        this.entries = entries;
+        this.exportedAt = new Date();
+    }
+
+    /**
+     * Download the report
+     * @param {string} format - markdown|json|html
+     */
+    download(format) {
+        const { extension, type } = REPORT_FORMATS[format];
+        const blob = new Blob([this.build(format)], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.getFileName()}.${extension}`;
+        link.click();
+
+        // Revoked right after click() the URL can be gone before the download starts
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    build(format) {
+        switch (format) {
+            case 'markdown': return this.toMarkdown();
+            case 'json': return this.toJSON();
+            case 'html': return this.toHTML();
+            default: throw new Error(`Unknown report format: ${format}`);
+        }
+    }
+
+    // e.g. webjage-example.com-2024-05-01, or webjage-12-analyses-2024-05-01 for bulk exports
+    getFileName() {
+        const date = this.exportedAt.toISOString().slice(0, 10);
+        const subject = this.entries.length === 1
+            ? this.getHostname(this.entries[0].url).replace(/[^a-z0-9.-]/gi, '_')
+            : `${this.entries.length}-analyses`;
+
+        return `webjage-${subject}-${date}`;
+    }
+
+    toJSON() {
+        return JSON.stringify({
+            generator: 'WebJage',
+            exportedAt: this.exportedAt.toISOString(),
+            reports: this.entries.map(entry => ({
+                url: entry.url,
+                title: entry.title || '',
+                analyzedAt: this.getAnalyzedAt(entry),
+                analysis: entry.result
+            }))
+        }, null, 2);
+    }
+
+    toMarkdown() {
+        const header = this.entries.length > 1
+            ? `# WebJage Analysis Reports\n\n${this.entries.length} analyses, exported ${this.exportedAt.toLocaleString()}\n\n`
+            : '';
+
+        return header + this.entries.map(entry => this.formatMarkdownReport(entry)).join('\n---\n\n');
+    }
+
+    formatMarkdownReport(entry) {
+        const result = entry.result || {};
+        const lines = [
+            `# ${this.escapeMarkdown(entry.title || 'Untitled')}`,
+            '',
+            `- URL: <${entry.url}>`,
+            `- Analyzed: ${this.formatDate(this.getAnalyzedAt(entry))}`,
+            ...this.getOverview(result).map(([label, value]) => `- ${label}: ${this.escapeMarkdown(value)}`),
+            ''
+        ];
+
+        const section = (title, body) => {
+            if (body) lines.push(`## ${title}`, '', body, '');
+        };
+        const list = (items) => items?.length ? items.map(item => `- ${this.escapeMarkdown(String(item))}`).join('\n') : '';
+        const table = (rows, header = 'Metric') => rows.length > 0
+            ? [`| ${header} | Value |`, '| --- | --- |', ...rows.map(([label, value]) => `| ${this.escapeMarkdown(label)} | ${this.escapeMarkdown(value)} |`)].join('\n')
+            : '';
+
+        if (result.selection) {
+            section('Analyzed Selection', result.selection.split('\n').map(line => `> ${line}`).join('\n'));
+        }
+        section('Summary', result.summary && this.escapeMarkdown(result.summary));
+        if (result.credibilityVerdict) {
+            section('Credibility Verdict', `${this.escapeMarkdown(result.credibilityVerdict.explanation)}\n\n${table(this.getCredibilityRows(result), 'Input')}`);
+        }
+        section('Key Points', list(result.keyPoints));
+        section('Strengths', list(result.strengths));
+        section('Concerns', list(result.concerns));
+        if (result.profile) {
+            section(this.escapeMarkdown(result.profile.name), table(this.getProfileRows(result), 'Field'));
+        }
+        section('Highlights', (result.highlights || [])
+            .map(highlight => `- **${this.escapeMarkdown(highlight.note)}**\n  > ${this.escapeMarkdown(highlight.text)}`)
+            .join('\n'));
+        if (result.sourcing) {
+            section('Sourcing Quality', table(this.getSourcingRows(result.sourcing)));
+            section('Strong Claims Without a Source', list(result.sourcing.unsourcedClaims));
+        }
+        if (result.categoryAnalysis?.checks) {
+            const name = this.getCategoryName(result.categoryAnalysis);
+            section(`${name} Details`, table(this.getCategoryFieldRows(result.categoryAnalysis), 'Field'));
+            section(`${name} Checks`, table(this.getCategoryCheckRows(result.categoryAnalysis), 'Check'));
+        }
+        if (result.seoInsights?.checks) {
+            section(`SEO Audit: ${result.seoInsights.score}/100`, table(this.getSeoRows(result.seoInsights), 'Check'));
+            section('SEO Recommendations', list(result.seoInsights.recommendations));
+        }
+        if (result.accessibility?.findings) {
+            section('Accessibility Audit', `${this.getAccessibilitySummary(result.accessibility)}\n\n${table(this.getAccessibilityRows(result.accessibility), 'Criterion')}`.trim());
+            section('Passed Accessibility Criteria', list(this.getPassedCriteria(result.accessibility)));
+        }
+        REPORT_METRIC_BLOCKS.forEach(([field, title]) => section(title, table(this.getMetricRows(result[field], field))));
+
+        return `${lines.join('\n').trimEnd()}\n`;
+    }
+
+    toHTML() {
+        const title = this.entries.length === 1
+            ? `WebJage Analysis: ${this.entries[0].title || this.entries[0].url}`
+            : `WebJage Analysis Reports (${this.entries.length})`;
+
+        // Self-contained: inline styles only, no scripts or external resources
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${this.escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; line-height: 1.5; color: #202124; max-width: 800px; margin: 24px auto; padding: 0 24px; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 16px; margin: 20px 0 6px; border-bottom: 1px solid #e8eaed; padding-bottom: 4px; }
+a { color: #1a73e8; word-break: break-all; }
+.report { margin-bottom: 40px; }
+.report + .report { border-top: 2px solid #e8eaed; padding-top: 24px; }
+.meta { color: #5f6368; font-size: 13px; }
+.score { font-size: 28px; font-weight: 700; color: #1a73e8; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #f0f0f0; vertical-align: top; }
+th { width: 40%; color: #5f6368; font-weight: 600; }
+blockquote { margin: 4px 0 8px; padding-left: 12px; border-left: 3px solid #dadce0; color: #5f6368; }
+footer { color: #9aa0a6; font-size: 12px; margin-top: 24px; }
+@media print {
+  body { margin: 0; max-width: none; }
+  a { color: inherit; }
+  .report + .report { border-top: none; padding-top: 0; page-break-before: always; }
+  h2, tr, blockquote { page-break-inside: avoid; }
+}
+</style>
+</head>
+<body>
+${this.entries.map(entry => this.formatHTMLReport(entry)).join('\n')}
+<footer>Exported from WebJage on ${this.escapeHtml(this.exportedAt.toLocaleString())}</footer>
+</body>
+</html>
+`;
+    }
+
+    formatHTMLReport(entry) {
+        const result = entry.result || {};
+        const list = (items) => items?.length ? `<ul>${items.map(item => `<li>${this.escapeHtml(String(item))}</li>`).join('')}</ul>` : '';
+        const table = (rows) => rows.length > 0
+            ? `<table>${rows.map(([label, value]) => `<tr><th>${this.escapeHtml(label)}</th><td>${this.escapeHtml(value)}</td></tr>`).join('')}</table>`
+            : '';
+        const section = (title, body) => body ? `<h2>${this.escapeHtml(title)}</h2>\n${body}` : '';
+
+        return `<section class="report">
+<h1>${this.escapeHtml(entry.title || 'Untitled')}</h1>
+<div class="meta"><a href="${this.escapeHtml(entry.url)}">${this.escapeHtml(entry.url)}</a><br>Analyzed ${this.escapeHtml(this.formatDate(this.getAnalyzedAt(entry)))}</div>
+${result.qualityScore !== undefined ? `<p class="score">${this.escapeHtml(String(result.qualityScore))}/10</p>` : ''}
+${section('Overview', table(this.getOverview(result).filter(([label]) => label !== 'Quality score')))}
+${result.selection ? section('Analyzed Selection', `<blockquote>${this.escapeHtml(result.selection)}</blockquote>`) : ''}
+${section('Summary', result.summary && `<p>${this.escapeHtml(result.summary)}</p>`)}
+${result.credibilityVerdict ? section('Credibility Verdict', `<p>${this.escapeHtml(result.credibilityVerdict.explanation)}</p>${table(this.getCredibilityRows(result))}`) : ''}
+${section('Key Points', list(result.keyPoints))}
+${section('Strengths', list(result.strengths))}
+${section('Concerns', list(result.concerns))}
+${result.profile ? section(result.profile.name, table(this.getProfileRows(result))) : ''}
+${section('Highlights', (result.highlights || []).map(highlight => `<p><strong>${this.escapeHtml(highlight.note)}</strong></p><blockquote>${this.escapeHtml(highlight.text)}</blockquote>`).join(''))}
+${result.sourcing ? section('Sourcing Quality', table(this.getSourcingRows(result.sourcing))) : ''}
+${result.sourcing ? section('Strong Claims Without a Source', list(result.sourcing.unsourcedClaims)) : ''}
+${result.categoryAnalysis?.checks ? section(`${this.getCategoryName(result.categoryAnalysis)} Details`, table(this.getCategoryFieldRows(result.categoryAnalysis))) : ''}
+${result.categoryAnalysis?.checks ? section(`${this.getCategoryName(result.categoryAnalysis)} Checks`, table(this.getCategoryCheckRows(result.categoryAnalysis))) : ''}
+${result.seoInsights?.checks ? section(`SEO Audit: ${result.seoInsights.score}/100`, table(this.getSeoRows(result.seoInsights))) : ''}
+${result.seoInsights?.checks ? section('SEO Recommendations', list(result.seoInsights.recommendations)) : ''}
+${result.accessibility?.findings ? section('Accessibility Audit', `<p>${this.escapeHtml(this.getAccessibilitySummary(result.accessibility))}</p>${table(this.getAccessibilityRows(result.accessibility))}`) : ''}
+${result.accessibility?.findings ? section('Passed Accessibility Criteria', list(this.getPassedCriteria(result.accessibility))) : ''}
+${REPORT_METRIC_BLOCKS.map(([field, title]) => section(title, table(this.getMetricRows(result[field], field)))).join('\n')}
+</section>`;
+    }
+
+    // [label, value] pairs of the scalar analysis fields
+    getOverview(result) {
+        return REPORT_OVERVIEW_FIELDS
+            .filter(([field]) => result[field] !== undefined && result[field] !== null && result[field] !== '')
+            .map(([field, label]) => [label, this.formatValue(result[field], field)]);
+    }
+
+    // The two inputs of the final credibility: the AI rating and the source's reputation entry
+    getCredibilityRows(result) {
+        const source = result.reputation;
+        return [
+            ['AI credibility', result.credibilityVerdict.aiCredibility],
+            ['Source', source ? source.publisher || source.domain : 'Not in the reputation database'],
+            ...(source ? [
+                ['Source rating', source.rating],
+                ['Source categories', this.formatValue(source.categories)],
+                ...(source.notes ? [['Source notes', source.notes]] : [])
+            ] : [])
+        ];
+    }
+
+    getSourcingRows(sourcing) {
+        const linkTypes = Object.entries(sourcing.linkTypes || {})
+            .map(([type, count]) => `${this.formatLabel(type)}: ${count}`);
+
+        return [
+            ['Sourcing quality', sourcing.sourcingQuality],
+            ...(sourcing.unsourcedStrongClaims ? [['Warning', 'Makes strong claims without citing any sources']] : []),
+            ['Links', this.formatValue(linkTypes)],
+            ['Cited sites', sourcing.citedDomainCount > 0 ? `${sourcing.citedDomainCount} (${sourcing.domainDiversity} diversity)` : 'None'],
+            ['Strong claims sourced', `${sourcing.sourcedClaimCount} of ${sourcing.strongClaimCount}`],
+            ['Top sources', this.formatValue((sourcing.topSources || []).map(source => `${source.domain} (${source.citations})`))]
+        ];
+    }
+
+    getSeoRows(seoInsights) {
+        return seoInsights.checks.map(check => [check.label, `${check.status.toUpperCase()}: ${check.message}`]);
+    }
+
+    getCategoryName(categoryAnalysis) {
+        const names = { product: 'Product', recipe: 'Recipe', howto: 'How-To', review: 'Review', news: 'Article', faq: 'FAQ' };
+        return names[categoryAnalysis.category] || 'Page';
+    }
+
+    // Facts the category analyzer read from the page, e.g. price and rating of a product
+    getCategoryFieldRows(categoryAnalysis) {
+        return Object.entries(categoryAnalysis.fields || {})
+            .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+            .map(([key, value]) => [this.formatLabel(key), this.formatValue(value, key)]);
+    }
+
+    getCategoryCheckRows(categoryAnalysis) {
+        return categoryAnalysis.checks.map(check => [check.label, `${check.status.toUpperCase()}: ${check.message}`]);
+    }
+
+    getAccessibilitySummary(accessibility) {
+        const counts = ['critical', 'serious', 'moderate', 'minor'].map(severity => `${accessibility[severity] || 0} ${severity}`);
+        return `${counts.join(', ')}; ${accessibility.passedCriteria?.length || 0} of ${accessibility.checkedCriteria} WCAG success criteria checked passed`;
+    }
+
+    // One row per finding, with the success criterion it fails
+    getAccessibilityRows(accessibility) {
+        return accessibility.findings.map(finding => [
+            `${finding.criterion} ${finding.name} (${finding.level})`,
+            `${finding.severity.toUpperCase()}: ${finding.message}${finding.recommendation ? `. ${finding.recommendation}` : ''}`
+        ]);
+    }
+
+    getPassedCriteria(accessibility) {
+        return (accessibility.passedCriteria || []).map(({ criterion, name, level }) => `${criterion} ${name} (${level})`);
+    }
+
+    getProfileRows(result) {
+        return (result.profile?.fields || [])
+            .filter(field => result.profileFields?.[field.name] !== undefined)
+            .map(field => [field.label, this.formatValue(result.profileFields[field.name])]);
+    }
+
+    getMetricRows(block, field) {
+        if (!block || typeof block !== 'object' || (field === 'seoInsights' && block.checks) ||
+            (field === 'accessibility' && block.findings)) {
+            return [];
+        }
+
+        return Object.entries(block)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => [this.formatLabel(key), this.formatValue(value, key)]);
+    }
+
+    formatValue(value, field) {
+        if (Array.isArray(value)) {
+            return value.length > 0 ? value.join('; ') : 'None';
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'Yes' : 'No';
+        }
+        if (field === 'qualityScore') {
+            return `${value}/10`;
+        }
+        if (field === 'confidenceScore' || field === 'imageAltTextCoverage') {
+            return `${value}%`;
+        }
+        if (field === 'imageAltTextRatio') {
+            return `${Math.round(value * 100)}%`;
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    // camelCase key -> "Sentence case" label, e.g. metaDescriptionLength -> Meta description length
+    formatLabel(key) {
+        const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    // History entries carry the time the analysis was recorded, fresh results their backend timestamp
+    getAnalyzedAt(entry) {
+        const timestamp = entry.timestamp ?? entry.result?.timestamp;
+        const date = timestamp ? new Date(timestamp) : null;
+        return date && !isNaN(date) ? date.toISOString() : null;
+    }
+
+    formatDate(isoDate) {
+        return isoDate ? new Date(isoDate).toLocaleString() : 'Unknown';
+    }
+
+    getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return 'page';
+        }
+    }
+
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+    }
+
+    // No DOM needed, the report is a standalone page
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
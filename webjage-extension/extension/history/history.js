@@ -0,0 +1,369 @@
+// History page script for WebJage extension
+// Searches, filters and reopens the analyses recorded by the background script
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WebJageHistory {
+    constructor() {
+        this.history = [];
+        this.filtered = [];
+        this.selectedId = null;
+        this.checkedIds = new Set(); // entries ticked for bulk export
+
+        this.init();
+    }
+
+    async init() {
+        await this.loadHistory();
+        this.setupEventListeners();
+
+        // The popup links to a single entry as history.html#<id>
+        this.selectedId = decodeURIComponent(location.hash.slice(1)) || null;
+        this.render();
+    }
+
+    async loadHistory() {
+        try {
+            const result = await chrome.storage.local.get(['analysisHistory']);
+            this.history = result.analysisHistory || [];
+        } catch (error) {
+            console.error('Failed to load analysis history:', error);
+            this.history = [];
+        }
+    }
+
+    setupEventListeners() {
+        ['searchInput', 'categoryFilter', 'minScore', 'maxScore', 'fromDate', 'toDate'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.render());
+        });
+
+        document.getElementById('clearHistoryBtn').addEventListener('click', () => this.clearHistory());
+
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportEntries());
+
+        document.getElementById('historyList').addEventListener('click', (e) => {
+            const checkbox = e.target.closest('.history-check');
+            if (checkbox) {
+                this.toggleChecked(checkbox.dataset.id, checkbox.checked);
+                return;
+            }
+
+            const item = e.target.closest('.history-item');
+            if (item) {
+                this.selectEntry(item.dataset.id);
+            }
+        });
+
+        // Keep the page in sync with analyses finished while it is open
+        chrome.storage.onChanged.addListener(async (changes, areaName) => {
+            if (areaName === 'local' && changes.analysisHistory) {
+                this.history = changes.analysisHistory.newValue || [];
+                this.render();
+            }
+        });
+    }
+
+    readFilters() {
+        const fromDate = document.getElementById('fromDate').valueAsNumber;
+        const toDate = document.getElementById('toDate').valueAsNumber;
+
+        return {
+            terms: document.getElementById('searchInput').value.toLowerCase().split(/\s+/).filter(Boolean),
+            category: document.getElementById('categoryFilter').value,
+            minScore: document.getElementById('minScore').valueAsNumber || 1,
+            maxScore: document.getElementById('maxScore').valueAsNumber || 10,
+            // Date inputs are UTC midnight, compare against local day boundaries
+            from: isNaN(fromDate) ? null : fromDate + new Date(fromDate).getTimezoneOffset() * 60000,
+            to: isNaN(toDate) ? null : toDate + new Date(toDate).getTimezoneOffset() * 60000 + DAY_MS
+        };
+    }
+
+    matchesFilters(entry, filters) {
+        if (filters.category && entry.category !== filters.category) {
+            return false;
+        }
+
+        const score = Number(entry.qualityScore);
+        if (!isNaN(score) && (score < filters.minScore || score > filters.maxScore)) {
+            return false;
+        }
+
+        if (filters.from !== null && entry.timestamp < filters.from) {
+            return false;
+        }
+        if (filters.to !== null && entry.timestamp >= filters.to) {
+            return false;
+        }
+
+        if (filters.terms.length > 0) {
+            const text = this.getSearchText(entry);
+            return filters.terms.every(term => text.includes(term));
+        }
+
+        return true;
+    }
+
+    getSearchText(entry) {
+        const result = entry.result || {};
+
+        return [
+            entry.title,
+            entry.url,
+            result.summary,
+            ...(result.keyPoints || []),
+            ...(result.strengths || []),
+            ...(result.concerns || []),
+            ...(result.tags || [])
+        ].filter(Boolean).join('\n').toLowerCase();
+    }
+
+    render() {
+        const filters = this.readFilters();
+        this.filtered = this.history.filter(entry => this.matchesFilters(entry, filters));
+
+        // Forget ticks on deleted entries
+        const ids = new Set(this.history.map(entry => entry.id));
+        this.checkedIds.forEach(id => { if (!ids.has(id)) this.checkedIds.delete(id); });
+
+        const total = this.history.length;
+        document.getElementById('historyCount').textContent = this.filtered.length === total
+            ? `${total} ${total === 1 ? 'analysis' : 'analyses'}`
+            : `${this.filtered.length} of ${total} analyses`;
+
+        this.renderList();
+        this.renderDetail();
+        this.updateExportButton();
+    }
+
+    renderList() {
+        const container = document.getElementById('historyList');
+
+        if (this.filtered.length === 0) {
+            container.innerHTML = `<div class="history-empty">${this.history.length === 0 ? 'No analyses recorded yet' : 'No analyses match the filters'}</div>`;
+            return;
+        }
+
+        container.innerHTML = this.filtered.map(entry => this.createHistoryItem(entry)).join('');
+
+        // Broken favicons are hidden here, inline handlers are blocked by the extension CSP
+        container.querySelectorAll('.history-favicon').forEach(img => {
+            img.addEventListener('error', () => { img.style.visibility = 'hidden'; });
+        });
+    }
+
+    createHistoryItem(entry) {
+        const selected = entry.id === this.selectedId ? ' selected' : '';
+        const meta = [this.shortenUrl(entry.url), entry.category, this.formatDate(entry.timestamp)]
+            .filter(Boolean)
+            .join(' · ');
+
+        return `
+        <div class="history-item${selected}" data-id="${this.escapeHtml(entry.id)}">
+          <input type="checkbox" class="history-check" data-id="${this.escapeHtml(entry.id)}" aria-label="Select for export"${this.checkedIds.has(entry.id) ? ' checked' : ''}>
+          <img src="${this.escapeHtml(entry.favicon || '')}" alt="" class="history-favicon">
+          <div class="history-info">
+            <div class="history-item-title">${this.escapeHtml(entry.title || 'Untitled')}</div>
+            <div class="history-item-meta">${this.escapeHtml(meta)}</div>
+          </div>
+          <div class="history-score">${this.escapeHtml(String(entry.qualityScore ?? 'N/A'))}/10</div>
+        </div>
+      `;
+    }
+
+    toggleChecked(id, checked) {
+        if (checked) {
+            this.checkedIds.add(id);
+        } else {
+            this.checkedIds.delete(id);
+        }
+
+        this.updateExportButton();
+    }
+
+    // Ticked entries are exported, otherwise everything the filters show
+    getExportEntries() {
+        return this.checkedIds.size > 0
+            ? this.history.filter(entry => this.checkedIds.has(entry.id))
+            : this.filtered;
+    }
+
+    updateExportButton() {
+        const button = document.getElementById('exportBtn');
+        const count = this.getExportEntries().length;
+
+        button.textContent = this.checkedIds.size > 0 ? `Export ${count} selected` : `Export ${count} shown`;
+        button.disabled = count === 0;
+    }
+
+    exportEntries(entries = this.getExportEntries(), format = document.getElementById('exportFormat').value) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        new WebJageReport(entries).download(format);
+    }
+
+    selectEntry(id) {
+        this.selectedId = id;
+        window.history.replaceState(null, '', `#${encodeURIComponent(id)}`);
+        this.render();
+    }
+
+    renderDetail() {
+        const container = document.getElementById('historyDetail');
+        const entry = this.history.find(item => item.id === this.selectedId);
+
+        if (!entry) {
+            container.innerHTML = '<div class="history-empty">Select an analysis to view it</div>';
+            return;
+        }
+
+        const result = entry.result || {};
+        const meta = [
+            `Score ${result.qualityScore ?? 'N/A'}/10`,
+            result.category,
+            result.credibility && `${result.credibility} credibility`,
+            this.formatDate(entry.timestamp, true)
+        ].filter(Boolean).join(' · ');
+
+        container.innerHTML = `
+        <div class="detail-header">
+          <h2>${this.escapeHtml(entry.title || 'Untitled')}</h2>
+          <div class="detail-url">${this.escapeHtml(entry.url)}</div>
+          <div class="detail-meta">${this.escapeHtml(meta)}</div>
+          <div class="detail-actions">
+            <a class="action-btn" href="${this.escapeHtml(entry.url)}" target="_blank" rel="noopener">Open page</a>
+            <span class="detail-export">
+              Export
+              ${Object.entries(REPORT_FORMATS).map(([format, { label }]) => `
+                <button type="button" class="action-btn" data-export-format="${format}">${label}</button>
+              `).join('')}
+            </span>
+            <button type="button" class="action-btn danger" id="deleteEntryBtn">Delete</button>
+          </div>
+        </div>
+        ${this.formatTextSection('Summary', result.summary)}
+        ${this.formatTextSection('Credibility', result.credibilityVerdict?.explanation)}
+        ${this.formatTagSection(result.tags)}
+        ${this.formatListSection('Key Points', result.keyPoints)}
+        ${this.formatListSection('Strengths', result.strengths)}
+        ${this.formatListSection('Concerns', result.concerns)}
+        ${this.formatTextSection('Details', [
+            result.sentiment && `Sentiment: ${result.sentiment}`,
+            result.complexity && `Complexity: ${result.complexity}`,
+            result.targetAudience && `Audience: ${result.targetAudience}`,
+            result.factualAccuracy && `Factual accuracy: ${result.factualAccuracy}`,
+            result.bias && `Bias: ${result.bias}`
+        ].filter(Boolean).join(' · '))}
+      `;
+
+        document.getElementById('deleteEntryBtn').addEventListener('click', () => this.deleteEntry(entry.id));
+        container.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportEntries([entry], button.dataset.exportFormat));
+        });
+    }
+
+    formatTextSection(title, text) {
+        if (!text) {
+            return '';
+        }
+
+        return `
+        <div class="detail-section">
+          <h4>${title}</h4>
+          <p>${this.escapeHtml(text)}</p>
+        </div>
+      `;
+    }
+
+    formatTagSection(tags) {
+        if (!tags || tags.length === 0) {
+            return '';
+        }
+
+        return `
+        <div class="detail-section">
+          <h4>Tags</h4>
+          <div class="detail-tags">
+            ${tags.map(tag => `<span class="detail-tag">${this.escapeHtml(tag)}</span>`).join('')}
+          </div>
+        </div>
+      `;
+    }
+
+    formatListSection(title, items) {
+        if (!items || items.length === 0) {
+            return '';
+        }
+
+        return `
+        <div class="detail-section">
+          <h4>${title}</h4>
+          <ul>
+            ${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+          </ul>
+        </div>
+      `;
+    }
+
+    async deleteEntry(id) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', id });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            // The storage listener re-renders the list
+            this.selectedId = null;
+            window.history.replaceState(null, '', location.pathname);
+        } catch (error) {
+            console.error('Failed to delete history entry:', error);
+        }
+    }
+
+    async clearHistory() {
+        if (!confirm('Delete all recorded analyses?')) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'clearHistory' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.selectedId = null;
+            window.history.replaceState(null, '', location.pathname);
+        } catch (error) {
+            console.error('Failed to clear history:', error);
+        }
+    }
+
+    formatDate(timestamp, withTime = false) {
+        if (!timestamp) {
+            return '';
+        }
+
+        const date = new Date(timestamp);
+        return withTime ? date.toLocaleString() : date.toLocaleDateString();
+    }
+
+    shortenUrl(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return url || '';
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize history page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new WebJageHistory();
+});
@@ -0,0 +1,254 @@
+// Options page script for WebJage extension
+// Edits, imports and exports the settings stored in chrome.storage.sync
+
+class WebJageOptions {
+    constructor() {
+        this.settings = {};
+        this.profiles = []; // analysis profiles offered by the backend
+        this.form = document.getElementById('settingsForm');
+
+        this.init();
+    }
+
+    async init() {
+        await Promise.all([this.loadSettings(), this.loadProfiles()]);
+        this.setupEventListeners();
+        this.updateUI();
+    }
+
+    async loadSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+            if (response.success) {
+                this.settings = response.settings;
+            }
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            this.showStatus('Failed to load settings', true);
+        }
+    }
+
+    async loadProfiles() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getProfiles' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.profiles = response.profiles;
+        } catch (error) {
+            // The saved profile can still be kept, only the choice is limited
+            console.error('Failed to load analysis profiles:', error);
+            document.getElementById('analysisProfileHint').textContent = 'Could not load the profiles from the backend, check the API endpoint and key.';
+        }
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const settings = this.readForm();
+            // Must run first: permission prompts need the click's user gesture
+            await this.requestEndpointPermissions([settings.apiEndpoint, ...settings.fallbackEndpoints]);
+            this.saveSettings(settings);
+        });
+
+        document.getElementById('resetBtn').addEventListener('click', () => this.resetSettings());
+
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportSettings());
+
+        const importFile = document.getElementById('importFile');
+        document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) {
+                this.importSettings(file);
+            }
+            importFile.value = ''; // Allow importing the same file again
+        });
+    }
+
+    updateUI() {
+        const { settings } = this;
+
+        document.getElementById('apiEndpoint').value = settings.apiEndpoint || '';
+        document.getElementById('fallbackEndpoints').value = (settings.fallbackEndpoints || []).join('\n');
+        document.getElementById('apiKey').value = settings.apiKey || '';
+        document.getElementById('autoAnalyze').checked = !!settings.autoAnalyze;
+        document.getElementById('autoAnalyzeDelay').value = settings.autoAnalyzeDelay;
+        document.getElementById('cacheLifetimeHours').value = settings.cacheLifetimeHours;
+        document.getElementById('factCheckMode').checked = !!settings.factCheckMode;
+        document.getElementById('analysisLanguage').value = settings.analysisLanguage || '';
+        this.updateProfileOptions(settings.analysisProfile || '');
+        document.getElementById('showFloatingWindow').checked = !!settings.showFloatingWindow;
+        document.getElementById('windowPosition').value = settings.windowPosition;
+        document.getElementById('windowWidth').value = settings.windowWidth;
+        document.getElementById('windowMaxHeight').value = settings.windowMaxHeight;
+
+        document.querySelectorAll('#displaySections input[data-section]').forEach(checkbox => {
+            checkbox.checked = !!settings.displaySections?.[checkbox.dataset.section];
+        });
+        document.getElementById('showHighlights').checked = !!settings.showHighlights;
+    }
+
+    updateProfileOptions(selected) {
+        const select = document.getElementById('analysisProfile');
+        const profiles = [...this.profiles];
+
+        // Keep a saved profile the backend didn't list, e.g. while it is unreachable
+        if (selected && !profiles.some(profile => profile.id === selected)) {
+            profiles.push({ id: selected, name: selected });
+        }
+
+        select.replaceChildren(select.options[0], ...profiles.map(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.title = profile.description || '';
+            return option;
+        }));
+        select.value = selected;
+    }
+
+    readForm() {
+        const displaySections = {};
+        document.querySelectorAll('#displaySections input[data-section]').forEach(checkbox => {
+            displaySections[checkbox.dataset.section] = checkbox.checked;
+        });
+
+        const fallbackEndpoints = document.getElementById('fallbackEndpoints').value
+            .split('\n')
+            .map(endpoint => endpoint.trim().replace(/\/+$/, ''))
+            .filter(Boolean);
+
+        return {
+            apiEndpoint: document.getElementById('apiEndpoint').value.trim().replace(/\/+$/, ''),
+            fallbackEndpoints,
+            apiKey: document.getElementById('apiKey').value.trim(),
+            autoAnalyze: document.getElementById('autoAnalyze').checked,
+            autoAnalyzeDelay: document.getElementById('autoAnalyzeDelay').valueAsNumber,
+            cacheLifetimeHours: document.getElementById('cacheLifetimeHours').valueAsNumber,
+            factCheckMode: document.getElementById('factCheckMode').checked,
+            analysisLanguage: document.getElementById('analysisLanguage').value,
+            analysisProfile: document.getElementById('analysisProfile').value,
+            showFloatingWindow: document.getElementById('showFloatingWindow').checked,
+            windowPosition: document.getElementById('windowPosition').value,
+            windowWidth: document.getElementById('windowWidth').valueAsNumber,
+            windowMaxHeight: document.getElementById('windowMaxHeight').valueAsNumber,
+            displaySections,
+            showHighlights: document.getElementById('showHighlights').checked
+        };
+    }
+
+    async saveSettings(settings, successMessage = 'Settings saved') {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'updateSettings',
+                settings
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            await this.loadSettings();
+            this.updateUI();
+            this.showStatus(successMessage);
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.showStatus('Failed to save settings', true);
+        }
+    }
+
+    async requestEndpointPermissions(endpoints) {
+        // Backends on other hosts than the built-in localhost:3000 need host permissions
+        const origins = [];
+        for (const endpoint of endpoints) {
+            try {
+                origins.push(`${new URL(endpoint).origin}/*`);
+            } catch (error) {
+                // Invalid URLs are rejected by the form validation
+            }
+        }
+
+        try {
+            const granted = await chrome.permissions.request({ origins });
+            if (!granted) {
+                this.showStatus('Without host access some endpoints cannot be reached', true);
+            }
+        } catch (error) {
+            console.error('Failed to request host permissions:', error);
+        }
+    }
+
+    async resetSettings() {
+        if (!confirm('Reset all WebJage settings to their defaults?')) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'resetSettings' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.settings = response.settings;
+            this.updateUI();
+            this.showStatus('Settings reset to defaults');
+        } catch (error) {
+            console.error('Failed to reset settings:', error);
+            this.showStatus('Failed to reset settings', true);
+        }
+    }
+
+    exportSettings() {
+        // The API key is a credential, so it stays out of files that may be shared
+        const { apiKey, ...exported } = this.settings;
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'webjage-settings.json';
+        link.click();
+
+        // Revoked right after click() the URL can be gone before the download starts
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async importSettings(file) {
+        let imported;
+        try {
+            imported = JSON.parse(await file.text());
+        } catch (error) {
+            this.showStatus('Import failed: the file is not valid JSON', true);
+            return;
+        }
+
+        if (!imported || typeof imported !== 'object' || Array.isArray(imported)) {
+            this.showStatus('Import failed: the file does not contain a settings object', true);
+            return;
+        }
+
+        // Never let an imported file replace the user's own API key; the stored key is kept.
+        // Unknown keys and invalid values are dropped by the background script
+        const { apiKey, ...settings } = imported;
+        await this.saveSettings(settings, 'Settings imported');
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('saveStatus');
+        status.textContent = message;
+        status.className = isError ? 'save-status error' : 'save-status';
+
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            status.textContent = '';
+        }, 3000);
+    }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new WebJageOptions();
+});
@@ -4,6 +4,9 @@
 class WebJagePopup {
     constructor() {
         this.currentTab = null;
+        this.backendStatus = null;
+        this.compareTabs = []; // open pages that can be compared
+        this.compareSelection = new Set(); // IDs of the tabs picked for comparison
         this.settings = {
             autoAnalyze: true,
             showFloatingWindow: true
@@ -20,9 +23,10 @@ class WebJagePopup {
         // Get current tab
         await this.getCurrentTab();
 
-        // Load settings and stats
+        // Load settings, stats and backend connectivity
         await this.loadSettings();
         await this.loadStats();
+        await this.loadBackendStatus();
 
         // Setup event listeners
         this.setupEventListeners();
@@ -32,6 +36,9 @@ class WebJagePopup {
 
         // Load recent analysis
         this.loadRecentAnalysis();
+
+        // List the tabs that can be compared
+        this.loadCompareTabs();
     }
 
     async getCurrentTab() {
@@ -65,6 +72,17 @@ class WebJagePopup {
         }
     }
 
+    async loadBackendStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getBackendStatus' });
+            if (response.success) {
+                this.backendStatus = response;
+            }
+        } catch (error) {
+            console.error('Failed to load backend status:', error);
+        }
+    }
+
     setupEventListeners() {
         // Analyze button
         const analyzeBtn = document.getElementById('analyzeBtn');
@@ -74,6 +92,9 @@ class WebJagePopup {
         const toggleWindowBtn = document.getElementById('toggleWindowBtn');
         toggleWindowBtn.addEventListener('click', () => this.toggleFloatingWindow());
 
+        // Compare button
+        document.getElementById('compareBtn').addEventListener('click', () => this.openComparePage());
+
         // Settings toggles
         const autoAnalyzeToggle = document.getElementById('autoAnalyzeToggle');
         autoAnalyzeToggle.addEventListener('change', (e) => {
@@ -91,6 +112,11 @@ class WebJagePopup {
             this.openHelpPage();
         });
 
+        document.getElementById('historyLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openHistoryPage();
+        });
+
         document.getElementById('settingsLink').addEventListener('click', (e) => {
             e.preventDefault();
             this.openSettingsPage();
@@ -141,8 +167,35 @@ class WebJagePopup {
             return;
         }
 
+        if (!this.backendStatus) {
+            statusDot.className = 'status-dot warning';
+            statusText.textContent = 'Backend status unknown';
+            return;
+        }
+
+        const { endpoints, activeEndpoint } = this.backendStatus;
+        const active = endpoints.find(entry => entry.endpoint === activeEndpoint);
+        statusText.title = endpoints
+            .map(entry => {
+                const latency = entry.latency !== null && entry.latency !== undefined ? ` (${entry.latency} ms)` : '';
+                return `${entry.endpoint}: ${entry.healthy ? `online${latency}` : (entry.error || 'offline')}`;
+            })
+            .join('\n');
+
+        if (!active) {
+            statusDot.className = 'status-dot error';
+            statusText.textContent = 'Backend unreachable';
+            return;
+        }
+
+        if (!active.primary) {
+            statusDot.className = 'status-dot warning';
+            statusText.textContent = `Using fallback backend (${this.shortenUrl(active.endpoint)})`;
+            return;
+        }
+
         statusDot.className = 'status-dot';
-        statusText.textContent = 'Ready to analyze';
+        statusText.textContent = 'Ready to analyze · Backend online';
     }
 
     shouldSkipCurrentPage() {
@@ -254,8 +307,9 @@ class WebJagePopup {
 
     async loadRecentAnalysis() {
         try {
-            const result = await chrome.storage.local.get(['recentAnalysis']);
-            const recentList = result.recentAnalysis || [];
+            // Written by the background script, newest first
+            const result = await chrome.storage.local.get(['analysisHistory']);
+            const recentList = result.analysisHistory || [];
 
             const container = document.getElementById('recentAnalysis');
 
@@ -269,11 +323,85 @@ class WebJagePopup {
                 .map(item => this.createRecentItem(item))
                 .join('');
 
+            // Open the stored analysis in the history page
+            container.querySelectorAll('.recent-item').forEach(element => {
+                element.addEventListener('click', () => this.openHistoryPage(element.dataset.id));
+            });
+
         } catch (error) {
             console.error('Failed to load recent analysis:', error);
         }
     }
 
+    async loadCompareTabs() {
+        try {
+            const tabs = await chrome.tabs.query({ currentWindow: true });
+            this.compareTabs = tabs.filter(tab => /^https?:/.test(tab.url || ''));
+        } catch (error) {
+            console.error('Failed to list tabs:', error);
+            this.compareTabs = [];
+        }
+
+        const container = document.getElementById('compareTabs');
+
+        if (this.compareTabs.length < 2) {
+            container.innerHTML = '<div class="no-recent">Open at least 2 pages to compare them</div>';
+            this.updateCompareButton();
+            return;
+        }
+
+        container.innerHTML = this.compareTabs.map(tab => `
+        <label class="recent-item compare-item">
+          <input type="checkbox" class="compare-checkbox" value="${tab.id}">
+          <img src="${this.escapeHtml(tab.favIconUrl || '')}" alt="" class="recent-favicon">
+          <div class="recent-info">
+            <div class="recent-title">${this.escapeHtml(tab.title || 'Untitled')}</div>
+            <div class="recent-url">${this.escapeHtml(this.shortenUrl(tab.url))}</div>
+          </div>
+        </label>
+      `).join('');
+
+        container.querySelectorAll('.recent-favicon').forEach(img => {
+            img.addEventListener('error', () => { img.style.visibility = 'hidden'; });
+        });
+
+        container.querySelectorAll('.compare-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const tabId = Number(checkbox.value);
+                if (checkbox.checked) {
+                    this.compareSelection.add(tabId);
+                } else {
+                    this.compareSelection.delete(tabId);
+                }
+                this.updateCompareButton();
+            });
+        });
+
+        this.updateCompareButton();
+    }
+
+    updateCompareButton() {
+        const compareBtn = document.getElementById('compareBtn');
+        const count = this.compareSelection.size;
+
+        compareBtn.disabled = count < 2;
+        compareBtn.innerHTML = count < 2
+            ? '<span class="btn-icon">⚖️</span>Select 2 or more tabs'
+            : `<span class="btn-icon">⚖️</span>Compare ${count} Tabs`;
+    }
+
+    // The comparison runs in its own page, the popup closes as soon as a tab opens
+    openComparePage() {
+        if (this.compareSelection.size < 2) {
+            return;
+        }
+
+        const url = chrome.runtime.getURL('compare/compare.html');
+        chrome.tabs.create({
+            url: `${url}#${[...this.compareSelection].join(',')}`
+        });
+    }
+
     createRecentItem(item) {
         const favicon = item.favicon || 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><rect width="16" height="16" fill="%23f0f0f0"/></svg>';
         const title = item.title || 'Untitled';
@@ -281,7 +409,7 @@ class WebJagePopup {
         const score = item.qualityScore || 'N/A';
 
         return `
-        <div class="recent-item">
+        <div class="recent-item" data-id="${this.escapeHtml(item.id || '')}" title="Open stored analysis">
           <img src="${favicon}" alt="" class="recent-favicon" onerror="this.style.display='none'">
           <div class="recent-info">
             <div class="recent-title">${this.escapeHtml(title)}</div>
@@ -313,6 +441,13 @@ class WebJagePopup {
         });
     }
 
+    openHistoryPage(entryId) {
+        const url = chrome.runtime.getURL('history/history.html');
+        chrome.tabs.create({
+            url: entryId ? `${url}#${encodeURIComponent(entryId)}` : url
+        });
+    }
+
     openSettingsPage() {
         chrome.runtime.openOptionsPage();
     }
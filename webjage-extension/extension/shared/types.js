@@ -0,0 +1,559 @@
+// Generated from shared/types.js by backend/scripts/sync-shared-types.js, do not edit
+
+// Shared type definitions and constants for WebJage extension
+// Used by both extension and backend components
+// The extension loads the copy in extension/shared/types.js, refreshed by `npm run sync-types` in backend/
+
+// Allowed values of enumerated analysis fields
+// "Cannot Determine" is what the model (or the fallback analysis) reports when it can't judge
+const ANALYSIS_ENUMS = {
+    credibility: ['High', 'Medium', 'Low', 'Cannot Determine'],
+    sentiment: ['Positive', 'Neutral', 'Negative'],
+    category: ['News', 'Blog', 'Article', 'Product', 'Encyclopedia', 'Recipe', 'General'],
+    complexity: ['Beginner', 'Intermediate', 'Advanced', 'Cannot Determine'],
+    factualAccuracy: ['High', 'Medium', 'Low', 'Cannot Determine'],
+    bias: ['None Detected', 'Slight', 'Moderate', 'Strong', 'Cannot Determine'],
+    completeness: ['Complete', 'Mostly Complete', 'Incomplete', 'Cannot Determine']
+};
+
+// Analysis list items that can be anchored to page text, and the lists holding them
+const ANCHOR_TYPES = {
+    keyPoint: 'keyPoints',
+    strength: 'strengths',
+    concern: 'concerns'
+};
+
+// Verdicts of fact-checked claims
+const CLAIM_VERDICTS = ['supported', 'disputed', 'unverifiable'];
+
+// Ratings of sources in the reputation database, best first
+const REPUTATION_RATINGS = ['reliable', 'mixed', 'unreliable', 'disinformation'];
+
+// Categories with their own analyzer, in the order they win when a page's structured data has several
+const PAGE_CATEGORIES = ['recipe', 'product', 'howto', 'review', 'news', 'faq'];
+
+// Severities of accessibility findings, worst first
+const ACCESSIBILITY_SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+// Schemas below are checked by validate()
+// Supported keywords: type, required, nullable, enum, minLength, min, max, integer, items, properties
+// Missing and null values pass unless the field is required, array items must not be null unless nullable
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Passage of the page an analysis item is based on
+// The model quotes it (anchors), the backend maps quotes to page sentences (highlights)
+const TextAnchor = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', required: true, enum: Object.keys(ANCHOR_TYPES) },
+        note: { type: 'string', required: true, minLength: 1 }, // The keyPoint, strength or concern
+        quote: { type: 'string', minLength: 1 }, // Model quote (anchors only)
+        text: { type: 'string', minLength: 1 } // Page sentence (highlights only)
+    }
+};
+
+// Typed fields the category analyzers add, keyed by category
+// Values the page does not give are null
+const CATEGORY_FIELDS = {
+    product: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            brand: { type: 'string' },
+            sku: { type: 'string' }, // SKU, GTIN or MPN
+            price: { type: 'number' },
+            priceCurrency: { type: 'string' },
+            availability: { type: 'string' }, // e.g. "InStock"
+            ratingValue: { type: 'number' },
+            bestRating: { type: 'number' },
+            ratingCount: { type: 'number', min: 0 },
+            reviewsShown: { type: 'number', integer: true, min: 0 },
+            claims: stringList // Page sentences making marketing claims
+        }
+    },
+    recipe: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            ingredientCount: { type: 'number', integer: true, min: 0 },
+            stepCount: { type: 'number', integer: true, min: 0 },
+            prepTime: { type: 'number', min: 0 }, // Minutes
+            cookTime: { type: 'number', min: 0 },
+            totalTime: { type: 'number', min: 0 },
+            recipeYield: { type: 'string' },
+            calories: { type: 'string' },
+            unusedIngredients: stringList, // Ingredients the steps never mention
+            missingFields: stringList,
+            completeness: { type: 'number', min: 0, max: 100 }
+        }
+    },
+    howto: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            stepCount: { type: 'number', integer: true, min: 0 },
+            totalTime: { type: 'number', min: 0 }, // Minutes
+            tools: stringList,
+            supplies: stringList,
+            estimatedCost: { type: 'string' }
+        }
+    },
+    review: {
+        type: 'object',
+        properties: {
+            itemReviewed: { type: 'string' },
+            itemReviewedType: { type: 'string' },
+            author: stringList,
+            ratingValue: { type: 'number' },
+            bestRating: { type: 'number' },
+            datePublished: { type: 'string' } // ISO 8601
+        }
+    },
+    news: {
+        type: 'object',
+        properties: {
+            headline: { type: 'string' },
+            byline: stringList,
+            publisher: { type: 'string' },
+            datePublished: { type: 'string' }, // ISO 8601
+            dateModified: { type: 'string' },
+            dateline: { type: 'string' }, // e.g. "LONDON (Reuters)"
+            section: { type: 'string' },
+            citationCount: { type: 'number', integer: true, min: 0 },
+            sourcingQuality: { type: 'string' }
+        }
+    },
+    faq: {
+        type: 'object',
+        properties: {
+            questionCount: { type: 'number', integer: true, min: 0 },
+            unansweredCount: { type: 'number', integer: true, min: 0 },
+            answersNotOnPage: { type: 'number', integer: true, min: 0 }
+        }
+    }
+};
+
+// Result of the analyzer for the page's category
+const CategoryAnalysis = {
+    type: 'object',
+    properties: {
+        category: { type: 'string', required: true, enum: PAGE_CATEGORIES },
+        type: { type: 'string' }, // schema.org type of the analyzed item, null without structured data
+        source: { type: 'string', required: true, enum: ['json-ld', 'microdata', 'metadata'] },
+        fields: { type: 'object', required: true }, // See CATEGORY_FIELDS
+        checks: { type: 'array', required: true, items: { type: 'object' } }, // Array of {id, label, status: 'pass'|'warn'|'fail', message}
+        passed: { type: 'number', integer: true, min: 0 },
+        warnings: { type: 'number', integer: true, min: 0 },
+        failed: { type: 'number', integer: true, min: 0 }
+    }
+};
+
+// Analysis result structure
+// Fields marked required come from the AI model, the rest is added by the backend
+const AnalysisResult = {
+    type: 'object',
+    properties: {
+        summary: { type: 'string', required: true, minLength: 1 },
+        qualityScore: { type: 'number', required: true, integer: true, min: 1, max: 10 },
+        credibility: { type: 'string', required: true, enum: ANALYSIS_ENUMS.credibility }, // In final results, the AI credibility combined with the source's reputation
+        sentiment: { type: 'string', required: true, enum: ANALYSIS_ENUMS.sentiment },
+        category: { type: 'string', required: true, enum: ANALYSIS_ENUMS.category },
+        readingTime: { type: 'string' }, // "X min read"
+        keyPoints: { ...stringList, required: true },
+        strengths: stringList,
+        concerns: stringList,
+        targetAudience: { type: 'string' },
+        complexity: { type: 'string', enum: ANALYSIS_ENUMS.complexity },
+        factualAccuracy: { type: 'string', enum: ANALYSIS_ENUMS.factualAccuracy },
+        bias: { type: 'string', enum: ANALYSIS_ENUMS.bias },
+        completeness: { type: 'string', enum: ANALYSIS_ENUMS.completeness },
+        anchors: { type: 'array', items: TextAnchor }, // Replaced by highlights in final results
+        highlights: { type: 'array', items: TextAnchor },
+        technicalMetrics: { type: 'object' },
+        seoInsights: { type: 'object' }, // {score, passed, warnings, failed, checks: [{id, category, label, status: 'pass'|'warn'|'fail', message, recommendation}], recommendations, ...}
+        accessibility: { type: 'object' }, // {findings: [{criterion, name, level: 'A'|'AA', severity, message, recommendation, examples}], critical, serious, moderate, minor, checkedCriteria, passedCriteria, ...}
+        contentFreshness: { type: 'object' },
+        sourcing: { type: 'object' }, // Link types, cited sources and sourced strong claims, see contentAnalyzer.analyzeSourcing
+        categoryAnalysis: CategoryAnalysis, // Product, recipe, news... checks, null for other pages
+        confidenceScore: { type: 'number', min: 0, max: 100 },
+        profile: { type: 'object' }, // {id, name, fields: [{name, label}]}, absent for the general rubric
+        profileFields: { type: 'object' }, // Extra fields requested by the analysis profile, keyed by field name
+        credibilityVerdict: { // Final results only
+            type: 'object',
+            properties: {
+                aiCredibility: { type: 'string', required: true, enum: ANALYSIS_ENUMS.credibility },
+                reputationRating: { type: 'string', enum: REPUTATION_RATINGS }, // null if the source has no entry
+                explanation: { type: 'string', required: true }
+            }
+        },
+        reputation: { type: 'object' }, // {domain, publisher, rating, categories, notes, matchedBy: 'domain'|'publisher', ...}, null if the source has no entry
+        chunksAnalyzed: { type: 'number', integer: true, min: 1 }, // > 1 for long documents
+        chunksFailed: { type: 'number', integer: true, min: 0 }, // Long documents only
+        cached: { type: 'boolean' },
+        timestamp: { type: 'string' }
+    }
+};
+
+// Single fact-checked claim
+// sourceSentence is the page sentence the claim was taken from, anchored is false when the
+// backend could not find it in the page text and kept the model's quote instead
+const FactCheckClaim = {
+    type: 'object',
+    properties: {
+        claim: { type: 'string', required: true, minLength: 1 },
+        verdict: { type: 'string', required: true, enum: CLAIM_VERDICTS },
+        rationale: { type: 'string', required: true, minLength: 1 },
+        sourceSentence: { type: 'string', required: true, minLength: 1 },
+        anchored: { type: 'boolean' }
+    }
+};
+
+// Fact-check result structure
+const FactCheckResult = {
+    type: 'object',
+    properties: {
+        claims: { type: 'array', required: true, items: FactCheckClaim },
+        verdictCounts: { type: 'object' }, // {supported, disputed, unverifiable}
+        chunksAnalyzed: { type: 'number', integer: true, min: 1 },
+        chunksFailed: { type: 'number', integer: true, min: 0 },
+        cached: { type: 'boolean' },
+        timestamp: { type: 'string' }
+    }
+};
+
+// Answer to a follow-up question about a page
+// quotes are the page sentences the answer is based on, anchored is false when the backend
+// could not find one in the page text and kept the model's quote instead
+const ChatReply = {
+    type: 'object',
+    properties: {
+        answer: { type: 'string', required: true, minLength: 1 },
+        quotes: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string', required: true, minLength: 1 },
+                    anchored: { type: 'boolean' }
+                }
+            }
+        }
+    }
+};
+
+// Comparative judgment of several pages on the same topic
+// Sources are referred to by their position in the compared items, starting at 0
+const ComparisonResult = {
+    type: 'object',
+    properties: {
+        summary: { type: 'string', required: true, minLength: 1 },
+        mostCredible: { type: 'number', required: true, integer: true, min: 0 },
+        mostComplete: { type: 'number', required: true, integer: true, min: 0 },
+        mostBalanced: { type: 'number', required: true, integer: true, min: 0 },
+        agreements: { type: 'array', required: true, items: { type: 'string', minLength: 1 } },
+        contradictions: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    topic: { type: 'string', required: true, minLength: 1 },
+                    positions: {
+                        type: 'array',
+                        required: true,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                source: { type: 'number', required: true, integer: true, min: 0 },
+                                position: { type: 'string', required: true, minLength: 1 }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        // Best source first
+        ranking: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    source: { type: 'number', required: true, integer: true, min: 0 },
+                    rationale: { type: 'string', required: true, minLength: 1 }
+                }
+            }
+        },
+        sources: { type: 'array', items: { type: 'object' } }, // Array of {url, title, qualityScore, credibility, bias, completeness, summary, cached}
+        cached: { type: 'boolean' },
+        timestamp: { type: 'string' }
+    }
+};
+
+// Content structure from extension
+const ContentData = {
+    type: 'object',
+    properties: {
+        url: { type: 'string', required: true, minLength: 1 },
+        title: { type: 'string' },
+        content: {
+            type: 'object',
+            required: true,
+            properties: {
+                text: { type: 'string', required: true, minLength: 1 },
+                images: { type: 'array', items: { type: 'object' } }, // Array of {src, alt, title}, alt is null if missing
+                links: { type: 'array', items: { type: 'object' } }, // Array of {url, text, rel, download, citation, context}, citation marks footnotes and reference lists, context is the sentence around the link
+                wordCount: { type: 'number', min: 0 },
+                seo: { // Document-wide structure for the SEO audit, absent for selections
+                    type: 'object',
+                    properties: {
+                        headings: { type: 'array', items: { type: 'object' } }, // Array of {level, text}
+                        canonical: { type: 'string' },
+                        robots: { type: 'string' }, // robots and googlebot meta directives
+                        viewport: { type: 'string' },
+                        openGraph: { type: 'object' }, // og:* meta tags by property
+                        twitterCard: { type: 'object' }, // twitter:* meta tags by name
+                        hreflang: { type: 'array', items: { type: 'object' } }, // Array of {lang, url}
+                        jsonLd: { type: 'array', items: { type: 'object' } }, // Array of {data} or {error}, data is null for blocks too large to send
+                        images: { type: 'array', items: { type: 'object' } } // Array of {src, alt, width, height, naturalWidth, naturalHeight, displayWidth, displayHeight}, alt and the attributes are null if missing
+                    }
+                },
+                accessibility: { // Document-wide structure for the accessibility audit, absent for selections
+                    type: 'object',
+                    properties: {
+                        landmarks: { type: 'object' }, // Number of landmarks by role, e.g. {main: 1, navigation: 2}
+                        lang: { type: 'string' }, // lang of the html element, null if missing
+                        partLangs: stringList, // Distinct lang values of elements in the body
+                        images: { type: 'array', items: { type: 'object' } }, // Array of {src, alt, role, onlyContentOf}, alt is the text alternative or null, onlyContentOf is 'a' or 'button' when the image is all they contain
+                        formControls: { type: 'array', items: { type: 'object' } }, // Array of {type, label}, label is where the name comes from: 'aria-labelledby', 'aria-label', 'label', 'title', 'placeholder' or null
+                        focusableCount: { type: 'number', min: 0 },
+                        unnamedFocusable: { type: 'array', items: { type: 'object' } }, // Array of {tag, role, html} of focusable elements without an accessible name
+                        unnamedFocusableCount: { type: 'number', min: 0 },
+                        textSamples: { type: 'array', items: { type: 'object' } } // Array of {color, background, fontSize, fontWeight, text, count}, one per distinct text style, background is null over images
+                    }
+                },
+                structuredData: { type: 'array', items: { type: 'object' } } // Array of {type, source: 'json-ld'|'microdata', data}, schema.org items with a category analyzer, microdata as JSON-LD style objects; absent for selections
+            }
+        },
+        metadata: { type: 'object' },
+        outputLanguage: { type: 'string', minLength: 1 }, // Language tag of the analysis text, the page language if omitted
+        profile: { type: 'string' }, // Analysis profile ID, picked by the page's domain if omitted or empty
+        contentHash: { type: 'string' },
+        timestamp: { type: 'number' }
+    }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema using the keywords listed above
+ * @param {string} [path] - Name of the value in error messages
+ * @returns {Array} Error messages, empty if the value is valid
+ */
+function validate(value, schema, path = 'value') {
+    if (value === undefined || value === null) {
+        return schema.required ? [`${path} is required`] : [];
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== schema.type || (schema.type === 'number' && !Number.isFinite(value))) {
+        return [`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+
+    if (schema.integer && !Number.isInteger(value)) {
+        errors.push(`${path} must be an integer`);
+    }
+
+    if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${path} must be at least ${schema.min}`);
+    }
+
+    if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${path} must be at most ${schema.max}`);
+    }
+
+    if (schema.items) {
+        value.forEach((item, index) => {
+            if ((item === undefined || item === null) && !schema.items.nullable) {
+                errors.push(`${path}[${index}] must not be null`);
+            } else {
+                errors.push(...validate(item, schema.items, `${path}[${index}]`));
+            }
+        });
+    }
+
+    if (schema.properties) {
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            errors.push(...validate(value[key], propertySchema, path === 'value' ? key : `${path}.${key}`));
+        });
+    }
+
+    return errors;
+}
+
+// Convenience validators
+const validateAnalysisResult = (result) => validate(result, AnalysisResult, 'analysis');
+const validateContentData = (data) => validate(data, ContentData);
+const validateFactCheckResult = (result) => validate(result, FactCheckResult, 'factCheck');
+const validateChatReply = (reply) => validate(reply, ChatReply, 'reply');
+const validateComparisonResult = (result) => validate(result, ComparisonResult, 'comparison');
+
+// Batch job status from backend
+const BatchJob = {
+    jobId: 'string',
+    status: 'string', // pending|running|completed|failed
+    createdAt: 'string',
+    completedAt: 'string', // null while running
+    progress: 'object', // {total, pending, processing, completed, failed}
+    items: 'array' // Array of {index, url, status, cached, result, error}
+};
+
+// Analysis history entry, stored newest first in chrome.storage.local 'analysisHistory'
+const HistoryEntry = {
+    id: 'string',
+    url: 'string',
+    title: 'string',
+    favicon: 'string',
+    qualityScore: 'number',
+    category: 'string',
+    credibility: 'string',
+    timestamp: 'number', // ms since epoch
+    result: 'object' // Full AnalysisResult
+};
+
+// Extension settings
+const ExtensionSettings = {
+    autoAnalyze: 'boolean',
+    showFloatingWindow: 'boolean',
+    apiEndpoint: 'string',
+    fallbackEndpoints: 'array', // Backend API URLs tried in order when apiEndpoint is unhealthy
+    apiKey: 'string', // Client API key, sent as X-API-Key
+    autoAnalyzeDelay: 'number', // ms after page load, 0-60000
+    windowPosition: 'string', // top-right|top-left|bottom-right|bottom-left
+    windowWidth: 'number', // px, 240-800
+    windowMaxHeight: 'number', // px, 200-1000
+    displaySections: 'object', // {summary, qualityScore, tags, keyPoints, strengths, concerns} booleans
+    showHighlights: 'boolean', // Highlight the passages behind analysis items on the page
+    cacheLifetimeHours: 'number', // 0-720, 0 disables the local cache
+    factCheckMode: 'boolean', // Fact-check claims automatically after each analysis
+    analysisLanguage: 'string', // ''(page language)|browser|language tag, e.g. zh-CN
+    analysisProfile: 'string' // ''(by domain)|profile ID, e.g. academic-paper
+};
+
+// API endpoints
+const API_ENDPOINTS = {
+    ANALYZE: '/api/analyze',
+    ANALYZE_STREAM: '/api/analyze/stream',
+    STATS: '/api/stats',
+    HEALTH: '/health',
+    CACHE: '/api/cache',
+    BATCH: '/api/batch',
+    FACT_CHECK: '/api/factcheck',
+    CHAT: '/api/chat',
+    COMPARE: '/api/compare',
+    KEYS: '/api/keys',
+    PROFILES: '/api/profiles',
+    REPUTATION: '/api/reputation'
+};
+
+// Message types for extension communication
+const MESSAGE_TYPES = {
+    ANALYZE_CONTENT: 'analyzeContent',
+    GET_SETTINGS: 'getSettings',
+    UPDATE_SETTINGS: 'updateSettings',
+    RESET_SETTINGS: 'resetSettings',
+    GET_BACKEND_STATUS: 'getBackendStatus',
+    DELETE_HISTORY_ENTRY: 'deleteHistoryEntry',
+    CLEAR_HISTORY: 'clearHistory',
+    FACT_CHECK_CONTENT: 'factCheckContent',
+    CHAT_ABOUT_PAGE: 'chatAboutPage',
+    COMPARE_PAGES: 'comparePages',
+    GET_PROFILES: 'getProfiles',
+    GET_PAGE_CONTENT: 'getPageContent',
+    ANALYZE_CURRENT_PAGE: 'analyzeCurrentPage',
+    ANALYZE_SELECTION: 'analyzeSelection',
+    TOGGLE_FLOATING_WINDOW: 'toggleFloatingWindow'
+};
+
+// Port names for long-lived extension connections
+const PORT_NAMES = {
+    ANALYZE_CONTENT_STREAM: 'analyzeContentStream'
+};
+
+// Export for Node.js (backend)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANALYSIS_ENUMS,
+        ANCHOR_TYPES,
+        CLAIM_VERDICTS,
+        REPUTATION_RATINGS,
+        ACCESSIBILITY_SEVERITIES,
+        PAGE_CATEGORIES,
+        CATEGORY_FIELDS,
+        CategoryAnalysis,
+        TextAnchor,
+        AnalysisResult,
+        FactCheckClaim,
+        FactCheckResult,
+        ChatReply,
+        ComparisonResult,
+        ContentData,
+        validate,
+        validateAnalysisResult,
+        validateContentData,
+        validateFactCheckResult,
+        validateChatReply,
+        validateComparisonResult,
+        BatchJob,
+        HistoryEntry,
+        ExtensionSettings,
+        API_ENDPOINTS,
+        MESSAGE_TYPES,
+        PORT_NAMES
+    };
+}
+
+// Export for browser (the extension's service worker validates backend responses with it)
+if (typeof self !== 'undefined') {
+    self.WebJageTypes = {
+        ANALYSIS_ENUMS,
+        ANCHOR_TYPES,
+        CLAIM_VERDICTS,
+        REPUTATION_RATINGS,
+        ACCESSIBILITY_SEVERITIES,
+        PAGE_CATEGORIES,
+        CATEGORY_FIELDS,
+        CategoryAnalysis,
+        TextAnchor,
+        AnalysisResult,
+        FactCheckClaim,
+        FactCheckResult,
+        ChatReply,
+        ComparisonResult,
+        ContentData,
+        validate,
+        validateAnalysisResult,
+        validateContentData,
+        validateFactCheckResult,
+        validateChatReply,
+        validateComparisonResult,
+        BatchJob,
+        HistoryEntry,
+        ExtensionSettings,
+        API_ENDPOINTS,
+        MESSAGE_TYPES,
+        PORT_NAMES
+    };
+}